@@ -10,8 +10,25 @@ const express = require('express');
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 const crypto = require('crypto');
 const multer = require('multer');
+// ES modules from src/, imported in startServer (see server/sharedModules.js)
+const sharedModules = require('./server/sharedModules');
+const {
+  QuestionSchema, QuestionMigrations, AnswerKey, QuestionSimilarity, CSVParser, CSVDetector, ColumnMapping, QuestionFormats
+} = sharedModules;
+const { initStorage, WriteQueue, writeFileAtomic } = require('./server/storage');
+const backups = require('./server/backups');
+const uploadHistory = require('./server/uploadHistory');
+const uploadPlan = require('./server/uploadPlan');
+const revisions = require('./server/revisions');
+const conflicts = require('./server/conflicts');
+const questionSearch = require('./server/search');
+const questionModel = require('./server/questionModel');
+const qti = require('./server/qti');
+const questionDirectory = require('./server/questionDirectory');
+const { createZip, readZip } = require('./server/zipArchive');
 
 const app = express();
 
@@ -31,26 +48,51 @@ app.use((req, res, next) => {
 
 app.use(express.json({ limit: '10mb' }));
 
+// Persistence driver (JSON files or SQLite), opened in startServer
+let storage = null;
+
+// Each store's mutate-then-save steps run through its own queue so concurrent requests never interleave writes
+const userDataQueue = new WriteQueue('user data');
+const questionBankQueue = new WriteQueue('question bank');
+
+// Run a whole route handler inside a store's write queue
+function serializedOn(queue, handler) {
+  return (req, res) => queue.run(() => handler(req, res));
+}
+
 // Initialize user data storage
-const USER_DATA_FILE = path.join(__dirname, 'user_data.json');
 let userData = { users: [], sessions: [], responses: [] };
 
+// Stores are only written after they loaded (or were found empty), so a failed load never
+// overwrites stored data with the empty in-memory defaults
+const loadedStores = { userData: false, questionBank: false };
+
 // Load existing user data
+// A new store is only created when the driver reports none; any other load error aborts startup
 async function loadUserData() {
+  let data;
   try {
-    const data = await fs.readFile(USER_DATA_FILE, 'utf8');
-    userData = JSON.parse(data);
-    console.log('✅ User data loaded successfully');
+    data = await storage.loadUserData();
   } catch (error) {
-    console.log('📝 Creating new user data file - file not found:', error.message);
+    throw new Error(`Failed to load user data: ${error.message}`);
+  }
+
+  loadedStores.userData = true;
+  if (data) {
+    userData = data;
+    console.log('✅ User data loaded successfully');
+  } else {
+    console.log('📝 Creating new user data store');
     await saveUserData();
   }
 }
 
 // Save user data
-async function saveUserData() {
+// `changes` optionally lists the touched records so row-based drivers can skip a full rewrite
+async function saveUserData(changes = null) {
   try {
-    await fs.writeFile(USER_DATA_FILE, JSON.stringify(userData, null, 2));
+    if (!loadedStores.userData) throw new Error('user data was never loaded; refusing to overwrite it');
+    await storage.saveUserData(userData, changes);
     console.log('💾 User data saved successfully');
   } catch (error) {
     console.error('❌ Failed to save user data:', error);
@@ -58,9 +100,8 @@ async function saveUserData() {
 }
 
 // Question Bank Management
-const QUESTION_BANK_FILE = path.join(__dirname, 'data', 'question_bank.json');
 const BACKUPS_DIR = path.join(__dirname, 'data', 'backups');
-let questionBank = { questions: [], uploads: [], metadata: {} };
+let questionBank = { questions: [], uploads: [], revisions: [], conflicts: [], mappingProfiles: [], metadata: {} };
 
 // Configure multer for file uploads
 const upload = multer({
@@ -70,33 +111,68 @@ const upload = multer({
     files: 5 // Max 5 files
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv')) {
+    if (file.mimetype === 'text/csv' || QuestionFormats.isImportable(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed!'), false);
+      cb(new Error(`Only ${QuestionFormats.IMPORT_EXTENSIONS.join(', ')} files are allowed!`), false);
     }
   }
 });
 
 // Load question bank
+// A new bank is only created when the driver reports none (null); any other load error aborts startup
 async function loadQuestionBank() {
+  let data;
   try {
-    const data = await fs.readFile(QUESTION_BANK_FILE, 'utf8');
-    questionBank = JSON.parse(data);
-    console.log(`✅ Question bank loaded: ${questionBank.questions.length} questions`);
+    data = await storage.loadQuestionBank();
   } catch (error) {
-    console.log('📝 Creating new question bank - file not found:', error.message);
+    throw new Error(`Failed to load question bank: ${error.message}`);
+  }
+
+  // A damaged bank that could not be restored must never be replaced by an empty one
+  const unrecovered = (storage.recoveries || []).find(recovery => recovery.file === storage.questionBankFile && !recovery.restoredFrom);
+  if (!data && unrecovered) {
+    throw new Error(`Question bank was damaged and not restored (moved to ${path.basename(unrecovered.corruptFile)}); refusing to start with an empty bank`);
+  }
+
+  loadedStores.questionBank = true;
+  if (!data) {
+    console.log('📝 Creating new question bank');
+    await saveQuestionBank();
+    return;
+  }
+
+  questionBank = data;
+  questionBank.revisions = questionBank.revisions || [];
+  questionBank.conflicts = questionBank.conflicts || [];
+  questionBank.mappingProfiles = questionBank.mappingProfiles || [];
+  console.log(`✅ Question bank loaded: ${questionBank.questions.length} questions`);
+
+  // Banks written at an older schema version run the pending QuestionMigrations steps
+  if (questionModel.bankNeedsMigration(questionBank)) {
+    const backupFile = await createBackup();
+    const result = questionModel.migrateQuestionBank(questionBank, { backup: path.basename(backupFile) });
     await saveQuestionBank();
+    console.log(`🔄 Question bank migrated from schema ${result.from} to ${result.to}`);
+    result.steps.forEach(step => {
+      console.log(`   ${step.version} ${step.name}: ${step.changed} questions changed`);
+    });
+    result.invalid.forEach(({ id, errors }) => {
+      console.warn(`⚠️ Question ${id} does not pass the question schema: ${errors.map(error => error.message).join(', ')}`);
+    });
   }
 }
 
 // Save question bank
-async function saveQuestionBank() {
+// `changes` ({ upsertQuestions, deleteQuestionIds, upsertUploads, insertRevisions, upsertConflicts, deleteConflictIds,
+// upsertMappingProfiles, deleteMappingProfileIds }) lets row-based drivers write only what changed
+async function saveQuestionBank(changes = null) {
   try {
+    if (!loadedStores.questionBank) throw new Error('question bank was never loaded; refusing to overwrite it');
     questionBank.metadata.lastUpdated = new Date().toISOString();
     questionBank.metadata.totalQuestions = questionBank.questions.length;
     
-    await fs.writeFile(QUESTION_BANK_FILE, JSON.stringify(questionBank, null, 2));
+    await storage.saveQuestionBank(questionBank, changes);
     console.log(`💾 Question bank saved: ${questionBank.questions.length} questions`);
   } catch (error) {
     console.error('❌ Failed to save question bank:', error);
@@ -110,8 +186,10 @@ async function createBackup() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const backupFile = path.join(BACKUPS_DIR, `question_bank_${timestamp}.json`);
     
-    await fs.writeFile(backupFile, JSON.stringify(questionBank, null, 2));
+    await writeFileAtomic(backupFile, JSON.stringify(questionBank, null, 2), { fsync: storage.fsync });
     console.log(`📦 Backup created: ${backupFile}`);
+
+    await applyBackupRetention();
     return backupFile;
   } catch (error) {
     console.error('❌ Failed to create backup:', error);
@@ -119,89 +197,157 @@ async function createBackup() {
   }
 }
 
-// Parse CSV content
-function parseCSVContent(csvText) {
-  const lines = csvText.trim().split('\n');
-  if (lines.length === 0) {
-    throw new Error('Empty CSV file');
-  }
-  
-  const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-  const rows = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const row = parseCSVLine(lines[i]);
-    if (row.length === headers.length) {
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = row[index];
-      });
-      rows.push(obj);
+// Prune old backups when BACKUP_KEEP_LAST / BACKUP_MAX_AGE_DAYS are configured
+async function applyBackupRetention() {
+  try {
+    const { deleted } = await backups.pruneBackups(BACKUPS_DIR, backups.retentionPolicyFromEnv());
+    if (deleted.length > 0) {
+      console.log(`🧹 Pruned ${deleted.length} old backup(s)`);
     }
+  } catch (error) {
+    console.warn('⚠️ Backup retention failed:', error.message);
   }
-  
-  return { headers, rows };
 }
 
-// Parse individual CSV line handling quotes
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim().replace(/^"|"$/g, ''));
-      current = '';
-    } else {
-      current += char;
+// Bytes read from the start of a CSV file to detect its encoding and delimiter
+const FORMAT_SAMPLE_BYTES = 64 * 1024;
+
+// Read the first `length` bytes of a file
+async function readFileHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Decode a byte stream chunk by chunk (multi-byte characters may span chunks)
+async function* decodeStream(stream, encoding) {
+  const decoder = CSVDetector.createDecoder(encoding);
+  for await (const chunk of stream) {
+    const text = decoder.decode(chunk, { stream: true });
+    if (text) yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+// Parse an uploaded CSV file, streamed from disk through the shared RFC 4180 parser
+// Encoding, BOM and delimiter are detected from the start of the file; `settings`
+// ({ encoding, delimiter }) overrides either one
+// Returns { headers, rows: [{ line, values, data, error }], errors, warnings, format }
+async function parseCSVFile(filePath, settings = {}) {
+  const { text, ...format } = CSVDetector.detect(await readFileHead(filePath, FORMAT_SAMPLE_BYTES), settings);
+  const parsed = await CSVParser.parseStream(
+    decodeStream(createReadStream(filePath), format.encoding),
+    { delimiter: format.delimiter }
+  );
+  return { ...parsed, format };
+}
+
+// Work out how to read an uploaded file: the format picked for it, else its extension, else (.txt) its content
+async function detectImportFormat(file, settings = {}) {
+  if (settings.importFormat) return settings.importFormat;
+
+  const byName = QuestionFormats.detect(file.originalname);
+  if (byName) return byName;
+
+  const head = await readFileHead(file.path, FORMAT_SAMPLE_BYTES);
+  const { encoding } = CSVDetector.detectEncoding(head);
+  return QuestionFormats.detect(file.originalname, CSVDetector.createDecoder(settings.encoding || encoding).decode(head))
+    || 'csv'; // Sent as text/csv under another name
+}
+
+// Parse an uploaded GIFT or Aiken file
+// Returns { records: [{ line, question, originalId, error }], warnings, format: { encoding, bom, detected } }
+async function parseQuestionFile(filePath, importFormat, settings = {}) {
+  const bytes = await fs.readFile(filePath);
+  const detected = CSVDetector.detectEncoding(bytes);
+  const encoding = settings.encoding || detected.encoding;
+  const parsed = QuestionFormats.parse(importFormat, CSVDetector.createDecoder(encoding).decode(bytes));
+  return { ...parsed, format: { encoding, bom: detected.bom, detected: { encoding: detected.encoding } } };
+}
+
+// Fields a client may set on a single question through the CRUD API
+const EDITABLE_FIELDS = [
+  'category', 'difficulty', 'type', 'question', 'options', 'correct_answer', 'explanation',
+  'points', 'time_limit', 'tags', 'prerequisites', 'learning_objectives', 'media'
+];
+
+// List fields that may also be sent as a comma-separated string
+const LIST_FIELDS = ['tags', 'prerequisites', 'learning_objectives'];
+
+// Pick the editable fields of an API payload in the canonical QuestionSchema shape
+// Flat option_a..option_e fields from older clients are laid over `baseOptions`
+function normalizeQuestionInput(input, baseOptions = []) {
+  const question = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (input[field] !== undefined) {
+      question[field] = input[field];
     }
+  });
+
+  if (Array.isArray(question.options)) {
+    question.options = questionModel.legacyOptions({}, question.options);
+  } else if (questionModel.legacyOptionFields().some(field => input[field] !== undefined)) {
+    question.options = questionModel.legacyOptions(input, baseOptions);
   }
-  
-  result.push(current.trim().replace(/^"|"$/g, ''));
-  return result;
+
+  LIST_FIELDS.forEach(field => {
+    if (typeof question[field] === 'string') {
+      question[field] = question[field].split(',').map(item => item.trim()).filter(Boolean);
+    }
+  });
+
+  return question;
 }
 
-// Convert CSV row to question format
-function convertToQuestionFormat(csvRow, uploadId, rowIndex, filename) {
-  const question = {
-    id: csvRow.id ? parseInt(csvRow.id) : null,
-    category: csvRow.category || 'General',
-    difficulty: csvRow.difficulty || 'Medium',
-    type: csvRow.type || 'multiple_choice',
-    question: csvRow.question,
-    option_a: csvRow.option_a,
-    option_b: csvRow.option_b,
-    option_c: csvRow.option_c,
-    option_d: csvRow.option_d,
-    correct_answer: csvRow.correct_answer,
-    explanation: csvRow.explanation || '',
-    points: parseInt(csvRow.points) || 1,
-    time_limit: parseInt(csvRow.time_limit) || 30,
-    
-    // Provenance metadata
-    source: {
-      uploadId,
-      filename,
-      rowIndex,
-      originalId: csvRow.id,
-      uploadedAt: new Date().toISOString()
+// Blank options close up when a question is sanitized, moving later options up a letter; re-letter the
+// key first so it keeps naming the same options. Returns { question, validation } where `validation`
+// fails when the key names an option left blank
+function closeOptionGaps(question) {
+  const { question: compacted, errors } = AnswerKey.removeBlankOptions(question);
+  if (errors.length === 0) return { question: compacted, validation: null };
+
+  return {
+    question,
+    validation: {
+      isValid: false,
+      errors,
+      fieldErrors: errors.map(message => ({ path: '/correct_answer', field: 'correct_answer', keyword: 'answer', params: {}, message }))
     }
   };
-  
-  return question;
 }
 
+// 400 response for a question that fails QuestionSchema.JSON_SCHEMA, with field-addressed errors
+function sendValidationError(res, validation, error = 'Question validation failed') {
+  return res.status(400).json({
+    error,
+    message: validation.errors.join(', '),
+    errors: validation.fieldErrors
+  });
+}
+
+// Confidence at which a similar question counts as a probable duplicate (uploads can override it)
+// Read in startServer, once QuestionSimilarity is loaded
+let DUPLICATE_THRESHOLD;
+
+// Strategies a caller may pick for exact and for probable duplicates
+// `review` parks the incoming question in questionBank.conflicts instead of deciding (see server/conflicts.js)
+const MERGE_STRATEGIES = ['skip', 'overwrite', 'force', 'merge', 'review'];
+
 // Check for duplicate questions
-function findDuplicate(newQuestion, existingQuestions) {
+// Exact matches (same ID or same text) have confidence 1; similar questions at or above
+// `threshold` come back as type 'fuzzy' with `probable: true` so callers can treat them separately.
+// Callers checking many questions pass a QuestionSimilarity index of `existingQuestions` and keep it current
+function findDuplicate(newQuestion, existingQuestions, { threshold = DUPLICATE_THRESHOLD, index = existingQuestions } = {}) {
   // Check by ID first
   if (newQuestion.id) {
     const idMatch = existingQuestions.find(q => q.id === newQuestion.id);
-    if (idMatch) return { type: 'id', question: idMatch };
+    if (idMatch) return { type: 'id', question: idMatch, confidence: 1, probable: false };
   }
   
   // Check by question text (normalized)
@@ -209,27 +355,55 @@ function findDuplicate(newQuestion, existingQuestions) {
   const textMatch = existingQuestions.find(q => 
     q.question.toLowerCase().trim() === normalizedNew
   );
-  if (textMatch) return { type: 'text', question: textMatch };
+  if (textMatch) return { type: 'text', question: textMatch, confidence: 1, probable: false };
+  
+  // Near-duplicates: punctuation, whitespace, reordered options, small rewordings
+  const fuzzyMatch = QuestionSimilarity.findBestMatch(newQuestion, index, { threshold });
+  if (fuzzyMatch) {
+    return {
+      type: 'fuzzy',
+      question: fuzzyMatch.question,
+      confidence: fuzzyMatch.confidence,
+      probable: true,
+      scores: { text: fuzzyMatch.text, options: fuzzyMatch.options }
+    };
+  }
   
   return null;
 }
 
+// Whether a field carries a value worth merging (empty strings, lists and objects do not)
+function hasContent(value) {
+  if (value === '' || value == null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
 // Apply merge strategy
-function applyMergeStrategy(newQuestion, existingQuestion, strategy) {
+// Strategies that change an existing question record its pre-merge state in `journal` (see server/uploadHistory.js)
+// `questions` is the set new IDs are allocated against (a working copy during dry runs)
+function applyMergeStrategy(newQuestion, existingQuestion, strategy, { journal = null, questions = questionBank.questions } = {}) {
   switch (strategy) {
     case 'skip':
       return null; // Skip the new question
       
+    case 'review':
+      return null; // The caller queues the pair as a conflict
+      
     case 'overwrite':
       // Keep metadata from existing but update content
+      if (journal) uploadHistory.recordUpdated(journal, existingQuestion);
       return {
         ...newQuestion,
-        source: existingQuestion.source // Keep original source
+        id: existingQuestion.id, // Keep identity so rollbacks and references still match
+        source: existingQuestion.source, // Keep original source
+        analytics: existingQuestion.analytics
       };
       
     case 'force':
       // Create new question with new ID
-      const maxId = Math.max(0, ...questionBank.questions.map(q => q.id || 0));
+      const maxId = Math.max(0, ...questions.map(q => q.id || 0));
       return {
         ...newQuestion,
         id: maxId + 1
@@ -237,11 +411,12 @@ function applyMergeStrategy(newQuestion, existingQuestion, strategy) {
       
     case 'merge':
       // Merge non-empty fields
+      if (journal) uploadHistory.recordUpdated(journal, existingQuestion);
       return {
         ...existingQuestion,
         ...Object.fromEntries(
           Object.entries(newQuestion).filter(([key, value]) => 
-            value !== '' && value != null && key !== 'source'
+            hasContent(value) && !['source', 'id', 'analytics'].includes(key)
           )
         ),
         source: existingQuestion.source // Keep original source
@@ -597,8 +772,10 @@ app.post('/api/assess', async (req, res) => {
       responseData.assessment = mockAssessment;
       responseData.aiUsed = false;
       
-      userData.responses.push(responseData);
-      await saveUserData();
+      await userDataQueue.run(async () => {
+        userData.responses.push(responseData);
+        await saveUserData({ insertResponses: [responseData] });
+      });
       
       return res.json({ 
         assessment: mockAssessment,
@@ -611,8 +788,10 @@ app.post('/api/assess', async (req, res) => {
       const assessment = await getAIAssessment(questionText, userAnswerArray, correctAnswerArray);
       
       responseData.assessment = assessment;
-      userData.responses.push(responseData);
-      await saveUserData();
+      await userDataQueue.run(async () => {
+        userData.responses.push(responseData);
+        await saveUserData({ insertResponses: [responseData] });
+      });
 
       res.json({
         assessment: assessment,
@@ -672,8 +851,10 @@ app.post('/api/assess', async (req, res) => {
       responseData.assessment = fallbackAssessment;
       responseData.aiUsed = false;
       responseData.error = userMessage;
-      userData.responses.push(responseData);
-      await saveUserData();
+      await userDataQueue.run(async () => {
+        userData.responses.push(responseData);
+        await saveUserData({ insertResponses: [responseData] });
+      });
 
       res.json({ 
         assessment: fallbackAssessment,
@@ -692,6 +873,37 @@ app.post('/api/assess', async (req, res) => {
   }
 });
 
+// Check one file's upload settings ({ importFormat, encoding, delimiter, mapping, profileId }), returning an error message or null
+function validateFileSettings(settings) {
+  if (settings.importFormat && !QuestionFormats.IMPORT_FORMATS.includes(settings.importFormat)) {
+    return `Unsupported import format "${settings.importFormat}". Use one of: ${QuestionFormats.IMPORT_FORMATS.join(', ')}`;
+  }
+
+  const formatError = CSVDetector.validateOverrides(settings);
+  if (formatError) return formatError;
+
+  const mappingError = ColumnMapping.validate(settings.mapping);
+  if (mappingError) return mappingError;
+
+  if (settings.profileId && !questionBank.mappingProfiles.some(p => p.id === settings.profileId)) {
+    return `Mapping profile ${settings.profileId} not found`;
+  }
+  return null;
+}
+
+// Pick the column mapping for an uploaded file
+// An explicit `settings.mapping` wins, then `settings.profileId`, then a saved profile whose headers match (`auto`)
+function resolveFileMapping(headers, settings) {
+  const chosen = settings.profileId ? questionBank.mappingProfiles.find(p => p.id === settings.profileId) : null;
+  const profile = chosen || (settings.mapping ? null : ColumnMapping.matchProfile(headers, questionBank.mappingProfiles));
+
+  return {
+    mapping: settings.mapping || profile,
+    profile,
+    auto: Boolean(profile && !chosen)
+  };
+}
+
 // Multi-CSV Upload Endpoint
 app.post('/api/upload-csvs', upload.array('files', 5), async (req, res) => {
   console.log('📁 Multi-CSV upload request received');
@@ -708,161 +920,309 @@ app.post('/api/upload-csvs', upload.array('files', 5), async (req, res) => {
       return res.status(400).json({ error: 'No files uploaded' });
     }
     
+    const invalidStrategy = [options.mergeStrategy, options.probableStrategy]
+      .find(strategy => strategy !== undefined && !MERGE_STRATEGIES.includes(strategy));
+    if (invalidStrategy !== undefined) {
+      await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        error: 'Invalid merge strategy',
+        message: `Unknown strategy "${invalidStrategy}". Use one of: ${MERGE_STRATEGIES.join(', ')}`
+      });
+    }
+    
+    // Per-file encoding/delimiter overrides and column mappings, in the same order as the files
+    const fileSettings = Array.isArray(options.fileSettings) ? options.fileSettings : [];
+    const invalidSettings = fileSettings.map(settings => validateFileSettings(settings || {})).find(Boolean);
+    if (invalidSettings) {
+      await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({ error: 'Invalid file settings', message: invalidSettings });
+    }
+    
     // Initialize upload tracking
     const uploadSummary = {
       processed: 0,
       added: 0,
       updated: 0,
       skipped: 0,
+      queued: 0,
+      probableDuplicates: 0,
       errors: []
     };
     
     const detailsPerFile = [];
-    const { mergeStrategy = 'skip', strictness = 'lenient' } = options;
+    const changes = { upsertQuestions: [], upsertUploads: [], insertRevisions: [], upsertConflicts: [] };
+    const journal = uploadHistory.createUploadJournal();
+    const queuedConflicts = []; // Rows parked by the `review` strategy
+    const { mergeStrategy = 'skip', probableStrategy = 'skip', strictness = 'lenient' } = options;
+    const duplicateThreshold = QuestionSimilarity.parseThreshold(options.duplicateThreshold, DUPLICATE_THRESHOLD);
+    const dryRun = options.dryRun === true;
+    const plan = []; // Per-row outcome, returned for dry runs
     
-    // Create backup before making changes
-    if (mergeStrategy === 'overwrite') {
-      await createBackup();
-    }
+    // Apply the whole upload as one queued mutation so other writers see it all or not at all
+    await questionBankQueue.run(async () => {
+      // Dry runs work on a copy so the full pipeline runs without touching the bank
+      const { questions, revisionLog } = uploadPlan.uploadWorkspace(questionBank, { dryRun });
+      const revisionContext = { author: options.owner || 'anonymous', origin: 'upload', uploadId };
+      const similarityIndex = QuestionSimilarity.createIndex(questions); // Built once, updated as rows land
+
+      // Create backup before making changes (any strategy can add or update questions)
+      if (!dryRun) {
+        await createBackup();
+      }
     
-    // Process each file
-    for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
-      const file = files[fileIndex];
-      const fileDetail = {
-        filename: file.originalname,
-        size: file.size,
-        processed: 0,
-        added: 0,
-        updated: 0,
-        skipped: 0,
-        errors: []
-      };
+      // Process each file
+      for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
+        const file = files[fileIndex];
+        const fileDetail = {
+          filename: file.originalname,
+          size: file.size,
+          processed: 0,
+          added: 0,
+          updated: 0,
+          skipped: 0,
+          queued: 0,
+          errors: []
+        };
       
-      try {
-        console.log(`📄 Processing file: ${file.originalname}`);
-        
-        // Read file content
-        const csvContent = await fs.readFile(file.path, 'utf8');
-        const { headers, rows } = parseCSVContent(csvContent);
-        
-        console.log(`📋 Parsed ${rows.length} rows from ${file.originalname}`);
-        
-        // Validate required headers
-        const requiredHeaders = ['question'];
-        const missingHeaders = requiredHeaders.filter(h => 
-          !headers.some(header => header.toLowerCase().includes(h.toLowerCase()))
-        );
+        try {
+          console.log(`📄 Processing file: ${file.originalname}`);
         
-        if (missingHeaders.length > 0) {
-          const error = `Missing required headers: ${missingHeaders.join(', ')}`;
-          fileDetail.errors.push(error);
-          uploadSummary.errors.push(`${file.originalname}: ${error}`);
+          const settings = fileSettings[fileIndex] || {};
+          const importFormat = await detectImportFormat(file, settings);
+          fileDetail.importFormat = importFormat;
+          let rows;       // [{ line, error }] in file order
+          let toQuestion; // Builds the canonical question for one row
+
+          if (importFormat === 'csv') {
+            // Parse file content; malformed rows come back with an `error` instead of being dropped
+            const parsed = await parseCSVFile(file.path, settings);
+            rows = parsed.rows;
+            fileDetail.format = parsed.format;
+            fileDetail.warnings = parsed.warnings.map(warning => `${CSVParser.formatLocation(warning)}: ${warning.message}`);
           
-          if (strictness === 'strict') {
-            detailsPerFile.push(fileDetail);
-            continue; // Skip this file in strict mode
+            console.log(`📋 Parsed ${rows.length} rows from ${file.originalname} (${CSVDetector.describe(parsed.format)})`);
+          
+            // Column mapping: the one chosen in the panel, else a saved profile matching these headers
+            const { mapping, profile, auto } = resolveFileMapping(parsed.headers, settings);
+            const mapper = ColumnMapping.createMapper(parsed.headers, mapping);
+            fileDetail.mapping = { profileId: profile ? profile.id : null, profileName: profile ? profile.name : null, auto };
+            toQuestion = (row, metadata) => questionModel.fromCSVRow(mapper.headers, mapper.map(row.values), metadata);
+          
+            // Validate required headers
+            const requiredHeaders = ['question'];
+            const missingHeaders = requiredHeaders.filter(h => !mapper.headers.includes(h));
+          
+            if (missingHeaders.length > 0) {
+              const error = `Missing required headers: ${missingHeaders.join(', ')}`;
+              fileDetail.errors.push(error);
+              uploadSummary.errors.push(`${file.originalname}: ${error}`);
+            
+              if (strictness === 'strict') {
+                detailsPerFile.push(fileDetail);
+                continue; // Skip this file in strict mode
+              }
+            }
+          } else if (QuestionFormats.isPackage(importFormat)) {
+            // QTI package: each assessment item is one row; items that cannot be imported carry an `error`
+            const parsed = qti.readPackage(await fs.readFile(file.path));
+            rows = parsed.records;
+            fileDetail.warnings = parsed.warnings.map(warning => warning.message);
+            toQuestion = (row, metadata) => questionModel.fromFields(row.question, { ...metadata, originalId: row.originalId });
+          
+            console.log(`📋 Read ${rows.length} ${QuestionFormats.label(importFormat)} items from ${file.originalname}`);
+          } else {
+            // GIFT / Aiken: each question block is one row; blocks that cannot be imported carry an `error`
+            const parsed = await parseQuestionFile(file.path, importFormat, settings);
+            rows = parsed.records;
+            fileDetail.format = parsed.format;
+            fileDetail.warnings = parsed.warnings.map(warning => `${CSVParser.formatLocation(warning)}: ${warning.message}`);
+            toQuestion = (row, metadata) => questionModel.fromFields(row.question, { ...metadata, originalId: row.originalId });
+          
+            console.log(`📋 Parsed ${rows.length} ${QuestionFormats.label(importFormat)} questions from ${file.originalname}`);
           }
-        }
         
-        // Process each row
-        for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
-          const row = rows[rowIndex];
-          fileDetail.processed++;
-          uploadSummary.processed++;
+          // Process each row
+          for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
+            const row = rows[rowIndex];
+            const { line, error: parseError } = row;
+            fileDetail.processed++;
+            uploadSummary.processed++;
           
-          try {
-            // Convert to question format
-            const newQuestion = convertToQuestionFormat(
-              row, 
-              uploadId, 
-              rowIndex, 
-              file.originalname
-            );
+            try {
+              if (parseError) {
+                throw new Error(parseError.column ? `${parseError.message} (column ${parseError.column})` : parseError.message);
+              }
             
-            // Validate question
-            if (!newQuestion.question || newQuestion.question.trim() === '') {
-              throw new Error('Empty question text');
-            }
+              // Convert to the canonical QuestionSchema shape
+              const newQuestion = toQuestion(row, {
+                uploadId,
+                filename: file.originalname,
+                rowIndex,
+                owner: options.owner
+              });
             
-            // Auto-generate ID if missing
-            if (!newQuestion.id) {
-              const maxId = Math.max(0, ...questionBank.questions.map(q => q.id || 0));
-              newQuestion.id = maxId + 1;
-            }
+              // Validate question
+              if (!newQuestion.question || newQuestion.question.trim() === '') {
+                throw new Error('Empty question text');
+              }
+            
+              // Auto-generate ID if missing
+              const assignedId = !newQuestion.id;
+              if (assignedId) {
+                const maxId = Math.max(0, ...questions.map(q => q.id || 0));
+                newQuestion.id = maxId + 1;
+              }
+            
+              const validation = questionModel.validateQuestion(newQuestion);
+              if (!validation.isValid) {
+                throw Object.assign(new Error(validation.errors.join(', ')), { fieldErrors: validation.fieldErrors });
+              }
             
-            // Check for duplicates
-            const duplicate = findDuplicate(newQuestion, questionBank.questions);
+              // Check for duplicates
+              const duplicate = findDuplicate(newQuestion, questions, { threshold: duplicateThreshold, index: similarityIndex });
+              const rowPlan = { file: file.originalname, row: rowIndex + 1, line, question: newQuestion.question };
             
-            if (duplicate) {
-              const result = applyMergeStrategy(newQuestion, duplicate.question, mergeStrategy);
+              if (duplicate) {
+                // Probable duplicates follow their own strategy so a fuzzy match never overwrites by accident
+                const strategy = duplicate.probable ? probableStrategy : mergeStrategy;
+                const result = applyMergeStrategy(newQuestion, duplicate.question, strategy, { journal, questions });
+                Object.assign(rowPlan, {
+                  duplicateOf: duplicate.question.id,
+                  matchType: duplicate.type,
+                  confidence: duplicate.confidence,
+                  probable: duplicate.probable,
+                  strategy
+                });
+                if (duplicate.probable) {
+                  uploadSummary.probableDuplicates++;
+                }
               
-              if (result === null) {
-                // Skipped
-                fileDetail.skipped++;
-                uploadSummary.skipped++;
-              } else if (mergeStrategy === 'force') {
-                // Add as new
-                questionBank.questions.push(result);
+                if (strategy === 'review') {
+                  // Park for a reviewer; the bank is untouched until the conflict is resolved.
+                  // An assigned ID is not reserved (later rows reuse it), so keep_both allocates one on resolution
+                  const conflict = conflicts.createConflict(assignedId ? { ...newQuestion, id: undefined } : newQuestion, duplicate, {
+                    uploadId,
+                    filename: file.originalname,
+                    row: rowIndex + 1
+                  });
+                  queuedConflicts.push(conflict);
+                  plan.push({ ...rowPlan, action: 'review', id: duplicate.question.id, conflictId: conflict.id });
+                  fileDetail.queued++;
+                  uploadSummary.queued++;
+                } else if (result === null) {
+                  // Skipped
+                  plan.push({ ...rowPlan, action: 'skip', id: duplicate.question.id });
+                  fileDetail.skipped++;
+                  uploadSummary.skipped++;
+                } else if (strategy === 'force') {
+                  // Add as new
+                  changes.insertRevisions.push(...revisions.recordRevision(revisionLog, null, result, revisionContext));
+                  questions.push(result);
+                  QuestionSimilarity.addToIndex(similarityIndex, result);
+                  changes.upsertQuestions.push(result);
+                  uploadHistory.recordAdded(journal, result);
+                  plan.push({ ...rowPlan, action: 'add', id: result.id });
+                  fileDetail.added++;
+                  uploadSummary.added++;
+                } else {
+                  // Update existing
+                  const existingIndex = questions.findIndex(q => q.id === duplicate.question.id);
+                  changes.insertRevisions.push(...revisions.recordRevision(revisionLog, duplicate.question, result, revisionContext));
+                  questions[existingIndex] = result;
+                  QuestionSimilarity.removeFromIndex(similarityIndex, duplicate.question);
+                  QuestionSimilarity.addToIndex(similarityIndex, result);
+                  changes.upsertQuestions.push(result);
+                  plan.push(uploadPlan.updatePlanEntry(rowPlan, duplicate.question, result));
+                  fileDetail.updated++;
+                  uploadSummary.updated++;
+                }
+              } else {
+                // Add new question
+                changes.insertRevisions.push(...revisions.recordRevision(revisionLog, null, newQuestion, revisionContext));
+                questions.push(newQuestion);
+                QuestionSimilarity.addToIndex(similarityIndex, newQuestion);
+                changes.upsertQuestions.push(newQuestion);
+                uploadHistory.recordAdded(journal, newQuestion);
+                plan.push({ ...rowPlan, action: 'add', id: newQuestion.id });
                 fileDetail.added++;
                 uploadSummary.added++;
-              } else {
-                // Update existing
-                const existingIndex = questionBank.questions.findIndex(q => q.id === duplicate.question.id);
-                questionBank.questions[existingIndex] = result;
-                fileDetail.updated++;
-                uploadSummary.updated++;
               }
-            } else {
-              // Add new question
-              questionBank.questions.push(newQuestion);
-              fileDetail.added++;
-              uploadSummary.added++;
-            }
             
-          } catch (rowError) {
-            const error = `Row ${rowIndex + 1}: ${rowError.message}`;
-            fileDetail.errors.push(error);
-            uploadSummary.errors.push(`${file.originalname} - ${error}`);
+            } catch (rowError) {
+              const error = line ? `Row ${rowIndex + 1} (line ${line}): ${rowError.message}` : `Row ${rowIndex + 1}: ${rowError.message}`;
+              fileDetail.errors.push(error);
+              uploadSummary.errors.push(`${file.originalname} - ${error}`);
+              plan.push({
+                file: file.originalname,
+                row: rowIndex + 1,
+                line,
+                action: 'error',
+                error: rowError.message,
+                ...(rowError.fieldErrors ? { fieldErrors: rowError.fieldErrors } : {})
+              });
             
-            if (strictness === 'strict') {
-              throw new Error(`Strict mode: ${error}`);
+              if (strictness === 'strict') {
+                throw new Error(`Strict mode: ${error}`);
+              }
             }
           }
-        }
         
-      } catch (fileError) {
-        console.error(`❌ Error processing ${file.originalname}:`, fileError);
-        fileDetail.errors.push(fileError.message);
-        uploadSummary.errors.push(`${file.originalname}: ${fileError.message}`);
-      } finally {
-        // Clean up uploaded file
-        try {
-          await fs.unlink(file.path);
-        } catch (unlinkError) {
-          console.warn('Warning: Failed to clean up uploaded file:', unlinkError);
+        } catch (fileError) {
+          console.error(`❌ Error processing ${file.originalname}:`, fileError);
+          fileDetail.errors.push(fileError.message);
+          uploadSummary.errors.push(`${file.originalname}: ${fileError.message}`);
+        } finally {
+          // Clean up uploaded file
+          try {
+            await fs.unlink(file.path);
+          } catch (unlinkError) {
+            console.warn('Warning: Failed to clean up uploaded file:', unlinkError);
+          }
         }
-      }
       
-      detailsPerFile.push(fileDetail);
-    }
+        detailsPerFile.push(fileDetail);
+      }
+
+      if (dryRun) {
+        return;
+      }
     
-    // Record upload metadata
-    const uploadRecord = {
-      uploadId,
-      timestamp: new Date().toISOString(),
-      userId: options.owner || 'anonymous',
-      filesCount: files.length,
-      options,
-      summary: uploadSummary,
-      detailsPerFile
-    };
+      // Record upload metadata
+      const uploadRecord = {
+        uploadId,
+        timestamp: new Date().toISOString(),
+        userId: options.owner || 'anonymous',
+        filesCount: files.length,
+        options,
+        summary: uploadSummary,
+        detailsPerFile,
+        questionChanges: uploadHistory.finalizeUploadJournal(journal, questionBank.questions)
+      };
     
-    questionBank.uploads.push(uploadRecord);
+      questionBank.uploads.push(uploadRecord);
+      changes.upsertUploads.push(uploadRecord);
+      questionBank.conflicts.push(...queuedConflicts);
+      changes.upsertConflicts.push(...queuedConflicts);
     
-    // Save question bank
-    await saveQuestionBank();
+      // Save question bank
+      await saveQuestionBank(changes);
+    });
     
-    console.log(`✅ Upload complete: ${uploadSummary.added} added, ${uploadSummary.updated} updated, ${uploadSummary.skipped} skipped`);
+    if (dryRun) {
+      console.log(`🔍 Upload dry run: ${uploadSummary.added} to add, ${uploadSummary.updated} to update, ${uploadSummary.skipped} to skip`);
+      return res.json({
+        dryRun: true,
+        summary: uploadSummary,
+        detailsPerFile,
+        plan,
+        questionBankStats: {
+          totalQuestions: questionBank.questions.length,
+          totalUploads: questionBank.uploads.length
+        }
+      });
+    }
+
+    console.log(`✅ Upload complete: ${uploadSummary.added} added, ${uploadSummary.updated} updated, ${uploadSummary.skipped} skipped, ${uploadSummary.queued} queued for review`);
     
     res.json({
       uploadId,
@@ -895,12 +1255,45 @@ app.post('/api/upload-csvs', upload.array('files', 5), async (req, res) => {
   }
 });
 
+// Published question JSON Schema
+app.get('/api/schema/question', (req, res) => {
+  res.json(QuestionSchema.JSON_SCHEMA);
+});
+
+// Schema migrations: the known steps, what would run on the live bank and the log of past runs
+app.get('/api/question-bank/migrations', (req, res) => {
+  try {
+    const dryRun = questionModel.migrateQuestionBank(questionBank, { dryRun: true });
+    res.json({
+      schemaVersion: QuestionSchema.getSchemaVersion(),
+      storedVersion: dryRun.from,
+      migrations: QuestionMigrations.MIGRATIONS,
+      pending: dryRun.steps,
+      history: questionBank.metadata.migrations || []
+    });
+  } catch (error) {
+    console.error('❌ Migration report error:', error);
+    res.status(500).json({ error: 'Failed to report migrations', message: error.message });
+  }
+});
+
+// Answer keys that do not resolve to their question's options
+app.get('/api/question-bank/answer-keys', (req, res) => {
+  try {
+    res.json(AnswerKey.report(questionBank.questions));
+  } catch (error) {
+    console.error('❌ Answer key report error:', error);
+    res.status(500).json({ error: 'Failed to report answer keys', message: error.message });
+  }
+});
+
 // Get question bank statistics
 app.get('/api/question-bank/stats', async (req, res) => {
   try {
     const stats = {
       totalQuestions: questionBank.questions.length,
       totalUploads: questionBank.uploads.length,
+      pendingConflicts: questionBank.conflicts.length,
       categories: [...new Set(questionBank.questions.map(q => q.category))],
       difficulties: [...new Set(questionBank.questions.map(q => q.difficulty))],
       lastUpdated: questionBank.metadata.lastUpdated,
@@ -917,13 +1310,10 @@ app.get('/api/question-bank/stats', async (req, res) => {
 // Get questions from question bank
 app.get('/api/question-bank/questions', async (req, res) => {
   try {
-    const { 
-      category, 
-      difficulty, 
-      limit = 50, 
-      offset = 0,
-      search 
-    } = req.query;
+    const category = questionSearch.queryText(req.query.category);
+    const difficulty = questionSearch.queryText(req.query.difficulty);
+    const searchText = questionSearch.queryText(req.query.search, ' ');
+    const { limit, offset } = questionSearch.parsePagination(req.query);
     
     let filteredQuestions = [...questionBank.questions];
     
@@ -936,28 +1326,25 @@ app.get('/api/question-bank/questions', async (req, res) => {
       filteredQuestions = filteredQuestions.filter(q => q.difficulty === difficulty);
     }
     
-    if (search) {
-      const searchLower = search.toLowerCase();
+    if (searchText) {
+      const searchLower = searchText.toLowerCase();
       filteredQuestions = filteredQuestions.filter(q => 
         q.question.toLowerCase().includes(searchLower) ||
-        q.explanation.toLowerCase().includes(searchLower)
+        (q.explanation || '').toLowerCase().includes(searchLower)
       );
     }
     
     // Pagination
     const total = filteredQuestions.length;
-    const paginatedQuestions = filteredQuestions.slice(
-      parseInt(offset), 
-      parseInt(offset) + parseInt(limit)
-    );
+    const paginatedQuestions = filteredQuestions.slice(offset, offset + limit);
     
     res.json({
       questions: paginatedQuestions,
       pagination: {
         total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: (parseInt(offset) + parseInt(limit)) < total
+        limit,
+        offset,
+        hasMore: (offset + limit) < total
       }
     });
     
@@ -967,6 +1354,295 @@ app.get('/api/question-bank/questions', async (req, res) => {
   }
 });
 
+// Search questions with filters, sorting and relevance ranking
+app.get('/api/question-bank/search', async (req, res) => {
+  try {
+    const invalidSort = questionSearch.validateSortOptions(req.query);
+    if (invalidSort) {
+      return res.status(400).json({ error: 'Invalid sort', message: invalidSort });
+    }
+
+    res.json(questionSearch.searchQuestions(questionBank.questions, req.query));
+
+  } catch (error) {
+    console.error('❌ Question bank search error:', error);
+    res.status(500).json({ error: 'Failed to search question bank' });
+  }
+});
+
+// Get a single question
+app.get('/api/question-bank/questions/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const question = questionBank.questions.find(q => q.id === id);
+
+    if (!question) {
+      return res.status(404).json({ error: `Question ${req.params.id} not found` });
+    }
+
+    res.json({ question });
+
+  } catch (error) {
+    console.error('❌ Question fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch question' });
+  }
+});
+
+// Create a single question
+app.post('/api/question-bank/questions', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const now = new Date().toISOString();
+    const input = closeOptionGaps(QuestionSchema.createDefault(normalizeQuestionInput(body)));
+    if (input.validation) {
+      return sendValidationError(res, input.validation);
+    }
+    const question = QuestionSchema.sanitize(input.question);
+
+    // Use the requested ID if it is free, otherwise auto-generate
+    const requestedId = parseInt(body.id);
+    if (requestedId) {
+      if (questionBank.questions.some(q => q.id === requestedId)) {
+        return res.status(409).json({ error: `Question ${requestedId} already exists` });
+      }
+      question.id = requestedId;
+    } else {
+      const maxId = Math.max(0, ...questionBank.questions.map(q => q.id || 0));
+      question.id = maxId + 1;
+    }
+
+    const validation = QuestionSchema.validate(question);
+    if (!validation.isValid) {
+      return sendValidationError(res, validation);
+    }
+
+    // Provenance metadata
+    question.source = {
+      uploadId: null,
+      origin: 'api',
+      owner: body.owner || 'anonymous',
+      created: now,
+      lastUpdated: now
+    };
+
+    await createBackup();
+    const created = revisions.recordRevision(questionBank.revisions, null, question, {
+      author: question.source.owner,
+      origin: 'api'
+    });
+    questionBank.questions.push(question);
+    await saveQuestionBank({ upsertQuestions: [question], insertRevisions: created });
+
+    console.log(`➕ Question ${question.id} created`);
+    res.status(201).json({ success: true, question, warnings: validation.warnings });
+
+  } catch (error) {
+    console.error('❌ Question create error:', error);
+    res.status(500).json({ error: 'Failed to create question', message: error.message });
+  }
+}));
+
+// Update a single question
+app.put('/api/question-bank/questions/:id', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const index = questionBank.questions.findIndex(q => q.id === id);
+
+    if (index === -1) {
+      return res.status(404).json({ error: `Question ${req.params.id} not found` });
+    }
+
+    const body = req.body || {};
+    const existing = questionBank.questions[index];
+    const input = closeOptionGaps({
+      ...existing,
+      ...normalizeQuestionInput(body, existing.options),
+      id: existing.id // Preserve ID
+    });
+    if (input.validation) {
+      return sendValidationError(res, input.validation);
+    }
+    const updated = QuestionSchema.sanitize(input.question);
+
+    const validation = QuestionSchema.validate(updated);
+    if (!validation.isValid) {
+      return sendValidationError(res, validation);
+    }
+
+    // Nothing to write when the edit leaves every field as it was
+    if (backups.diffQuestionFields(existing, updated).length === 0) {
+      return res.json({ success: true, unchanged: true, question: existing, warnings: validation.warnings });
+    }
+
+    // Keep original provenance, record who edited it and when
+    updated.source = {
+      ...existing.source,
+      lastUpdated: new Date().toISOString(),
+      updatedBy: body.owner || 'anonymous'
+    };
+
+    await createBackup();
+    const created = revisions.recordRevision(questionBank.revisions, existing, updated, {
+      author: updated.source.updatedBy,
+      origin: 'api'
+    });
+    questionBank.questions[index] = updated;
+    await saveQuestionBank({ upsertQuestions: [updated], insertRevisions: created });
+
+    console.log(`✏️ Question ${id} updated`);
+    res.json({ success: true, question: updated, warnings: validation.warnings });
+
+  } catch (error) {
+    console.error('❌ Question update error:', error);
+    res.status(500).json({ error: 'Failed to update question', message: error.message });
+  }
+}));
+
+// Delete a single question
+app.delete('/api/question-bank/questions/:id', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const index = questionBank.questions.findIndex(q => q.id === id);
+
+    if (index === -1) {
+      return res.status(404).json({ error: `Question ${req.params.id} not found` });
+    }
+
+    await createBackup();
+    const [deleted] = questionBank.questions.splice(index, 1);
+    const created = revisions.recordRevision(questionBank.revisions, deleted, null, {
+      author: req.query.owner || 'anonymous',
+      origin: 'api'
+    });
+    await saveQuestionBank({ deleteQuestionIds: [deleted.id], insertRevisions: created });
+
+    console.log(`🗑️ Question ${id} deleted`);
+    res.json({ success: true, question: deleted });
+
+  } catch (error) {
+    console.error('❌ Question delete error:', error);
+    res.status(500).json({ error: 'Failed to delete question', message: error.message });
+  }
+}));
+
+// Question revision history
+app.get('/api/question-bank/questions/:id/revisions', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const history = revisions.listRevisions(questionBank.revisions, id);
+    const current = questionBank.questions.find(q => q.id === id);
+
+    if (!current && history.length === 0) {
+      return res.status(404).json({ error: `Question ${req.params.id} not found` });
+    }
+
+    res.json({
+      questionId: id,
+      currentVersion: current ? revisions.currentVersion(current) : null,
+      deleted: !current,
+      revisions: history.map(revisions.summarizeRevision)
+    });
+  } catch (error) {
+    console.error('❌ Revision list error:', error);
+    res.status(500).json({ error: 'Failed to list revisions', message: error.message });
+  }
+});
+
+// Diff two revisions of a question (?from=version&to=version, "to" defaults to the latest)
+app.get('/api/question-bank/questions/:id/revisions/diff', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const history = revisions.listRevisions(questionBank.revisions, id);
+    if (history.length === 0) {
+      return res.status(404).json({ error: `No revisions recorded for question ${req.params.id}` });
+    }
+
+    const fromVersion = parseInt(req.query.from);
+    const toVersion = req.query.to ? parseInt(req.query.to) : history[history.length - 1].version;
+    const from = revisions.findRevision(history, id, fromVersion);
+    const to = revisions.findRevision(history, id, toVersion);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: `Revision ${!from ? req.query.from : req.query.to} not found for question ${id}` });
+    }
+
+    res.json({
+      questionId: id,
+      from: revisions.summarizeRevision(from),
+      to: revisions.summarizeRevision(to),
+      fields: revisions.diffRevisions(from, to)
+    });
+  } catch (error) {
+    console.error('❌ Revision diff error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions', message: error.message });
+  }
+});
+
+// Get a single revision including its full snapshot
+app.get('/api/question-bank/questions/:id/revisions/:version', (req, res) => {
+  const revision = revisions.findRevision(questionBank.revisions, parseInt(req.params.id), parseInt(req.params.version));
+  if (!revision) {
+    return res.status(404).json({ error: `Revision ${req.params.version} not found for question ${req.params.id}` });
+  }
+  res.json({ revision });
+});
+
+// Revert a question to the content of an earlier revision (recorded as a new revision)
+app.post('/api/question-bank/questions/:id/revert', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const body = req.body || {};
+    const target = revisions.findRevision(questionBank.revisions, id, parseInt(body.version));
+
+    if (!target) {
+      return res.status(404).json({ error: `Revision ${body.version} not found for question ${req.params.id}` });
+    }
+    if (!target.snapshot) {
+      return res.status(400).json({ error: `Revision ${target.version} is a deletion and has no content to revert to` });
+    }
+
+    const index = questionBank.questions.findIndex(q => q.id === id);
+    const current = index === -1 ? null : questionBank.questions[index];
+    const reverted = {
+      ...JSON.parse(JSON.stringify(target.snapshot)),
+      id,
+      source: { ...(current ? current.source : target.snapshot.source), updatedBy: body.owner || 'anonymous' }
+    };
+
+    // Older revisions may predate rules the schema has gained since
+    const validation = QuestionSchema.validate(reverted);
+    if (!validation.isValid) {
+      return sendValidationError(res, validation, `Revision ${target.version} does not pass the current question schema`);
+    }
+
+    if (current && backups.diffQuestionFields(current, reverted).length === 0) {
+      return res.json({ success: true, unchanged: true, question: current });
+    }
+
+    await createBackup();
+    const created = revisions.recordRevision(questionBank.revisions, current, reverted, {
+      author: body.owner || 'anonymous',
+      origin: 'api',
+      action: 'revert',
+      revertedTo: target.version
+    });
+
+    if (current) {
+      questionBank.questions[index] = reverted;
+    } else {
+      questionBank.questions.push(reverted);
+    }
+    await saveQuestionBank({ upsertQuestions: [reverted], insertRevisions: created });
+
+    console.log(`⏪ Question ${id} reverted to version ${target.version}`);
+    res.json({ success: true, question: reverted, revertedTo: target.version, recreated: !current });
+
+  } catch (error) {
+    console.error('❌ Question revert error:', error);
+    res.status(500).json({ error: 'Failed to revert question', message: error.message });
+  }
+}));
+
 // Export question bank
 app.get('/api/question-bank/export', async (req, res) => {
   try {
@@ -974,31 +1650,45 @@ app.get('/api/question-bank/export', async (req, res) => {
     
     if (format === 'csv') {
       // Convert to CSV format
-      const csvHeader = 'id,category,difficulty,type,question,option_a,option_b,option_c,option_d,correct_answer,explanation,points,time_limit';
-      const csvRows = questionBank.questions.map(q => {
-        const values = [
-          q.id,
-          q.category,
-          q.difficulty,
-          q.type,
-          `"${q.question.replace(/"/g, '""')}"`,
-          `"${q.option_a?.replace(/"/g, '""') || ''}"`,
-          `"${q.option_b?.replace(/"/g, '""') || ''}"`,
-          `"${q.option_c?.replace(/"/g, '""') || ''}"`,
-          `"${q.option_d?.replace(/"/g, '""') || ''}"`,
-          q.correct_answer,
-          `"${q.explanation?.replace(/"/g, '""') || ''}"`,
-          q.points,
-          q.time_limit
-        ];
-        return values.join(',');
-      });
+      // Options are flattened back to option_a..option_e columns (or the ';'-joined options column when
+      // there are more than five) so the file can be re-imported
+      const csvRows = questionBank.questions.map(q => questionModel.toCSVRow(q));
       
-      const csv = [csvHeader, ...csvRows].join('\n');
+      const csv = CSVParser.stringify([questionModel.csvExportHeaders(), ...csvRows]);
       
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename=question_bank.csv');
       res.send(csv);
+    } else if (QuestionFormats.TEXT_FORMATS.includes(format)) {
+      // GIFT / Aiken: questions the format has no form for are left out and counted in a header
+      const { text, skipped, filename } = QuestionFormats.stringify(format, questionBank.questions);
+      if (skipped.length > 0) {
+        console.log(`⚠️ ${QuestionFormats.label(format)} export skipped ${skipped.length} question(s) of unsupported types`);
+      }
+      
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      res.setHeader('X-Skipped-Questions', String(skipped.length));
+      res.send(text);
+    } else if (QuestionFormats.isPackage(format)) {
+      // QTI content package (zip); skipped questions are counted the same way as the text formats
+      const { buffer, skipped } = qti.createPackage(questionBank.questions);
+      if (skipped.length > 0) {
+        console.log(`⚠️ ${QuestionFormats.label(format)} export skipped ${skipped.length} question(s) of unsupported types`);
+      }
+      
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename=${QuestionFormats.packageFilename(format)}`);
+      res.setHeader('X-Skipped-Questions', String(skipped.length));
+      res.send(buffer);
+    } else if (format === 'directory') {
+      // One file per question plus index.json, zipped under question_bank/ for checking into version control
+      const files = questionDirectory.createDirectory(questionBank.questions);
+      const buffer = createZip(files.map(file => ({ name: `question_bank/${file.name}`, data: file.data })));
+      
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', 'attachment; filename=question_bank_directory.zip');
+      res.send(buffer);
     } else {
       // JSON format
       res.setHeader('Content-Type', 'application/json');
@@ -1012,14 +1702,94 @@ app.get('/api/question-bank/export', async (req, res) => {
   }
 });
 
+// Reconcile the bank with a question directory (a zip of the `format=directory` export layout)
+// Adds, updates and deletes questions so the bank matches the files; any file error rejects the whole sync
+app.post('/api/question-bank/sync', upload.single('file'), serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded', message: 'Send the zipped question directory as `file`' });
+    }
+    
+    const options = JSON.parse(req.body.options || '{}');
+    const dryRun = options.dryRun === true;
+    const author = options.owner || 'anonymous';
+    let directory;
+    try {
+      directory = questionDirectory.readDirectory(readZip(await fs.readFile(req.file.path)));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid question directory', message: error.message });
+    } finally {
+      await fs.unlink(req.file.path).catch(() => {});
+    }
+    
+    const plan = questionDirectory.reconcile(questionBank.questions, directory, { deleteMissing: options.deleteMissing !== false });
+    const count = action => plan.filter(entry => entry.action === action).length;
+    const summary = {
+      added: count('add'),
+      updated: count('update'),
+      deleted: count('delete'),
+      unchanged: count('unchanged'),
+      errors: count('error')
+    };
+    // Plan rows without the stored content
+    const report = () => ({ dryRun, summary, warnings: directory.warnings, plan: plan.map(({ question, ...entry }) => entry) });
+    
+    if (summary.errors > 0) {
+      return res.status(400).json({ error: 'Question directory has errors', message: `${summary.errors} file(s) could not be read`, ...report() });
+    }
+    if (dryRun || summary.added + summary.updated + summary.deleted === 0) {
+      return res.json({ success: true, ...report() });
+    }
+    
+    await createBackup();
+    const now = new Date().toISOString();
+    const changes = { upsertQuestions: [], deleteQuestionIds: [], insertRevisions: [] };
+    
+    for (const entry of plan) {
+      const context = { author, origin: 'directory' };
+      if (entry.action === 'add') {
+        const question = {
+          ...entry.question,
+          source: { uploadId: null, origin: 'directory', owner: author, filename: entry.file, created: now, lastUpdated: now },
+          analytics: QuestionSchema.createDefault().analytics
+        };
+        changes.insertRevisions.push(...revisions.recordRevision(questionBank.revisions, null, question, context));
+        questionBank.questions.push(question);
+        changes.upsertQuestions.push(question);
+      } else if (entry.action === 'update') {
+        const index = questionBank.questions.findIndex(q => q.id === entry.id);
+        const existing = questionBank.questions[index];
+        const updated = { ...entry.question, source: { ...existing.source, updatedBy: author }, analytics: existing.analytics };
+        changes.insertRevisions.push(...revisions.recordRevision(questionBank.revisions, existing, updated, context));
+        questionBank.questions[index] = updated;
+        changes.upsertQuestions.push(updated);
+      } else if (entry.action === 'delete') {
+        const index = questionBank.questions.findIndex(q => q.id === entry.id);
+        const [deleted] = questionBank.questions.splice(index, 1);
+        changes.insertRevisions.push(...revisions.recordRevision(questionBank.revisions, deleted, null, context));
+        changes.deleteQuestionIds.push(deleted.id);
+      }
+    }
+    await saveQuestionBank(changes);
+    
+    console.log(`🔁 Question directory synced: ${summary.added} added, ${summary.updated} updated, ${summary.deleted} deleted`);
+    res.json({ success: true, ...report() });
+    
+  } catch (error) {
+    console.error('❌ Question directory sync error:', error);
+    res.status(500).json({ error: 'Failed to sync question directory', message: error.message });
+  }
+}));
+
 // Migration endpoint - import existing questions.csv
-app.post('/api/migrate-existing-questions', async (req, res) => {
+app.post('/api/migrate-existing-questions', serializedOn(questionBankQueue, async (req, res) => {
   try {
     const questionsCSVPath = path.join(__dirname, 'src', 'data', 'questions.csv');
     
     try {
-      const csvContent = await fs.readFile(questionsCSVPath, 'utf8');
-      const { headers, rows } = parseCSVContent(csvContent);
+      const parsed = await parseCSVFile(questionsCSVPath);
+      const rows = parsed.rows.filter(row => !row.error).map(row => row.values);
+      parsed.errors.forEach(error => console.warn(`⚠️ questions.csv ${CSVParser.formatLocation(error)}: ${error.message}`));
       
       console.log(`📦 Migrating ${rows.length} questions from existing CSV`);
       
@@ -1027,15 +1797,20 @@ app.post('/api/migrate-existing-questions', async (req, res) => {
       await createBackup();
       
       const migrationId = crypto.randomUUID();
+      const addedQuestions = [];
+      const addedRevisions = [];
+      const journal = uploadHistory.createUploadJournal();
+      const invalid = []; // Rows that fail the question schema, with their field errors
+      const similarityIndex = QuestionSimilarity.createIndex(questionBank.questions);
       let migrated = 0;
       
-      for (const [index, row] of rows.entries()) {
-        const question = convertToQuestionFormat(
-          row, 
-          migrationId, 
-          index, 
-          'questions.csv (migration)'
-        );
+      for (const [index, values] of rows.entries()) {
+        const question = questionModel.fromCSVRow(parsed.headers, values, {
+          uploadId: migrationId,
+          filename: 'questions.csv (migration)',
+          rowIndex: index,
+          owner: 'system'
+        });
         
         // Auto-generate ID if missing
         if (!question.id) {
@@ -1043,25 +1818,54 @@ app.post('/api/migrate-existing-questions', async (req, res) => {
           question.id = maxId + 1;
         }
         
+        const validation = QuestionSchema.validate(question);
+        if (!validation.isValid) {
+          invalid.push({ row: index + 1, message: validation.errors.join(', '), errors: validation.fieldErrors });
+          continue;
+        }
+        
         // Check for duplicates - skip if exists
-        const duplicate = findDuplicate(question, questionBank.questions);
+        const duplicate = findDuplicate(question, questionBank.questions, { index: similarityIndex });
         if (!duplicate) {
+          addedRevisions.push(...revisions.recordRevision(questionBank.revisions, null, question, {
+            author: 'system',
+            origin: 'migration',
+            uploadId: migrationId
+          }));
           questionBank.questions.push(question);
+          QuestionSimilarity.addToIndex(similarityIndex, question);
+          addedQuestions.push(question);
+          uploadHistory.recordAdded(journal, question);
           migrated++;
         }
       }
       
       // Record migration
-      questionBank.uploads.push({
+      const migrationRecord = {
         uploadId: migrationId,
         timestamp: new Date().toISOString(),
         userId: 'system',
         filesCount: 1,
         options: { mergeStrategy: 'skip', type: 'migration' },
-        summary: { processed: rows.length, added: migrated, updated: 0, skipped: rows.length - migrated, errors: [] }
-      });
+        summary: {
+          processed: rows.length,
+          added: migrated,
+          updated: 0,
+          skipped: rows.length - migrated,
+          errors: [
+            ...parsed.errors.map(error => `${CSVParser.formatLocation(error)}: ${error.message}`),
+            ...invalid.map(entry => `Row ${entry.row}: ${entry.message}`)
+          ]
+        },
+        questionChanges: uploadHistory.finalizeUploadJournal(journal, questionBank.questions)
+      };
+      questionBank.uploads.push(migrationRecord);
       
-      await saveQuestionBank();
+      await saveQuestionBank({
+        upsertQuestions: addedQuestions,
+        upsertUploads: [migrationRecord],
+        insertRevisions: addedRevisions
+      });
       
       res.json({
         success: true,
@@ -1069,8 +1873,11 @@ app.post('/api/migrate-existing-questions', async (req, res) => {
         summary: {
           processed: rows.length,
           added: migrated,
-          skipped: rows.length - migrated
-        }
+          skipped: rows.length - migrated,
+          invalid: invalid.length
+        },
+        parseErrors: parsed.errors,
+        invalid
       });
       
     } catch (fileError) {
@@ -1087,8 +1894,530 @@ app.post('/api/migrate-existing-questions', async (req, res) => {
       message: error.message
     });
   }
+}));
+
+// Upload rollback
+// Build the rollback report shared by the preview and the real rollback
+function describeUploadRollback(uploadRecord, plan) {
+  return {
+    uploadId: uploadRecord.uploadId,
+    uploadedAt: uploadRecord.timestamp,
+    legacy: plan.legacy,
+    removed: plan.remove.map(({ id, question }) => ({ id, question: question.question })),
+    restored: plan.restore.map(({ id, current, before }) => ({
+      id,
+      question: before.question,
+      fields: current ? backups.diffQuestionFields(current, before) : [],
+      recreated: !current
+    })),
+    conflicts: plan.conflicts,
+    summary: {
+      removed: plan.remove.length,
+      restored: plan.restore.length,
+      conflicts: plan.conflicts.length
+    }
+  };
+}
+
+// Preview what rolling back an upload would change
+app.get('/api/uploads/:uploadId/rollback-preview', (req, res) => {
+  try {
+    const uploadRecord = questionBank.uploads.find(u => u.uploadId === req.params.uploadId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: `Upload ${req.params.uploadId} not found` });
+    }
+    if (uploadRecord.rolledBack) {
+      return res.status(409).json({ error: 'Upload has already been rolled back', rolledBack: uploadRecord.rolledBack });
+    }
+
+    const plan = uploadHistory.planUploadRollback(uploadRecord, questionBank.questions, {
+      force: req.query.force === 'true'
+    });
+    res.json({ preview: true, ...describeUploadRollback(uploadRecord, plan) });
+
+  } catch (error) {
+    console.error('❌ Rollback preview error:', error);
+    res.status(500).json({ error: 'Failed to preview rollback', message: error.message });
+  }
+});
+
+// Roll back an upload: remove questions it added and restore questions it overwrote or merged
+app.delete('/api/uploads/:uploadId', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const uploadRecord = questionBank.uploads.find(u => u.uploadId === req.params.uploadId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: `Upload ${req.params.uploadId} not found` });
+    }
+    if (uploadRecord.rolledBack) {
+      return res.status(409).json({ error: 'Upload has already been rolled back', rolledBack: uploadRecord.rolledBack });
+    }
+
+    const plan = uploadHistory.planUploadRollback(uploadRecord, questionBank.questions, {
+      force: req.query.force === 'true'
+    });
+    const report = describeUploadRollback(uploadRecord, plan);
+
+    await createBackup();
+
+    const author = (req.body && req.body.owner) || req.query.owner || 'anonymous';
+    const revisionContext = { author, origin: 'rollback', uploadId: uploadRecord.uploadId };
+    const createdRevisions = [];
+
+    const removeIds = new Set(plan.remove.map(entry => entry.id));
+    for (const { question } of plan.remove) {
+      createdRevisions.push(...revisions.recordRevision(questionBank.revisions, question, null, revisionContext));
+    }
+    questionBank.questions = questionBank.questions.filter(q => !removeIds.has(q.id));
+
+    const restoredQuestions = [];
+    for (const { id, current, before } of plan.restore) {
+      const restored = JSON.parse(JSON.stringify(before));
+      createdRevisions.push(...revisions.recordRevision(questionBank.revisions, current, restored, revisionContext));
+      restoredQuestions.push(restored);
+
+      const index = questionBank.questions.findIndex(q => q.id === id);
+      if (index === -1) {
+        questionBank.questions.push(restored);
+      } else {
+        questionBank.questions[index] = restored;
+      }
+    }
+
+    // Conflicts still waiting for review would re-apply part of the upload, so drop them too
+    const droppedConflicts = questionBank.conflicts.filter(c => c.uploadId === uploadRecord.uploadId);
+    questionBank.conflicts = questionBank.conflicts.filter(c => c.uploadId !== uploadRecord.uploadId);
+
+    // Keep the upload record for auditing, marked as rolled back
+    uploadRecord.rolledBack = {
+      at: new Date().toISOString(),
+      by: author,
+      summary: { ...report.summary, droppedConflicts: droppedConflicts.length }
+    };
+
+    await saveQuestionBank({
+      deleteQuestionIds: [...removeIds],
+      upsertQuestions: restoredQuestions,
+      upsertUploads: [uploadRecord],
+      insertRevisions: createdRevisions,
+      deleteConflictIds: droppedConflicts.map(c => c.id)
+    });
+
+    console.log(`↩️ Upload ${uploadRecord.uploadId} rolled back: ${report.summary.removed} removed, ${report.summary.restored} restored, ${report.summary.conflicts} conflicts`);
+    res.json({ success: true, ...report, droppedConflicts: droppedConflicts.length });
+
+  } catch (error) {
+    console.error('❌ Rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back upload', message: error.message });
+  }
+}));
+
+// Conflict review queue
+// Apply one review decision to the live bank and remove the conflict from the queue
+// Writes are appended to `changes`; returns { error } instead when the decision cannot be applied
+function applyConflictResolution(conflict, { action, fields = null, author = 'anonymous' }, changes) {
+  const index = questionBank.questions.findIndex(q => q.id === conflict.existingId);
+  const existing = index === -1 ? null : questionBank.questions[index];
+
+  if (!existing && (action === 'replace' || action === 'merge')) {
+    return { conflictId: conflict.id, error: `Question ${conflict.existingId} no longer exists; choose keep or keep_both` };
+  }
+
+  let question = null;
+  if (action === 'replace') {
+    question = applyMergeStrategy(conflict.incoming, existing, 'overwrite');
+  } else if (action === 'merge') {
+    question = Array.isArray(fields)
+      ? conflicts.mergeSelectedFields(existing, conflict.incoming, fields)
+      : applyMergeStrategy(conflict.incoming, existing, 'merge');
+  } else if (action === 'keep_both') {
+    question = applyMergeStrategy(conflict.incoming, existing, 'force');
+  }
+
+  if (question) {
+    const validation = QuestionSchema.validate(question);
+    if (!validation.isValid) {
+      return { conflictId: conflict.id, error: `Resolved question is invalid: ${validation.errors.join(', ')}`, errors: validation.fieldErrors };
+    }
+  }
+
+  const previous = action === 'keep_both' ? null : existing;
+  const unchanged = !question || (previous !== null && backups.diffQuestionFields(previous, question).length === 0);
+
+  if (!unchanged) {
+    changes.insertRevisions.push(...revisions.recordRevision(questionBank.revisions, previous, question, {
+      author,
+      origin: 'review',
+      uploadId: conflict.uploadId
+    }));
+    if (previous) {
+      questionBank.questions[index] = question;
+    } else {
+      questionBank.questions.push(question);
+    }
+    changes.upsertQuestions.push(question);
+
+    // Resolutions count as part of the upload, so rolling it back undoes them too
+    const uploadRecord = questionBank.uploads.find(u => u.uploadId === conflict.uploadId && !u.rolledBack);
+    if (uploadRecord) {
+      uploadHistory.appendUploadChange(uploadRecord, question, previous);
+      if (!changes.upsertUploads.includes(uploadRecord)) {
+        changes.upsertUploads.push(uploadRecord);
+      }
+    }
+  }
+
+  questionBank.conflicts = questionBank.conflicts.filter(c => c.id !== conflict.id);
+  changes.deleteConflictIds.push(conflict.id);
+
+  return {
+    conflictId: conflict.id,
+    action,
+    existingId: conflict.existingId,
+    questionId: question ? question.id : conflict.existingId,
+    unchanged
+  };
+}
+
+// Resolve a batch of conflicts with one backup and one save
+async function resolveConflicts(decisions, author) {
+  const changes = { upsertQuestions: [], upsertUploads: [], insertRevisions: [], deleteConflictIds: [] };
+
+  if (decisions.some(({ action }) => action !== 'keep')) {
+    await createBackup();
+  }
+
+  const results = decisions.map(({ conflict, action, fields }) =>
+    applyConflictResolution(conflict, { action, fields, author }, changes)
+  );
+  await saveQuestionBank(changes);
+
+  return results;
+}
+
+// Check a review decision from a request body, returning an error message or null
+function validateConflictDecision({ action, fields }) {
+  if (!conflicts.CONFLICT_ACTIONS.includes(action)) {
+    return `Unknown action "${action}". Use one of: ${conflicts.CONFLICT_ACTIONS.join(', ')}`;
+  }
+  if (fields !== undefined && (!Array.isArray(fields) || fields.some(field => typeof field !== 'string'))) {
+    return 'fields must be an array of field names';
+  }
+  if (fields !== undefined && action !== 'merge') {
+    return 'fields can only be chosen for the merge action';
+  }
+  return null;
+}
+
+// List pending conflicts with the existing question alongside (?uploadId= to filter)
+app.get('/api/conflicts', (req, res) => {
+  try {
+    const pending = questionBank.conflicts
+      .filter(c => !req.query.uploadId || c.uploadId === req.query.uploadId)
+      .map(c => conflicts.describeConflict(c, questionBank.questions));
+
+    res.json({ conflicts: pending, total: pending.length, actions: conflicts.CONFLICT_ACTIONS });
+  } catch (error) {
+    console.error('❌ Conflict list error:', error);
+    res.status(500).json({ error: 'Failed to list conflicts', message: error.message });
+  }
+});
+
+// Get one conflict for side-by-side review
+app.get('/api/conflicts/:id', (req, res) => {
+  const conflict = questionBank.conflicts.find(c => c.id === req.params.id);
+  if (!conflict) {
+    return res.status(404).json({ error: `Conflict ${req.params.id} not found` });
+  }
+  res.json({ conflict: conflicts.describeConflict(conflict, questionBank.questions) });
+});
+
+// Apply one decision to several conflicts ({ ids, action }; omit ids for every pending conflict)
+// Bulk merges take every non-empty incoming field
+app.post('/api/conflicts/resolve', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const invalid = validateConflictDecision({ action: body.action });
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid resolution', message: invalid });
+    }
+
+    const selected = Array.isArray(body.ids)
+      ? questionBank.conflicts.filter(c => body.ids.includes(c.id))
+      : [...questionBank.conflicts];
+    const missing = Array.isArray(body.ids) ? body.ids.filter(id => !selected.some(c => c.id === id)) : [];
+    if (selected.length === 0) {
+      return res.status(404).json({ error: 'No matching conflicts to resolve', missing });
+    }
+
+    const results = await resolveConflicts(selected.map(conflict => ({ conflict, action: body.action })), body.owner || 'anonymous');
+    const resolved = results.filter(result => !result.error);
+
+    console.log(`🧩 Resolved ${resolved.length} conflict(s) with "${body.action}"`);
+    res.json({
+      success: true,
+      resolved,
+      failed: results.filter(result => result.error),
+      missing,
+      remaining: questionBank.conflicts.length
+    });
+
+  } catch (error) {
+    console.error('❌ Bulk conflict resolution error:', error);
+    res.status(500).json({ error: 'Failed to resolve conflicts', message: error.message });
+  }
+}));
+
+// Resolve one conflict ({ action, fields? }); `fields` picks which incoming fields a merge takes
+app.post('/api/conflicts/:id/resolve', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const conflict = questionBank.conflicts.find(c => c.id === req.params.id);
+    if (!conflict) {
+      return res.status(404).json({ error: `Conflict ${req.params.id} not found` });
+    }
+
+    const invalid = validateConflictDecision(body);
+    if (invalid) {
+      return res.status(400).json({ error: 'Invalid resolution', message: invalid });
+    }
+
+    const [result] = await resolveConflicts([{ conflict, action: body.action, fields: body.fields }], body.owner || 'anonymous');
+    if (result.errors) {
+      return res.status(400).json({ error: 'Conflict could not be resolved', message: result.error, errors: result.errors });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: 'Conflict could not be resolved', message: result.error });
+    }
+
+    console.log(`🧩 Conflict ${conflict.id} resolved with "${body.action}"`);
+    res.json({
+      success: true,
+      ...result,
+      question: questionBank.questions.find(q => q.id === result.questionId) || null,
+      remaining: questionBank.conflicts.length
+    });
+
+  } catch (error) {
+    console.error('❌ Conflict resolution error:', error);
+    res.status(500).json({ error: 'Failed to resolve conflict', message: error.message });
+  }
+}));
+
+// Column mapping profiles
+// List saved profiles
+app.get('/api/mapping-profiles', (req, res) => {
+  try {
+    res.json({ profiles: questionBank.mappingProfiles, total: questionBank.mappingProfiles.length });
+  } catch (error) {
+    console.error('❌ Mapping profile list error:', error);
+    res.status(500).json({ error: 'Failed to list mapping profiles', message: error.message });
+  }
+});
+
+// Save a profile ({ name, headers, columns, constants }); saving under an existing name replaces that profile
+app.post('/api/mapping-profiles', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const { name, headers, columns = {}, constants = {}, owner = 'anonymous' } = req.body || {};
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      return res.status(400).json({ error: 'Invalid mapping profile', message: 'name is required' });
+    }
+    if (!Array.isArray(headers) || headers.length === 0 || headers.some(header => typeof header !== 'string')) {
+      return res.status(400).json({ error: 'Invalid mapping profile', message: 'headers must be a non-empty array of column names' });
+    }
+    const mappingError = ColumnMapping.validate({ columns, constants });
+    if (mappingError) {
+      return res.status(400).json({ error: 'Invalid mapping profile', message: mappingError });
+    }
+
+    const now = new Date().toISOString();
+    const existing = questionBank.mappingProfiles.find(p => p.name.toLowerCase() === name.trim().toLowerCase());
+    const profile = {
+      id: existing ? existing.id : crypto.randomUUID(),
+      name: name.trim(),
+      headers,
+      columns,
+      constants,
+      owner,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    questionBank.mappingProfiles = [...questionBank.mappingProfiles.filter(p => p !== existing), profile];
+    await saveQuestionBank({ upsertMappingProfiles: [profile] });
+
+    console.log(`🗺️ Mapping profile "${profile.name}" ${existing ? 'updated' : 'saved'}`);
+    res.status(existing ? 200 : 201).json({ success: true, profile, replaced: Boolean(existing) });
+
+  } catch (error) {
+    console.error('❌ Mapping profile save error:', error);
+    res.status(500).json({ error: 'Failed to save mapping profile', message: error.message });
+  }
+}));
+
+// Delete a profile
+app.delete('/api/mapping-profiles/:id', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const profile = questionBank.mappingProfiles.find(p => p.id === req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: `Mapping profile ${req.params.id} not found` });
+    }
+
+    questionBank.mappingProfiles = questionBank.mappingProfiles.filter(p => p !== profile);
+    await saveQuestionBank({ deleteMappingProfileIds: [profile.id] });
+
+    console.log(`🗑️ Mapping profile "${profile.name}" deleted`);
+    res.json({ success: true, profile });
+
+  } catch (error) {
+    console.error('❌ Mapping profile delete error:', error);
+    res.status(500).json({ error: 'Failed to delete mapping profile', message: error.message });
+  }
+}));
+
+// Backup management
+// List backups with question counts and sizes
+app.get('/api/backups', async (req, res) => {
+  try {
+    const list = await backups.listBackups(BACKUPS_DIR);
+    res.json({
+      backups: list,
+      total: list.length,
+      retention: backups.retentionPolicyFromEnv()
+    });
+  } catch (error) {
+    console.error('❌ Backup list error:', error);
+    res.status(500).json({ error: 'Failed to list backups', message: error.message });
+  }
+});
+
+// Prune backups outside a retention policy (body overrides the configured policy)
+app.post('/api/backups/prune', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const configured = backups.retentionPolicyFromEnv();
+    const policy = {
+      keepLast: body.keepLast != null ? parseInt(body.keepLast) : configured.keepLast,
+      maxAgeDays: body.maxAgeDays != null ? parseInt(body.maxAgeDays) : configured.maxAgeDays
+    };
+
+    if ([policy.keepLast, policy.maxAgeDays].some(value => value != null && (!Number.isFinite(value) || value < 0))) {
+      return res.status(400).json({ error: 'keepLast and maxAgeDays must be non-negative integers' });
+    }
+    if (policy.keepLast == null && policy.maxAgeDays == null) {
+      return res.status(400).json({ error: 'No retention policy given. Provide keepLast and/or maxAgeDays.' });
+    }
+
+    const result = await backups.pruneBackups(BACKUPS_DIR, policy, { dryRun: body.dryRun === true });
+    console.log(`🧹 Backup prune${result.dryRun ? ' (dry run)' : ''}: ${result.deleted.length} deleted, ${result.kept} kept`);
+    res.json({ success: true, policy, ...result });
+
+  } catch (error) {
+    console.error('❌ Backup prune error:', error);
+    res.status(500).json({ error: 'Failed to prune backups', message: error.message });
+  }
+}));
+
+// Inspect a single backup
+app.get('/api/backups/:id', async (req, res) => {
+  try {
+    const backup = await backups.readBackup(BACKUPS_DIR, req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: `Backup ${req.params.id} not found` });
+    }
+
+    res.json({
+      backup: {
+        id: req.params.id,
+        questionCount: backup.questions.length,
+        uploadCount: backup.uploads.length,
+        metadata: backup.metadata
+      },
+      questions: backup.questions,
+      uploads: backup.uploads
+    });
+  } catch (error) {
+    console.error('❌ Backup inspect error:', error);
+    res.status(500).json({ error: 'Failed to read backup', message: error.message });
+  }
+});
+
+// Question-level diff from a backup to the live bank
+app.get('/api/backups/:id/diff', async (req, res) => {
+  try {
+    const backup = await backups.readBackup(BACKUPS_DIR, req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: `Backup ${req.params.id} not found` });
+    }
+    questionModel.migrateQuestionBank(backup); // Older backups hold flat-format questions
+
+    res.json({
+      backup: req.params.id,
+      ...backups.diffQuestionSets(backup.questions, questionBank.questions)
+    });
+  } catch (error) {
+    console.error('❌ Backup diff error:', error);
+    res.status(500).json({ error: 'Failed to diff backup', message: error.message });
+  }
 });
 
+// Restore a backup, snapshotting the current bank first
+app.post('/api/backups/:id/restore', serializedOn(questionBankQueue, async (req, res) => {
+  try {
+    const backup = await backups.readBackup(BACKUPS_DIR, req.params.id);
+    if (!backup) {
+      return res.status(404).json({ error: `Backup ${req.params.id} not found` });
+    }
+    questionModel.migrateQuestionBank(backup); // Older backups hold flat-format questions
+
+    const diff = backups.diffQuestionSets(questionBank.questions, backup.questions);
+    const safetyBackup = await createBackup();
+
+    // Revision history is not rolled back; the restore itself is recorded as new revisions
+    const revisionContext = { author: (req.body && req.body.owner) || 'anonymous', origin: 'restore' };
+    const liveById = new Map(questionBank.questions.map(q => [q.id, q]));
+    const changedIds = new Set(diff.changed.map(change => change.id));
+    const restoredQuestions = backup.questions.map(question => {
+      const live = liveById.get(question.id);
+      if (!live) {
+        revisions.recordRevision(questionBank.revisions, null, question, revisionContext);
+      } else if (changedIds.has(question.id)) {
+        revisions.recordRevision(questionBank.revisions, live, question, revisionContext);
+      } else {
+        return live; // Unchanged content keeps its current version
+      }
+      return question;
+    });
+    diff.removed.forEach(question => revisions.recordRevision(questionBank.revisions, question, null, revisionContext));
+
+    questionBank = {
+      questions: restoredQuestions,
+      uploads: backup.uploads,
+      revisions: questionBank.revisions,
+      conflicts: questionBank.conflicts,
+      mappingProfiles: questionBank.mappingProfiles,
+      metadata: { ...backup.metadata, restoredFrom: req.params.id, restoredAt: new Date().toISOString() }
+    };
+    await saveQuestionBank();
+
+    console.log(`♻️ Question bank restored from ${req.params.id}`);
+    res.json({
+      success: true,
+      restoredFrom: req.params.id,
+      safetyBackup: path.basename(safetyBackup),
+      summary: diff.summary,
+      questionBankStats: {
+        totalQuestions: questionBank.questions.length,
+        totalUploads: questionBank.uploads.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Backup restore error:', error);
+    res.status(500).json({ error: 'Failed to restore backup', message: error.message });
+  }
+}));
+
 // User session management
 app.post('/api/user-session', async (req, res) => {
   try {
@@ -1103,17 +2432,21 @@ app.post('/api/user-session', async (req, res) => {
         ...sessionData
       };
       
-      userData.sessions.push(session);
-      await saveUserData();
+      await userDataQueue.run(async () => {
+        userData.sessions.push(session);
+        await saveUserData({ upsertSessions: [session] });
+      });
       
       res.json({ sessionId, userId: session.userId });
     } else if (action === 'end') {
-      const session = userData.sessions.find(s => s.sessionId === req.body.sessionId);
-      if (session) {
-        session.endTime = new Date().toISOString();
-        session.duration = new Date(session.endTime) - new Date(session.startTime);
-        await saveUserData();
-      }
+      await userDataQueue.run(async () => {
+        const session = userData.sessions.find(s => s.sessionId === req.body.sessionId);
+        if (session) {
+          session.endTime = new Date().toISOString();
+          session.duration = new Date(session.endTime) - new Date(session.startTime);
+          await saveUserData({ upsertSessions: [session] });
+        }
+      });
       res.json({ success: true });
     }
   } catch (error) {
@@ -1157,9 +2490,9 @@ app.get('/api/export-data', async (req, res) => {
         AIUsed: r.aiUsed
       }));
       
-      const csvHeader = Object.keys(csvData[0] || {}).join(',');
-      const csvRows = csvData.map(row => Object.values(row).map(val => `"${val}"`).join(','));
-      const csv = [csvHeader, ...csvRows].join('\n');
+      const csvHeader = Object.keys(csvData[0] || {});
+      const csvRows = csvData.map(row => Object.values(row));
+      const csv = CSVParser.stringify([csvHeader, ...csvRows]);
       
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', 'attachment; filename=quiz_data.csv');
@@ -1183,6 +2516,8 @@ app.get('/diag', (req, res) => {
       totalSessions: userData.sessions.length,
       totalResponses: userData.responses.length
     },
+    storageDriver: storage?.name,
+    storageRecoveries: storage?.recoveries || [],
     pid: process.pid, 
     now: new Date().toISOString(),
     version: '2.0.0'
@@ -1198,6 +2533,8 @@ app.get('/api/diagnostics', (req, res) => {
       totalSessions: userData.sessions.length,
       totalResponses: userData.responses.length
     },
+    storageDriver: storage?.name,
+    storageRecoveries: storage?.recoveries || [],
     pid: process.pid, 
     now: new Date().toISOString(),
     version: '2.0.0'
@@ -1206,6 +2543,12 @@ app.get('/api/diagnostics', (req, res) => {
 
 // Initialize server
 async function startServer() {
+  await sharedModules.load();
+  DUPLICATE_THRESHOLD = QuestionSimilarity.parseThreshold(process.env.DUPLICATE_THRESHOLD);
+
+  storage = await initStorage();
+  console.log(`🗄️ Storage driver: ${storage.name}`);
+
   await loadUserData();
   await loadQuestionBank();
   
@@ -1214,10 +2557,13 @@ async function startServer() {
     console.log('🚀 Enhanced Quiz Server Started');
     console.log(`📍 URL: http://localhost:${port}`);
     console.log(`🤖 AI: ${AI_STATUS.available ? '✅ Available' : '❌ Configure provider and API key'}`);
-    console.log(`💾 User Data: ${userData.responses.length} responses stored`);
+    console.log(`💾 User Data: ${userData.responses.length} responses stored (${storage.name})`);
     console.log(`📚 Question Bank: ${questionBank.questions.length} questions`);
     console.log(`🔧 Version: 2.0.0`);
   });
 }
 
-startServer().catch(console.error);
+startServer().catch(error => {
+  console.error('❌ Server failed to start:', error.message);
+  process.exit(1);
+});
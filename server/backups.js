@@ -0,0 +1,197 @@
+// Backup Management
+// Lists, reads, diffs and prunes the question bank snapshots in data/backups
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const BACKUP_FILE_PATTERN = /^question_bank_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json$/;
+
+// Fields that change on every save or with usage and would make every question look modified
+const DIFF_IGNORED_FIELDS = ['source', 'analytics'];
+
+/**
+ * Whether an id names a backup file (also guards against path traversal)
+ */
+function isBackupId(id) {
+  return typeof id === 'string' && BACKUP_FILE_PATTERN.test(id);
+}
+
+// Convert "2025-09-09T18-01-01-264Z" back to an ISO timestamp
+function backupTimestamp(id) {
+  const [, stamp] = id.match(BACKUP_FILE_PATTERN);
+  const [date, time] = stamp.split('T');
+  const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+  return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+/**
+ * List backups newest first with size and question/upload counts
+ */
+async function listBackups(backupsDir) {
+  let entries;
+  try {
+    entries = await fs.readdir(backupsDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = await Promise.all(entries.filter(isBackupId).map(async id => {
+    const file = path.join(backupsDir, id);
+    const stats = await fs.stat(file);
+    const info = {
+      id,
+      timestamp: backupTimestamp(id),
+      size: stats.size,
+      questionCount: null,
+      uploadCount: null,
+      valid: true
+    };
+
+    try {
+      const bank = JSON.parse(await fs.readFile(file, 'utf8'));
+      info.questionCount = Array.isArray(bank.questions) ? bank.questions.length : 0;
+      info.uploadCount = Array.isArray(bank.uploads) ? bank.uploads.length : 0;
+      info.version = bank.metadata?.version || null;
+    } catch (error) {
+      info.valid = false;
+      info.error = error.message;
+    }
+
+    return info;
+  }));
+
+  return backups.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Read a backup's full question bank, or null if it does not exist
+ */
+async function readBackup(backupsDir, id) {
+  if (!isBackupId(id)) return null;
+
+  try {
+    const bank = JSON.parse(await fs.readFile(path.join(backupsDir, id), 'utf8'));
+    if (!Array.isArray(bank.questions)) {
+      throw new Error('Backup does not contain a questions array');
+    }
+    return {
+      questions: bank.questions,
+      uploads: bank.uploads || [],
+      metadata: bank.metadata || {}
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Question-level diff from `before` (e.g. a backup) to `after` (e.g. the live bank), matched by id
+ */
+function diffQuestionSets(before, after) {
+  const beforeById = new Map(before.map(q => [q.id, q]));
+  const afterById = new Map(after.map(q => [q.id, q]));
+
+  const added = after.filter(q => !beforeById.has(q.id));
+  const removed = before.filter(q => !afterById.has(q.id));
+  const changed = [];
+  let unchanged = 0;
+
+  for (const question of after) {
+    const previous = beforeById.get(question.id);
+    if (!previous) continue;
+
+    const fields = diffQuestionFields(previous, question);
+    if (fields.length > 0) {
+      changed.push({ id: question.id, fields });
+    } else {
+      unchanged++;
+    }
+  }
+
+  return {
+    summary: { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+    added,
+    removed,
+    changed
+  };
+}
+
+/**
+ * Field-level changes between two versions of a question
+ */
+function diffQuestionFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const fields = [];
+
+  for (const key of keys) {
+    if (DIFF_IGNORED_FIELDS.includes(key)) continue;
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      fields.push({ field: key, before: before[key], after: after[key] });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Pick backups to delete under a retention policy
+ * A backup is kept if it is among the newest `keepLast` OR younger than `maxAgeDays`
+ */
+function selectBackupsToPrune(backups, { keepLast = null, maxAgeDays = null } = {}, now = Date.now()) {
+  if (keepLast == null && maxAgeDays == null) return [];
+
+  const newestFirst = [...backups].sort((a, b) => b.id.localeCompare(a.id));
+  const cutoff = maxAgeDays != null ? now - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  return newestFirst.filter((backup, index) => {
+    const keptByCount = keepLast != null && index < keepLast;
+    const keptByAge = cutoff != null && new Date(backup.timestamp).getTime() >= cutoff;
+    return !keptByCount && !keptByAge;
+  });
+}
+
+/**
+ * Delete backups outside the retention policy
+ */
+async function pruneBackups(backupsDir, policy, { dryRun = false } = {}) {
+  const backups = await listBackups(backupsDir);
+  const toDelete = selectBackupsToPrune(backups, policy);
+
+  if (!dryRun) {
+    await Promise.all(toDelete.map(backup => fs.unlink(path.join(backupsDir, backup.id))));
+  }
+
+  return {
+    deleted: toDelete.map(backup => backup.id),
+    kept: backups.length - toDelete.length,
+    dryRun
+  };
+}
+
+/**
+ * Retention policy from BACKUP_KEEP_LAST / BACKUP_MAX_AGE_DAYS (unset means keep everything)
+ */
+function retentionPolicyFromEnv(env = process.env) {
+  const parse = value => {
+    const number = parseInt(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+  };
+
+  return {
+    keepLast: parse(env.BACKUP_KEEP_LAST),
+    maxAgeDays: parse(env.BACKUP_MAX_AGE_DAYS)
+  };
+}
+
+module.exports = {
+  isBackupId,
+  listBackups,
+  readBackup,
+  diffQuestionSets,
+  diffQuestionFields,
+  selectBackupsToPrune,
+  pruneBackups,
+  retentionPolicyFromEnv
+};
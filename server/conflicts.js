@@ -0,0 +1,67 @@
+// Conflict Review Queue
+// Incoming questions parked by the `review` merge strategy until someone decides what to do with them
+
+const crypto = require('crypto');
+const { diffQuestionFields } = require('./backups');
+
+// keep: leave the existing question, replace: incoming overwrites it,
+// merge: take chosen (or all non-empty) incoming fields, keep_both: add incoming as a new question
+const CONFLICT_ACTIONS = ['keep', 'replace', 'merge', 'keep_both'];
+
+/**
+ * Build a pending conflict for an incoming question that matched an existing one
+ * `incoming` carries an id only when its source gave one; resolutions allocate or keep ids themselves
+ */
+function createConflict(incoming, duplicate, { uploadId = null, filename = null, row = null } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    uploadId,
+    filename,
+    row,
+    existingId: duplicate.question.id,
+    matchType: duplicate.type,
+    confidence: duplicate.confidence,
+    probable: duplicate.probable,
+    incoming: JSON.parse(JSON.stringify(incoming))
+  };
+}
+
+/**
+ * Conflict with the current existing question and the fields that differ, for side-by-side review
+ * `existing` is null when the question was deleted after the conflict was queued
+ */
+function describeConflict(conflict, questions) {
+  const existing = questions.find(q => q.id === conflict.existingId) || null;
+  return {
+    ...conflict,
+    existing,
+    fields: existing
+      ? diffQuestionFields(existing, conflict.incoming).filter(change => change.field !== 'id')
+      : []
+  };
+}
+
+/**
+ * Existing question with the incoming value of every field listed in `fields`
+ */
+function mergeSelectedFields(existing, incoming, fields) {
+  const merged = { ...existing };
+  for (const field of fields) {
+    if (field === 'id' || field === 'source' || field === 'analytics') continue;
+    if (incoming[field] === undefined) {
+      delete merged[field];
+    } else {
+      merged[field] = incoming[field];
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  CONFLICT_ACTIONS,
+  createConflict,
+  describeConflict,
+  mergeSelectedFields
+};
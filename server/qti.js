@@ -0,0 +1,631 @@
+// IMS QTI 2.1
+// Converts questions to and from QTI 2.1 content packages: a zip with imsmanifest.xml, one
+// assessmentItem file per question and an assessmentTest with one section per category.
+// Interactions map onto QuestionSchema types (choice -> multiple_choice / multiple_response / true_false, text entry ->
+// short_answer / fill_blank, extended text -> essay, match -> matching); items using any other
+// interaction come back as errors naming it, so nothing is dropped silently.
+
+const path = require('path');
+const { QuestionSchema, AnswerKey } = require('./sharedModules');
+const { createZip, readZip } = require('./zipArchive');
+const { parseXML, escapeXML, childElements, childElement, findElements, textContent } = require('./xml');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA_LOCATION = `${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd`;
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const LOM_NAMESPACE = 'http://ltsc.ieee.org/xsd/LOM';
+
+const ITEM_RESOURCE_PATTERN = /^imsqti_item_xmlv2p[01]$/;
+const TEST_RESOURCE_PATTERN = /^imsqti_test_xmlv2p[01]$/;
+
+// LOM educational difficulty vocabulary <-> QuestionSchema difficulty
+const LOM_DIFFICULTY = { Easy: 'easy', Medium: 'medium', Hard: 'difficult', Expert: 'very difficult' };
+const DIFFICULTY_FROM_LOM = { 'very easy': 'Easy', easy: 'Easy', medium: 'Medium', difficult: 'Hard', 'very difficult': 'Expert' };
+
+// Interactions the importer understands
+const SUPPORTED_INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction', 'matchInteraction'];
+
+// XHTML elements that start a new line when item bodies are flattened to text
+const BLOCK_ELEMENTS = ['p', 'div', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'tr', 'prompt'];
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+// Identifier (and file name) of a question's item
+function itemIdentifier(question, index) {
+  return question.id ? `q${question.id}` : `item${index + 1}`;
+}
+
+// Question text as XHTML paragraphs; `interaction` replaces the fill_blank marker inline
+function paragraphs(text, interaction = null) {
+  return String(text || '')
+    .split(/\r\n|\r|\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const blank = interaction ? line.indexOf(QuestionSchema.BLANK) : -1;
+      if (blank === -1) return `    <p>${escapeXML(line)}</p>`;
+      return `    <p>${escapeXML(line.slice(0, blank))}${interaction}${escapeXML(line.slice(blank + QuestionSchema.BLANK.length))}</p>`;
+    })
+    .join('\n');
+}
+
+// Response declaration, item body and scoring expression for a question, or null for unsupported types
+function itemParts(question) {
+  const points = question.points ?? 1;
+  const options = question.options || [];
+  const answers = QuestionSchema.answerList(question.correct_answer);
+  const matchScore = value => `<setOutcomeValue identifier="SCORE">${value}</setOutcomeValue>`;
+  const scoreIfCorrect = matchScore(`<baseValue baseType="float">${points}</baseValue>`);
+
+  switch (question.type || 'multiple_choice') {
+    case 'multiple_choice': {
+      const correctIndex = AnswerKey.correctIndex(question);
+      if (options.length < 2 || correctIndex === -1) return null;
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${LETTERS[correctIndex]}</value></correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+${options.map((option, index) => `      <simpleChoice identifier="${LETTERS[index]}">${escapeXML(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+        scoring: { match: scoreIfCorrect }
+      };
+    }
+    case 'multiple_response': {
+      const { indexes: correctIndexes, errors } = AnswerKey.resolve(question);
+      if (options.length < 2 || errors.length > 0) return null;
+      const scoring = question.answer_rules?.scoring || 'all_or_nothing';
+      const round = value => Math.round(value * 1000) / 1000;
+      // right_minus_wrong maps each choice to +/- points per correct option; partial_credit maps
+      // +1/-1 and adds the wrong options to the sum, so every option handled right is worth points/options
+      const entryValue = {
+        right_minus_wrong: correct => round((correct ? 1 : -1) * points / correctIndexes.length),
+        partial_credit: correct => (correct ? 1 : -1)
+      }[scoring];
+      const mapping = entryValue ? `
+    <mapping defaultValue="0"${scoring === 'right_minus_wrong' ? ` lowerBound="0" upperBound="${points}"` : ''}>
+${options.map((option, index) => `      <mapEntry mapKey="${LETTERS[index]}" mappedValue="${entryValue(correctIndexes.includes(index))}"/>`).join('\n')}
+    </mapping>` : '';
+      const partialScore = `<responseCondition>
+      <responseIf>
+        <isNull><variable identifier="RESPONSE"/></isNull>
+        ${matchScore('<baseValue baseType="float">0</baseValue>')}
+      </responseIf>
+      <responseElse>
+        ${matchScore(`<product><baseValue baseType="float">${round(points / options.length)}</baseValue><sum><baseValue baseType="float">${options.length - correctIndexes.length}</baseValue><mapResponse identifier="RESPONSE"/></sum></product>`)}
+      </responseElse>
+    </responseCondition>`;
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+    <correctResponse>
+${correctIndexes.map(index => `      <value>${LETTERS[index]}</value>`).join('\n')}
+    </correctResponse>${mapping}
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">
+${options.map((option, index) => `      <simpleChoice identifier="${LETTERS[index]}">${escapeXML(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+        scoring: {
+          all_or_nothing: { match: scoreIfCorrect },
+          right_minus_wrong: { map: matchScore('<mapResponse identifier="RESPONSE"/>') },
+          partial_credit: { map: partialScore }
+        }[scoring] || { match: scoreIfCorrect }
+      };
+    }
+    case 'true_false': {
+      const value = /^(true|t)$/i.test(question.correct_answer) ? 'true' : /^(false|f)$/i.test(question.correct_answer) ? 'false' : null;
+      if (!value) return null;
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${value}</value></correctResponse>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <simpleChoice identifier="true">True</simpleChoice>
+      <simpleChoice identifier="false">False</simpleChoice>
+    </choiceInteraction>`,
+        scoring: { match: scoreIfCorrect }
+      };
+    }
+    case 'short_answer':
+    case 'fill_blank': {
+      // One text entry per item, so questions with several blanks have no QTI form here
+      if (answers.length === 0 || QuestionSchema.blankCount(question.question) > 1) return null;
+      const interaction = `<textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(...answers.map(answer => answer.length), 10)}"/>`;
+      const inline = question.type === 'fill_blank' && String(question.question).includes(QuestionSchema.BLANK);
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXML(answers[0])}</value></correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${points}">
+${answers.map(answer => `      <mapEntry mapKey="${escapeXML(answer)}" mappedValue="${points}" caseSensitive="${Boolean(question.answer_rules?.case_sensitive)}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`,
+        body: inline ? paragraphs(question.question, interaction) : `${paragraphs(question.question)}\n    <p>${interaction}</p>`,
+        scoring: { map: matchScore('<mapResponse identifier="RESPONSE"/>') }
+      };
+    }
+    case 'matching': {
+      if (options.length < 2 || answers.length !== options.length) return null;
+      const targets = [...new Set(answers)];
+      const pairs = options.map((option, index) => `P${index + 1} M${targets.indexOf(answers[index]) + 1}`);
+      return {
+        declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${pairs.map(pair => `      <value>${pair}</value>`).join('\n')}
+    </correctResponse>
+    <mapping defaultValue="0" lowerBound="0" upperBound="${points}">
+${pairs.map(pair => `      <mapEntry mapKey="${pair}" mappedValue="${Math.round((points / pairs.length) * 1000) / 1000}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`,
+        body: `${paragraphs(question.question)}
+    <matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${options.length}">
+      <simpleMatchSet>
+${options.map((option, index) => `        <simpleAssociableChoice identifier="P${index + 1}" matchMax="1">${escapeXML(option)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${targets.map((target, index) => `        <simpleAssociableChoice identifier="M${index + 1}" matchMax="${options.length}">${escapeXML(target)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+        scoring: { map: matchScore('<mapResponse identifier="RESPONSE"/>') }
+      };
+    }
+    case 'essay':
+      return {
+        declaration: '  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>',
+        body: `${paragraphs(question.question)}
+    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>`,
+        scoring: {} // Scored by a person
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * assessmentItem XML for a question, or null when its type has no QTI form here
+ */
+function toItemXML(question, identifier) {
+  const parts = itemParts(question);
+  if (!parts) return null;
+
+  const { match, map } = parts.scoring;
+  const scoring = match
+    ? `    <responseCondition>
+      <responseIf>
+        <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>
+        ${match}
+      </responseIf>
+    </responseCondition>`
+    : map ? `    ${map}` : '';
+  const feedback = question.explanation
+    ? '\n    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">GENERAL</baseValue></setOutcomeValue>'
+    : '';
+  const title = String(question.question || identifier).replace(/\s+/g, ' ').trim().slice(0, 80);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="${identifier}" title="${escapeXML(title)}" adaptive="false" timeDependent="false">
+${parts.declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float" normalMaximum="${question.points ?? 1}">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+${parts.body}
+  </itemBody>
+  <responseProcessing>
+${scoring}${feedback}
+  </responseProcessing>${question.explanation ? `
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="GENERAL" showHide="show">
+${paragraphs(question.explanation)}
+  </modalFeedback>` : ''}
+</assessmentItem>
+`;
+}
+
+// LOM metadata (tags as keywords, difficulty) for an item's manifest resource
+function resourceMetadata(question) {
+  const keywords = (question.tags || []).map(tag => `<imsmd:keyword><imsmd:string>${escapeXML(tag)}</imsmd:string></imsmd:keyword>`).join('');
+  const difficulty = LOM_DIFFICULTY[question.difficulty];
+  if (!keywords && !difficulty) return '';
+
+  return `
+      <metadata>
+        <imsmd:lom>${keywords ? `
+          <imsmd:general>${keywords}</imsmd:general>` : ''}${difficulty ? `
+          <imsmd:educational><imsmd:difficulty><imsmd:source>LOMv1.0</imsmd:source><imsmd:value>${difficulty}</imsmd:value></imsmd:difficulty></imsmd:educational>` : ''}
+        </imsmd:lom>
+      </metadata>`;
+}
+
+/**
+ * Build a QTI 2.1 content package; returns { buffer, skipped } where `skipped` lists questions with no QTI form
+ * The assessment test has one section per category and carries each question's time limit
+ */
+function createPackage(questions, { title = 'Question bank' } = {}) {
+  const items = [];
+  const skipped = [];
+
+  questions.forEach((question, index) => {
+    const identifier = itemIdentifier(question, index);
+    const xml = toItemXML(question, identifier);
+    if (xml === null) {
+      skipped.push(question);
+    } else {
+      items.push({ question, identifier, href: `items/${identifier}.xml`, xml });
+    }
+  });
+
+  // Sections in order of each category's first question
+  const sections = new Map();
+  for (const item of items) {
+    const category = item.question.category || 'General';
+    if (!sections.has(category)) sections.set(category, []);
+    sections.get(category).push(item);
+  }
+
+  const test = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_SCHEMA_LOCATION}"
+  identifier="assessment" title="${escapeXML(title)}">
+  <testPart identifier="part1" navigationMode="nonlinear" submissionMode="individual">
+${[...sections.entries()].map(([category, sectionItems], index) => `    <assessmentSection identifier="section${index + 1}" title="${escapeXML(category)}" visible="true">
+${sectionItems.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}">${item.question.time_limit ? `
+        <timeLimits maxTime="${item.question.time_limit}"/>
+      ` : ''}</assessmentItemRef>`).join('\n')}
+    </assessmentSection>`).join('\n')}
+  </testPart>
+</assessmentTest>
+`;
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${CP_NAMESPACE}" xmlns:imsmd="${LOM_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${CP_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/qtiv2p1_imscpv1p2_v1p0.xsd"
+  identifier="question-bank-package">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="assessment" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(item => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map(item => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">${resourceMetadata(item.question)}
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+  const buffer = createZip([
+    { name: 'imsmanifest.xml', data: manifest },
+    { name: 'assessment.xml', data: test },
+    ...items.map(item => ({ name: item.href, data: item.xml }))
+  ]);
+  return { buffer, skipped };
+}
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+// Resolve an href against the file that contains it (zip paths always use "/")
+function resolveHref(base, href) {
+  return path.posix.normalize(path.posix.join(path.posix.dirname(base), decodeURIComponent(href))).replace(/^\.\//, '');
+}
+
+// Flatten XHTML to text lines; `interaction` becomes the blank marker when inline, else contributes its prompt
+function flattenText(element, interaction, media) {
+  const lines = [''];
+  const walk = (node) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        lines[lines.length - 1] += child;
+        continue;
+      }
+      if (child === interaction) {
+        if (child.localName === 'textEntryInteraction') {
+          lines[lines.length - 1] += QuestionSchema.BLANK;
+        } else {
+          const prompt = childElement(child, 'prompt');
+          if (prompt) {
+            lines.push('');
+            walk(prompt);
+            lines.push('');
+          }
+        }
+        continue;
+      }
+      if (child.localName === 'img' && child.attributes.src) {
+        media.push(child.attributes.src);
+        continue;
+      }
+      if (child.localName === 'br') {
+        lines.push('');
+        continue;
+      }
+      if (child.localName.endsWith('Interaction') || child.localName === 'rubricBlock') {
+        continue;
+      }
+      const block = BLOCK_ELEMENTS.includes(child.localName);
+      if (block) lines.push('');
+      walk(child);
+      if (block) lines.push('');
+    }
+  };
+  walk(element);
+  return lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+}
+
+// Correct values and positively mapped keys of a response declaration
+function declaredAnswers(declaration) {
+  if (!declaration) return { correct: [], mapped: [] };
+  const correctResponse = childElement(declaration, 'correctResponse');
+  const mapping = childElement(declaration, 'mapping');
+  return {
+    correct: correctResponse ? childElements(correctResponse, 'value').map(value => textContent(value).trim()) : [],
+    mapped: mapping
+      ? childElements(mapping, 'mapEntry').filter(entry => parseFloat(entry.attributes.mappedValue) > 0).map(entry => entry.attributes.mapKey)
+      : []
+  };
+}
+
+// Multiple-response scoring of a choice item: a plain match is all_or_nothing, a mapping summed with a
+// baseline is partial_credit (as exported above) and any other mapping right_minus_wrong
+function selectionScoring(declaration, processing) {
+  if (!declaration || !childElement(declaration, 'mapping')) return 'all_or_nothing';
+  return processing && findElements(processing, 'sum').length > 0 ? 'partial_credit' : 'right_minus_wrong';
+}
+
+// Type, options and correct_answer for an item's single interaction, or { error }
+function interactionFields(interaction, declaration, textLines, processing = null) {
+  const { correct, mapped } = declaredAnswers(declaration);
+  const choiceText = choice => textContent(choice).replace(/\s+/g, ' ').trim();
+
+  switch (interaction.localName) {
+    case 'choiceInteraction': {
+      const maxChoices = parseInt(interaction.attributes.maxChoices ?? '1');
+      const choices = findElements(interaction, 'simpleChoice');
+      if (correct.length === 0) {
+        return { error: 'choiceInteraction has no correct response' };
+      }
+      if (choices.length > LETTERS.length) {
+        return { error: `choiceInteraction has more than ${LETTERS.length} choices` };
+      }
+      if (maxChoices !== 1 || correct.length > 1 || declaration?.attributes.cardinality === 'multiple') {
+        const indexes = correct.map(value => choices.findIndex(choice => choice.attributes.identifier === value));
+        const missing = correct.find((value, i) => indexes[i] === -1);
+        if (missing !== undefined) {
+          return { error: `Correct response "${missing}" is not one of the choices` };
+        }
+        return {
+          type: 'multiple_response',
+          options: choices.map(choiceText),
+          correct_answer: indexes.sort((a, b) => a - b).map(index => LETTERS[index]).join(';'),
+          answer_rules: { scoring: selectionScoring(declaration, processing) }
+        };
+      }
+      const correctIndex = choices.findIndex(choice => choice.attributes.identifier === correct[0]);
+      if (correctIndex === -1) {
+        return { error: `Correct response "${correct[0]}" is not one of the choices` };
+      }
+      const texts = choices.map(choiceText);
+      if (texts.length === 2 && texts.map(text => text.toLowerCase()).sort().join() === 'false,true') {
+        return { type: 'true_false', options: [], correct_answer: texts[correctIndex].toLowerCase() };
+      }
+      return { type: 'multiple_choice', options: texts, correct_answer: LETTERS[correctIndex] };
+    }
+    case 'textEntryInteraction': {
+      const accepted = [...new Set([...correct, ...mapped].map(value => value.trim()).filter(Boolean))];
+      if (accepted.length === 0) {
+        return { error: 'textEntryInteraction has no correct response' };
+      }
+      // A blank on a line of its own is an answer box under the question, anywhere else it is a gap in the text
+      const standalone = textLines.some(line => line === QuestionSchema.BLANK);
+      return { type: standalone ? 'short_answer' : 'fill_blank', options: [], correct_answer: accepted.join(';') };
+    }
+    case 'extendedTextInteraction':
+      return { type: 'essay', options: [], correct_answer: '' };
+    case 'matchInteraction': {
+      const [sources, targets] = childElements(interaction, 'simpleMatchSet').map(set => findElements(set, 'simpleAssociableChoice'));
+      if (!sources || !targets) {
+        return { error: 'matchInteraction needs two simpleMatchSets' };
+      }
+      const pairs = new Map(correct.map(pair => pair.split(/\s+/)));
+      const options = [];
+      const matches = [];
+      for (const source of sources) {
+        const target = targets.find(choice => choice.attributes.identifier === pairs.get(source.attributes.identifier));
+        if (!target) {
+          return { error: `Match choice "${choiceText(source)}" has no correct pair` };
+        }
+        options.push(choiceText(source));
+        matches.push(choiceText(target));
+      }
+      return { type: 'matching', options, correct_answer: matches.join(';') };
+    }
+    default:
+      return { error: `Unsupported interaction: ${interaction.localName}` };
+  }
+}
+
+// Convert one assessmentItem document into QuestionSchema fields, or { error }
+function itemToQuestion(root, context) {
+  if (root.localName === 'questestinterop') {
+    return { error: 'QTI 1.2 items are not supported (export as QTI 2.1)' };
+  }
+  if (root.localName !== 'assessmentItem') {
+    return { error: `Expected an assessmentItem, found <${root.localName}>` };
+  }
+
+  const itemBody = childElement(root, 'itemBody');
+  const interactions = [];
+  const walk = element => childElements(element).forEach(child => {
+    if (child.localName.endsWith('Interaction')) interactions.push(child);
+    else walk(child);
+  });
+  if (itemBody) walk(itemBody);
+
+  if (interactions.length === 0) {
+    return { error: 'Item has no interaction (informational items are not supported)' };
+  }
+  if (interactions.length > 1) {
+    return { error: `Items with several interactions are not supported (${interactions.map(i => i.localName).join(', ')})` };
+  }
+
+  const [interaction] = interactions;
+  if (!SUPPORTED_INTERACTIONS.includes(interaction.localName)) {
+    return { error: `Unsupported interaction: ${interaction.localName}` };
+  }
+
+  const media = [];
+  const lines = flattenText(itemBody, interaction, media);
+  const declaration = childElements(root, 'responseDeclaration')
+    .find(element => element.attributes.identifier === interaction.attributes.responseIdentifier);
+  const fields = interactionFields(interaction, declaration, lines, childElement(root, 'responseProcessing'));
+  if (fields.error) return fields;
+
+  const questionLines = fields.type === 'short_answer' ? lines.filter(line => line !== QuestionSchema.BLANK) : lines;
+  const score = childElements(root, 'outcomeDeclaration').find(element => element.attributes.identifier === 'SCORE');
+  const points = score && score.attributes.normalMaximum !== undefined ? parseFloat(score.attributes.normalMaximum) : null;
+  const explanation = childElements(root, 'modalFeedback').map(feedback => flattenText(feedback, null, media).join('\n')).filter(Boolean);
+
+  const question = {
+    question: questionLines.join('\n'),
+    ...fields,
+    explanation: explanation.join('\n'),
+    tags: context.tags || []
+  };
+  if (points !== null && !Number.isNaN(points)) question.points = points;
+  if (context.category) question.category = context.category;
+  if (context.difficulty) question.difficulty = context.difficulty;
+  if (context.timeLimit) question.time_limit = context.timeLimit;
+  if (media.length > 0) question.media = { images: media };
+  return { question };
+}
+
+// Item hrefs with their manifest metadata, in manifest order, plus the test href if there is one
+function readManifest(manifestPath, manifest) {
+  const items = [];
+  let testHref = null;
+
+  for (const resource of findElements(manifest, 'resource')) {
+    const type = resource.attributes.type || '';
+    const base = resource.attributes['xml:base'] ? resolveHref(manifestPath, `${resource.attributes['xml:base']}/x`) : manifestPath;
+    const href = resource.attributes.href ? resolveHref(base, resource.attributes.href) : null;
+    if (!href) continue;
+
+    if (TEST_RESOURCE_PATTERN.test(type)) {
+      testHref = testHref || href;
+    } else if (ITEM_RESOURCE_PATTERN.test(type)) {
+      const keywords = findElements(resource, 'keyword').map(keyword => textContent(keyword).trim()).filter(Boolean);
+      const difficulty = findElements(resource, 'difficulty').map(element => {
+        const value = childElement(element, 'value');
+        return value ? textContent(value).trim().toLowerCase() : '';
+      })[0];
+      items.push({ href, tags: keywords, difficulty: DIFFICULTY_FROM_LOM[difficulty] || null });
+    }
+  }
+
+  return { items, testHref };
+}
+
+// Section title and time limit of every item referenced by an assessment test, keyed by href
+function readTest(testPath, test) {
+  const placements = new Map();
+  const visit = (element, category) => {
+    for (const child of childElements(element)) {
+      if (child.localName === 'assessmentSection') {
+        visit(child, child.attributes.title || category);
+      } else if (child.localName === 'assessmentItemRef' && child.attributes.href) {
+        const limits = childElement(child, 'timeLimits');
+        placements.set(resolveHref(testPath, child.attributes.href), {
+          category,
+          timeLimit: limits && limits.attributes.maxTime ? Math.round(parseFloat(limits.attributes.maxTime)) : null
+        });
+      } else {
+        visit(child, category);
+      }
+    }
+  };
+  visit(test, null);
+  return placements;
+}
+
+/**
+ * Read a QTI 2.1 content package (zip); returns { records: [{ line, question, originalId, error }], warnings }
+ * Items come in assessment test order when the package has a test, else in manifest order.
+ * Each record's error message starts with the item's path in the package; `line` is always null
+ */
+function readPackage(buffer) {
+  const entries = new Map(readZip(buffer).map(entry => [entry.name.replace(/^\.\//, ''), entry.data]));
+  const warnings = [];
+  const records = [];
+  const parse = (href) => parseXML(entries.get(href).toString('utf8'));
+
+  const manifestPath = [...entries.keys()].find(name => /(^|\/)imsmanifest\.xml$/i.test(name));
+  let items;
+  let placements = new Map();
+
+  if (manifestPath) {
+    const manifest = readManifest(manifestPath, parse(manifestPath));
+    items = manifest.items;
+    if (manifest.testHref && entries.has(manifest.testHref)) {
+      placements = readTest(manifest.testHref, parse(manifest.testHref));
+    }
+  } else {
+    warnings.push({ line: null, column: null, message: 'No imsmanifest.xml; reading every XML file in the package' });
+    items = [...entries.keys()].filter(name => name.toLowerCase().endsWith('.xml')).map(href => ({ href, tags: [], difficulty: null }));
+  }
+
+  // Put items referenced by the test first, in test order
+  const order = [...placements.keys()];
+  const rank = href => (order.includes(href) ? order.indexOf(href) : order.length);
+  items = items.map((item, index) => ({ ...item, index })).sort((a, b) => rank(a.href) - rank(b.href) || a.index - b.index);
+
+  for (const item of items) {
+    const fail = (message) => records.push({ line: null, question: null, originalId: null, error: { line: null, column: null, message: `${item.href}: ${message}` } });
+
+    if (!entries.has(item.href)) {
+      fail('File listed in the manifest is missing from the package');
+      continue;
+    }
+
+    let root;
+    try {
+      root = parse(item.href);
+    } catch (error) {
+      fail(error.message);
+      continue;
+    }
+    if (!manifestPath && !['assessmentItem', 'questestinterop'].includes(root.localName)) {
+      continue; // Tests and other XML in a package without a manifest
+    }
+
+    const placement = placements.get(item.href) || {};
+    const result = itemToQuestion(root, { ...placement, tags: item.tags, difficulty: item.difficulty });
+    if (result.error) {
+      fail(result.error);
+    } else {
+      records.push({ line: null, question: result.question, originalId: root.attributes.identifier || null, error: null });
+    }
+  }
+
+  if (records.length === 0) {
+    warnings.push({ line: null, column: null, message: 'The package contains no assessment items' });
+  }
+  return { records, warnings };
+}
+
+module.exports = {
+  createPackage,
+  readPackage,
+  toItemXML
+};
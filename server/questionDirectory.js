@@ -0,0 +1,224 @@
+// Question Directories
+// One pretty-printed JSON file per question plus an index, for keeping a question bank in git.
+// Files hold the question content only (provenance and analytics stay in the bank) with a fixed
+// key order, so an unchanged question always serializes to the same bytes and a review diff shows
+// just the edited fields. Reading a directory back reconciles it with the bank: files are the
+// source of truth, so questions missing from the directory are planned for deletion.
+
+const path = require('path');
+const { QuestionSchema } = require('./sharedModules');
+const { diffQuestionFields } = require('./backups');
+const questionModel = require('./questionModel');
+
+const DIRECTORY_FORMAT = 'quiztime-question-directory';
+const DIRECTORY_VERSION = 1;
+const INDEX_FILE = 'index.json';
+const QUESTIONS_DIR = 'questions';
+
+// Stored alongside the content in the bank but never written to question files
+const BANK_ONLY_FIELDS = ['source', 'analytics'];
+
+
+const SLUG_LENGTH = 40;
+
+/**
+ * File-name slug of a question's text, e.g. "what-is-the-capital-of-france"
+ */
+function slugify(text) {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const cut = slug.length > SLUG_LENGTH ? slug.slice(0, SLUG_LENGTH).replace(/-[^-]*$/, '') : slug;
+  return cut || 'question';
+}
+
+/**
+ * Path of a question's file inside the directory, e.g. "questions/0012-what-is-the-capital-of-france.json"
+ */
+function questionFilename(question) {
+  return `${QUESTIONS_DIR}/${String(question.id).padStart(4, '0')}-${slugify(question.question)}.json`;
+}
+
+// Copy of a value with object keys sorted, so nested objects serialize the same every time
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Stable, pretty-printed JSON for one question file
+ * Fields follow the schema's own order, then any custom fields alphabetically
+ */
+function serializeQuestion(question) {
+  const fieldOrder = Object.keys(QuestionSchema.createDefault()).filter(field => !BANK_ONLY_FIELDS.includes(field));
+  const custom = Object.keys(question)
+    .filter(field => !fieldOrder.includes(field) && !BANK_ONLY_FIELDS.includes(field))
+    .sort();
+  const ordered = {};
+  for (const field of [...fieldOrder, ...custom]) {
+    if (question[field] !== undefined) ordered[field] = sortKeys(question[field]);
+  }
+  return `${JSON.stringify(ordered, null, 2)}\n`;
+}
+
+/**
+ * Files of a question directory as [{ name, data }], index first then questions in ID order
+ */
+function createDirectory(questions) {
+  const sorted = [...questions].sort((a, b) => (a.id || 0) - (b.id || 0));
+  const files = sorted.map(question => ({ name: questionFilename(question), data: serializeQuestion(question) }));
+  const index = {
+    format: DIRECTORY_FORMAT,
+    version: DIRECTORY_VERSION,
+    count: sorted.length,
+    questions: sorted.map((question, i) => ({
+      id: question.id,
+      file: files[i].name,
+      type: question.type,
+      category: question.category
+    }))
+  };
+
+  return [{ name: INDEX_FILE, data: `${JSON.stringify(index, null, 2)}\n` }, ...files];
+}
+
+/**
+ * Read the files of a question directory (e.g. the entries of a zip of it)
+ * The directory may sit under a top-level folder; it is found by its index.json.
+ * Returns { questions: [{ file, question }], errors: [{ file, message }], warnings: [string] }
+ */
+function readDirectory(entries) {
+  const errors = [];
+  const warnings = [];
+  const indexEntry = entries
+    .filter(entry => path.posix.basename(entry.name) === INDEX_FILE)
+    .sort((a, b) => a.name.split('/').length - b.name.split('/').length)[0];
+  const root = indexEntry ? path.posix.dirname(indexEntry.name).replace(/^\.$/, '') : '';
+  const relative = name => (root ? name.slice(root.length + 1) : name);
+
+  let listed = null;
+  if (!indexEntry) {
+    warnings.push(`No ${INDEX_FILE}; reading every .json file`);
+  } else {
+    try {
+      const index = JSON.parse(indexEntry.data.toString('utf8'));
+      if (index.format !== DIRECTORY_FORMAT) {
+        warnings.push(`${INDEX_FILE} is not a question directory index (format "${index.format}")`);
+      } else if (index.version > DIRECTORY_VERSION) {
+        errors.push({ file: INDEX_FILE, message: `Directory version ${index.version} is newer than this server reads (${DIRECTORY_VERSION})` });
+      }
+      listed = new Set((index.questions || []).map(entry => entry.file));
+    } catch (error) {
+      errors.push({ file: INDEX_FILE, message: `Invalid JSON: ${error.message}` });
+    }
+  }
+
+  const questionEntries = entries
+    .filter(entry => entry !== indexEntry && entry.name.toLowerCase().endsWith('.json'))
+    .filter(entry => !root || entry.name.startsWith(`${root}/`))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const questions = [];
+  const files = new Set();
+  for (const entry of questionEntries) {
+    const file = relative(entry.name);
+    files.add(file);
+    if (listed && !listed.has(file)) warnings.push(`${file} is not listed in ${INDEX_FILE}`);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(entry.data.toString('utf8'));
+    } catch (error) {
+      errors.push({ file, message: `Invalid JSON: ${error.message}` });
+      continue;
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push({ file, message: 'Expected one question object' });
+      continue;
+    }
+    if (parsed.id !== undefined && parsed.id !== null && !(Number.isInteger(parsed.id) && parsed.id > 0)) {
+      errors.push({ file, message: `Invalid id ${JSON.stringify(parsed.id)} (use a positive integer, or leave it out for a new question)` });
+      continue;
+    }
+    questions.push({ file, question: parsed });
+  }
+
+  if (listed) {
+    for (const file of listed) {
+      if (!files.has(file)) warnings.push(`${file} is listed in ${INDEX_FILE} but missing`);
+    }
+  }
+
+  return { questions, errors, warnings };
+}
+
+/**
+ * Plan how to bring the bank in line with a directory's questions
+ * Returns [{ file, action: 'add' | 'update' | 'unchanged' | 'delete' | 'error', id, question, fields, error }]
+ * where `question` is the content to store for add/update and `fields` the field-level changes of an update.
+ * Files without an id are added under the next free IDs. Questions in the bank but not in the directory
+ * are deleted unless `deleteMissing` is false
+ */
+function reconcile(existingQuestions, directory, { deleteMissing = true } = {}) {
+  const plan = directory.errors.map(({ file, message }) => ({ file, action: 'error', error: message }));
+  const existingById = new Map(existingQuestions.map(question => [question.id, question]));
+  const seen = new Map();
+  let nextId = Math.max(0, ...existingQuestions.map(question => question.id || 0), ...directory.questions.map(({ question }) => question.id || 0)) + 1;
+
+  for (const { file, question: content } of directory.questions) {
+    if (content.id && seen.has(content.id)) {
+      plan.push({ file, action: 'error', id: content.id, error: `Duplicate id ${content.id} (also in ${seen.get(content.id)})` });
+      continue;
+    }
+    if (content.id) seen.set(content.id, file);
+
+    const existing = content.id ? existingById.get(content.id) : null;
+    const fields = Object.fromEntries(Object.entries(content).filter(([field]) => !BANK_ONLY_FIELDS.includes(field)));
+    const question = QuestionSchema.sanitize(QuestionSchema.createDefault({ ...fields, id: content.id || nextId++ }));
+    delete question.source;
+    delete question.analytics;
+
+    const validation = questionModel.validateQuestion(question);
+    if (!validation.isValid) {
+      plan.push({ file, action: 'error', id: question.id, error: validation.errors.join(', '), fieldErrors: validation.fieldErrors });
+      continue;
+    }
+
+    if (!existing) {
+      plan.push({ file, action: 'add', id: question.id, question });
+      continue;
+    }
+
+    const changes = diffQuestionFields(existing, question);
+    plan.push(changes.length > 0
+      ? { file, action: 'update', id: existing.id, question, fields: changes }
+      : { file, action: 'unchanged', id: existing.id });
+  }
+
+  if (deleteMissing) {
+    for (const question of existingQuestions) {
+      if (!seen.has(question.id)) {
+        plan.push({ file: questionFilename(question), action: 'delete', id: question.id });
+      }
+    }
+  }
+
+  return plan;
+}
+
+module.exports = {
+  DIRECTORY_FORMAT,
+  INDEX_FILE,
+  slugify,
+  questionFilename,
+  serializeQuestion,
+  createDirectory,
+  readDirectory,
+  reconcile
+};
@@ -0,0 +1,152 @@
+// Question Model
+// Server side of the shared QuestionSchema: CSV import, validation, CSV export and running the
+// QuestionMigrations steps over a stored bank
+
+const { QuestionSchema, QuestionMigrations, AnswerKey } = require('./sharedModules');
+const { questionFingerprint } = require('./uploadHistory');
+
+/**
+ * Flat option fields used by the pre-schema question format (and still by CSV files)
+ */
+function legacyOptionFields() {
+  return QuestionMigrations.LEGACY_OPTION_FIELDS;
+}
+
+/**
+ * Columns written by the CSV export; fromCSVRow reads every one of them back
+ */
+function csvExportHeaders() {
+  return [
+    'id', 'category', 'difficulty', 'type', 'question', ...legacyOptionFields(), 'correct_answer',
+    'explanation', 'points', 'time_limit', 'tags', 'prerequisites', 'learning_objectives', 'image', 'audio', 'video',
+    'options', ...QuestionSchema.ANSWER_RULE_FIELDS
+  ];
+}
+
+/**
+ * Build a canonical question from one parsed CSV record
+ * `metadata` ({ uploadId, filename, rowIndex, owner }) becomes the question's provenance
+ */
+function fromCSVRow(headers, values, metadata = {}) {
+  const question = QuestionSchema.fromCSVRow(values, headers, metadata);
+
+  const idIndex = headers.findIndex(header => QuestionSchema.normalizeFieldName(header) === 'id');
+  if (idIndex !== -1 && values[idIndex]) {
+    question.source.originalId = values[idIndex];
+  }
+
+  return question;
+}
+
+// Provenance keys copied from import metadata onto `source`
+const PROVENANCE_FIELDS = ['uploadId', 'filename', 'rowIndex', 'owner', 'originalId'];
+
+/**
+ * Build a canonical question from the fields a text-format importer (GIFT, Aiken) read
+ * `metadata` is the same provenance fromCSVRow takes, plus the question's `originalId` in the file
+ */
+function fromFields(fields, metadata = {}) {
+  const question = QuestionSchema.createDefault(fields);
+  PROVENANCE_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '') {
+      question.source[field] = metadata[field];
+    }
+  });
+  return QuestionSchema.sanitize(question);
+}
+
+/**
+ * Options array from flat option_a..option_e fields, laid over `base` so a partial update keeps the rest
+ */
+function legacyOptions(question, base = []) {
+  const options = [...base];
+  legacyOptionFields().forEach((field, index) => {
+    if (question[field] !== undefined) options[index] = question[field];
+  });
+  // Array.from visits the gaps a skipped field leaves (option_a and option_c without option_b)
+  return Array.from(options, option => (option == null ? '' : String(option)));
+}
+
+/**
+ * Whether the bank was written at an older schema version
+ */
+function bankNeedsMigration(bank) {
+  return QuestionMigrations.needsMigration(bank);
+}
+
+/**
+ * Run the pending QuestionMigrations steps on a whole question bank in place (or on a copy with `dryRun`)
+ * Upload fingerprints are moved to the migrated questions so rollbacks do not see every question as edited
+ * Returns the migration report ({ from, to, dryRun, steps }) plus `invalid`: the migrated questions that
+ * still fail the schema ([{ id, errors: fieldErrors }]); those are kept as they are for someone to fix
+ */
+function migrateQuestionBank(bank, options = {}) {
+  const oldHashes = new Map((bank.questions || []).map(q => [q.id, questionFingerprint(q)]));
+  const target = options.dryRun ? JSON.parse(JSON.stringify(bank)) : bank;
+  const report = QuestionMigrations.run(target, { ...options, dryRun: false });
+  const newHashes = new Map(target.questions.map(q => [q.id, questionFingerprint(q)]));
+
+  for (const upload of target.uploads || []) {
+    const changes = upload.questionChanges;
+    if (!changes) continue;
+
+    for (const entry of [...changes.added, ...changes.updated]) {
+      if (entry.afterHash && entry.afterHash === oldHashes.get(entry.id)) {
+        entry.afterHash = newHashes.get(entry.id);
+      }
+    }
+  }
+
+  const invalid = target.questions
+    .map(question => ({ id: question.id, errors: QuestionSchema.validate(question).fieldErrors }))
+    .filter(result => result.errors.length > 0);
+
+  return { ...report, dryRun: Boolean(options.dryRun), invalid };
+}
+
+/**
+ * Validate a question against QuestionSchema after sanitizing it the same way imports are
+ */
+function validateQuestion(question) {
+  return QuestionSchema.validate(QuestionSchema.sanitize(question));
+}
+
+/**
+ * Flatten a canonical question into csvExportHeaders() order
+ */
+function toCSVRow(question) {
+  const list = values => (Array.isArray(values) ? values.join(', ') : '');
+  const options = question.options || [];
+  const media = question.media || {};
+  const mediaFields = QuestionSchema.MEDIA_FIELDS;
+  // More options than option_a..option_e hold go in the ";"-separated options column instead
+  const optionFields = legacyOptionFields();
+  const optionList = options.length > optionFields.length;
+
+  return csvExportHeaders().map(header => {
+    const optionIndex = optionFields.indexOf(header);
+    if (optionIndex !== -1) return optionList ? '' : options[optionIndex] ?? '';
+    if (header === 'options') return optionList ? options.join(';') : '';
+    if (QuestionSchema.ANSWER_RULE_FIELDS.includes(header)) {
+      const rule = question.answer_rules?.[header];
+      return typeof rule === 'boolean' ? (rule ? 'true' : '') : rule ?? '';
+    }
+    // Option keys are written as letters even when stored as an option's text
+    if (header === 'correct_answer') return AnswerKey.canonical(question) ?? question.correct_answer ?? '';
+    if (mediaFields[header]) return list(media[mediaFields[header]]);
+    if (Array.isArray(question[header])) return list(question[header]);
+    return question[header] ?? '';
+  });
+}
+
+module.exports = {
+  legacyOptionFields,
+  csvExportHeaders,
+  fromCSVRow,
+  fromFields,
+  legacyOptions,
+  bankNeedsMigration,
+  migrateQuestionBank,
+  validateQuestion,
+  toCSVRow
+};
@@ -0,0 +1,109 @@
+// Question Revisions
+// Append-only history of every saved question change, used for diffs and reverts
+
+const { diffQuestionFields } = require('./backups');
+
+/**
+ * Current version of a stored question
+ * Questions saved before versioning (no version, or the old '1.0.0' string) count as version 1
+ */
+function currentVersion(question) {
+  const version = question?.source?.version;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+/**
+ * Record a question change in `revisions` and stamp `next.source.version`
+ * Pass `previous = null` for a create and `next = null` for a delete
+ * Returns the revision entries appended (a baseline may precede the change)
+ */
+function recordRevision(revisions, previous, next, {
+  author = 'anonymous',
+  origin = 'api',
+  uploadId = null,
+  action = null,
+  revertedTo = null
+} = {}) {
+  const questionId = (next || previous).id;
+  const timestamp = new Date().toISOString();
+  const appended = [];
+  const latestVersion = Math.max(0, ...revisions.filter(r => r.questionId === questionId).map(r => r.version));
+
+  // Questions that predate revision tracking get a baseline so their prior content can be restored
+  if (previous && latestVersion === 0) {
+    appended.push({
+      questionId,
+      version: currentVersion(previous),
+      timestamp: previous.source?.lastUpdated || previous.source?.uploadedAt || previous.source?.created || timestamp,
+      author: previous.source?.owner || null,
+      origin: 'baseline',
+      uploadId: previous.source?.uploadId || null,
+      action: 'baseline',
+      changedFields: [],
+      snapshot: clone(previous)
+    });
+  }
+
+  // Continue from the history too, so a deleted question brought back by a revert keeps counting up
+  const version = Math.max(previous ? currentVersion(previous) : 0, latestVersion) + 1;
+  if (next) {
+    next.source = { ...next.source, version, lastUpdated: timestamp };
+  }
+
+  appended.push({
+    questionId,
+    version,
+    timestamp,
+    author,
+    origin,
+    uploadId,
+    action: action || (!previous ? 'create' : next ? 'update' : 'delete'),
+    changedFields: diffQuestionFields(previous || {}, next || {}).map(change => change.field),
+    ...(revertedTo != null ? { revertedTo } : {}),
+    snapshot: next ? clone(next) : null
+  });
+
+  revisions.push(...appended);
+  return appended;
+}
+
+/**
+ * All revisions of one question, oldest first
+ */
+function listRevisions(revisions, questionId) {
+  return revisions
+    .filter(r => r.questionId === questionId)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Find a single revision by question id and version
+ */
+function findRevision(revisions, questionId, version) {
+  return revisions.find(r => r.questionId === questionId && r.version === version) || null;
+}
+
+/**
+ * Field-level diff between two revisions of the same question
+ */
+function diffRevisions(from, to) {
+  return diffQuestionFields(from.snapshot || {}, to.snapshot || {});
+}
+
+// Summary form for listings (snapshots can be large)
+function summarizeRevision({ snapshot, ...revision }) {
+  return { ...revision, deleted: snapshot === null };
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  currentVersion,
+  recordRevision,
+  listRevisions,
+  findRevision,
+  diffRevisions,
+  summarizeRevision
+};
@@ -0,0 +1,255 @@
+// Question Search
+// Filters, relevance ranking, sorting and paging behind GET /api/question-bank/search (and the
+// paging of GET /api/question-bank/questions). Query values arrive as Express parses them, so a
+// key repeated in the URL comes in as an array; queryText folds those into one string.
+
+// Page size for question listings when none (or nonsense) is asked for, and the most one page may hold
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Relevance weights per searchable field
+const SEARCH_FIELD_WEIGHTS = {
+  question: 3,
+  options: 2,
+  tags: 2,
+  explanation: 1
+};
+
+// Difficulty ordering used when sorting by difficulty
+const DIFFICULTY_ORDER = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+// Fields the search can sort by, and where each one's value lives on a question
+// (`relevance` is the search score and is handled separately)
+const SORT_FIELDS = {
+  relevance: null,
+  id: question => question.id,
+  question: question => question.question,
+  category: question => question.category,
+  difficulty: question => question.difficulty,
+  points: question => question.points,
+  time_limit: question => question.time_limit,
+  type: question => question.type,
+  created: question => question.source?.created,
+  modified: question => question.source?.lastUpdated
+};
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * A query value as one string: repeated keys (`?type=a&type=b`) are joined with `separator`
+ */
+function queryText(value, separator = ',') {
+  if (Array.isArray(value)) return value.filter(item => typeof item === 'string').join(separator);
+  return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Read `limit` and `offset` query values as non-negative integers, with `limit` capped at MAX_PAGE_SIZE
+ */
+function parsePagination({ limit, offset } = {}) {
+  const pageSize = parseInt(queryText(limit), 10);
+  const start = parseInt(queryText(offset), 10);
+  return {
+    limit: Number.isFinite(pageSize) && pageSize >= 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: Number.isFinite(start) && start >= 0 ? start : 0
+  };
+}
+
+/**
+ * Split search text into lower-cased terms
+ */
+function tokenizeSearchText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 0);
+}
+
+/**
+ * Parse a comma-separated tag list from a query string
+ */
+function tokenizeTagList(tags) {
+  return queryText(tags).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Score how well a question matches the search text (0 = no match)
+ */
+function scoreQuestionRelevance(question, searchText) {
+  const terms = tokenizeSearchText(searchText);
+  if (terms.length === 0) return 0;
+
+  const fields = {
+    question: tokenizeSearchText(question.question),
+    options: tokenizeSearchText((question.options || []).join(' ')),
+    tags: tokenizeSearchText((question.tags || []).join(' ')),
+    explanation: tokenizeSearchText(question.explanation)
+  };
+
+  let score = 0;
+  let matchedTerms = 0;
+
+  terms.forEach(term => {
+    let termMatched = false;
+
+    Object.entries(fields).forEach(([field, tokens]) => {
+      const exact = tokens.filter(token => token === term).length;
+      const partial = tokens.filter(token => token !== term && token.startsWith(term)).length;
+
+      if (exact || partial) {
+        termMatched = true;
+        score += SEARCH_FIELD_WEIGHTS[field] * (Math.min(exact, 3) + Math.min(partial, 3) * 0.5);
+      }
+    });
+
+    if (termMatched) matchedTerms++;
+  });
+
+  if (matchedTerms === 0) return 0;
+
+  // Favor questions that match every term, and the whole phrase in the question text
+  score *= matchedTerms / terms.length;
+  const phrase = String(searchText).toLowerCase().trim();
+  if (terms.length > 1 && (question.question || '').toLowerCase().includes(phrase)) {
+    score += SEARCH_FIELD_WEIGHTS.question * terms.length;
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Check the sort options of a search query; returns an error message, or null when they are usable
+ */
+function validateSortOptions(query = {}) {
+  const sortBy = queryText(query.sortBy);
+  const sortOrder = queryText(query.sortOrder);
+  if (sortBy && !Object.hasOwn(SORT_FIELDS, sortBy)) {
+    return `Unknown sortBy "${sortBy}". Use one of: ${Object.keys(SORT_FIELDS).join(', ')}`;
+  }
+  if (sortOrder && !SORT_ORDERS.includes(sortOrder)) {
+    return `Unknown sortOrder "${sortOrder}". Use one of: ${SORT_ORDERS.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Position of a difficulty in DIFFICULTY_ORDER, or null when it is missing or not one of them
+ */
+function difficultyRank(difficulty) {
+  const rank = DIFFICULTY_ORDER.indexOf(difficulty);
+  return rank === -1 ? null : rank;
+}
+
+/**
+ * Compare two questions on a field of SORT_FIELDS (missing values always sort last)
+ */
+function compareQuestions(a, b, sortBy, sortOrder = 'asc') {
+  let aVal = SORT_FIELDS[sortBy](a);
+  let bVal = SORT_FIELDS[sortBy](b);
+
+  // Missing or unknown difficulties sort with the other missing values
+  if (sortBy === 'difficulty') {
+    aVal = difficultyRank(aVal);
+    bVal = difficultyRank(bVal);
+  }
+
+  if (typeof aVal === 'string') aVal = aVal.toLowerCase();
+  if (typeof bVal === 'string') bVal = bVal.toLowerCase();
+
+  if (aVal == null && bVal == null) return 0;
+  if (aVal == null) return 1;
+  if (bVal == null) return -1;
+
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  return direction * (aVal > bVal ? 1 : (aVal < bVal ? -1 : 0));
+}
+
+/**
+ * Run a search over `questions` with the query of GET /api/question-bank/search
+ * Returns { questions, pagination, sort } as the route sends it; ranked results carry `relevance`
+ * The sort options must have passed validateSortOptions
+ */
+function searchQuestions(questions, query = {}) {
+  const category = queryText(query.category);
+  const difficulty = queryText(query.difficulty);
+  const type = queryText(query.type);
+  const tagMatch = queryText(query.tagMatch) || 'any';
+  const search = queryText(query.search, ' ');
+  const tagList = tokenizeTagList(query.tags);
+  let results = [...questions];
+
+  // Apply filters (empty or "all" means no filter)
+  if (category && category !== 'all') {
+    results = results.filter(q => q.category === category);
+  }
+
+  if (difficulty && difficulty !== 'all') {
+    results = results.filter(q => (q.difficulty || '').toLowerCase() === difficulty.toLowerCase());
+  }
+
+  if (type && type !== 'all') {
+    const types = type.split(',').map(t => t.trim()).filter(Boolean);
+    results = results.filter(q => types.includes(q.type || 'multiple_choice'));
+  }
+
+  if (tagList.length > 0) {
+    results = results.filter(q => {
+      const questionTags = (q.tags || []).map(tag => tag.toLowerCase());
+      return tagMatch === 'all'
+        ? tagList.every(tag => questionTags.includes(tag))
+        : tagList.some(tag => questionTags.includes(tag));
+    });
+  }
+
+  // Rank by relevance when there is search text
+  let scored = results.map(question => ({ question, relevance: null }));
+  if (search.trim()) {
+    scored = scored
+      .map(entry => ({ ...entry, relevance: scoreQuestionRelevance(entry.question, search) }))
+      .filter(entry => entry.relevance > 0);
+  }
+
+  // Default to best-first relevance for text searches, ascending ID otherwise
+  const sortField = queryText(query.sortBy) || (search.trim() ? 'relevance' : 'id');
+  const order = queryText(query.sortOrder) || (sortField === 'relevance' ? 'desc' : 'asc');
+  if (sortField === 'relevance') {
+    const direction = order === 'desc' ? -1 : 1;
+    scored.sort((a, b) =>
+      direction * ((a.relevance || 0) - (b.relevance || 0)) || compareQuestions(a.question, b.question, 'id')
+    );
+  } else {
+    scored.sort((a, b) => compareQuestions(a.question, b.question, sortField, order));
+  }
+
+  // Pagination
+  const total = scored.length;
+  const { limit, offset } = parsePagination(query);
+  const page = scored.slice(offset, offset + limit);
+
+  return {
+    questions: page.map(({ question, relevance }) =>
+      relevance === null ? question : { ...question, relevance }
+    ),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: (offset + limit) < total
+    },
+    sort: { sortBy: sortField, sortOrder: order }
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  queryText,
+  parsePagination,
+  tokenizeSearchText,
+  tokenizeTagList,
+  scoreQuestionRelevance,
+  validateSortOptions,
+  compareQuestions,
+  searchQuestions
+};
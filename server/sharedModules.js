@@ -0,0 +1,51 @@
+// Shared Modules
+// The question model, CSV tools and import formats in src/ are ES modules shared with the browser.
+// CommonJS can only require() ES modules from Node 20.19 / 22.12, so load() imports them with
+// import() when the server (or a CLI script) starts. Until then each export is a stand-in that
+// forwards to its class once loaded, which lets server modules destructure them at the top as
+// usual; using one before load() throws.
+
+const SOURCES = {
+  QuestionSchema: '../src/models/QuestionSchema.js',
+  QuestionMigrations: '../src/models/QuestionMigrations.js',
+  AnswerKey: '../src/models/AnswerKey.js',
+  QuestionSimilarity: '../src/utils/QuestionSimilarity.js',
+  CSVParser: '../src/utils/CSVParser.js',
+  CSVDetector: '../src/utils/CSVDetector.js',
+  ColumnMapping: '../src/utils/ColumnMapping.js',
+  QuestionFormats: '../src/utils/QuestionFormats.js'
+};
+
+const loaded = {};
+
+function loadedClass(name) {
+  if (!loaded[name]) {
+    throw new Error(`${name} was used before the shared src/ modules were loaded (call load() first)`);
+  }
+  return loaded[name];
+}
+
+/**
+ * Stand-in for a class from src/: static members, `new` and `instanceof` reach the loaded class
+ */
+function standIn(name) {
+  return new Proxy(class {}, {
+    get: (target, property) => Reflect.get(loadedClass(name), property),
+    has: (target, property) => Reflect.has(loadedClass(name), property),
+    construct: (target, args) => Reflect.construct(loadedClass(name), args)
+  });
+}
+
+/**
+ * Import every shared module; safe to call more than once
+ */
+async function load() {
+  await Promise.all(Object.entries(SOURCES).map(async ([name, source]) => {
+    if (!loaded[name]) loaded[name] = (await import(source))[name];
+  }));
+}
+
+module.exports = {
+  load,
+  ...Object.fromEntries(Object.keys(SOURCES).map(name => [name, standIn(name)]))
+};
@@ -0,0 +1,165 @@
+// JSON File Storage Driver
+// Persists the question bank and user data as whole JSON documents (original format)
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic, removeStaleTempFiles } = require('./atomicWrite');
+
+class JSONFileStorage {
+  constructor({ questionBankFile, userDataFile, backupsDir = null, fsync = false }) {
+    this.name = 'json';
+    this.questionBankFile = questionBankFile;
+    this.userDataFile = userDataFile;
+    this.backupsDir = backupsDir;
+    this.fsync = fsync;
+    this.recoveries = [];
+  }
+
+  /**
+   * Prepare the driver: clear temp files left by writes that never reached the rename
+   */
+  async init() {
+    for (const file of [this.questionBankFile, this.userDataFile]) {
+      const stale = await removeStaleTempFiles(file);
+      if (stale.length > 0) {
+        console.warn(`🧹 Removed ${stale.length} unfinished write(s) for ${path.basename(file)}`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Load the question bank, or null if the file does not exist yet
+   * A truncated or corrupt file is restored from the newest valid backup; without one the load fails
+   * rather than reporting "no bank", so the server never saves an empty bank over it
+   */
+  async loadQuestionBank() {
+    return this.loadWithRecovery(this.questionBankFile, {
+      isValid: data => Array.isArray(data?.questions),
+      backupPrefix: 'question_bank_'
+    });
+  }
+
+  /**
+   * Save the whole question bank
+   * The change hint is ignored: JSON files are always rewritten in full
+   */
+  async saveQuestionBank(bank, changes = null) {
+    await writeFileAtomic(this.questionBankFile, JSON.stringify(bank, null, 2), { fsync: this.fsync });
+  }
+
+  /**
+   * Load user data, or null if the file does not exist yet
+   * User data has no backups, so a corrupt file is set aside and a fresh store is started
+   */
+  async loadUserData() {
+    return this.loadWithRecovery(this.userDataFile, {
+      isValid: data => Array.isArray(data?.sessions) && Array.isArray(data?.responses)
+    });
+  }
+
+  /**
+   * Save all user data (users, sessions, responses)
+   */
+  async saveUserData(userData, changes = null) {
+    await writeFileAtomic(this.userDataFile, JSON.stringify(userData, null, 2), { fsync: this.fsync });
+  }
+
+  /**
+   * Whether this driver has any stored data
+   */
+  async isEmpty() {
+    const [bank, userData] = await Promise.all([this.loadQuestionBank(), this.loadUserData()]);
+    return !bank && !userData;
+  }
+
+  async close() {}
+
+  // Read and parse a JSON file, treating a missing file as "no data"
+  async readJSON(file) {
+    try {
+      const data = await fs.readFile(file, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Load a store, moving an unreadable file aside and restoring the latest valid backup
+  // Stores kept in backups (`backupPrefix`) throw when no valid backup exists; others start fresh
+  async loadWithRecovery(file, { isValid, backupPrefix = null }) {
+    let data;
+    let problem;
+    try {
+      data = await this.readJSON(file);
+      if (data === null) return null;
+      if (isValid(data)) return data;
+      problem = 'unexpected structure';
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      problem = error.message;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const corruptFile = `${file}.corrupt-${timestamp}`;
+    await fs.rename(file, corruptFile);
+    console.warn(`⚠️ ${path.basename(file)} is damaged (${problem}); moved to ${path.basename(corruptFile)}`);
+
+    const backup = backupPrefix ? await this.findLatestBackup(backupPrefix, isValid) : null;
+    this.recoveries.push({
+      file,
+      corruptFile,
+      problem,
+      restoredFrom: backup ? backup.file : null,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!backup && backupPrefix) {
+      throw new Error(`${path.basename(file)} is damaged (${problem}) and no valid backup was found; ` +
+        `the damaged file was moved to ${path.basename(corruptFile)}. Restore it or a backup before starting again`);
+    }
+    if (!backup) {
+      console.warn(`⚠️ No backup kept for ${path.basename(file)}; starting empty`);
+      return null;
+    }
+
+    await writeFileAtomic(file, JSON.stringify(backup.data, null, 2), { fsync: this.fsync });
+    console.log(`♻️ Restored ${path.basename(file)} from backup ${path.basename(backup.file)}`);
+    return backup.data;
+  }
+
+  // Newest backup (by timestamped filename) that parses and passes validation
+  async findLatestBackup(prefix, isValid) {
+    if (!this.backupsDir) return null;
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.backupsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const candidates = entries
+      .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+      .sort()
+      .reverse();
+
+    for (const name of candidates) {
+      const file = path.join(this.backupsDir, name);
+      try {
+        const data = await this.readJSON(file);
+        if (data && isValid(data)) {
+          return { file, data };
+        }
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable backup ${name}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = { JSONFileStorage };
@@ -0,0 +1,381 @@
+// SQLite Storage Driver
+// Stores questions, uploads, revisions, review conflicts, mapping profiles, sessions and responses as indexed rows in an embedded database
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 4;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS questions (
+    id INTEGER PRIMARY KEY,
+    position INTEGER NOT NULL,
+    category TEXT,
+    difficulty TEXT,
+    type TEXT,
+    upload_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_questions_position ON questions(position);
+  CREATE INDEX IF NOT EXISTS idx_questions_category ON questions(category);
+  CREATE INDEX IF NOT EXISTS idx_questions_difficulty ON questions(difficulty);
+  CREATE INDEX IF NOT EXISTS idx_questions_type ON questions(type);
+  CREATE INDEX IF NOT EXISTS idx_questions_upload ON questions(upload_id);
+
+  CREATE TABLE IF NOT EXISTS uploads (
+    upload_id TEXT PRIMARY KEY,
+    timestamp TEXT,
+    user_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_uploads_timestamp ON uploads(timestamp);
+
+  CREATE TABLE IF NOT EXISTS revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    question_id INTEGER NOT NULL,
+    version INTEGER NOT NULL,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_revisions_question ON revisions(question_id, version);
+
+  CREATE TABLE IF NOT EXISTS conflicts (
+    id TEXT PRIMARY KEY,
+    status TEXT,
+    upload_id TEXT,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_conflicts_upload ON conflicts(upload_id);
+
+  CREATE TABLE IF NOT EXISTS mapping_profiles (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    updated_at TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS metadata (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    user_id TEXT,
+    start_time TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_start ON sessions(start_time);
+
+  CREATE TABLE IF NOT EXISTS responses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT,
+    user_id TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_responses_session ON responses(session_id);
+  CREATE INDEX IF NOT EXISTS idx_responses_user ON responses(user_id);
+  CREATE INDEX IF NOT EXISTS idx_responses_timestamp ON responses(timestamp);
+`;
+
+class SQLiteStorage {
+  constructor({ databaseFile, fsync = false }) {
+    this.name = 'sqlite';
+    this.databaseFile = databaseFile;
+    this.fsync = fsync;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create tables on first use
+   */
+  async init() {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the optional "better-sqlite3" package. Run "npm install better-sqlite3" or set STORAGE_DRIVER=json.');
+    }
+
+    fs.mkdirSync(path.dirname(this.databaseFile), { recursive: true });
+    this.db = new Database(this.databaseFile);
+    this.db.pragma('journal_mode = WAL');
+    // Transactions are already atomic under WAL; FULL also syncs every commit to disk
+    this.db.pragma(`synchronous = ${this.fsync ? 'FULL' : 'NORMAL'}`);
+    this.db.pragma('foreign_keys = ON');
+
+    const currentVersion = this.db.pragma('user_version', { simple: true });
+    if (currentVersion < SCHEMA_VERSION) {
+      this.db.exec(SCHEMA_SQL);
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    this.prepareStatements();
+    return this;
+  }
+
+  /**
+   * Prepare statements reused by the targeted (hinted) writes
+   */
+  prepareStatements() {
+    this.statements = {
+      upsertQuestion: this.db.prepare(`
+        INSERT INTO questions (id, position, category, difficulty, type, upload_id, data)
+        VALUES (@id, COALESCE(@position, (SELECT COALESCE(MAX(position), -1) + 1 FROM questions)),
+                @category, @difficulty, @type, @upload_id, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          position = COALESCE(@position, questions.position),
+          category = excluded.category,
+          difficulty = excluded.difficulty,
+          type = excluded.type,
+          upload_id = excluded.upload_id,
+          data = excluded.data
+      `),
+      deleteQuestion: this.db.prepare('DELETE FROM questions WHERE id = ?'),
+      upsertUpload: this.db.prepare(`
+        INSERT INTO uploads (upload_id, timestamp, user_id, data)
+        VALUES (@upload_id, @timestamp, @user_id, @data)
+        ON CONFLICT(upload_id) DO UPDATE SET
+          timestamp = excluded.timestamp, user_id = excluded.user_id, data = excluded.data
+      `),
+      insertRevision: this.db.prepare(`
+        INSERT INTO revisions (question_id, version, timestamp, data)
+        VALUES (@question_id, @version, @timestamp, @data)
+      `),
+      upsertConflict: this.db.prepare(`
+        INSERT INTO conflicts (id, status, upload_id, created_at, data)
+        VALUES (@id, @status, @upload_id, @created_at, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          status = excluded.status, upload_id = excluded.upload_id, data = excluded.data
+      `),
+      deleteConflict: this.db.prepare('DELETE FROM conflicts WHERE id = ?'),
+      upsertMappingProfile: this.db.prepare(`
+        INSERT INTO mapping_profiles (id, name, updated_at, data)
+        VALUES (@id, @name, @updated_at, @data)
+        ON CONFLICT(id) DO UPDATE SET
+          name = excluded.name, updated_at = excluded.updated_at, data = excluded.data
+      `),
+      deleteMappingProfile: this.db.prepare('DELETE FROM mapping_profiles WHERE id = ?'),
+      upsertMetadata: this.db.prepare(`
+        INSERT INTO metadata (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value
+      `),
+      upsertUser: this.db.prepare(`
+        INSERT INTO users (user_id, data) VALUES (@user_id, @data)
+        ON CONFLICT(user_id) DO UPDATE SET data = excluded.data
+      `),
+      upsertSession: this.db.prepare(`
+        INSERT INTO sessions (session_id, user_id, start_time, data)
+        VALUES (@session_id, @user_id, @start_time, @data)
+        ON CONFLICT(session_id) DO UPDATE SET
+          user_id = excluded.user_id, start_time = excluded.start_time, data = excluded.data
+      `),
+      insertResponse: this.db.prepare(`
+        INSERT INTO responses (session_id, user_id, timestamp, data)
+        VALUES (@session_id, @user_id, @timestamp, @data)
+      `)
+    };
+  }
+
+  /**
+   * Load the question bank, or null if nothing has been stored yet
+   */
+  async loadQuestionBank() {
+    const metadataRow = this.db.prepare("SELECT value FROM metadata WHERE key = 'question_bank'").get();
+    if (!metadataRow) return null;
+
+    return {
+      questions: this.readRows('questions', 'SELECT rowid AS row_id, data FROM questions ORDER BY position'),
+      uploads: this.readRows('uploads', 'SELECT rowid AS row_id, data FROM uploads ORDER BY timestamp'),
+      revisions: this.readRows('revisions', 'SELECT rowid AS row_id, data FROM revisions ORDER BY id'),
+      conflicts: this.readRows('conflicts', 'SELECT rowid AS row_id, data FROM conflicts ORDER BY created_at'),
+      mappingProfiles: this.readRows('mapping_profiles', 'SELECT rowid AS row_id, data FROM mapping_profiles ORDER BY name'),
+      metadata: this.parseRow('metadata', 'question_bank', metadataRow.value)
+    };
+  }
+
+  /**
+   * Save the question bank
+   * With a change hint only the listed rows are written; without one the tables are fully synced
+   */
+  async saveQuestionBank(bank, changes = null) {
+    const write = this.db.transaction(() => {
+      if (changes) {
+        (changes.deleteQuestionIds || []).forEach(id => this.statements.deleteQuestion.run(id));
+        (changes.upsertQuestions || []).forEach(q => this.statements.upsertQuestion.run(this.questionRow(q)));
+        (changes.upsertUploads || []).forEach(u => this.statements.upsertUpload.run(this.uploadRow(u)));
+        (changes.insertRevisions || []).forEach(r => this.statements.insertRevision.run(this.revisionRow(r)));
+        (changes.deleteConflictIds || []).forEach(id => this.statements.deleteConflict.run(id));
+        (changes.upsertConflicts || []).forEach(c => this.statements.upsertConflict.run(this.conflictRow(c)));
+        (changes.deleteMappingProfileIds || []).forEach(id => this.statements.deleteMappingProfile.run(id));
+        (changes.upsertMappingProfiles || []).forEach(p => this.statements.upsertMappingProfile.run(this.mappingProfileRow(p)));
+      } else {
+        this.db.prepare('DELETE FROM questions').run();
+        this.db.prepare('DELETE FROM uploads').run();
+        this.db.prepare('DELETE FROM revisions').run();
+        this.db.prepare('DELETE FROM conflicts').run();
+        this.db.prepare('DELETE FROM mapping_profiles').run();
+        bank.questions.forEach((q, index) => this.statements.upsertQuestion.run(this.questionRow(q, index)));
+        (bank.uploads || []).forEach(u => this.statements.upsertUpload.run(this.uploadRow(u)));
+        (bank.revisions || []).forEach(r => this.statements.insertRevision.run(this.revisionRow(r)));
+        (bank.conflicts || []).forEach(c => this.statements.upsertConflict.run(this.conflictRow(c)));
+        (bank.mappingProfiles || []).forEach(p => this.statements.upsertMappingProfile.run(this.mappingProfileRow(p)));
+      }
+
+      this.statements.upsertMetadata.run('question_bank', JSON.stringify(bank.metadata || {}));
+    });
+
+    write();
+  }
+
+  /**
+   * Load user data, or null if nothing has been stored yet
+   */
+  async loadUserData() {
+    const initialized = this.db.prepare("SELECT value FROM metadata WHERE key = 'user_data'").get();
+    if (!initialized) return null;
+
+    return {
+      users: this.readRows('users', 'SELECT rowid AS row_id, data FROM users'),
+      sessions: this.readRows('sessions', 'SELECT rowid AS row_id, data FROM sessions ORDER BY start_time'),
+      responses: this.readRows('responses', 'SELECT rowid AS row_id, data FROM responses ORDER BY id')
+    };
+  }
+
+  // Parsed `data` column of every row a query returns; a row that does not parse fails the whole load
+  readRows(table, sql) {
+    return this.db.prepare(sql).all().map(row => this.parseRow(table, row.row_id, row.data));
+  }
+
+  parseRow(table, key, json) {
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Corrupt ${table} row ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save user data
+   * With a change hint only new responses and changed sessions/users are written
+   */
+  async saveUserData(userData, changes = null) {
+    const write = this.db.transaction(() => {
+      if (changes) {
+        (changes.upsertUsers || []).forEach(u => this.statements.upsertUser.run(this.userRow(u)));
+        (changes.upsertSessions || []).forEach(s => this.statements.upsertSession.run(this.sessionRow(s)));
+        (changes.insertResponses || []).forEach(r => this.statements.insertResponse.run(this.responseRow(r)));
+      } else {
+        this.db.prepare('DELETE FROM users').run();
+        this.db.prepare('DELETE FROM sessions').run();
+        this.db.prepare('DELETE FROM responses').run();
+        (userData.users || []).forEach(u => this.statements.upsertUser.run(this.userRow(u)));
+        (userData.sessions || []).forEach(s => this.statements.upsertSession.run(this.sessionRow(s)));
+        (userData.responses || []).forEach(r => this.statements.insertResponse.run(this.responseRow(r)));
+      }
+
+      this.statements.upsertMetadata.run('user_data', JSON.stringify({ initialized: true }));
+    });
+
+    write();
+  }
+
+  /**
+   * Whether the database has any stored data
+   */
+  async isEmpty() {
+    return !this.db.prepare('SELECT 1 FROM metadata LIMIT 1').get();
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  // Row mappers: indexed columns are denormalized, the full record is kept as JSON
+  questionRow(question, position = null) {
+    return {
+      id: question.id,
+      position,
+      category: question.category || null,
+      difficulty: question.difficulty || null,
+      type: question.type || null,
+      upload_id: question.source?.uploadId || null,
+      data: JSON.stringify(question)
+    };
+  }
+
+  uploadRow(upload) {
+    return {
+      upload_id: upload.uploadId,
+      timestamp: upload.timestamp || null,
+      user_id: upload.userId || null,
+      data: JSON.stringify(upload)
+    };
+  }
+
+  revisionRow(revision) {
+    return {
+      question_id: revision.questionId,
+      version: revision.version,
+      timestamp: revision.timestamp || null,
+      data: JSON.stringify(revision)
+    };
+  }
+
+  conflictRow(conflict) {
+    return {
+      id: conflict.id,
+      status: conflict.status || null,
+      upload_id: conflict.uploadId || null,
+      created_at: conflict.createdAt || null,
+      data: JSON.stringify(conflict)
+    };
+  }
+
+  mappingProfileRow(profile) {
+    return {
+      id: profile.id,
+      name: profile.name || null,
+      updated_at: profile.updatedAt || null,
+      data: JSON.stringify(profile)
+    };
+  }
+
+  userRow(user) {
+    return {
+      user_id: String(user.userId || user.id),
+      data: JSON.stringify(user)
+    };
+  }
+
+  sessionRow(session) {
+    return {
+      session_id: session.sessionId,
+      user_id: session.userId || null,
+      start_time: session.startTime || null,
+      data: JSON.stringify(session)
+    };
+  }
+
+  responseRow(response) {
+    return {
+      session_id: response.sessionId || null,
+      user_id: response.userId || null,
+      timestamp: response.timestamp || null,
+      data: JSON.stringify(response)
+    };
+  }
+}
+
+module.exports = { SQLiteStorage };
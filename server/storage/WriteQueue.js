@@ -0,0 +1,32 @@
+// Write Queue
+// Runs async tasks one at a time so a store's mutate-and-save steps never interleave
+
+class WriteQueue {
+  constructor(name) {
+    this.name = name;
+    this.tail = Promise.resolve();
+    this.pending = 0;
+  }
+
+  /**
+   * Run a task after every previously queued task has settled
+   * Resolves/rejects with the task's own result; a failed task does not block the queue
+   */
+  run(task) {
+    this.pending++;
+    const result = this.tail.then(() => task());
+    this.tail = result.catch(() => {}).finally(() => {
+      this.pending--;
+    });
+    return result;
+  }
+
+  /**
+   * Resolve once all currently queued tasks have finished
+   */
+  async drain() {
+    await this.tail;
+  }
+}
+
+module.exports = { WriteQueue };
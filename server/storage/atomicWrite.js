@@ -0,0 +1,77 @@
+// Atomic File Writes
+// Write to a temp file in the same directory, optionally fsync, then rename over the target
+
+const fs = require('fs').promises;
+const path = require('path');
+
+let tempCounter = 0;
+
+/**
+ * Replace `file` with `contents` so readers only ever see the old or the new version
+ * With `fsync` the data and the directory entry are flushed to disk before resolving
+ */
+async function writeFileAtomic(file, contents, { fsync = false } = {}) {
+  const tempFile = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${++tempCounter}.tmp`
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(tempFile, 'w');
+    await handle.writeFile(contents);
+    if (fsync) {
+      await handle.sync();
+    }
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempFile, file);
+
+    if (fsync) {
+      await syncDirectory(path.dirname(file));
+    }
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+// Flush the rename itself; not supported on every platform (e.g. Windows), so failures are ignored
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.open(dir, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Directory fsync is best effort
+  } finally {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Remove temp files left behind by writes interrupted mid-way
+ */
+async function removeStaleTempFiles(file) {
+  const dir = path.dirname(file);
+  const prefix = `.${path.basename(file)}.`;
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (error) {
+    return [];
+  }
+
+  const stale = entries.filter(name => name.startsWith(prefix) && name.endsWith('.tmp'));
+  await Promise.all(stale.map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+  return stale;
+}
+
+module.exports = { writeFileAtomic, removeStaleTempFiles };
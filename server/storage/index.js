@@ -0,0 +1,93 @@
+// Storage Layer
+// Selects the persistence driver and migrates the legacy JSON files into SQLite
+
+const path = require('path');
+const { JSONFileStorage } = require('./JSONFileStorage');
+const { SQLiteStorage } = require('./SQLiteStorage');
+const { WriteQueue } = require('./WriteQueue');
+const { writeFileAtomic } = require('./atomicWrite');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+const DEFAULT_PATHS = {
+  questionBankFile: path.join(ROOT_DIR, 'data', 'question_bank.json'),
+  userDataFile: path.join(ROOT_DIR, 'user_data.json'),
+  backupsDir: path.join(ROOT_DIR, 'data', 'backups'),
+  databaseFile: path.join(ROOT_DIR, 'data', 'quiz.db')
+};
+
+/**
+ * Create (but do not open) the storage driver selected by STORAGE_DRIVER
+ */
+function createStorage(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase();
+  const paths = {
+    ...DEFAULT_PATHS,
+    ...(process.env.SQLITE_FILE ? { databaseFile: path.resolve(ROOT_DIR, process.env.SQLITE_FILE) } : {}),
+    fsync: process.env.STORAGE_FSYNC === 'true',
+    ...options
+  };
+
+  switch (driver) {
+    case 'json':
+      return new JSONFileStorage(paths);
+    case 'sqlite':
+      return new SQLiteStorage(paths);
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Expected "json" or "sqlite".`);
+  }
+}
+
+/**
+ * Copy the legacy JSON files into an (already initialized) SQLite store
+ * Skips if the target already holds data unless `force` is set
+ */
+async function migrateJSONToSQLite(target, options = {}) {
+  const source = new JSONFileStorage({ ...DEFAULT_PATHS, ...options });
+
+  if (!options.force && !(await target.isEmpty())) {
+    return { migrated: false, reason: 'Target storage already contains data' };
+  }
+
+  const [bank, userData] = await Promise.all([source.loadQuestionBank(), source.loadUserData()]);
+  if (!bank && !userData) {
+    return { migrated: false, reason: 'No JSON data files found' };
+  }
+
+  if (bank) await target.saveQuestionBank(bank);
+  if (userData) await target.saveUserData(userData);
+
+  return {
+    migrated: true,
+    questions: bank?.questions?.length || 0,
+    uploads: bank?.uploads?.length || 0,
+    sessions: userData?.sessions?.length || 0,
+    responses: userData?.responses?.length || 0
+  };
+}
+
+/**
+ * Open the configured driver, migrating JSON data on first SQLite start
+ */
+async function initStorage(options = {}) {
+  const storage = createStorage(options);
+  await storage.init();
+
+  if (storage.name === 'sqlite' && await storage.isEmpty()) {
+    const result = await migrateJSONToSQLite(storage, options);
+    if (result.migrated) {
+      console.log(`📦 Migrated JSON data to SQLite: ${result.questions} questions, ${result.uploads} uploads, ${result.sessions} sessions, ${result.responses} responses`);
+    }
+  }
+
+  return storage;
+}
+
+module.exports = {
+  DEFAULT_PATHS,
+  WriteQueue,
+  writeFileAtomic,
+  createStorage,
+  initStorage,
+  migrateJSONToSQLite
+};
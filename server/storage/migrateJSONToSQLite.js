@@ -0,0 +1,29 @@
+// One-shot migration of data/question_bank.json and user_data.json into SQLite
+// Usage: npm run migrate:sqlite [-- --force]
+
+require('dotenv').config();
+const { createStorage, migrateJSONToSQLite } = require('./index');
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const storage = createStorage({ driver: 'sqlite' });
+  await storage.init();
+
+  try {
+    const result = await migrateJSONToSQLite(storage, { force });
+
+    if (result.migrated) {
+      console.log(`✅ Migrated to ${storage.databaseFile}`);
+      console.log(`   ${result.questions} questions, ${result.uploads} uploads, ${result.sessions} sessions, ${result.responses} responses`);
+    } else {
+      console.log(`⏭️ Migration skipped: ${result.reason}${force ? '' : ' (use --force to overwrite)'}`);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// Run (or preview) the question bank schema migrations without starting the server
+// Usage: npm run migrate:bank [-- --dry-run]   (stop the server first; it migrates on start anyway)
+
+require('dotenv').config();
+const path = require('path');
+const { createStorage, writeFileAtomic, DEFAULT_PATHS } = require('./index');
+const sharedModules = require('../sharedModules');
+const questionModel = require('../questionModel');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await sharedModules.load();
+  const storage = createStorage();
+  await storage.init();
+
+  try {
+    const bank = await storage.loadQuestionBank();
+    if (!bank) {
+      console.log('⏭️ No question bank to migrate');
+      return;
+    }
+    if (!questionModel.bankNeedsMigration(bank)) {
+      console.log(`✅ Question bank is already at schema ${bank.metadata.schemaVersion}`);
+      return;
+    }
+
+    let backupFile = null;
+    if (!dryRun) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      backupFile = path.join(DEFAULT_PATHS.backupsDir, `question_bank_${timestamp}.json`);
+      await writeFileAtomic(backupFile, JSON.stringify(bank, null, 2), { fsync: storage.fsync });
+      console.log(`📦 Backup created: ${backupFile}`);
+    }
+
+    const result = questionModel.migrateQuestionBank(bank, { dryRun, backup: backupFile && path.basename(backupFile) });
+    console.log(`🔄 ${dryRun ? 'Would migrate' : 'Migrated'} question bank from schema ${result.from} to ${result.to}`);
+    result.steps.forEach(step => {
+      console.log(`   ${step.version} ${step.name}: ${step.changed} questions ${dryRun ? 'to change' : 'changed'}`);
+    });
+    result.invalid.forEach(({ id, errors }) => {
+      console.warn(`⚠️ Question ${id} does not pass the question schema: ${errors.map(error => error.message).join(', ')}`);
+    });
+
+    if (!dryRun) await storage.saveQuestionBank(bank);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+// Upload History
+// Journals the questions each CSV upload added or changed so the upload can be rolled back
+
+const crypto = require('crypto');
+
+/**
+ * Stable fingerprint of a stored question, used to detect edits made after an upload
+ */
+function questionFingerprint(question) {
+  return crypto.createHash('sha1').update(JSON.stringify(question)).digest('hex');
+}
+
+/**
+ * Start an empty journal (question id -> entry) for one upload
+ */
+function createUploadJournal() {
+  return new Map();
+}
+
+/**
+ * Record a question the upload created
+ */
+function recordAdded(journal, question) {
+  if (!journal.has(question.id)) {
+    journal.set(question.id, { id: question.id, action: 'added' });
+  }
+}
+
+/**
+ * Record the pre-merge state of a question the upload is about to change
+ * Only the first touch counts, so the snapshot is always the state before the upload
+ */
+function recordUpdated(journal, existingQuestion) {
+  if (!journal.has(existingQuestion.id)) {
+    journal.set(existingQuestion.id, {
+      id: existingQuestion.id,
+      action: 'updated',
+      before: JSON.parse(JSON.stringify(existingQuestion))
+    });
+  }
+}
+
+/**
+ * Turn a journal into the `questionChanges` stored on the upload record
+ * Each entry keeps a fingerprint of the question as the upload left it
+ */
+function finalizeUploadJournal(journal, questions) {
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const questionChanges = { added: [], updated: [] };
+
+  for (const entry of journal.values()) {
+    const current = byId.get(entry.id);
+    const afterHash = current ? questionFingerprint(current) : null;
+
+    if (entry.action === 'added') {
+      questionChanges.added.push({ id: entry.id, afterHash });
+    } else {
+      questionChanges.updated.push({ id: entry.id, before: entry.before, afterHash });
+    }
+  }
+
+  return questionChanges;
+}
+
+/**
+ * Add a change made on behalf of an upload after it was saved (e.g. a resolved review conflict)
+ * Pass `before = null` for a question the upload added; a question the upload already touched keeps its first entry
+ */
+function appendUploadChange(uploadRecord, question, before = null) {
+  const changes = uploadRecord.questionChanges;
+  if (!changes) return;
+
+  const afterHash = questionFingerprint(question);
+  const existing = [...changes.added, ...changes.updated].find(entry => entry.id === question.id);
+  if (existing) {
+    existing.afterHash = afterHash;
+  } else if (before) {
+    changes.updated.push({ id: question.id, before: JSON.parse(JSON.stringify(before)), afterHash });
+  } else {
+    changes.added.push({ id: question.id, afterHash });
+  }
+}
+
+/**
+ * Work out what rolling back an upload would do to the current questions
+ * Questions edited since the upload are reported as conflicts and left alone unless `force` is set
+ */
+function planUploadRollback(uploadRecord, questions, { force = false } = {}) {
+  const byId = new Map(questions.map(q => [q.id, q]));
+  const plan = { remove: [], restore: [], conflicts: [], legacy: false };
+
+  // Uploads recorded before journaling only tell us which questions they created
+  if (!uploadRecord.questionChanges) {
+    plan.legacy = true;
+    plan.remove = questions
+      .filter(q => q.source?.uploadId === uploadRecord.uploadId)
+      .map(q => ({ id: q.id, question: q }));
+    return plan;
+  }
+
+  for (const { id, afterHash } of uploadRecord.questionChanges.added) {
+    const current = byId.get(id);
+    if (!current) {
+      plan.conflicts.push({ id, reason: 'already deleted' });
+    } else if (questionFingerprint(current) !== afterHash && !force) {
+      plan.conflicts.push({ id, reason: 'modified since upload' });
+    } else {
+      plan.remove.push({ id, question: current });
+    }
+  }
+
+  for (const { id, before, afterHash } of uploadRecord.questionChanges.updated) {
+    const current = byId.get(id) || null;
+    if (!current && !force) {
+      plan.conflicts.push({ id, reason: 'deleted since upload' });
+    } else if (current && questionFingerprint(current) !== afterHash && !force) {
+      plan.conflicts.push({ id, reason: 'modified since upload' });
+    } else {
+      plan.restore.push({ id, current, before });
+    }
+  }
+
+  return plan;
+}
+
+module.exports = {
+  questionFingerprint,
+  createUploadJournal,
+  recordAdded,
+  recordUpdated,
+  finalizeUploadJournal,
+  appendUploadChange,
+  planUploadRollback
+};
@@ -0,0 +1,37 @@
+// Upload Plans
+// A dry-run upload runs the whole import pipeline against a copy of the bank and returns what each
+// row would do (add, update, skip, review or error) instead of saving anything
+
+const backups = require('./backups');
+
+/**
+ * The questions and revision log an upload works on
+ * Dry runs get copies, so rows can be added, merged and revised without touching the bank; real
+ * uploads get the bank's own arrays
+ */
+function uploadWorkspace(bank, { dryRun = false } = {}) {
+  if (!dryRun) {
+    return { questions: bank.questions, revisionLog: bank.revisions };
+  }
+  return {
+    questions: JSON.parse(JSON.stringify(bank.questions)),
+    revisionLog: [...bank.revisions]
+  };
+}
+
+/**
+ * Plan entry for a row that changes `before` into `after`, listing the fields that change
+ */
+function updatePlanEntry(rowPlan, before, after) {
+  return {
+    ...rowPlan,
+    action: 'update',
+    id: after.id,
+    fields: backups.diffQuestionFields(before, after)
+  };
+}
+
+module.exports = {
+  uploadWorkspace,
+  updatePlanEntry
+};
@@ -0,0 +1,170 @@
+// XML Documents
+// Small non-validating XML parser and helpers for reading QTI packages, plus escaping for the
+// XML the exports write. Elements are { name, localName, attributes, children } where children
+// are elements or text strings; namespace prefixes are kept in `name` and dropped in `localName`.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replace character and predefined entity references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Escape text or attribute values for XML output
+ */
+function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function createElement(name, attributes) {
+  return { name, localName: name.includes(':') ? name.slice(name.indexOf(':') + 1) : name, attributes, children: [] };
+}
+
+// 1-based line of an offset, for error messages
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Parse an XML document and return its root element
+ * Throws an Error naming the line for malformed input (unclosed or mismatched tags)
+ */
+function parseXML(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const root = createElement('#document', {});
+  const stack = [root];
+  const attributePattern = /([^\s=/>]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let position = 0;
+
+  const fail = (message, offset = position) => {
+    throw new Error(`XML parse error on line ${lineAt(source, offset)}: ${message}`);
+  };
+
+  while (position < source.length) {
+    const tagStart = source.indexOf('<', position);
+    const textEnd = tagStart === -1 ? source.length : tagStart;
+
+    if (textEnd > position) {
+      const textValue = source.slice(position, textEnd);
+      if (stack.length > 1) {
+        stack[stack.length - 1].children.push(decodeEntities(textValue));
+      } else if (textValue.trim()) {
+        fail('Text outside the root element');
+      }
+    }
+    if (tagStart === -1) break;
+    position = tagStart;
+
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position + 4);
+      if (end === -1) fail('Unterminated comment');
+      position = end + 3;
+    } else if (source.startsWith('<![CDATA[', position)) {
+      const end = source.indexOf(']]>', position + 9);
+      if (end === -1) fail('Unterminated CDATA section');
+      stack[stack.length - 1].children.push(source.slice(position + 9, end));
+      position = end + 3;
+    } else if (source.startsWith('<?', position)) {
+      const end = source.indexOf('?>', position + 2);
+      if (end === -1) fail('Unterminated processing instruction');
+      position = end + 2;
+    } else if (source.startsWith('<!', position)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      const bracket = source.indexOf('[', position);
+      const close = source.indexOf('>', position);
+      const end = bracket !== -1 && bracket < close ? source.indexOf(']>', bracket) + 1 : close;
+      if (end <= 0) fail('Unterminated declaration');
+      position = end + 1;
+    } else if (source.startsWith('</', position)) {
+      const end = source.indexOf('>', position);
+      if (end === -1) fail('Unterminated closing tag');
+      const name = source.slice(position + 2, end).trim();
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== name) {
+        fail(`Closing tag </${name}> does not match <${open.name}>`);
+      }
+      position = end + 1;
+    } else {
+      // Opening or self-closing tag; attribute values may contain ">"
+      const tagPattern = /<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+      tagPattern.lastIndex = position;
+      const match = tagPattern.exec(source);
+      if (!match) fail('Malformed tag');
+
+      const attributes = {};
+      for (const [, name, , doubleQuoted, singleQuoted] of match[2].matchAll(attributePattern)) {
+        attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+      }
+      const element = createElement(match[1], attributes);
+      stack[stack.length - 1].children.push(element);
+      if (!match[3]) stack.push(element);
+      position = tagPattern.lastIndex;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`<${stack[stack.length - 1].name}> is never closed`, source.length);
+  }
+  const documentElement = root.children.find(child => typeof child !== 'string');
+  if (!documentElement) {
+    fail('No root element');
+  }
+  return documentElement;
+}
+
+/**
+ * Child elements, optionally only those with a local name
+ */
+function childElements(element, localName = null) {
+  return element.children.filter(child => typeof child !== 'string' && (!localName || child.localName === localName));
+}
+
+/**
+ * First child element with a local name, or null
+ */
+function childElement(element, localName) {
+  return childElements(element, localName)[0] || null;
+}
+
+/**
+ * All descendant elements with a local name, in document order
+ */
+function findElements(element, localName) {
+  const found = [];
+  for (const child of childElements(element)) {
+    if (child.localName === localName) found.push(child);
+    found.push(...findElements(child, localName));
+  }
+  return found;
+}
+
+/**
+ * Concatenated text of an element and its descendants
+ */
+function textContent(element) {
+  return element.children.map(child => (typeof child === 'string' ? child : textContent(child))).join('');
+}
+
+module.exports = {
+  parseXML,
+  escapeXML,
+  decodeEntities,
+  childElements,
+  childElement,
+  findElements,
+  textContent
+};
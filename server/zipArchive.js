@@ -0,0 +1,181 @@
+// Zip Archives
+// Minimal reader and writer for the zip packages used by QTI import/export. Supports stored and
+// deflated entries (what LMS exports contain); zip64, encryption and multi-disk archives are rejected.
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// Largest entry we inflate, so a small upload cannot expand into gigabytes
+const MAX_ENTRY_BYTES = 50 * 1024 * 1024;
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields for a Date
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive from [{ name, data }] (data as a Buffer or string); entries are deflated
+ */
+function createZip(entries, { modified = new Date() } = {}) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);         // Version needed to extract
+    local.writeUInt16LE(0x0800, 6);     // UTF-8 file names
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);         // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);       // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);  // Extra, comment, disk and attribute fields stay 0
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Position of the end-of-central-directory record (it may be followed by a comment of up to 64KB)
+function findEndOfCentralDirectory(buffer) {
+  const earliest = Math.max(0, buffer.length - 22 - 0xFFFF);
+  for (let i = buffer.length - 22; i >= earliest; i--) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read every file in a zip archive; returns [{ name, data }] with directories left out
+ * Throws on archives it cannot read (not a zip, zip64, encrypted or unsupported compression)
+ */
+function readZip(buffer) {
+  const endOffset = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (endOffset === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+    throw new Error('Zip64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      throw new Error(`Encrypted zip entries are not supported (${name})`);
+    }
+    if (size > MAX_ENTRY_BYTES) {
+      throw new Error(`Zip entry ${name} is too large (${size} bytes)`);
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error(`Corrupt zip entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === STORED) {
+      data = raw;
+    } else if (method === DEFLATED) {
+      data = zlib.inflateRawSync(raw, { maxOutputLength: MAX_ENTRY_BYTES });
+    } else {
+      throw new Error(`Unsupported compression method ${method} for ${name}`);
+    }
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
+
+/**
+ * Whether a buffer starts like a zip archive
+ */
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  isZip,
+  crc32
+};
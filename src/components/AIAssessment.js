@@ -78,6 +78,21 @@ export class AIAssessment {
     }
   }
 
+  /**
+   * Get feedback on one answer from a results entry (see QuestionService.scoreQuestion)
+   */
+  async getAnswerFeedback(entry) {
+    const result = await this.apiService.assessAnswer({
+      questionText: entry.question,
+      userAnswerArray: entry.userAnswerArray,
+      correctAnswerArray: entry.correctAnswerArray
+    });
+
+    return result.success
+      ? { success: true, assessment: result.assessment }
+      : { success: false, error: result.error, retryable: result.retryable };
+  }
+
   /**
    * Prepare data for AI assessment
    */
@@ -88,8 +103,10 @@ export class AIAssessment {
       quiz: {
         totalQuestions: questions.length,
         correctAnswers: results.correct,
-        incorrectAnswers: results.total - results.correct,
+        incorrectAnswers: results.incorrect,
         percentage: results.percentage,
+        rawPoints: results.rawPoints,
+        maxPoints: results.maxPoints,
         sectionResults: results.sectionResults
       },
       questions: questions.map((q, index) => ({
@@ -98,12 +115,15 @@ export class AIAssessment {
         section: q.section || 'General',
         userAnswer: q.userAnswer,
         correctAnswer: q.correctAnswer,
-        isCorrect: q.userAnswer === q.correctAnswer,
+        userAnswerArray: q.userAnswerArray,
+        correctAnswerArray: q.correctAnswerArray,
+        isCorrect: q.isCorrect,
+        type: q.type || 'multiple_choice',
         options: q.options
       })),
       metadata: {
         timestamp: new Date().toISOString(),
-        quizType: 'multiple-choice',
+        quizType: new Set(questions.map(q => q.type || 'multiple_choice')).size > 1 ? 'mixed' : 'multiple-choice',
         version: '1.0'
       }
     };
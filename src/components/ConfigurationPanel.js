@@ -2,6 +2,11 @@
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 import { ValidationHelpers } from '../utils/ValidationHelpers.js';
 import { EventManager } from '../utils/EventManager.js';
+import { CSVParser } from '../utils/CSVParser.js';
+import { CSVDetector } from '../utils/CSVDetector.js';
+import { ColumnMapping } from '../utils/ColumnMapping.js';
+import { QuestionFormats } from '../utils/QuestionFormats.js';
+import { ScoringPolicy } from '../utils/ScoringPolicy.js';
 
 export class ConfigurationPanel {
   constructor(container, storageService, apiService, notifications) {
@@ -25,6 +30,8 @@ export class ConfigurationPanel {
     
     // Load initial question bank statistics
     this.refreshQuestionBankStats();
+    this.refreshBackups();
+    this.refreshConflicts();
   }
 
   /**
@@ -79,8 +86,8 @@ export class ConfigurationPanel {
               <div class="csv-drop-zone" id="csvDropZone">
                 <div class="drop-zone-content">
                   <div class="drop-icon">📁</div>
-                  <p>Drag & drop CSV files here or <span class="browse-link" id="browseCsvs">browse files</span></p>
-                  <input type="file" id="multiCsvFiles" accept=".csv" multiple style="display: none;">
+                  <p>Drag & drop CSV, Markdown, GIFT, Aiken or QTI (.zip) files here or <span class="browse-link" id="browseCsvs">browse files</span></p>
+                  <input type="file" id="multiCsvFiles" accept="${QuestionFormats.IMPORT_EXTENSIONS.join(',')}" multiple style="display: none;">
                 </div>
               </div>
 
@@ -93,8 +100,24 @@ export class ConfigurationPanel {
                     <option value="overwrite">Overwrite existing</option>
                     <option value="force">Create new (force)</option>
                     <option value="merge">Merge fields</option>
+                    <option value="review">Review each conflict</option>
                   </select>
                 </div>
+                <div class="form-group">
+                  <label for="probableStrategy">Probable Duplicates:</label>
+                  <select id="probableStrategy" class="form-control">
+                    <option value="skip">Skip (default)</option>
+                    <option value="force">Add as new</option>
+                    <option value="overwrite">Overwrite existing</option>
+                    <option value="merge">Merge fields</option>
+                    <option value="review">Review each conflict</option>
+                  </select>
+                  <small class="help-text">Similar but not identical questions (punctuation, reordered options, rewording)</small>
+                </div>
+                <div class="form-group">
+                  <label for="duplicateThreshold">Similarity Threshold:</label>
+                  <input type="number" id="duplicateThreshold" class="form-control" min="0.5" max="1" step="0.05" value="0.8">
+                </div>
                 <div class="form-group">
                   <label for="uploadStrictness">Validation Mode:</label>
                   <select id="uploadStrictness" class="form-control">
@@ -112,7 +135,7 @@ export class ConfigurationPanel {
                 <!-- Action Buttons -->
                 <div class="upload-actions">
                   <button type="button" id="clearFiles" class="btn btn-secondary">Clear All</button>
-                  <button type="button" id="uploadFiles" class="btn btn-primary" disabled>Upload to Question Bank</button>
+                  <button type="button" id="uploadFiles" class="btn btn-primary" disabled>Preview Upload</button>
                 </div>
               </div>
 
@@ -141,6 +164,47 @@ export class ConfigurationPanel {
             </div>
           </div>
 
+          <!-- Merge Conflict Review -->
+          <div class="config-section">
+            <h3>Merge Conflicts</h3>
+            <div id="conflictList" class="conflict-list">
+              <div class="stats-loading">Loading conflicts...</div>
+            </div>
+            <div class="form-group conflict-bulk">
+              <button type="button" id="refreshConflicts" class="btn btn-secondary">Refresh Conflicts</button>
+              <select id="conflictBulkAction" class="form-control">
+                <option value="keep">Keep existing</option>
+                <option value="replace">Replace with incoming</option>
+                <option value="merge">Merge non-empty fields</option>
+                <option value="keep_both">Keep both</option>
+              </select>
+              <button type="button" id="resolveSelectedConflicts" class="btn btn-outline">Apply to Selected</button>
+            </div>
+          </div>
+
+          <!-- Backup Management -->
+          <div class="config-section">
+            <h3>Backups</h3>
+            <div id="backupList" class="backup-list">
+              <div class="stats-loading">Loading backups...</div>
+            </div>
+            <div id="backupDetails" class="backup-details" style="display: none;"></div>
+            <div class="backup-retention">
+              <div class="form-group">
+                <label for="backupKeepLast">Keep newest:</label>
+                <input type="number" id="backupKeepLast" min="0" class="form-control" placeholder="e.g. 20">
+              </div>
+              <div class="form-group">
+                <label for="backupMaxAgeDays">Or newer than (days):</label>
+                <input type="number" id="backupMaxAgeDays" min="0" class="form-control" placeholder="e.g. 30">
+              </div>
+            </div>
+            <div class="form-group">
+              <button type="button" id="refreshBackups" class="btn btn-secondary">Refresh Backups</button>
+              <button type="button" id="pruneBackups" class="btn btn-outline">Prune Backups</button>
+            </div>
+          </div>
+
           <!-- Timer Configuration -->
           <div class="config-section">
             <h3>Timer Settings</h3>
@@ -190,6 +254,12 @@ export class ConfigurationPanel {
                 <input type="checkbox" id="randomize"> Randomize Questions
               </label>
             </div>
+
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="shuffleOptions"> Shuffle Answer Options
+              </label>
+            </div>
             
             <div class="form-group">
               <label class="checkbox-label">
@@ -198,6 +268,30 @@ export class ConfigurationPanel {
             </div>
           </div>
 
+          <!-- Scoring Policy -->
+          <div class="config-section">
+            <h3>Scoring</h3>
+            <div class="form-group">
+              <label for="scoringWeighting">Question Weighting:</label>
+              <select id="scoringWeighting" class="form-control">
+                <option value="points">By question points</option>
+                <option value="equal">Equal (one point each)</option>
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label for="negativeMarking">Wrong Answer Penalty (% of question points):</label>
+              <input type="number" id="negativeMarking" class="form-control" min="0" max="100" step="5">
+              <small class="help-text">Blank answers are never penalized and the total never drops below zero.</small>
+            </div>
+
+            <div class="form-group">
+              <label for="sectionWeights">Section Weights:</label>
+              <input type="text" id="sectionWeights" class="form-control" placeholder="e.g. Algebra=2, Geometry=0.5">
+              <small class="help-text">Multiplies the points of every question in a section; unlisted sections count once.</small>
+            </div>
+          </div>
+
           <!-- Filtering Options -->
           <div class="config-section">
             <h3>Question Filtering</h3>
@@ -246,7 +340,14 @@ export class ConfigurationPanel {
     document.getElementById('numQuestions').value = this.config.numQuestions;
     document.getElementById('passingScore').value = this.config.passingScore;
     document.getElementById('randomize').checked = this.config.randomize;
+    document.getElementById('shuffleOptions').checked = Boolean(this.config.shuffleOptions);
     document.getElementById('showCorrectAnswers').checked = this.config.showCorrectAnswers;
+
+    // Scoring policy
+    const scoring = ScoringPolicy.normalize(this.config.scoring);
+    document.getElementById('scoringWeighting').value = scoring.weighting;
+    document.getElementById('negativeMarking').value = Math.round(scoring.negativeMarking * 100);
+    document.getElementById('sectionWeights').value = ScoringPolicy.formatSectionWeights(scoring.sectionWeights);
   }
 
   /**
@@ -283,7 +384,16 @@ export class ConfigurationPanel {
 
     // Multi-upload action buttons
     this.eventManager.on(clearFiles, 'click', () => this.clearSelectedFiles());
-    this.eventManager.on(uploadFiles, 'click', () => this.uploadToQuestionBank());
+    this.eventManager.on(uploadFiles, 'click', () => this.previewUpload());
+
+    // Encoding/delimiter overrides and column mappings are rendered into each file preview
+    const filePreviewList = document.getElementById('filePreviewList');
+    this.eventManager.on(filePreviewList, 'change', (e) => this.handleFilePreviewChange(e));
+    this.eventManager.on(filePreviewList, 'click', (e) => this.handleFilePreviewAction(e));
+
+    // Dry-run plan confirm/cancel buttons are rendered into the results area
+    const uploadResults = document.getElementById('uploadResults');
+    this.eventManager.on(uploadResults, 'click', (e) => this.handleUploadPlanAction(e));
 
     // Question bank management
     const refreshStats = document.getElementById('refreshStats');
@@ -291,6 +401,22 @@ export class ConfigurationPanel {
     this.eventManager.on(refreshStats, 'click', () => this.refreshQuestionBankStats());
     this.eventManager.on(exportQuestionBank, 'click', () => this.exportQuestionBank());
 
+    // Conflict review (per-conflict buttons are rendered with the list, so delegate from it)
+    const conflictList = document.getElementById('conflictList');
+    const refreshConflicts = document.getElementById('refreshConflicts');
+    const resolveSelectedConflicts = document.getElementById('resolveSelectedConflicts');
+    this.eventManager.on(conflictList, 'click', (e) => this.handleConflictAction(e));
+    this.eventManager.on(refreshConflicts, 'click', () => this.refreshConflicts());
+    this.eventManager.on(resolveSelectedConflicts, 'click', () => this.resolveSelectedConflicts());
+
+    // Backup management (diff/restore buttons are rendered per backup, so delegate from the list)
+    const backupList = document.getElementById('backupList');
+    const refreshBackups = document.getElementById('refreshBackups');
+    const pruneBackups = document.getElementById('pruneBackups');
+    this.eventManager.on(backupList, 'click', (e) => this.handleBackupAction(e));
+    this.eventManager.on(refreshBackups, 'click', () => this.refreshBackups());
+    this.eventManager.on(pruneBackups, 'click', () => this.pruneBackups());
+
     // Timer mode change
     this.eventManager.on(timerMode, 'change', () => this.updateTimerSettings());
 
@@ -308,9 +434,9 @@ export class ConfigurationPanel {
    * Attach validation listeners for real-time feedback
    */
   attachValidationListeners() {
-    const numericFields = ['examTime', 'sectionTime', 'questionTime', 'numQuestions', 'passingScore'];
+    const validatedFields = ['examTime', 'sectionTime', 'questionTime', 'numQuestions', 'passingScore', 'negativeMarking', 'sectionWeights'];
     
-    numericFields.forEach(fieldId => {
+    validatedFields.forEach(fieldId => {
       const field = document.getElementById(fieldId);
       if (field) {
         this.eventManager.on(field, 'input', () => this.validateField(fieldId));
@@ -358,6 +484,18 @@ export class ConfigurationPanel {
         isValid = scoreValidation.valid;
         errorMessage = scoreValidation.error || '';
         break;
+
+      case 'negativeMarking':
+        const penaltyValidation = ValidationHelpers.validateNumber(value, 0, 100);
+        isValid = penaltyValidation.valid;
+        errorMessage = penaltyValidation.error || '';
+        break;
+
+      case 'sectionWeights':
+        const weightErrors = ScoringPolicy.parseSectionWeights(value).errors;
+        isValid = weightErrors.length === 0;
+        errorMessage = weightErrors[0] || '';
+        break;
     }
 
     // Update field styling
@@ -402,8 +540,8 @@ export class ConfigurationPanel {
       statusElement.className = 'status-message info';
 
       // Read and parse CSV
-      const csvText = await this.readFileAsText(file);
-      const csvData = await this.parseCSV(csvText);
+      const { text, delimiter } = await this.readCSVFile(file);
+      const csvData = await this.parseCSV(text, { delimiter });
 
       // Validate CSV data
       const validation = ValidationHelpers.validateCSVData(csvData);
@@ -431,14 +569,15 @@ export class ConfigurationPanel {
   }
 
   /**
-   * Read file as text
+   * Read a CSV file, detecting its encoding, BOM and delimiter unless `settings` overrides them
+   * Resolves to { text, encoding, bom, delimiter, detected }
    */
-  readFileAsText(file) {
+  readCSVFile(file, settings = {}) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
+      reader.onload = (e) => resolve(CSVDetector.detect(new Uint8Array(e.target.result), settings));
       reader.onerror = (e) => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
+      reader.readAsArrayBuffer(file);
     });
   }
 
@@ -516,11 +655,11 @@ export class ConfigurationPanel {
     dropZone.classList.remove('drag-over');
     
     const files = Array.from(event.dataTransfer.files).filter(file => 
-      file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv')
+      file.type === 'text/csv' || QuestionFormats.isImportable(file.name)
     );
     
     if (files.length === 0) {
-      this.showUploadMessage('No CSV files found in drop', 'error');
+      this.showUploadMessage('No CSV, GIFT or Aiken files found in drop', 'error');
       return;
     }
     
@@ -550,6 +689,7 @@ export class ConfigurationPanel {
     this.selectedFiles = [];
     const previewList = document.getElementById('filePreviewList');
     previewList.innerHTML = '';
+    await this.loadMappingProfiles();
     
     let allValid = true;
     
@@ -557,7 +697,7 @@ export class ConfigurationPanel {
       try {
         const fileInfo = await this.validateAndPreviewFile(file, limits);
         this.selectedFiles.push(fileInfo);
-        this.renderFilePreview(fileInfo);
+        previewList.appendChild(this.renderFilePreview(fileInfo, this.selectedFiles.length - 1));
         
         if (fileInfo.status === 'error') {
           allValid = false;
@@ -575,14 +715,17 @@ export class ConfigurationPanel {
 
   /**
    * Validate and preview individual file
+   * `settings` ({ encoding, delimiter }) overrides the detected format; `settings.mapping` the column mapping
    */
-  async validateAndPreviewFile(file, limits) {
+  async validateAndPreviewFile(file, limits, settings = {}) {
     const fileInfo = {
       file,
       name: file.name,
       size: file.size,
       sizeMB: (file.size / (1024 * 1024)).toFixed(2),
       status: 'processing',
+      settings,
+      format: null,
       preview: [],
       rowCount: 0,
       validRows: 0,
@@ -590,62 +733,78 @@ export class ConfigurationPanel {
     };
     
     try {
+      // Zip packages are only read on the server
+      const packageFormat = settings.importFormat || QuestionFormats.detect(file.name);
+      if (QuestionFormats.isPackage(packageFormat)) {
+        return this.previewPackageFile(fileInfo, packageFormat);
+      }
+      
       // Read and parse CSV
-      const csvText = await this.readFileAsText(file);
-      const lines = csvText.trim().split('\n');
+      const { text, ...format } = await this.readCSVFile(file, settings);
+      fileInfo.format = format;
+      fileInfo.importFormat = settings.importFormat || QuestionFormats.detect(file.name, text) || 'csv';
+      if (fileInfo.importFormat !== 'csv') {
+        return this.previewQuestionFile(fileInfo, text, limits);
+      }
+      const { headers, rows, errors } = CSVParser.parse(text, { delimiter: format.delimiter });
       
-      if (lines.length === 0) {
+      if (headers.length === 0) {
         fileInfo.status = 'error';
         fileInfo.errors.push('Empty file');
         return fileInfo;
       }
       
+      // Apply a saved profile with the same headers unless a mapping was chosen in the preview
+      if (settings.mapping === undefined) {
+        const profile = ColumnMapping.matchProfile(headers, this.mappingProfiles);
+        if (profile) {
+          fileInfo.settings = { ...settings, profileId: profile.id, mapping: { columns: profile.columns, constants: profile.constants } };
+          fileInfo.autoProfile = true;
+        }
+      }
+      const { mapping } = fileInfo.settings;
+      const mapper = ColumnMapping.createMapper(headers, mapping);
+      fileInfo.sourceHeaders = headers;
+      fileInfo.columns = ColumnMapping.resolve(headers, mapping);
+      
       // Check row count limit
-      if (lines.length - 1 > limits.maxRowsPerFile) {
+      if (rows.length > limits.maxRowsPerFile) {
         fileInfo.status = 'error';
-        fileInfo.errors.push(`Too many rows: ${lines.length - 1} (max ${limits.maxRowsPerFile})`);
+        fileInfo.errors.push(`Too many rows: ${rows.length} (max ${limits.maxRowsPerFile})`);
         return fileInfo;
       }
       
-      // Parse headers
-      const headers = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
+      // Check required headers (after mapping, so a column can be mapped to them)
       const requiredHeaders = ['question'];
-      const missingHeaders = requiredHeaders.filter(h => 
-        !headers.some(header => header.toLowerCase().includes(h.toLowerCase()))
-      );
+      const missingHeaders = requiredHeaders.filter(h => !mapper.headers.includes(h));
       
       if (missingHeaders.length > 0) {
         fileInfo.status = 'error';
-        fileInfo.errors.push(`Missing required headers: ${missingHeaders.join(', ')}`);
+        fileInfo.errors.push(`Missing required headers: ${missingHeaders.join(', ')} (map a column to them below)`);
         return fileInfo;
       }
       
-      // Preview first 5 rows
-      fileInfo.headers = headers;
-      fileInfo.rowCount = lines.length - 1;
+      // Preview first 5 readable rows as they will be imported
+      const validRows = rows.filter(row => !row.error);
+      fileInfo.headers = mapper.headers;
+      fileInfo.rowCount = rows.length;
+      fileInfo.validRows = validRows.length;
+      fileInfo.preview = validRows.slice(0, 5).map(row => {
+        const values = mapper.map(row.values);
+        return Object.fromEntries(mapper.headers.map((header, index) => [header, values[index]]));
+      });
+      fileInfo.status = validRows.length > 0 ? 'valid' : 'warning';
       
-      let validCount = 0;
-      for (let i = 1; i <= Math.min(6, lines.length - 1); i++) {
-        const row = this.parseCSVRow(lines[i]);
-        if (row.length === headers.length) {
-          validCount++;
-          if (i <= 5) {
-            const rowObj = {};
-            headers.forEach((header, idx) => {
-              rowObj[header] = row[idx];
-            });
-            fileInfo.preview.push(rowObj);
-          }
-        }
+      if (validRows.length === 0) {
+        fileInfo.errors.push('No valid data rows found');
       }
       
-      fileInfo.validRows = validCount;
-      fileInfo.status = validCount > 0 ? 'valid' : 'warning';
-      
-      if (validCount === 0) {
-        fileInfo.errors.push('No valid data rows found');
-      } else if (validCount < Math.min(5, fileInfo.rowCount)) {
-        fileInfo.errors.push('Some rows have parsing issues');
+      // Malformed rows are listed with their position so they can be fixed in the source file
+      errors.slice(0, 5).forEach(error => {
+        fileInfo.errors.push(`${CSVParser.formatLocation(error)}: ${error.message}`);
+      });
+      if (errors.length > 5) {
+        fileInfo.errors.push(`...and ${errors.length - 5} more parsing issues`);
       }
       
     } catch (error) {
@@ -657,36 +816,70 @@ export class ConfigurationPanel {
   }
 
   /**
-   * Parse CSV row handling quotes and commas
+   * Preview a GIFT or Aiken file: one row per question block, with blocks that cannot be imported listed as errors
    */
-  parseCSVRow(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
+  previewQuestionFile(fileInfo, text, limits) {
+    const { records, warnings } = QuestionFormats.parse(fileInfo.importFormat, text);
+    const problems = [...records.filter(record => record.error).map(record => record.error), ...warnings];
+
+    fileInfo.rowCount = records.length;
+    if (records.length > limits.maxRowsPerFile) {
+      fileInfo.status = 'error';
+      fileInfo.errors.push(`Too many questions: ${records.length} (max ${limits.maxRowsPerFile})`);
+      return fileInfo;
     }
-    
-    result.push(current.trim());
-    return result;
+
+    const valid = records.filter(record => !record.error);
+    fileInfo.headers = ['question', 'type', 'category', 'correct_answer'];
+    fileInfo.validRows = valid.length;
+    fileInfo.preview = valid.slice(0, 5).map(({ question }) => ({
+      question: question.question,
+      type: question.type,
+      category: question.category || 'General',
+      correct_answer: question.correct_answer
+    }));
+    fileInfo.status = valid.length > 0 ? 'valid' : 'warning';
+
+    if (valid.length === 0) {
+      fileInfo.errors.push(`No importable ${QuestionFormats.label(fileInfo.importFormat)} questions found`);
+    }
+    problems.sort((a, b) => a.line - b.line).slice(0, 5).forEach(problem => {
+      fileInfo.errors.push(`${CSVParser.formatLocation(problem)}: ${problem.message}`);
+    });
+    if (problems.length > 5) {
+      fileInfo.errors.push(`...and ${problems.length - 5} more parsing issues`);
+    }
+
+    return fileInfo;
+  }
+
+  /**
+   * Preview a zip package: only its signature is checked here, the items are read by the server on upload
+   */
+  async previewPackageFile(fileInfo, importFormat) {
+    const signature = new Uint8Array(await fileInfo.file.slice(0, 4).arrayBuffer());
+    fileInfo.importFormat = importFormat;
+    fileInfo.rowCount = null;
+
+    if (signature[0] !== 0x50 || signature[1] !== 0x4B || signature[2] !== 0x03 || signature[3] !== 0x04) {
+      fileInfo.status = 'error';
+      fileInfo.errors.push(`Not a zip file (expected a ${QuestionFormats.label(importFormat)} package)`);
+      return fileInfo;
+    }
+
+    fileInfo.status = 'valid';
+    fileInfo.note = `${QuestionFormats.label(importFormat)} package: items are read by the server and listed in the upload preview`;
+    return fileInfo;
   }
 
   /**
    * Render file preview in the UI
+   * Returns the preview element; `index` is the file's position in selectedFiles
    */
-  renderFilePreview(fileInfo) {
+  renderFilePreview(fileInfo, index) {
     const previewContainer = document.createElement('div');
     previewContainer.className = `file-preview ${fileInfo.status}`;
+    previewContainer.dataset.fileIndex = index;
     
     const statusIcon = fileInfo.status === 'valid' ? '✅' : 
                       fileInfo.status === 'warning' ? '⚠️' : '❌';
@@ -694,13 +887,16 @@ export class ConfigurationPanel {
     const previewHTML = `
       <div class="file-header">
         <span class="file-status">${statusIcon}</span>
-        <span class="file-name">${fileInfo.name}</span>
-        <span class="file-info">${fileInfo.sizeMB}MB, ${fileInfo.rowCount} rows</span>
+        <span class="file-name">${DOMHelpers.escapeHTML(fileInfo.name)}</span>
+        <span class="file-info">${fileInfo.sizeMB}MB${fileInfo.rowCount === null ? '' : `, ${fileInfo.rowCount} rows`}</span>
         <button class="remove-file-btn" onclick="this.closest('.file-preview').remove()">×</button>
       </div>
+      ${fileInfo.format ? this.renderFileFormat(fileInfo) : ''}
+      ${fileInfo.note ? `<div class="file-format"><small class="help-text">${DOMHelpers.escapeHTML(fileInfo.note)}</small></div>` : ''}
+      ${fileInfo.columns ? this.renderColumnMapping(fileInfo) : ''}
       ${fileInfo.errors.length > 0 ? `
         <div class="file-errors">
-          ${fileInfo.errors.map(error => `<div class="error-item">• ${error}</div>`).join('')}
+          ${fileInfo.errors.map(error => `<div class="error-item">• ${DOMHelpers.escapeHTML(error)}</div>`).join('')}
         </div>
       ` : ''}
       ${fileInfo.preview.length > 0 ? `
@@ -726,7 +922,187 @@ export class ConfigurationPanel {
     `;
     
     previewContainer.innerHTML = previewHTML;
-    document.getElementById('filePreviewList').appendChild(previewContainer);
+    return previewContainer;
+  }
+
+  /**
+   * Detected file format, encoding and delimiter with selects to override them
+   */
+  renderFileFormat(fileInfo) {
+    const { format, settings, importFormat } = fileInfo;
+    const select = (setting, values) => `
+      <select data-format-setting="${setting}">
+        <option value="">Auto (${DOMHelpers.escapeHTML(CSVDetector.label(format.detected[setting]))})</option>
+        ${values.map(value => `
+          <option value="${DOMHelpers.escapeHTML(value)}" ${settings[setting] === value ? 'selected' : ''}>${DOMHelpers.escapeHTML(CSVDetector.label(value))}</option>
+        `).join('')}
+      </select>
+    `;
+
+    return `
+      <div class="file-format">
+        <small class="help-text">
+          Read as ${importFormat === 'csv' ? DOMHelpers.escapeHTML(CSVDetector.describe(format)) : `${QuestionFormats.label(importFormat)}, ${CSVDetector.label(format.encoding)}`}
+        </small>
+        <label>Format
+          <select data-format-setting="importFormat">
+            ${QuestionFormats.IMPORT_FORMATS.map(value => `
+              <option value="${value}" ${importFormat === value ? 'selected' : ''}>${QuestionFormats.label(value)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label>Encoding ${select('encoding', CSVDetector.ENCODINGS)}</label>
+        ${importFormat === 'csv' ? `<label>Delimiter ${select('delimiter', CSVDetector.DELIMITERS)}</label>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Source columns with their target field, constant values and profile controls
+   */
+  renderColumnMapping(fileInfo) {
+    const escape = DOMHelpers.escapeHTML;
+    const { settings, columns } = fileInfo;
+    const constants = settings.mapping?.constants || {};
+    const profile = (this.mappingProfiles || []).find(p => p.id === settings.profileId);
+
+    const targetSelect = (column) => `
+      <select data-mapping-column="${escape(column.source)}">
+        <option value="" ${column.target === null ? 'selected' : ''}>Ignore column</option>
+        ${!column.known && column.target ? `<option value="${escape(column.target)}" selected>Custom field: ${escape(column.target)}</option>` : ''}
+        ${ColumnMapping.TARGET_FIELDS.map(field => `
+          <option value="${field}" ${column.target === field ? 'selected' : ''}>${field}</option>
+        `).join('')}
+      </select>
+    `;
+
+    return `
+      <details class="column-mapping" ${fileInfo.status === 'error' ? 'open' : ''}>
+        <summary>
+          Column mapping${profile ? ` &mdash; profile "${escape(profile.name)}"${fileInfo.autoProfile ? ' (applied automatically)' : ''}` : ''}
+        </summary>
+        <table class="preview-table mapping-table">
+          <thead><tr><th>Column</th><th>Import as</th></tr></thead>
+          <tbody>
+            ${columns.map(column => `
+              <tr>
+                <td>${escape(column.source)}</td>
+                <td>${targetSelect(column)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <div class="mapping-constants">
+          <small class="help-text">Set for every row (overrides the file):</small>
+          ${ColumnMapping.CONSTANT_FIELDS.map(field => `
+            <label>${field} <input type="text" data-mapping-constant="${field}" value="${escape(constants[field] ?? '')}" placeholder="From file"></label>
+          `).join('')}
+        </div>
+        <div class="mapping-profile">
+          <select data-mapping-profile>
+            <option value="">No profile</option>
+            ${(this.mappingProfiles || []).map(p => `
+              <option value="${escape(p.id)}" ${p.id === settings.profileId ? 'selected' : ''}>${escape(p.name)}</option>
+            `).join('')}
+          </select>
+          <input type="text" data-profile-name placeholder="Profile name" value="${escape(profile ? profile.name : '')}">
+          <button type="button" class="btn btn-outline btn-small" data-mapping-action="save-profile">Save Profile</button>
+        </div>
+      </details>
+    `;
+  }
+
+  /**
+   * Load saved mapping profiles (an empty list when the server is unavailable)
+   */
+  async loadMappingProfiles() {
+    try {
+      const { profiles } = await this.apiService.listMappingProfiles();
+      this.mappingProfiles = profiles || [];
+    } catch (error) {
+      this.mappingProfiles = [];
+    }
+  }
+
+  /**
+   * Re-read a selected file after its encoding, delimiter, column mapping or profile changed in the preview
+   */
+  async handleFilePreviewChange(event) {
+    const control = event.target.closest('[data-format-setting], [data-mapping-column], [data-mapping-constant], [data-mapping-profile]');
+    if (!control) {
+      return;
+    }
+
+    const container = control.closest('.file-preview');
+    const index = parseInt(container.dataset.fileIndex);
+    const current = this.selectedFiles[index];
+    const settings = { ...current.settings };
+    const mapping = {
+      columns: { ...current.settings.mapping?.columns },
+      constants: { ...current.settings.mapping?.constants }
+    };
+
+    if (control.dataset.formatSetting) {
+      settings[control.dataset.formatSetting] = control.value || undefined;
+    } else if (control.dataset.mappingColumn !== undefined) {
+      mapping.columns[control.dataset.mappingColumn] = control.value || null;
+      Object.assign(settings, { mapping, profileId: undefined }); // An edited mapping no longer matches its profile
+    } else if (control.dataset.mappingConstant) {
+      mapping.constants[control.dataset.mappingConstant] = control.value.trim();
+      Object.assign(settings, { mapping, profileId: undefined });
+    } else {
+      const profile = this.mappingProfiles.find(p => p.id === control.value);
+      settings.profileId = profile ? profile.id : undefined;
+      // "No profile" keeps an explicit empty mapping so no profile is applied automatically
+      settings.mapping = profile ? { columns: profile.columns, constants: profile.constants } : { columns: {}, constants: {} };
+    }
+
+    await this.refreshFilePreview(container, index, settings);
+  }
+
+  /**
+   * Save the mapping shown in a file preview as a named profile
+   */
+  async handleFilePreviewAction(event) {
+    const button = event.target.closest('[data-mapping-action="save-profile"]');
+    if (!button) {
+      return;
+    }
+
+    const container = button.closest('.file-preview');
+    const index = parseInt(container.dataset.fileIndex);
+    const fileInfo = this.selectedFiles[index];
+    const name = container.querySelector('[data-profile-name]').value.trim();
+    if (!name) {
+      this.showUploadMessage('Enter a name for the mapping profile', 'error');
+      return;
+    }
+
+    try {
+      // Store every column explicitly so the profile does not depend on future header guesses
+      const { profile, replaced } = await this.apiService.saveMappingProfile({
+        name,
+        headers: fileInfo.sourceHeaders,
+        columns: Object.fromEntries(fileInfo.columns.map(column => [column.source, column.target])),
+        constants: fileInfo.settings.mapping?.constants || {}
+      });
+      await this.loadMappingProfiles();
+      await this.refreshFilePreview(container, index, { ...fileInfo.settings, profileId: profile.id });
+      this.showUploadMessage(`Mapping profile "${profile.name}" ${replaced ? 'updated' : 'saved'}`, 'success');
+    } catch (error) {
+      this.showUploadMessage(`Failed to save mapping profile: ${error.data?.message || error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Re-validate one selected file with new settings and replace its preview
+   */
+  async refreshFilePreview(container, index, settings) {
+    const limits = this.uploadLimits || { maxFiles: 5, maxTotalSizeMB: 10, maxRowsPerFile: 1000 };
+    const fileInfo = await this.validateAndPreviewFile(this.selectedFiles[index].file, limits, settings);
+    this.selectedFiles[index] = fileInfo;
+    container.replaceWith(this.renderFilePreview(fileInfo, index));
+    document.getElementById('uploadFiles').disabled = this.selectedFiles.some(f => f.status === 'error');
   }
 
   /**
@@ -741,16 +1117,129 @@ export class ConfigurationPanel {
   }
 
   /**
-   * Upload files to question bank
+   * Collect the selected valid files and upload options, or null if there is nothing to upload
    */
-  async uploadToQuestionBank() {
+  getPendingUpload() {
     if (!this.selectedFiles || this.selectedFiles.length === 0) {
-      return;
+      return null;
     }
     
     const validFiles = this.selectedFiles.filter(f => f.status === 'valid' || f.status === 'warning');
     if (validFiles.length === 0) {
       this.showUploadMessage('No valid files to upload', 'error');
+      return null;
+    }
+
+    return {
+      files: validFiles.map(fileInfo => fileInfo.file),
+      options: {
+        fileSettings: validFiles.map(fileInfo => fileInfo.settings),
+        mergeStrategy: document.getElementById('mergeStrategy').value,
+        probableStrategy: document.getElementById('probableStrategy').value,
+        duplicateThreshold: parseFloat(document.getElementById('duplicateThreshold').value),
+        strictness: document.getElementById('uploadStrictness').value,
+        owner: 'user', // TODO: get from user context
+        tags: []
+      }
+    };
+  }
+
+  /**
+   * Run the upload as a dry run and show the per-row plan for confirmation
+   */
+  async previewUpload() {
+    const upload = this.getPendingUpload();
+    if (!upload) {
+      return;
+    }
+
+    this.showUploadMessage('Checking files against the question bank...', 'info');
+
+    try {
+      const result = await this.apiService.uploadCSVsToQuestionBank(upload.files, { ...upload.options, dryRun: true });
+      this.showUploadPlan(result);
+    } catch (error) {
+      console.error('Upload preview error:', error);
+      this.showUploadMessage(`Preview failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show a dry-run plan with confirm/cancel actions
+   */
+  showUploadPlan(result) {
+    const resultsSection = document.getElementById('uploadResults');
+    const { summary, plan = [] } = result;
+    const escape = DOMHelpers.escapeHTML;
+    const hasChanges = summary.added + summary.updated + (summary.queued || 0) > 0;
+    // Row errors are already in the plan table; list only file-level problems separately
+    const fileErrors = (result.detailsPerFile || []).flatMap(detail =>
+      detail.errors.filter(error => !error.startsWith('Row ')).map(error => `${detail.filename}: ${error}`)
+    );
+
+    const rowHTML = (entry) => `
+      <tr class="plan-row plan-${entry.action}">
+        <td>${escape(entry.file)}:${entry.row}</td>
+        <td><span class="plan-action">${entry.action}</span></td>
+        <td>
+          ${entry.action === 'error' ? escape(entry.error) : escape(entry.question)}
+          ${entry.duplicateOf != null ? `<small class="help-text">${entry.probable ? 'probably ' : ''}matches #${entry.duplicateOf} by ${escape(entry.matchType)} (${Math.round(entry.confidence * 100)}% confidence)</small>` : ''}
+          ${entry.fields && entry.fields.length > 0 ? entry.fields.map(f => `
+            <span class="diff-field">${escape(f.field)}: <del>${escape(JSON.stringify(f.before ?? ''))}</del> → <ins>${escape(JSON.stringify(f.after ?? ''))}</ins></span>
+          `).join('') : ''}
+        </td>
+      </tr>
+    `;
+
+    resultsSection.innerHTML = `
+      <h4>Upload Preview</h4>
+      <div class="upload-summary">
+        <div class="summary-item"><span class="label">Add:</span><span class="value">${summary.added}</span></div>
+        <div class="summary-item"><span class="label">Update:</span><span class="value">${summary.updated}</span></div>
+        <div class="summary-item"><span class="label">Skip:</span><span class="value">${summary.skipped}</span></div>
+        <div class="summary-item"><span class="label">Review:</span><span class="value">${summary.queued || 0}</span></div>
+        <div class="summary-item"><span class="label">Probable duplicates:</span><span class="value">${summary.probableDuplicates || 0}</span></div>
+        <div class="summary-item"><span class="label">Errors:</span><span class="value">${summary.errors.length}</span></div>
+      </div>
+      ${plan.length > 0 ? `
+        <div class="upload-plan">
+          <table class="preview-table">
+            <thead><tr><th>Row</th><th>Action</th><th>Question</th></tr></thead>
+            <tbody>${plan.map(rowHTML).join('')}</tbody>
+          </table>
+        </div>
+      ` : ''}
+      ${fileErrors.map(error => `<div class="error-item">• ${escape(error)}</div>`).join('')}
+      <div class="upload-actions">
+        <button type="button" class="btn btn-secondary" data-plan-action="cancel">Cancel</button>
+        <button type="button" class="btn btn-primary" data-plan-action="confirm" ${hasChanges ? '' : 'disabled'}>Confirm Upload</button>
+      </div>
+    `;
+    resultsSection.style.display = 'block';
+  }
+
+  /**
+   * Handle confirm/cancel on a dry-run plan
+   */
+  handleUploadPlanAction(event) {
+    const button = event.target.closest('[data-plan-action]');
+    if (!button) return;
+
+    if (button.dataset.planAction === 'confirm') {
+      this.uploadToQuestionBank();
+    } else {
+      const resultsSection = document.getElementById('uploadResults');
+      resultsSection.innerHTML = '';
+      resultsSection.style.display = 'none';
+    }
+  }
+
+  /**
+   * Upload files to question bank
+   */
+  async uploadToQuestionBank() {
+    const upload = this.getPendingUpload();
+    if (!upload) {
       return;
     }
 
@@ -764,14 +1253,7 @@ export class ConfigurationPanel {
     resultsSection.style.display = 'none';
     
     try {
-      // Prepare files and options for professional API
-      const files = validFiles.map(fileInfo => fileInfo.file);
-      const options = {
-        mergeStrategy: document.getElementById('mergeStrategy').value,
-        strictness: document.getElementById('uploadStrictness').value,
-        owner: 'user', // TODO: get from user context
-        tags: []
-      };
+      const { files, options } = upload;
 
       // Use the professional API service
       progressText.textContent = 'Uploading to question bank...';
@@ -797,8 +1279,9 @@ export class ConfigurationPanel {
         this.notifications.showSuccess(`Successfully uploaded ${processed} questions to the question bank!`);
       }
       
-      // Refresh question bank statistics
+      // Refresh question bank statistics and any conflicts parked for review
       this.refreshQuestionBankStats();
+      this.refreshConflicts();
       
       // Refresh the parent app's question service if available
       this.notifications?.refreshQuestions?.();
@@ -872,11 +1355,17 @@ export class ConfigurationPanel {
           <span class="label">Skipped:</span>
           <span class="value">${summary.skipped} duplicates</span>
         </div>
+        ${summary.queued > 0 ? `
+          <div class="summary-item">
+            <span class="label">For review:</span>
+            <span class="value">${summary.queued} conflicts</span>
+          </div>
+        ` : ''}
       </div>
       ${summary.errors && summary.errors.length > 0 ? `
         <div class="upload-errors">
           <h5>Errors:</h5>
-          ${summary.errors.map(error => `<div class="error-item">• ${error}</div>`).join('')}
+          ${summary.errors.map(error => `<div class="error-item">• ${DOMHelpers.escapeHTML(error)}</div>`).join('')}
         </div>
       ` : ''}
     `;
@@ -889,32 +1378,23 @@ export class ConfigurationPanel {
    * Show upload message
    */
   showUploadMessage(message, type = 'info') {
+    // Messages are plain text and may carry profile names, file names or server errors
+    const escape = DOMHelpers.escapeHTML;
     const resultsSection = document.getElementById('uploadResults');
-    resultsSection.innerHTML = `<div class="upload-message ${type}">${message}</div>`;
+    resultsSection.innerHTML = `<div class="upload-message ${type}">${escape(message)}</div>`;
     resultsSection.style.display = 'block';
   }
 
   /**
    * Parse CSV text to array of objects
    */
-  async parseCSV(csvText) {
-    // Use the csv-manager.js if available, otherwise simple parsing
-    if (window.parseCSV) {
-      return window.parseCSV(csvText);
+  async parseCSV(csvText, options = {}) {
+    const { rows, errors } = CSVParser.parse(csvText, options);
+    if (errors.length > 0) {
+      const [first] = errors;
+      throw new Error(`${errors.length} malformed row(s), first at ${CSVParser.formatLocation(first)}: ${first.message}`);
     }
-
-    // Simple CSV parsing fallback
-    const lines = csvText.split('\n').filter(line => line.trim());
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    
-    return lines.slice(1).map(line => {
-      const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = values[index] || '';
-      });
-      return obj;
-    });
+    return rows.map(row => row.data);
   }
 
   /**
@@ -984,8 +1464,10 @@ export class ConfigurationPanel {
         questionTime: 2,
         numQuestions: 10,
         randomize: true,
+        shuffleOptions: false,
         passingScore: 70,
-        showCorrectAnswers: true
+        showCorrectAnswers: true,
+        scoring: ScoringPolicy.DEFAULT_POLICY
       };
       
       this.populateFormFields();
@@ -1014,7 +1496,13 @@ export class ConfigurationPanel {
       numQuestions: parseInt(document.getElementById('numQuestions').value) || 10,
       passingScore: parseInt(document.getElementById('passingScore').value) || 70,
       randomize: document.getElementById('randomize').checked,
+      shuffleOptions: document.getElementById('shuffleOptions').checked,
       showCorrectAnswers: document.getElementById('showCorrectAnswers').checked,
+      scoring: ScoringPolicy.normalize({
+        weighting: document.getElementById('scoringWeighting').value,
+        negativeMarking: (parseFloat(document.getElementById('negativeMarking').value) || 0) / 100,
+        sectionWeights: ScoringPolicy.parseSectionWeights(document.getElementById('sectionWeights').value).weights
+      }),
       section: document.getElementById('sectionFilter').value,
       difficulty: document.getElementById('difficultyFilter').value
     };
@@ -1033,7 +1521,7 @@ export class ConfigurationPanel {
    * Validate all fields
    */
   validateAllFields() {
-    const fields = ['examTime', 'sectionTime', 'questionTime', 'numQuestions', 'passingScore'];
+    const fields = ['examTime', 'sectionTime', 'questionTime', 'numQuestions', 'passingScore', 'negativeMarking', 'sectionWeights'];
     return fields.every(fieldId => this.validateField(fieldId));
   }
 
@@ -1181,6 +1669,331 @@ export class ConfigurationPanel {
     }
   }
 
+  /**
+   * Load and render conflicts queued by the `review` merge strategy
+   */
+  async refreshConflicts() {
+    const conflictList = document.getElementById('conflictList');
+    if (!this.apiService) {
+      conflictList.innerHTML = '<div class="stats-error">API service not available</div>';
+      return;
+    }
+
+    try {
+      const { conflicts } = await this.apiService.listConflicts();
+
+      if (conflicts.length === 0) {
+        conflictList.innerHTML = '<div class="backup-empty">No conflicts waiting for review</div>';
+        return;
+      }
+
+      conflictList.innerHTML = conflicts.map(conflict => this.renderConflict(conflict)).join('');
+
+    } catch (error) {
+      console.error('Error loading conflicts:', error);
+      conflictList.innerHTML = '<div class="stats-error">Failed to load conflicts</div>';
+    }
+  }
+
+  /**
+   * Existing and incoming question side by side, with a checkbox per differing field for merges
+   */
+  renderConflict(conflict) {
+    const escape = DOMHelpers.escapeHTML;
+    const id = escape(conflict.id);
+    const value = (v) => escape(typeof v === 'string' ? v : JSON.stringify(v ?? ''));
+    const filled = (v) => v !== '' && v != null && !(Array.isArray(v) && v.length === 0);
+    const match = `${conflict.probable ? 'probably matches' : 'matches'} #${conflict.existingId} by ${escape(conflict.matchType)} (${Math.round(conflict.confidence * 100)}%)`;
+
+    return `
+      <div class="conflict-item" data-conflict-id="${id}">
+        <div class="conflict-header">
+          <input type="checkbox" data-conflict-select="${id}">
+          <strong>${escape(conflict.filename || 'Upload')}${conflict.row ? `:${conflict.row}` : ''}</strong>
+          <small class="help-text">${match}</small>
+        </div>
+        ${conflict.existing ? `
+          <table class="conflict-table">
+            <thead><tr><th>Field</th><th>Existing</th><th>Incoming</th><th>Take</th></tr></thead>
+            <tbody>
+              ${conflict.fields.length === 0 ? '<tr><td colspan="4">No differences besides metadata</td></tr>' : ''}
+              ${conflict.fields.map(f => `
+                <tr>
+                  <td>${escape(f.field)}</td>
+                  <td>${value(f.before)}</td>
+                  <td>${value(f.after)}</td>
+                  <td><input type="checkbox" data-conflict-field="${escape(f.field)}" ${filled(f.after) ? 'checked' : ''}></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        ` : `
+          <div class="stats-error">Question #${conflict.existingId} has been deleted since the upload</div>
+          <p>${escape(conflict.incoming.question)}</p>
+        `}
+        <div class="conflict-actions">
+          <button type="button" class="btn btn-outline btn-small" data-conflict-action="keep">Keep Existing</button>
+          ${conflict.existing ? `
+            <button type="button" class="btn btn-secondary btn-small" data-conflict-action="replace">Replace</button>
+            <button type="button" class="btn btn-secondary btn-small" data-conflict-action="merge">Merge Selected Fields</button>
+          ` : ''}
+          <button type="button" class="btn btn-primary btn-small" data-conflict-action="keep_both">Keep Both</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Dispatch clicks on per-conflict buttons
+   */
+  async handleConflictAction(event) {
+    const button = event.target.closest('[data-conflict-action]');
+    if (!button) return;
+
+    const item = button.closest('[data-conflict-id]');
+    const action = button.dataset.conflictAction;
+    const fields = action === 'merge'
+      ? [...item.querySelectorAll('[data-conflict-field]:checked')].map(input => input.dataset.conflictField)
+      : undefined;
+
+    try {
+      await this.apiService.resolveConflict(item.dataset.conflictId, action, { fields });
+      if (this.notifications) {
+        this.notifications.showSuccess('Conflict resolved');
+      }
+      this.refreshConflicts();
+      this.refreshQuestionBankStats();
+
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      if (this.notifications) {
+        this.notifications.showError(`Could not resolve conflict: ${error.data?.message || error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Apply the bulk action to every checked conflict
+   */
+  async resolveSelectedConflicts() {
+    const ids = [...document.querySelectorAll('#conflictList [data-conflict-select]:checked')]
+      .map(input => input.dataset.conflictSelect);
+    const action = document.getElementById('conflictBulkAction').value;
+
+    if (ids.length === 0) {
+      if (this.notifications) {
+        this.notifications.showError('Select at least one conflict');
+      }
+      return;
+    }
+
+    if (action !== 'keep' && !confirm(`Apply "${action.replace('_', ' ')}" to ${ids.length} conflict(s)?`)) {
+      return;
+    }
+
+    try {
+      const result = await this.apiService.resolveConflicts(action, { ids });
+      if (this.notifications) {
+        if (result.failed.length > 0) {
+          this.notifications.showError(`${result.resolved.length} resolved, ${result.failed.length} could not be resolved: ${result.failed[0].error}`);
+        } else {
+          this.notifications.showSuccess(`${result.resolved.length} conflict(s) resolved`);
+        }
+      }
+      this.refreshConflicts();
+      this.refreshQuestionBankStats();
+
+    } catch (error) {
+      console.error('Error resolving conflicts:', error);
+      if (this.notifications) {
+        this.notifications.showError(`Could not resolve conflicts: ${error.data?.message || error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Load and render the backup list
+   */
+  async refreshBackups() {
+    const backupList = document.getElementById('backupList');
+    if (!this.apiService) {
+      backupList.innerHTML = '<div class="stats-error">API service not available</div>';
+      return;
+    }
+
+    try {
+      backupList.innerHTML = '<div class="stats-loading">Loading backups...</div>';
+      const { backups, retention } = await this.apiService.listBackups();
+
+      // Pre-fill the prune form with the server's configured policy
+      const keepLast = document.getElementById('backupKeepLast');
+      const maxAgeDays = document.getElementById('backupMaxAgeDays');
+      if (retention?.keepLast != null && !keepLast.value) keepLast.value = retention.keepLast;
+      if (retention?.maxAgeDays != null && !maxAgeDays.value) maxAgeDays.value = retention.maxAgeDays;
+
+      if (backups.length === 0) {
+        backupList.innerHTML = '<div class="backup-empty">No backups yet</div>';
+        return;
+      }
+
+      backupList.innerHTML = `
+        <table class="backup-table">
+          <thead>
+            <tr><th>Created</th><th>Questions</th><th>Size</th><th></th></tr>
+          </thead>
+          <tbody>
+            ${backups.map(backup => `
+              <tr class="${backup.valid ? '' : 'backup-invalid'}">
+                <td title="${DOMHelpers.escapeHTML(backup.id)}">${new Date(backup.timestamp).toLocaleString()}</td>
+                <td>${backup.valid ? backup.questionCount : 'Unreadable'}</td>
+                <td>${(backup.size / 1024).toFixed(1)} KB</td>
+                <td class="backup-actions">
+                  ${backup.valid ? `
+                    <button type="button" class="btn btn-outline btn-small" data-backup-action="diff" data-backup-id="${DOMHelpers.escapeHTML(backup.id)}">Compare</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-backup-action="restore" data-backup-id="${DOMHelpers.escapeHTML(backup.id)}">Restore</button>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      backupList.innerHTML = '<div class="stats-error">Failed to load backups</div>';
+    }
+  }
+
+  /**
+   * Dispatch clicks on per-backup buttons
+   */
+  handleBackupAction(event) {
+    const button = event.target.closest('[data-backup-action]');
+    if (!button) return;
+
+    const { backupAction, backupId } = button.dataset;
+    if (backupAction === 'diff') {
+      this.showBackupDiff(backupId);
+    } else if (backupAction === 'restore') {
+      this.restoreBackup(backupId);
+    }
+  }
+
+  /**
+   * Show what changed between a backup and the live question bank
+   */
+  async showBackupDiff(backupId) {
+    const details = document.getElementById('backupDetails');
+    details.style.display = 'block';
+    details.innerHTML = '<div class="stats-loading">Comparing backup...</div>';
+
+    try {
+      const diff = await this.apiService.diffBackup(backupId);
+      const { summary } = diff;
+      const questionLine = (q) => `<li>#${q.id} ${DOMHelpers.escapeHTML(q.question)}</li>`;
+
+      details.innerHTML = `
+        <h4>Changes since backup</h4>
+        <div class="upload-summary">
+          <div class="summary-item"><span class="label">Added:</span><span class="value">${summary.added}</span></div>
+          <div class="summary-item"><span class="label">Removed:</span><span class="value">${summary.removed}</span></div>
+          <div class="summary-item"><span class="label">Changed:</span><span class="value">${summary.changed}</span></div>
+          <div class="summary-item"><span class="label">Unchanged:</span><span class="value">${summary.unchanged}</span></div>
+        </div>
+        ${diff.added.length > 0 ? `<h5>Added since backup</h5><ul class="backup-diff-list">${diff.added.map(questionLine).join('')}</ul>` : ''}
+        ${diff.removed.length > 0 ? `<h5>Missing from live bank</h5><ul class="backup-diff-list">${diff.removed.map(questionLine).join('')}</ul>` : ''}
+        ${diff.changed.length > 0 ? `
+          <h5>Changed</h5>
+          <ul class="backup-diff-list">
+            ${diff.changed.map(change => `
+              <li>#${change.id}: ${change.fields.map(f => `
+                <span class="diff-field">${DOMHelpers.escapeHTML(f.field)}: <del>${DOMHelpers.escapeHTML(JSON.stringify(f.before ?? ''))}</del> → <ins>${DOMHelpers.escapeHTML(JSON.stringify(f.after ?? ''))}</ins></span>
+              `).join('')}</li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      `;
+
+    } catch (error) {
+      console.error('Error comparing backup:', error);
+      details.innerHTML = `<div class="stats-error">Failed to compare backup: ${DOMHelpers.escapeHTML(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * Restore a backup after confirmation
+   */
+  async restoreBackup(backupId) {
+    if (!confirm('Restore this backup? The current question bank will be backed up first.')) {
+      return;
+    }
+
+    try {
+      const result = await this.apiService.restoreBackup(backupId);
+
+      if (this.notifications) {
+        this.notifications.showSuccess(`Backup restored: ${result.questionBankStats.totalQuestions} questions`);
+      }
+
+      document.getElementById('backupDetails').style.display = 'none';
+      this.refreshBackups();
+      this.refreshQuestionBankStats();
+
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      if (this.notifications) {
+        this.notifications.showError(`Restore failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Delete backups outside the retention values in the form
+   */
+  async pruneBackups() {
+    const keepLast = document.getElementById('backupKeepLast').value;
+    const maxAgeDays = document.getElementById('backupMaxAgeDays').value;
+
+    if (keepLast === '' && maxAgeDays === '') {
+      if (this.notifications) {
+        this.notifications.showError('Enter how many backups to keep or a maximum age in days');
+      }
+      return;
+    }
+
+    const policy = {
+      keepLast: keepLast === '' ? undefined : parseInt(keepLast),
+      maxAgeDays: maxAgeDays === '' ? undefined : parseInt(maxAgeDays)
+    };
+
+    try {
+      const preview = await this.apiService.pruneBackups({ ...policy, dryRun: true });
+      if (preview.deleted.length === 0) {
+        if (this.notifications) {
+          this.notifications.showSuccess('No backups fall outside the retention policy');
+        }
+        return;
+      }
+
+      if (!confirm(`Delete ${preview.deleted.length} backup(s) and keep ${preview.kept}?`)) {
+        return;
+      }
+
+      const result = await this.apiService.pruneBackups(policy);
+      if (this.notifications) {
+        this.notifications.showSuccess(`Deleted ${result.deleted.length} backup(s)`);
+      }
+      this.refreshBackups();
+
+    } catch (error) {
+      console.error('Error pruning backups:', error);
+      if (this.notifications) {
+        this.notifications.showError(`Prune failed: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Clean up resources
    */
@@ -1359,6 +2172,49 @@ export const MULTI_CSV_UPLOAD_STYLES = `
 }
 
 /* File Errors */
+.file-format {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  padding: 8px 16px;
+  border-bottom: 1px solid #e9ecef;
+  font-size: 0.9em;
+}
+
+.file-format select {
+  margin-left: 4px;
+}
+
+.column-mapping {
+  padding: 8px 16px;
+  border-bottom: 1px solid #e9ecef;
+  font-size: 0.9em;
+}
+
+.column-mapping summary {
+  cursor: pointer;
+  font-weight: 500;
+}
+
+.mapping-table {
+  margin: 8px 0;
+}
+
+.mapping-constants,
+.mapping-profile {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px 12px;
+  margin-top: 8px;
+}
+
+.mapping-constants input {
+  width: 100px;
+  margin-left: 4px;
+}
+
 .file-errors {
   padding: 12px 16px;
   background: #fff5f5;
@@ -1406,6 +2262,39 @@ export const MULTI_CSV_UPLOAD_STYLES = `
   top: 0;
 }
 
+/* Upload Plan (dry run) */
+.upload-plan {
+  max-height: 300px;
+  overflow-y: auto;
+  margin: 12px 0;
+}
+
+.plan-action {
+  font-weight: 600;
+  text-transform: uppercase;
+  font-size: 0.8em;
+}
+
+.plan-add .plan-action {
+  color: #28a745;
+}
+
+.plan-update .plan-action {
+  color: #007bff;
+}
+
+.plan-skip .plan-action {
+  color: #6c757d;
+}
+
+.plan-error .plan-action {
+  color: #dc3545;
+}
+
+.plan-review .plan-action {
+  color: #fd7e14;
+}
+
 /* Upload Actions */
 .upload-actions {
   display: flex;
@@ -1541,6 +2430,143 @@ export const MULTI_CSV_UPLOAD_STYLES = `
   border: 1px solid #c3e6cb;
 }
 
+/* Backup Management */
+.backup-list {
+  max-height: 240px;
+  overflow-y: auto;
+  margin-bottom: 12px;
+}
+
+.backup-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.9em;
+}
+
+.backup-table th,
+.backup-table td {
+  padding: 6px 8px;
+  border-bottom: 1px solid #e9ecef;
+  text-align: left;
+}
+
+.backup-table tr.backup-invalid td {
+  color: #dc3545;
+}
+
+.backup-actions {
+  display: flex;
+  gap: 6px;
+  justify-content: flex-end;
+}
+
+.btn-small {
+  padding: 4px 10px;
+  font-size: 0.85em;
+}
+
+.backup-details {
+  margin: 12px 0;
+  padding: 12px;
+  background: #f8f9fa;
+  border-radius: 6px;
+}
+
+.backup-diff-list {
+  margin: 4px 0 12px;
+  padding-left: 20px;
+  font-size: 0.9em;
+}
+
+.diff-field {
+  display: block;
+  margin-left: 8px;
+}
+
+.diff-field del {
+  color: #dc3545;
+}
+
+.diff-field ins {
+  color: #28a745;
+  text-decoration: none;
+}
+
+.backup-retention {
+  display: flex;
+  gap: 12px;
+}
+
+.backup-empty {
+  color: #6c757d;
+  font-style: italic;
+}
+
+/* Merge Conflict Review */
+.conflict-list {
+  max-height: 480px;
+  overflow-y: auto;
+  margin-bottom: 12px;
+}
+
+.conflict-item {
+  margin-bottom: 12px;
+  padding: 12px;
+  border: 1px solid #e9ecef;
+  border-radius: 6px;
+}
+
+.conflict-header {
+  display: flex;
+  gap: 8px;
+  align-items: baseline;
+  margin-bottom: 8px;
+}
+
+.conflict-table {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 0.9em;
+  table-layout: fixed;
+}
+
+.conflict-table th,
+.conflict-table td {
+  padding: 6px 8px;
+  border-bottom: 1px solid #e9ecef;
+  text-align: left;
+  vertical-align: top;
+  word-wrap: break-word;
+}
+
+.conflict-table th:first-child,
+.conflict-table td:first-child {
+  width: 20%;
+}
+
+.conflict-table th:last-child,
+.conflict-table td:last-child {
+  width: 70px;
+  text-align: center;
+}
+
+.conflict-actions {
+  display: flex;
+  gap: 6px;
+  justify-content: flex-end;
+  margin-top: 8px;
+}
+
+.conflict-bulk {
+  display: flex;
+  gap: 8px;
+  align-items: center;
+}
+
+.conflict-bulk select {
+  width: auto;
+}
+
 /* Responsive Design */
 @media (max-width: 768px) {
   .file-header {
@@ -337,6 +337,10 @@ export class QuizApp {
     this.eventManager.on(this.containers.results, 'newQuiz', () => {
       this.showConfiguration();
     });
+
+    this.eventManager.on(this.containers.results, 'feedbackRequested', (e) => {
+      this.getAnswerFeedback(e.detail);
+    });
   }
 
   /**
@@ -448,7 +452,7 @@ export class QuizApp {
       this.isQuizActive = false;
       
       // Calculate results
-      const results = this.questionService.calculateResults();
+      const results = this.questionService.calculateResults(this.quizConfig.scoring);
       results.completionReason = reason;
       results.quizConfig = this.quizConfig;
       results.completedAt = new Date().toISOString();
@@ -487,7 +491,7 @@ export class QuizApp {
         return;
       }
 
-      const quizData = this.questionService.exportForAIAssessment();
+      const quizData = this.questionService.exportForAIAssessment(this.quizConfig.scoring);
       const assessment = await this.aiAssessment.getAssessment(quizData);
       
       if (assessment.success) {
@@ -501,6 +505,16 @@ export class QuizApp {
     }
   }
 
+  /**
+   * Get feedback on one reviewed answer and show it in the results
+   */
+  async getAnswerFeedback({ questionIndex, entry }) {
+    const feedback = await this.aiAssessment.getAnswerFeedback(entry);
+    this.resultsManager.showAnswerFeedback(questionIndex, feedback.success
+      ? { assessment: feedback.assessment }
+      : { error: feedback.error || 'Feedback unavailable' });
+  }
+
   /**
    * Show quiz results
    */
@@ -533,7 +547,7 @@ export class QuizApp {
    * Handle answer selection
    */
   handleAnswerSelected(detail) {
-    this.questionService.saveAnswer(detail.answerIndex);
+    this.questionService.saveAnswer(detail.answer);
     this.saveQuizProgress();
   }
 
@@ -583,8 +597,7 @@ export class QuizApp {
       case '4':
         if (event.ctrlKey || event.metaKey) {
           event.preventDefault();
-          const answerIndex = parseInt(event.key) - 1;
-          this.quizRenderer?.selectAnswer(answerIndex);
+          this.quizRenderer?.selectChoice(parseInt(event.key) - 1);
         }
         break;
       
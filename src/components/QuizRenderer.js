@@ -1,6 +1,9 @@
 // Quiz Renderer Component - Handles question display and user interaction
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 import { EventManager } from '../utils/EventManager.js';
+import { AnswerScoring } from '../utils/AnswerScoring.js';
+import { QuestionSchema } from '../models/QuestionSchema.js';
+import { AnswerKey } from '../models/AnswerKey.js';
 
 export class QuizRenderer {
   constructor(container, questionService) {
@@ -10,6 +13,9 @@ export class QuizRenderer {
     this.config = {};
     this.isPaused = false;
     this.selectedAnswer = null;
+    this.choices = []; // { value, label } of the current radio or checkbox options
+    this.multipleChoice = false; // Whether those options are checkboxes
+    this.dragPosition = null; // Position of the ordering item being dragged
   }
 
   /**
@@ -123,10 +129,10 @@ export class QuizRenderer {
         <span class="question-section">${question.section || 'General'}</span>
       </div>
       <div class="question-text">
-        ${DOMHelpers.sanitizeHTML(question.question)}
+        ${question.type === 'fill_blank' ? `Fill in the blank${AnswerScoring.blankCount(question) > 1 ? 's' : ''}:` : DOMHelpers.escapeHTML(question.question)}
       </div>
       ${question.explanation ? `<div class="question-hint" style="display: none;">
-        <strong>Hint:</strong> ${DOMHelpers.sanitizeHTML(question.explanation)}
+        <strong>Hint:</strong> ${DOMHelpers.escapeHTML(question.explanation)}
       </div>` : ''}
     `;
 
@@ -142,40 +148,228 @@ export class QuizRenderer {
   }
 
   /**
-   * Render answer options
+   * Render the answer area for the question's type
    */
   renderAnswerOptions(question) {
     const answerOptions = DOMHelpers.getElementById('answerOptions');
     const currentAnswer = this.questionService.getUserAnswer(this.questionService.currentQuestionIndex);
+    this.choices = [];
+    this.multipleChoice = false;
 
-    answerOptions.innerHTML = question.options.map((option, index) => `
-      <div class="answer-option ${currentAnswer === index ? 'selected' : ''}" 
+    switch (question.type || 'multiple_choice') {
+      case 'true_false':
+        this.renderChoices(answerOptions, [{ value: 'true', label: 'True' }, { value: 'false', label: 'False' }], currentAnswer);
+        break;
+      case 'multiple_response':
+        this.renderChoices(answerOptions, (question.options || []).map((option, index) => ({ value: index, label: option })), currentAnswer, true);
+        break;
+      case 'short_answer':
+        this.renderTextAnswer(answerOptions, currentAnswer, false);
+        break;
+      case 'essay':
+        this.renderTextAnswer(answerOptions, currentAnswer, true);
+        break;
+      case 'fill_blank':
+        this.renderBlanks(answerOptions, question, currentAnswer);
+        break;
+      case 'matching':
+        this.renderMatching(answerOptions, question, currentAnswer);
+        break;
+      case 'numeric':
+        this.renderNumeric(answerOptions, question, currentAnswer);
+        break;
+      case 'ordering':
+        this.renderOrdering(answerOptions, question, currentAnswer);
+        break;
+      default:
+        this.renderChoices(answerOptions, (question.options || []).map((option, index) => ({ value: index, label: option })), currentAnswer);
+    }
+  }
+
+  /**
+   * Radio options, or checkboxes when `multiple`; each choice is { value, label } and `value` is
+   * what gets saved as the answer (a sorted list of values for checkboxes)
+   */
+  renderChoices(answerOptions, choices, currentAnswer, multiple = false) {
+    this.choices = choices;
+    this.multipleChoice = multiple;
+    const isSelected = choice => (multiple ? (currentAnswer || []).includes(choice.value) : currentAnswer === choice.value);
+
+    answerOptions.innerHTML = `${multiple ? '<p class="answer-note">Select all that apply.</p>' : ''}${choices.map((choice, index) => `
+      <div class="answer-option ${isSelected(choice) ? 'selected' : ''}" 
            data-index="${index}">
         <label class="answer-label">
-          <input type="radio" 
+          <input type="${multiple ? 'checkbox' : 'radio'}" 
                  name="answer" 
                  value="${index}" 
-                 ${currentAnswer === index ? 'checked' : ''}
+                 ${isSelected(choice) ? 'checked' : ''}
                  class="answer-input">
           <span class="answer-letter">${String.fromCharCode(65 + index)}</span>
-          <span class="answer-text">${DOMHelpers.sanitizeHTML(option)}</span>
+          <span class="answer-text">${DOMHelpers.escapeHTML(choice.label)}</span>
         </label>
       </div>
-    `).join('');
+    `).join('')}`;
+
+    const inputs = answerOptions.querySelectorAll('.answer-input');
+
+    // Checkboxes toggle themselves through their label, so only their state changes are followed
+    if (multiple) {
+      inputs.forEach(input => {
+        this.eventManager.on(input, 'change', () => this.recordSelection());
+      });
+      return;
+    }
 
     // Add event listeners to answer options
     const options = answerOptions.querySelectorAll('.answer-option');
     options.forEach((option, index) => {
-      this.eventManager.on(option, 'click', () => this.selectAnswer(index));
+      this.eventManager.on(option, 'click', () => this.selectChoice(index));
     });
 
     // Add event listeners to radio inputs
-    const inputs = answerOptions.querySelectorAll('.answer-input');
     inputs.forEach((input, index) => {
-      this.eventManager.on(input, 'change', () => this.selectAnswer(index));
+      this.eventManager.on(input, 'change', () => this.selectChoice(index));
     });
   }
 
+  /**
+   * Text box for short answers, or a text area for essays (graded after the quiz)
+   */
+  renderTextAnswer(answerOptions, currentAnswer, multiline) {
+    answerOptions.innerHTML = multiline
+      ? `<textarea class="answer-textarea" rows="8" placeholder="Write your answer"></textarea>
+         <p class="answer-note">Essay answers are reviewed after you submit the quiz.</p>`
+      : '<input type="text" class="answer-text-input" autocomplete="off" placeholder="Type your answer">';
+
+    const input = answerOptions.querySelector('input, textarea');
+    input.value = currentAnswer ?? '';
+    this.eventManager.on(input, 'input', () => this.recordAnswer(input.value));
+  }
+
+  /**
+   * The question text with a text box in place of each blank; the answer is one string per blank
+   */
+  renderBlanks(answerOptions, question, currentAnswer) {
+    const parts = String(question.question).split(QuestionSchema.BLANK);
+    if (parts.length === 1) parts.push('');
+
+    answerOptions.innerHTML = `<div class="fill-blank-text">${parts.map((part, index) => `${DOMHelpers.escapeHTML(part)}${
+      index < parts.length - 1 ? `<input type="text" class="blank-input" autocomplete="off" aria-label="Blank ${index + 1}">` : ''
+    }`).join('')}</div>`;
+
+    const inputs = [...answerOptions.querySelectorAll('.blank-input')];
+    inputs.forEach((input, index) => {
+      input.value = currentAnswer?.[index] ?? '';
+      this.eventManager.on(input, 'input', () => this.recordAnswer(inputs.map(blank => blank.value)));
+    });
+  }
+
+  /**
+   * A list of matches to pick for each prompt; the answer is the chosen match per prompt
+   */
+  renderMatching(answerOptions, question, currentAnswer) {
+    const matches = AnswerScoring.matchChoices(question);
+
+    answerOptions.innerHTML = `<div class="matching-pairs">${(question.options || []).map((prompt, index) => `
+      <div class="matching-pair">
+        <label class="matching-prompt" for="matchSelect${index}">${DOMHelpers.escapeHTML(prompt)}</label>
+        <select class="matching-select" id="matchSelect${index}">
+          <option value="">Choose a match</option>
+          ${matches.map((match, matchIndex) => `<option value="${matchIndex}">${DOMHelpers.escapeHTML(match)}</option>`).join('')}
+        </select>
+      </div>
+    `).join('')}</div>`;
+
+    const selects = [...answerOptions.querySelectorAll('.matching-select')];
+    selects.forEach((select, index) => {
+      const chosen = matches.indexOf(currentAnswer?.[index]);
+      select.value = chosen === -1 ? '' : String(chosen);
+      this.eventManager.on(select, 'change', () => {
+        this.recordAnswer(selects.map(pick => (pick.value === '' ? '' : matches[Number(pick.value)])));
+      });
+    });
+  }
+
+  /**
+   * Number box, with the expected unit and significant figures as a hint
+   */
+  renderNumeric(answerOptions, question, currentAnswer) {
+    const rules = question.answer_rules || {};
+    const unit = QuestionSchema.answerList(rules.unit)[0];
+    const hints = [
+      unit ? `Answer in ${DOMHelpers.escapeHTML(unit)}${rules.unit_required ? ' and include the unit' : ''}.` : '',
+      rules.significant_figures ? `Give ${rules.significant_figures} significant figures.` : ''
+    ].filter(Boolean);
+
+    answerOptions.innerHTML = `<input type="text" inputmode="decimal" class="answer-text-input answer-numeric" autocomplete="off" placeholder="Type a number">
+      ${hints.length > 0 ? `<p class="answer-note">${hints.join(' ')}</p>` : ''}`;
+
+    const input = answerOptions.querySelector('input');
+    input.value = currentAnswer ?? '';
+    this.eventManager.on(input, 'input', () => this.recordAnswer(input.value));
+  }
+
+  /**
+   * Items to drag into order, or move with their arrow buttons or Alt+Up/Down; the answer is the
+   * option indexes in the chosen order. Until the first move the items show in a shuffled order
+   */
+  renderOrdering(answerOptions, question, currentAnswer) {
+    const order = Array.isArray(currentAnswer) ? currentAnswer : this.startingOrder(question);
+    const move = (from, to) => {
+      if (this.isPaused || from === to || to < 0 || to >= order.length) return;
+      const next = [...order];
+      next.splice(to, 0, ...next.splice(from, 1));
+      this.recordAnswer(next);
+      this.renderOrdering(answerOptions, question, next);
+      answerOptions.querySelectorAll('.ordering-item')[to]?.focus();
+    };
+
+    answerOptions.innerHTML = `<p class="answer-note" id="orderingHelp">Drag the items into order, or use the arrow buttons (Alt+↑ / Alt+↓ on a selected item).</p>
+      <ol class="ordering-list" aria-describedby="orderingHelp">${order.map((optionIndex, position) => `
+        <li class="ordering-item" draggable="true" tabindex="0" data-position="${position}">
+          <span class="ordering-text">${DOMHelpers.escapeHTML(question.options[optionIndex])}</span>
+          <button type="button" class="btn btn-secondary ordering-move" data-step="-1" aria-label="Move up" ${position === 0 ? 'disabled' : ''}>↑</button>
+          <button type="button" class="btn btn-secondary ordering-move" data-step="1" aria-label="Move down" ${position === order.length - 1 ? 'disabled' : ''}>↓</button>
+        </li>
+      `).join('')}</ol>`;
+
+    answerOptions.querySelectorAll('.ordering-item').forEach((item, position) => {
+      item.querySelectorAll('.ordering-move').forEach(button => {
+        this.eventManager.on(button, 'click', () => move(position, position + Number(button.dataset.step)));
+      });
+      this.eventManager.on(item, 'keydown', (event) => {
+        if (!event.altKey || (event.key !== 'ArrowUp' && event.key !== 'ArrowDown')) return;
+        event.preventDefault();
+        move(position, position + (event.key === 'ArrowUp' ? -1 : 1));
+      });
+      this.eventManager.on(item, 'dragstart', (event) => {
+        this.dragPosition = position;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(position));
+      });
+      this.eventManager.on(item, 'dragover', (event) => event.preventDefault());
+      this.eventManager.on(item, 'drop', (event) => {
+        event.preventDefault();
+        move(this.dragPosition, position);
+      });
+    });
+  }
+
+  /**
+   * Shuffled starting order of an ordering question; the same on every visit and never already correct
+   */
+  startingOrder(question) {
+    const order = (question.options || []).map((option, index) => index);
+    let seed = [...`${question.id}:${question.question}`].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+    for (let i = order.length - 1; i > 0; i--) {
+      seed = (seed * 1103515245 + 12345) >>> 0;
+      const j = seed % (i + 1);
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const key = AnswerKey.correctOrder(question);
+    return order.length > 1 && order.every((index, position) => index === key[position]) ? [...order.slice(1), order[0]] : order;
+  }
+
   /**
    * Render question indicator (overview of all questions)
    */
@@ -206,37 +400,54 @@ export class QuizRenderer {
   }
 
   /**
-   * Select an answer
+   * Select the choice at an index (radio questions), or toggle it (checkbox questions)
+   */
+  selectChoice(index) {
+    const choice = this.choices[index];
+    if (!choice) return;
+
+    if (this.multipleChoice) {
+      if (this.isPaused) return;
+      const input = this.container.querySelectorAll('.answer-option .answer-input')[index];
+      if (input) input.checked = !input.checked;
+      this.recordSelection();
+      return;
+    }
+    this.selectAnswer(choice.value);
+  }
+
+  /**
+   * Save the checked options of a checkbox question as the answer
    */
-  selectAnswer(answerIndex) {
+  recordSelection() {
     if (this.isPaused) return;
 
-    // Remove previous selection
-    const options = this.container.querySelectorAll('.answer-option');
-    options.forEach(option => option.classList.remove('selected'));
-
-    // Add selection to clicked option
-    const selectedOption = this.container.querySelector(`[data-index="${answerIndex}"]`);
-    if (selectedOption) {
-      selectedOption.classList.add('selected');
-      const input = selectedOption.querySelector('.answer-input');
-      if (input) input.checked = true;
-    }
+    const selection = [];
+    this.container.querySelectorAll('.answer-option').forEach((option, index) => {
+      const checked = Boolean(option.querySelector('.answer-input')?.checked);
+      option.classList.toggle('selected', checked);
+      if (checked) selection.push(this.choices[index].value);
+    });
 
-    // Save answer
-    this.questionService.saveAnswer(answerIndex);
-    this.selectedAnswer = answerIndex;
+    this.recordAnswer(selection);
+  }
 
-    // Update question indicator
-    this.renderQuestionIndicator();
+  /**
+   * Select an answer of a choice question
+   */
+  selectAnswer(answer) {
+    if (this.isPaused) return;
 
-    // Dispatch event
-    this.container.dispatchEvent(new CustomEvent('answerSelected', {
-      detail: { 
-        questionIndex: this.questionService.currentQuestionIndex,
-        answerIndex 
-      }
-    }));
+    // Mark the chosen option
+    const options = this.container.querySelectorAll('.answer-option');
+    options.forEach((option, index) => {
+      const selected = this.choices[index]?.value === answer;
+      option.classList.toggle('selected', selected);
+      const input = option.querySelector('.answer-input');
+      if (input) input.checked = selected;
+    });
+
+    this.recordAnswer(answer);
 
     // Auto-advance if configured
     if (this.config.autoAdvance && this.questionService.hasNextQuestion()) {
@@ -244,6 +455,28 @@ export class QuizRenderer {
     }
   }
 
+  /**
+   * Save the current question's answer, in the shape its type uses (see AnswerScoring)
+   */
+  recordAnswer(answer) {
+    if (this.isPaused) return;
+
+    const questionIndex = this.questionService.currentQuestionIndex;
+    const wasAnswered = this.questionService.getUserAnswer(questionIndex) !== null;
+    this.questionService.saveAnswer(answer);
+    this.selectedAnswer = this.questionService.getUserAnswer(questionIndex);
+
+    // Typing only redraws the indicator when the question becomes answered or blank again
+    if (wasAnswered !== (this.selectedAnswer !== null)) {
+      this.renderQuestionIndicator();
+    }
+
+    // Dispatch event
+    this.container.dispatchEvent(new CustomEvent('answerSelected', {
+      detail: { questionIndex, answer: this.selectedAnswer }
+    }));
+  }
+
   /**
    * Clear current answer
    */
@@ -257,11 +490,18 @@ export class QuizRenderer {
       const input = option.querySelector('.answer-input');
       if (input) input.checked = false;
     });
+    this.container.querySelectorAll('#answerOptions input[type="text"], #answerOptions textarea, #answerOptions select').forEach(field => {
+      field.value = '';
+    });
 
     // Clear answer in service
     this.questionService.saveAnswer(null);
     this.selectedAnswer = null;
 
+    // Ordering items go back to their starting order
+    const question = this.questionService.getCurrentQuestion();
+    if (question?.type === 'ordering') this.renderAnswerOptions(question);
+
     // Update question indicator
     this.renderQuestionIndicator();
   }
@@ -429,6 +669,11 @@ export class QuizRenderer {
       return;
     }
 
+    // Keys typed into answer fields, or used to reorder items, belong to that field
+    if (event.target.matches?.('input[type="text"], textarea, select, .ordering-list *') && !(event.key === 'Enter' && event.ctrlKey)) {
+      return;
+    }
+
     switch (event.key) {
       case '1':
       case '2':
@@ -436,11 +681,7 @@ export class QuizRenderer {
       case '4':
         if (!event.ctrlKey && !event.metaKey) {
           event.preventDefault();
-          const answerIndex = parseInt(event.key) - 1;
-          const question = this.questionService.getCurrentQuestion();
-          if (question && answerIndex < question.options.length) {
-            this.selectAnswer(answerIndex);
-          }
+          this.selectChoice(parseInt(event.key) - 1);
         }
         break;
       
@@ -1,6 +1,17 @@
 // Results Manager Component - Handles quiz results display and analysis
 import { DOMHelpers } from '../utils/DOMHelpers.js';
 import { EventManager } from '../utils/EventManager.js';
+import { AnswerScoring } from '../utils/AnswerScoring.js';
+import { ScoringPolicy } from '../utils/ScoringPolicy.js';
+
+// Question review labels for each AnswerScoring status
+const STATUS_LABELS = {
+  correct: 'Correct',
+  partial: 'Partially correct',
+  incorrect: 'Incorrect',
+  unanswered: 'Not answered',
+  pending_review: 'Awaiting review'
+};
 
 export class ResultsManager {
   constructor(container, storageService) {
@@ -47,14 +58,38 @@ export class ResultsManager {
               <span class="score-label">Score</span>
             </div>
             <div class="score-details">
+              ${this.results.maxPoints !== undefined ? `
+                <div class="score-item">
+                  <span class="score-value">${this.results.rawPoints}/${this.results.maxPoints}</span>
+                  <span class="score-label">Points</span>
+                </div>
+              ` : ''}
+              ${this.results.penaltyPoints ? `
+                <div class="score-item">
+                  <span class="score-value">−${this.results.penaltyPoints}</span>
+                  <span class="score-label">Penalties</span>
+                </div>
+              ` : ''}
               <div class="score-item">
                 <span class="score-value">${this.results.correct}</span>
                 <span class="score-label">Correct</span>
               </div>
+              ${this.results.partial ? `
+                <div class="score-item">
+                  <span class="score-value">${this.results.partial}</span>
+                  <span class="score-label">Partial</span>
+                </div>
+              ` : ''}
               <div class="score-item">
-                <span class="score-value">${this.results.total - this.results.correct}</span>
+                <span class="score-value">${this.results.incorrect}</span>
                 <span class="score-label">Incorrect</span>
               </div>
+              ${this.results.pendingReview ? `
+                <div class="score-item">
+                  <span class="score-value">${this.results.pendingReview}</span>
+                  <span class="score-label">Awaiting review</span>
+                </div>
+              ` : ''}
               <div class="score-item">
                 <span class="score-value">${this.results.total}</span>
                 <span class="score-label">Total</span>
@@ -143,6 +178,22 @@ export class ResultsManager {
       this.eventManager.on(shareBtn, 'click', () => this.shareResults());
     }
 
+    // Grading of answers awaiting review (essays)
+    this.container.querySelectorAll('[data-review-index]').forEach(btn => {
+      this.eventManager.on(btn, 'click', () => this.gradeReview(Number(btn.dataset.reviewIndex), btn.dataset.grade === 'correct'));
+    });
+
+    // Feedback on a wrong or partly right answer (QuizApp fetches it and calls showAnswerFeedback)
+    this.container.querySelectorAll('[data-feedback-index]').forEach(btn => {
+      this.eventManager.on(btn, 'click', () => {
+        btn.disabled = true;
+        this.showAnswerFeedback(Number(btn.dataset.feedbackIndex), { pending: true });
+        this.container.dispatchEvent(new CustomEvent('feedbackRequested', {
+          detail: { questionIndex: Number(btn.dataset.feedbackIndex), entry: this.results.questions[Number(btn.dataset.feedbackIndex)] }
+        }));
+      });
+    });
+
     // Export buttons
     const exportPDFBtn = this.container.querySelector('#exportPDFBtn');
     const exportCSVBtn = this.container.querySelector('#exportCSVBtn');
@@ -170,13 +221,15 @@ export class ResultsManager {
     }
 
     const sections = Object.entries(this.results.sectionResults).map(([section, result]) => {
-      const percentage = result.total > 0 ? Math.round((result.correct / result.total) * 100) : 0;
+      const percentage = this.sectionPercentage(result);
+      const details = result.maxPoints !== undefined ? `${result.points}/${result.maxPoints} points` : `${result.correct}/${result.total}`;
+      const weight = result.weight !== undefined && result.weight !== 1 ? ` · weight ×${result.weight}` : '';
       return `
         <div class="section-result">
           <div class="section-name">${section}</div>
           <div class="section-score">
             <span class="section-percentage">${percentage}%</span>
-            <span class="section-details">(${result.correct}/${result.total})</span>
+            <span class="section-details">(${details}${weight})</span>
           </div>
           <div class="section-bar">
             <div class="section-progress" style="width: ${percentage}%"></div>
@@ -309,29 +362,44 @@ export class ResultsManager {
       return '<p>No question details available.</p>';
     }
 
+    const policy = ScoringPolicy.normalize(this.results.scoringPolicy);
     const questions = this.results.questions.map((q, index) => {
       const isCorrect = q.isCorrect;
-      const userAnswerText = q.options?.[q.userAnswer] || 'No answer';
-      const correctAnswerText = q.options?.[q.correctAnswer] || 'Unknown';
+      const statusClass = q.status.replace('_', '-');
+      const earned = ScoringPolicy.earned(q, policy);
+      const worth = ScoringPolicy.round(ScoringPolicy.questionWeight(q, policy));
 
       return `
-        <div class="question-review ${isCorrect ? 'correct' : 'incorrect'}">
+        <div class="question-review ${statusClass}">
           <div class="question-header">
             <span class="question-number">Question ${index + 1}</span>
-            <span class="question-status ${isCorrect ? 'correct' : 'incorrect'}">
-              ${isCorrect ? 'Correct' : 'Incorrect'}
+            <span class="question-status ${statusClass}">
+              ${STATUS_LABELS[q.status]}
             </span>
+            <span class="question-points">${earned === null ? '–' : ScoringPolicy.round(earned)}/${worth} pts</span>
           </div>
-          <div class="question-text">${q.question}</div>
+          <div class="question-text">${DOMHelpers.escapeHTML(q.question)}</div>
           <div class="answer-review">
             <div class="user-answer">
-              <strong>Your Answer:</strong> ${userAnswerText}
+              <strong>Your Answer:</strong> ${DOMHelpers.escapeHTML(q.userAnswerText)}
             </div>
             ${!isCorrect ? `
               <div class="correct-answer">
-                <strong>Correct Answer:</strong> ${correctAnswerText}
+                <strong>${q.status === 'pending_review' ? 'Guidance' : 'Correct Answer'}:</strong> ${DOMHelpers.escapeHTML(q.correctAnswerText)}
+              </div>
+            ` : ''}
+            ${q.status === 'pending_review' ? `
+              <div class="review-actions">
+                <button class="btn btn-success" data-review-index="${index}" data-grade="correct">Mark correct</button>
+                <button class="btn btn-secondary" data-review-index="${index}" data-grade="incorrect">Mark incorrect</button>
               </div>
             ` : ''}
+            ${q.status === 'partial' || q.status === 'incorrect' ? `
+              <div class="review-actions">
+                <button class="btn btn-info" data-feedback-index="${index}">Get feedback</button>
+              </div>
+              <div class="answer-feedback" id="answerFeedback${index}" style="display: none;"></div>
+            ` : ''}
             ${q.explanation ? `
               <div class="explanation">
                 <strong>Explanation:</strong> ${q.explanation}
@@ -346,7 +414,8 @@ export class ResultsManager {
       <div class="question-review-content">
         <div class="review-summary">
           <span class="correct-count">${this.results.correct} Correct</span>
-          <span class="incorrect-count">${this.results.total - this.results.correct} Incorrect</span>
+          <span class="incorrect-count">${this.results.incorrect} Incorrect</span>
+          ${this.results.pendingReview ? `<span class="pending-count">${this.results.pendingReview} Awaiting review</span>` : ''}
         </div>
         <div class="questions-list">
           ${questions}
@@ -355,6 +424,43 @@ export class ResultsManager {
     `;
   }
 
+  /**
+   * Show feedback on one answer: { pending } while it loads, then { assessment } or { error }
+   */
+  showAnswerFeedback(index, { pending = false, assessment = '', error = '' } = {}) {
+    const feedback = this.container.querySelector(`#answerFeedback${index}`);
+    if (!feedback) return;
+
+    feedback.style.display = '';
+    feedback.innerHTML = pending
+      ? '<span class="loading-text">Getting feedback...</span>'
+      : error
+        ? `<span class="error-text">${DOMHelpers.escapeHTML(error)}</span>`
+        : `<strong>Feedback:</strong> ${DOMHelpers.escapeHTML(assessment)}`;
+
+    const button = this.container.querySelector(`[data-feedback-index="${index}"]`);
+    if (button) button.disabled = pending;
+  }
+
+  /**
+   * Grade an answer that was awaiting review, recompute the totals and save them over the stored results
+   */
+  gradeReview(index, correct) {
+    const entry = this.results.questions[index];
+    if (!entry || entry.status !== 'pending_review') return;
+
+    Object.assign(entry, { status: correct ? 'correct' : 'incorrect', score: correct ? 1 : 0, isCorrect: correct, reviewedAt: new Date().toISOString() });
+    Object.assign(this.results, AnswerScoring.summarize(this.results.questions, this.results.scoringPolicy));
+
+    if (!this.storageService.saveQuizResults(this.results)) {
+      this.showMessage('Grade applied but could not be saved', 'error');
+    }
+
+    this.eventManager.cleanup();
+    this.render();
+    this.switchTab('questions');
+  }
+
   /**
    * Render analytics tab content
    */
@@ -543,13 +649,11 @@ export class ResultsManager {
     if (this.results.sectionResults) {
       const sections = Object.entries(this.results.sectionResults);
       const bestSection = sections.reduce((best, [name, result]) => {
-        const percentage = result.total > 0 ? (result.correct / result.total) * 100 : 0;
-        const bestPercentage = best.result.total > 0 ? (best.result.correct / best.result.total) * 100 : 0;
-        return percentage > bestPercentage ? { name, result } : best;
+        return this.sectionPercentage(result) > this.sectionPercentage(best.result) ? { name, result } : best;
       });
 
       if (bestSection && bestSection.result.total > 0) {
-        const bestPercentage = Math.round((bestSection.result.correct / bestSection.result.total) * 100);
+        const bestPercentage = this.sectionPercentage(bestSection.result);
         insights.push({
           type: 'success',
           text: `Strongest performance in ${bestSection.name} section (${bestPercentage}%)`
@@ -589,23 +693,33 @@ export class ResultsManager {
    */
   getPassingClass() {
     const passingScore = this.config.passingScore || 70;
-    return this.results.percentage >= passingScore ? 'passed' : 'failed';
+    return ScoringPolicy.passed(this.results.percentage, passingScore) ? 'passed' : 'failed';
   }
 
   /**
    * Get passing message
+   * The percentage is of the maximum points under the quiz's scoring policy, after any penalties
    */
   getPassingMessage() {
     const passingScore = this.config.passingScore || 70;
-    const passed = this.results.percentage >= passingScore;
+    const passed = ScoringPolicy.passed(this.results.percentage, passingScore);
+    const points = this.results.maxPoints !== undefined ? ` (${this.results.rawPoints} of ${this.results.maxPoints} points)` : '';
     
     if (passed) {
-      return `🎉 Congratulations! You passed with ${this.results.percentage}% (Required: ${passingScore}%)`;
+      return `🎉 Congratulations! You passed with ${this.results.percentage}%${points} (Required: ${passingScore}%)`;
     } else {
-      return `You need ${passingScore}% to pass. You scored ${this.results.percentage}%. Keep studying!`;
+      return `You need ${passingScore}% to pass. You scored ${this.results.percentage}%${points}. Keep studying!`;
     }
   }
 
+  /**
+   * Percentage for one section's results, by points when the results have them
+   */
+  sectionPercentage(result) {
+    if (result.percentage !== undefined) return result.percentage;
+    return result.total > 0 ? Math.round((result.correct / result.total) * 100) : 0;
+  }
+
   /**
    * Format completion time
    */
@@ -714,13 +828,20 @@ export class ResultsManager {
    * Generate CSV data
    */
   generateCSVData() {
-    const headers = ['Question', 'Your Answer', 'Correct Answer', 'Result'];
-    const rows = this.results.questions.map((q, index) => [
-      `"Question ${index + 1}"`,
-      `"${q.options?.[q.userAnswer] || 'No answer'}"`,
-      `"${q.options?.[q.correctAnswer] || 'Unknown'}"`,
-      q.isCorrect ? 'Correct' : 'Incorrect'
-    ]);
+    const headers = ['Question', 'Your Answer', 'Correct Answer', 'Result', 'Points', 'Max Points'];
+    const quote = value => `"${String(value).replace(/"/g, '""')}"`;
+    const policy = ScoringPolicy.normalize(this.results.scoringPolicy);
+    const rows = this.results.questions.map((q, index) => {
+      const earned = ScoringPolicy.earned(q, policy);
+      return [
+        `"Question ${index + 1}"`,
+        quote(q.userAnswerText),
+        quote(q.correctAnswerText),
+        STATUS_LABELS[q.status],
+        earned === null ? '' : ScoringPolicy.round(earned),
+        ScoringPolicy.round(ScoringPolicy.questionWeight(q, policy))
+      ];
+    });
 
     return [headers, ...rows].map(row => row.join(',')).join('\n');
   }
@@ -1,5 +1,7 @@
 // Enhanced CSV Question Manager with Schema Integration
 import QuestionSchema from '../models/QuestionSchema.js';
+import CSVParser from '../utils/CSVParser.js';
+import { AnswerKey } from '../models/AnswerKey.js';
 
 export class EnhancedCSVManager {
   constructor() {
@@ -9,6 +11,7 @@ export class EnhancedCSVManager {
     this.tags = new Set();
     this.parseErrors = [];
     this.parseWarnings = [];
+    this.rowLines = []; // Source line of each parsed row (records can span lines)
   }
 
   /**
@@ -68,82 +71,37 @@ export class EnhancedCSVManager {
   }
 
   /**
-   * Parse CSV structure handling quotes and escapes properly
+   * Parse CSV structure with the shared RFC 4180 parser
+   * Rows that cannot be read reliably are reported in parseErrors with their line and column
    */
   parseCSVStructure(csvContent) {
-    const lines = csvContent.trim().split('\n');
-    if (lines.length === 0) {
+    const parsed = CSVParser.parse(csvContent);
+    if (parsed.headers.length === 0) {
       throw new Error('Empty CSV content');
     }
 
-    // Parse headers
-    const headers = this.parseCSVLine(lines[0]);
     const rows = [];
+    this.rowLines = [];
 
-    // Parse data rows
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line === '') continue; // Skip empty lines
-
-      try {
-        const row = this.parseCSVLine(line);
-        if (row.length > 0) {
-          // Pad row to match header length
-          while (row.length < headers.length) {
-            row.push('');
-          }
-          rows.push(row);
-        }
-      } catch (error) {
+    parsed.rows.forEach(row => {
+      if (row.error) {
         this.parseErrors.push({
-          line: i + 1,
-          content: line,
-          error: error.message
+          line: row.error.line,
+          column: row.error.column,
+          content: row.values.join(','),
+          error: row.error.message
         });
+        return;
       }
-    }
-
-    return { headers, rows };
-  }
-
-  /**
-   * Enhanced CSV line parsing with better quote handling
-   */
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    let i = 0;
-
-    while (i < line.length) {
-      const char = line[i];
-      const nextChar = line[i + 1];
-
-      if (char === '"') {
-        if (inQuotes && nextChar === '"') {
-          // Escaped quote
-          current += '"';
-          i += 2;
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes;
-          i++;
-        }
-      } else if (char === ',' && !inQuotes) {
-        // Field separator
-        result.push(current.trim());
-        current = '';
-        i++;
-      } else {
-        current += char;
-        i++;
-      }
-    }
+      rows.push(row.values);
+      this.rowLines.push(row.line);
+    });
 
-    // Add final field
-    result.push(current.trim());
+    parsed.warnings.forEach(warning => {
+      this.parseWarnings.push({ line: warning.line, column: warning.column, warning: warning.message });
+    });
 
-    return result;
+    return { headers: parsed.headers, rows };
   }
 
   /**
@@ -221,6 +179,7 @@ export class EnhancedCSVManager {
     for (let i = 0; i < rows.length; i++) {
       const rowIndex = startIndex + i;
       const row = rows[i];
+      const line = this.rowLines[rowIndex] ?? rowIndex + 2;
 
       try {
         const question = this.processRow(headers, row, rowIndex, {
@@ -236,7 +195,7 @@ export class EnhancedCSVManager {
             throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
           } else {
             this.parseErrors.push({
-              line: rowIndex + 2, // +2 for header and 0-based index
+              line,
               error: `Validation failed: ${validation.errors.join(', ')}`,
               question: question.question || 'Unknown'
             });
@@ -247,7 +206,7 @@ export class EnhancedCSVManager {
         // Add warnings
         validation.warnings.forEach(warning => {
           this.parseWarnings.push({
-            line: rowIndex + 2,
+            line,
             warning,
             question: question.question || 'Unknown'
           });
@@ -258,7 +217,7 @@ export class EnhancedCSVManager {
 
       } catch (error) {
         this.parseErrors.push({
-          line: rowIndex + 2,
+          line,
           error: error.message,
           content: row.join(',')
         });
@@ -385,6 +344,7 @@ export class EnhancedCSVManager {
     this.questions = [];
     this.parseErrors = [];
     this.parseWarnings = [];
+    this.rowLines = [];
     this.categories.clear();
     this.difficulties.clear();
     this.tags.clear();
@@ -447,7 +407,7 @@ export class EnhancedCSVManager {
         row.push(this.escapeCSVValue(question.options?.[i] || ''));
       }
       
-      row.push(this.escapeCSVValue(question.correct_answer || ''));
+      row.push(this.escapeCSVValue(AnswerKey.canonical(question) ?? (question.correct_answer || '')));
       row.push(this.escapeCSVValue(question.category || ''));
       row.push(this.escapeCSVValue(question.difficulty || ''));
       row.push(this.escapeCSVValue(question.points || ''));
@@ -493,11 +453,7 @@ export class EnhancedCSVManager {
    * Escape CSV value properly
    */
   escapeCSVValue(value) {
-    const str = value.toString();
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
-    }
-    return str;
+    return CSVParser.escapeValue(value);
   }
 
   /**
@@ -1,166 +1,45 @@
 // CSV Question Manager
+import CSVParser from '../utils/CSVParser.js';
+
 class CSVQuestionManager {
     constructor() {
         this.questions = [];
+        this.parseErrors = [];
         this.categories = new Set();
         this.difficulties = new Set();
     }
 
     // Parse CSV text into question objects
+    // Rows the shared parser cannot read reliably are kept in this.parseErrors with their line and column
     parseCSV(csvText) {
-        const lines = csvText.trim().split('\n');
-        const headers = lines[0].split(',').map(h => h.trim());
+        const { rows, errors } = CSVParser.parse(csvText);
         
         this.questions = [];
+        this.parseErrors = errors;
         this.categories.clear();
         this.difficulties.clear();
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
-            if (values.length === headers.length) {
-                const question = {};
-                headers.forEach((header, index) => {
-                    question[header] = values[index];
-                });
-                
-                // Convert numeric fields
-                question.id = parseInt(question.id);
-                question.points = parseInt(question.points || 1);
-                question.time_limit = parseInt(question.time_limit || 30);
-                
-                // Track categories and difficulties
-                this.categories.add(question.category);
-                this.difficulties.add(question.difficulty);
-                
-                this.questions.push(question);
+        rows.forEach(row => {
+            if (row.error) {
+                console.warn(`Skipping CSV row at ${CSVParser.formatLocation(row.error)}: ${row.error.message}`);
+                return;
             }
-        }
-        
-        return this.questions;
-    }
-
-    // Parse a single CSV line, handling commas within quotes
-    parseCSVLine(line) {
-        try {
-            this.validateCSVLine(line);
-            return this.processCSVLine(line);
-        } catch (error) {
-            return this.handleCSVParseError(error, line);
-        }
-    }
-
-    // Validate CSV line input
-    validateCSVLine(line) {
-        if (typeof line !== 'string') {
-            throw new Error('CSV line must be a string');
-        }
-        
-        if (line.trim() === '') {
-            throw new Error('Empty line');
-        }
-    }
 
-    // Process the CSV line character by character
-    processCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+            const question = { ...row.data };
             
-            try {
-                const processResult = this.processCSVCharacter(char, line, i, inQuotes, current);
-                current = processResult.current;
-                inQuotes = processResult.inQuotes;
-                i = processResult.newIndex;
-                
-                if (processResult.shouldPushField) {
-                    result.push(current.trim());
-                    current = '';
-                }
-            } catch (charError) {
-                console.warn(`Error processing character at position ${i}:`, charError);
-                current += char;
-            }
-        }
-        
-        if (inQuotes) {
-            console.warn('Warning: Unclosed quotes detected in CSV line, attempting to recover');
-        }
-        
-        result.push(current.trim());
-        
-        if (result.length === 0) {
-            throw new Error('No fields found in CSV line');
-        }
-        
-        return result;
-    }
-
-    // Process a single character in the CSV line
-    processCSVCharacter(char, line, index, inQuotes, current) {
-        if (char === '"') {
-            const quoteResult = this.handleQuoteCharacter(line, index, inQuotes, current);
-            return {
-                current: quoteResult.current,
-                inQuotes: quoteResult.inQuotes,
-                newIndex: quoteResult.newIndex,
-                shouldPushField: false
-            };
-        } else if (char === ',' && !inQuotes) {
-            return {
-                current: current,
-                inQuotes: inQuotes,
-                newIndex: index,
-                shouldPushField: true
-            };
-        } else {
-            return {
-                current: current + char,
-                inQuotes: inQuotes,
-                newIndex: index,
-                shouldPushField: false
-            };
-        }
-    }
-
-    // Handle quote character processing
-    handleQuoteCharacter(line, index, inQuotes, current) {
-        let newInQuotes = !inQuotes;
-        let newCurrent = current;
-        let newIndex = index;
-        
-        // Handle escaped quotes ("")
-        if (index + 1 < line.length && line[index + 1] === '"' && newInQuotes) {
-            newCurrent += '"';
-            newIndex++; // Skip next quote
-        }
-        
-        return {
-            current: newCurrent,
-            inQuotes: newInQuotes,
-            newIndex: newIndex
-        };
-    }
-
-    // Handle CSV parsing errors with fallback
-    handleCSVParseError(error, line) {
-        if (error.message === 'Empty line') {
-            return [];
-        }
-        
-        console.error('Error parsing CSV line:', error.message);
-        console.error('Problematic line:', line);
+            // Convert numeric fields
+            question.id = parseInt(question.id);
+            question.points = parseInt(question.points || 1);
+            question.time_limit = parseInt(question.time_limit || 30);
+            
+            // Track categories and difficulties
+            this.categories.add(question.category);
+            this.difficulties.add(question.difficulty);
+            
+            this.questions.push(question);
+        });
         
-        try {
-            const fallbackResult = line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
-            console.warn('Using fallback parsing method');
-            return fallbackResult;
-        } catch (fallbackError) {
-            console.error('Fallback parsing also failed:', fallbackError);
-            return [line];
-        }
+        return this.questions;
     }
 
     // Load questions from CSV file
@@ -257,14 +136,7 @@ class CSVQuestionManager {
         const csvLines = [headers.join(',')];
         
         this.questions.forEach(question => {
-            const values = headers.map(header => {
-                let value = question[header] || '';
-                // Escape commas and quotes
-                if (value.toString().includes(',') || value.toString().includes('"')) {
-                    value = `"${value.toString().replace(/"/g, '""')}"`;
-                }
-                return value;
-            });
+            const values = headers.map(header => CSVParser.escapeValue(question[header] || ''));
             csvLines.push(values.join(','));
         });
         
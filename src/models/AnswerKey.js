@@ -0,0 +1,227 @@
+// Answer Key
+// Resolves a question's `correct_answer` to the options it names, for every path that needs the key:
+// rendering, scoring, the results review, AI export and file export. Keys of option-based types
+// (multiple choice, multiple response, ordering) are option letters separated by ";", but letters
+// written as "c", "C." or "(C)", an option's own text and the legacy numeric `answer` index resolve
+// too. shuffleOptions reorders a question's options and rewrites its key so the key follows the
+// options, removeBlankOptions does the same when cleared options close up; report lists the questions
+// of a bank whose key does not resolve.
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Types whose key names options
+const OPTION_KEY_TYPES = ['multiple_choice', 'multiple_response', 'ordering'];
+
+// "C", "c", "C.", "C)", "(C)", "Option C"
+const LETTER_PATTERN = /^(?:option\s+)?\(?([A-Z])[.)]?$/i;
+
+export class AnswerKey {
+
+  static get LETTERS() {
+    return LETTERS;
+  }
+
+  static get OPTION_KEY_TYPES() {
+    return [...OPTION_KEY_TYPES];
+  }
+
+  static usesOptions(question) {
+    return OPTION_KEY_TYPES.includes(question?.type || 'multiple_choice');
+  }
+
+  static letter(index) {
+    return LETTERS[index] ?? '';
+  }
+
+  /**
+   * Letters for option indexes, e.g. [0, 2] -> "A;C"
+   */
+  static letters(indexes) {
+    return indexes.map(index => AnswerKey.letter(index)).join(';');
+  }
+
+  /**
+   * Entries of a key, split on ";"
+   */
+  static entries(correctAnswer) {
+    return String(correctAnswer ?? '').split(';').map(value => value.trim()).filter(Boolean);
+  }
+
+  /**
+   * Option index one key entry names: a letter first, then an option's text (ignoring case); -1 when neither
+   */
+  static resolveEntry(entry, options = []) {
+    const match = String(entry).trim().match(LETTER_PATTERN);
+    if (match) {
+      const index = LETTERS.indexOf(match[1].toUpperCase());
+      if (index < options.length) return index;
+    }
+    const text = String(entry).trim().toLowerCase();
+    return options.findIndex(option => String(option ?? '').trim().toLowerCase() === text);
+  }
+
+  /**
+   * Resolve the key of an option-based question
+   * Returns { indexes, errors } with `indexes` the single correct option for multiple choice, the
+   * sorted correct options for multiple response and the options in the correct order for ordering.
+   * Other types resolve to { indexes: null, errors: [] }
+   */
+  static resolve(question) {
+    if (!AnswerKey.usesOptions(question)) return { indexes: null, errors: [] };
+
+    const type = question.type || 'multiple_choice';
+    const options = Array.isArray(question.options) ? question.options : [];
+    const errors = [];
+    let entries = AnswerKey.entries(question.correct_answer);
+
+    // The pre-schema format kept the key as a numeric option index
+    if (entries.length === 0 && Number.isInteger(question.answer) && question.answer >= 0) {
+      entries = [LETTERS[question.answer] || String(question.answer)];
+    }
+    // An ordering key may be left out when the options are listed in order
+    if (entries.length === 0 && type === 'ordering') {
+      return { indexes: options.map((option, index) => index), errors };
+    }
+    if (entries.length === 0) {
+      return { indexes: [], errors: ['No correct answer'] };
+    }
+    // A single-answer key may be option text that itself contains ";"
+    if (type === 'multiple_choice' && entries.length > 1) {
+      entries = [String(question.correct_answer).trim()];
+    }
+
+    const indexes = [];
+    entries.forEach(entry => {
+      const index = AnswerKey.resolveEntry(entry, options);
+      if (index === -1) {
+        errors.push(`Correct answer '${entry}' doesn't match available options`);
+      } else if (indexes.includes(index)) {
+        errors.push(`Correct answer names option ${AnswerKey.letter(index)} twice`);
+      } else {
+        indexes.push(index);
+      }
+    });
+
+    if (type === 'ordering' && errors.length === 0 && indexes.length !== options.length) {
+      errors.push(`Correct order must list each of the ${options.length} items once (e.g. ${LETTERS.slice(0, Math.min(options.length, 3)).split('').join(';')})`);
+    }
+
+    return { indexes: type === 'multiple_response' ? indexes.sort((a, b) => a - b) : indexes, errors };
+  }
+
+  /**
+   * Index of a multiple-choice question's correct option; -1 when the key does not resolve
+   */
+  static correctIndex(question) {
+    const { indexes, errors } = AnswerKey.resolve(question);
+    return indexes && errors.length === 0 && indexes.length === 1 ? indexes[0] : -1;
+  }
+
+  /**
+   * Sorted indexes of a multiple-response question's correct options (those that resolve)
+   */
+  static correctIndexes(question) {
+    return AnswerKey.resolve(question).indexes || [];
+  }
+
+  /**
+   * Option indexes of an ordering question in the correct order; empty when the key does not resolve
+   */
+  static correctOrder(question) {
+    const { indexes, errors } = AnswerKey.resolve(question);
+    return indexes && errors.length === 0 ? indexes : [];
+  }
+
+  /**
+   * The key in canonical letter form ("C", "A;C", "C;A;B"), or null when it does not resolve
+   */
+  static canonical(question) {
+    const { indexes, errors } = AnswerKey.resolve(question);
+    return indexes && errors.length === 0 ? AnswerKey.letters(indexes) : null;
+  }
+
+  /**
+   * Copy of a question with its options shuffled and its key rewritten to follow them
+   * `option_order` records the original index of each shown option. Matching questions shuffle their
+   * prompts together with the matches; types without options come back unchanged.
+   */
+  static shuffleOptions(question, random = Math.random) {
+    const options = Array.isArray(question.options) ? question.options : [];
+    const shuffles = AnswerKey.usesOptions(question) || question.type === 'matching';
+    if (!shuffles || options.length < 2) return question;
+
+    const order = options.map((option, index) => index);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const shuffled = { ...question, options: order.map(index => options[index]), option_order: order };
+    if (question.type === 'matching') {
+      const matches = AnswerKey.entries(question.correct_answer);
+      if (matches.length === options.length) shuffled.correct_answer = order.map(index => matches[index]).join(';');
+      return shuffled;
+    }
+
+    const { indexes, errors } = AnswerKey.resolve(question);
+    if (errors.length === 0) {
+      const moved = indexes.map(index => order.indexOf(index));
+      shuffled.correct_answer = AnswerKey.letters(question.type === 'multiple_response' ? moved.sort((a, b) => a - b) : moved);
+    }
+    return shuffled;
+  }
+
+  /**
+   * Copy of a question without its blank options, its key re-lettered for the options that move up
+   * Clearing option B of A-D moves C and D up a letter, so a key "C" becomes "B". Returns
+   * { question, errors }: when the key names a blank option the question comes back unchanged with an
+   * error for it. Keys that do not resolve are left for validation to report.
+   */
+  static removeBlankOptions(question) {
+    const options = Array.isArray(question.options) ? question.options : [];
+    const kept = options.map((option, index) => index).filter(index => String(options[index] ?? '').trim() !== '');
+    if (kept.length === options.length) return { question, errors: [] };
+
+    const compacted = { ...question, options: kept.map(index => options[index]) };
+    if (!AnswerKey.usesOptions(question) || AnswerKey.entries(question.correct_answer).length === 0) {
+      return { question: compacted, errors: [] };
+    }
+
+    const { indexes, errors } = AnswerKey.resolve(question);
+    if (errors.length > 0) return { question: compacted, errors: [] };
+
+    const cleared = indexes.filter(index => !kept.includes(index));
+    if (cleared.length > 0) {
+      return {
+        question,
+        errors: cleared.map(index => `Correct answer names option ${AnswerKey.letter(index)}, which is blank`)
+      };
+    }
+
+    compacted.correct_answer = AnswerKey.letters(indexes.map(index => kept.indexOf(index)));
+    return { question: compacted, errors: [] };
+  }
+
+  /**
+   * Questions whose key does not resolve to their options
+   * Returns { checked, resolved, unresolved: [{ id, type, question, correct_answer, options, errors }] }
+   */
+  static report(questions = []) {
+    const checked = questions.filter(question => AnswerKey.usesOptions(question));
+    const unresolved = checked
+      .map(question => ({ question, errors: AnswerKey.resolve(question).errors }))
+      .filter(({ errors }) => errors.length > 0)
+      .map(({ question, errors }) => ({
+        id: question.id,
+        type: question.type || 'multiple_choice',
+        question: question.question,
+        correct_answer: question.correct_answer,
+        options: question.options?.length || 0,
+        errors
+      }));
+
+    return { checked: checked.length, resolved: checked.length - unresolved.length, unresolved };
+  }
+}
+
+export default AnswerKey;
@@ -0,0 +1,211 @@
+// Question Bank Migrations
+// Ordered, named steps that bring a stored question bank up to QuestionSchema.getSchemaVersion().
+// The bank records the version it was written at in `metadata.schemaVersion`; every step newer than
+// that runs in order on load (server and client storage alike). Steps rewrite each stored copy of a
+// question: the live questions, revision snapshots, upload journals and queued conflicts. Each run
+// is logged in `metadata.migrations`.
+
+import { QuestionSchema } from './QuestionSchema.js';
+import { AnswerKey } from './AnswerKey.js';
+
+// Banks written before versions were recorded
+const INITIAL_VERSION = '1.0.0';
+
+// Flat option fields used by the pre-schema question format
+const LEGACY_OPTION_FIELDS = ['option_a', 'option_b', 'option_c', 'option_d', 'option_e'];
+
+const MIGRATIONS = [
+  {
+    version: '2.0.0',
+    name: 'canonical-question-shape',
+    description: 'Fold option_a..option_e and the legacy text/answer fields into the QuestionSchema shape',
+    question: question => (QuestionMigrations.isLegacyShape(question) ? QuestionMigrations.toCanonical(question) : question)
+  },
+  {
+    version: '2.1.0',
+    name: 'normalize-enum-values',
+    description: 'Store type and difficulty in their canonical spelling and multiple-choice answers as capital letters',
+    question: question => {
+      const normalized = {
+        ...question,
+        type: QuestionSchema.normalizeType(question.type),
+        difficulty: QuestionSchema.normalizeDifficulty(question.difficulty)
+      };
+      if (normalized.type === 'multiple_choice' && typeof normalized.correct_answer === 'string') {
+        normalized.correct_answer = normalized.correct_answer.trim().toUpperCase();
+      }
+      return normalized;
+    }
+  },
+  {
+    version: '2.2.0',
+    name: 'resolve-answer-keys',
+    description: 'Store option answer keys written as option text, "c" or "(C)" as option letters',
+    question: question => {
+      if (!AnswerKey.usesOptions(question) || !question.type || !Array.isArray(question.options) || !question.correct_answer) return question;
+      const key = AnswerKey.canonical(question);
+      return key !== null && key !== question.correct_answer ? { ...question, correct_answer: key } : question;
+    }
+  }
+];
+
+export class QuestionMigrations {
+
+  /**
+   * Migration steps in the order they run: [{ version, name, description }]
+   */
+  static get MIGRATIONS() {
+    return MIGRATIONS.map(({ version, name, description }) => ({ version, name, description }));
+  }
+
+  static get INITIAL_VERSION() {
+    return INITIAL_VERSION;
+  }
+
+  static get LEGACY_OPTION_FIELDS() {
+    return [...LEGACY_OPTION_FIELDS];
+  }
+
+  /**
+   * Compare two "major.minor.patch" versions; negative when a is older
+   */
+  static compareVersions(a, b) {
+    const parts = version => String(version).split('.').map(part => parseInt(part, 10) || 0);
+    const [left, right] = [parts(a), parts(b)];
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const difference = (left[i] || 0) - (right[i] || 0);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+
+  /**
+   * Schema version a bank was written at
+   */
+  static storedVersion(bank) {
+    return bank?.metadata?.schemaVersion || INITIAL_VERSION;
+  }
+
+  /**
+   * Steps a bank has not had yet, oldest first
+   */
+  static pending(bank) {
+    const stored = this.storedVersion(bank);
+    return MIGRATIONS.filter(step => this.compareVersions(step.version, stored) > 0);
+  }
+
+  static needsMigration(bank) {
+    return this.pending(bank).length > 0;
+  }
+
+  /**
+   * Run the pending steps on a bank ({ questions, revisions, uploads, conflicts, metadata })
+   * With `dryRun` the bank is left untouched and only the report is returned; otherwise the bank is
+   * migrated in place and the run appended to `metadata.migrations`. `backup` names the backup the
+   * caller took first and is recorded in the log.
+   * Returns { from, to, dryRun, steps: [{ version, name, description, changed }] }
+   */
+  static run(bank, { dryRun = false, backup = null } = {}) {
+    const target = dryRun ? JSON.parse(JSON.stringify(bank)) : bank;
+    const from = this.storedVersion(bank);
+    const to = QuestionSchema.getSchemaVersion();
+    const steps = this.pending(bank).map(step => ({
+      version: step.version,
+      name: step.name,
+      description: step.description,
+      changed: this.eachStoredQuestion(target, step.question)
+    }));
+
+    if (!dryRun) {
+      const entry = { from, to, ranAt: new Date().toISOString(), steps: steps.map(({ version, name, changed }) => ({ version, name, changed })) };
+      if (backup) entry.backup = backup;
+      target.metadata = {
+        ...target.metadata,
+        schemaVersion: to,
+        migrations: [...(target.metadata?.migrations || []), ...(steps.length > 0 ? [entry] : [])]
+      };
+    }
+
+    return { from, to, dryRun, steps };
+  }
+
+  /**
+   * Apply every pending question-level step to one question (for questions that arrive outside a bank)
+   */
+  static upgradeQuestion(question, fromVersion = INITIAL_VERSION) {
+    return MIGRATIONS
+      .filter(step => this.compareVersions(step.version, fromVersion) > 0)
+      .reduce((upgraded, step) => step.question(upgraded), question);
+  }
+
+  /**
+   * Replace every stored copy of a question with transform(copy); returns how many live questions changed
+   */
+  static eachStoredQuestion(bank, transform) {
+    const apply = question => (question && typeof question === 'object' ? transform(question) : question);
+    let changed = 0;
+
+    bank.questions = (bank.questions || []).map(question => {
+      const upgraded = apply(question);
+      if (JSON.stringify(upgraded) !== JSON.stringify(question)) changed++;
+      return upgraded;
+    });
+
+    for (const revision of bank.revisions || []) {
+      if (revision.snapshot) revision.snapshot = apply(revision.snapshot);
+    }
+    for (const upload of bank.uploads || []) {
+      const changes = upload.questionChanges;
+      if (!changes) continue;
+      for (const entry of changes.updated || []) {
+        if (entry.before) entry.before = apply(entry.before);
+      }
+    }
+    for (const conflict of bank.conflicts || []) {
+      if (conflict.incoming) conflict.incoming = apply(conflict.incoming);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Whether a question predates the canonical shape (flat options, legacy text/answer fields or no metadata)
+   */
+  static isLegacyShape(question) {
+    return (
+      LEGACY_OPTION_FIELDS.some(field => field in question) ||
+      !Array.isArray(question.options) ||
+      QuestionSchema.needsMigration(question)
+    );
+  }
+
+  /**
+   * Convert a pre-2.0.0 question to the canonical shape, keeping content and provenance
+   */
+  static toCanonical(question) {
+    const defaults = QuestionSchema.createDefault();
+
+    // The client's original shape: `text`, a numeric `answer` index and `timeLimit`/`section`
+    if ((question.text && !question.question) || typeof question.answer === 'number') {
+      const converted = QuestionSchema.fromLegacyFormat(question);
+      return { ...converted, source: { ...converted.source, ...question.source }, analytics: { ...converted.analytics, ...question.analytics } };
+    }
+
+    const rest = { ...question };
+    LEGACY_OPTION_FIELDS.forEach(field => delete rest[field]);
+    const options = Array.isArray(question.options) ? question.options : LEGACY_OPTION_FIELDS.map(field => question[field]);
+    const source = question.source
+      ? { created: question.source.uploadedAt || question.source.lastUpdated, ...question.source }
+      : defaults.source;
+
+    return QuestionSchema.sanitize({
+      ...defaults,
+      ...rest,
+      options: options.map(option => (option == null ? '' : String(option))),
+      source,
+      analytics: { ...defaults.analytics, ...question.analytics }
+    });
+  }
+}
+
+export default QuestionMigrations;
@@ -1,136 +1,221 @@
 // Question Schema and Data Model
 // Provides a unified, extensible schema for questions across the application
 
+import { JSONSchemaValidator } from '../utils/JSONSchemaValidator.js';
+import { AnswerKey } from './AnswerKey.js';
+
+const QUESTION_TYPES = ['multiple_choice', 'multiple_response', 'true_false', 'short_answer', 'essay', 'fill_blank', 'matching', 'numeric', 'ordering'];
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+// How a multiple-response answer is marked (see AnswerScoring.scoreSelection)
+const SCORING_MODES = ['all_or_nothing', 'partial_credit', 'right_minus_wrong'];
+
+// Numeric tolerances: a fixed margin, or a fraction of the correct value
+const TOLERANCE_TYPES = ['absolute', 'relative'];
+
+// A plain or scientific-notation number, the form numeric answer keys are stored in
+const NUMBER_PATTERN = '^[+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?$';
+
+// answer_rules entries by value type, for sanitizing CSV cells
+const BOOLEAN_RULES = ['case_sensitive', 'ignore_accents', 'unit_required'];
+const NUMERIC_RULES = ['tolerance', 'significant_figures'];
+
 export class QuestionSchema {
   /**
-   * Core question schema definition
-   * This is the canonical structure for all questions in the system
+   * Canonical question structure as a JSON Schema (draft 2020-12)
+   * Served from GET /api/schema/question and enforced on every server write through validate()
    */
-  static get CORE_SCHEMA() {
+  static get JSON_SCHEMA() {
+    const stringList = description => ({ type: 'array', items: { type: 'string' }, default: [], description });
+    const count = description => ({ type: 'integer', minimum: 0, default: 0, description });
+
     return {
-      // Required fields
-      id: {
-        type: 'number',
-        required: true,
-        description: 'Unique identifier for the question'
-      },
-      question: {
-        type: 'string',
-        required: true,
-        minLength: 1,
-        description: 'The question text'
-      },
-      type: {
-        type: 'string',
-        required: true,
-        enum: ['multiple_choice', 'true_false', 'short_answer', 'essay', 'fill_blank', 'matching'],
-        default: 'multiple_choice',
-        description: 'Question type'
-      },
-      
-      // Multiple choice specific fields
-      options: {
-        type: 'array',
-        items: { type: 'string' },
-        minItems: 2,
-        description: 'Answer options for multiple choice questions'
-      },
-      correct_answer: {
-        type: 'string',
-        description: 'Correct answer (letter for MC, true/false for boolean, text for others)'
-      },
-      
-      // Metadata fields
-      category: {
-        type: 'string',
-        default: 'General',
-        description: 'Question category'
-      },
-      difficulty: {
-        type: 'string',
-        enum: ['Easy', 'Medium', 'Hard', 'Expert'],
-        default: 'Medium',
-        description: 'Question difficulty level'
-      },
-      points: {
-        type: 'number',
-        default: 1,
-        min: 0,
-        description: 'Points awarded for correct answer'
-      },
-      time_limit: {
-        type: 'number',
-        default: 30,
-        min: 0,
-        description: 'Time limit in seconds'
-      },
-      explanation: {
-        type: 'string',
-        default: '',
-        description: 'Explanation for the correct answer'
-      },
-      
-      // Extensible fields for future enhancements
-      tags: {
-        type: 'array',
-        items: { type: 'string' },
-        default: [],
-        description: 'Question tags for filtering and categorization'
-      },
-      prerequisites: {
-        type: 'array',
-        items: { type: 'string' },
-        default: [],
-        description: 'Required knowledge or previous questions'
-      },
-      learning_objectives: {
-        type: 'array',
-        items: { type: 'string' },
-        default: [],
-        description: 'Learning objectives this question addresses'
-      },
-      media: {
-        type: 'object',
-        properties: {
-          images: { type: 'array', items: { type: 'string' } },
-          audio: { type: 'array', items: { type: 'string' } },
-          video: { type: 'array', items: { type: 'string' } }
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: '/api/schema/question',
+      title: 'Question',
+      description: 'A question bank question in the canonical QuestionSchema shape',
+      type: 'object',
+      required: ['id', 'question', 'type'],
+      properties: {
+        id: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Unique identifier for the question'
         },
-        default: {},
-        description: 'Media attachments'
-      },
-      
-      // Provenance and metadata
-      source: {
-        type: 'object',
-        properties: {
-          uploadId: { type: 'string' },
-          filename: { type: 'string' },
-          rowIndex: { type: 'number' },
-          created: { type: 'string', format: 'date-time' },
-          lastUpdated: { type: 'string', format: 'date-time' },
-          owner: { type: 'string' },
-          version: { type: 'string', default: '1.0.0' }
+        question: {
+          type: 'string',
+          minLength: 1,
+          description: 'The question text'
+        },
+        type: {
+          type: 'string',
+          enum: QUESTION_TYPES,
+          default: 'multiple_choice',
+          description: 'Question type'
+        },
+        options: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          description: 'Answer options for choice questions, prompts for matching questions, items to put in order for ordering questions'
+        },
+        correct_answer: {
+          type: 'string',
+          description: 'Correct answer (letter for MC, ";"-separated letters for multiple response or in order for ordering, true/false for boolean, the number for numeric, ";"-separated alternatives or matches for others)'
+        },
+        answer_rules: {
+          type: 'object',
+          properties: {
+            case_sensitive: { type: 'boolean', default: false, description: 'Typed answers must match the key\'s case' },
+            ignore_accents: { type: 'boolean', default: false, description: 'Accented letters match their plain form' },
+            scoring: {
+              type: 'string',
+              enum: SCORING_MODES,
+              default: 'all_or_nothing',
+              description: 'How multiple-response answers earn credit: only when exactly right, per option, or right choices minus wrong ones'
+            },
+            tolerance: { type: 'number', minimum: 0, default: 0, description: 'How far a numeric answer may be from the key' },
+            tolerance_type: {
+              type: 'string',
+              enum: TOLERANCE_TYPES,
+              default: 'absolute',
+              description: 'Whether the tolerance is a fixed margin or a fraction of the key (0.01 = 1%)'
+            },
+            unit: { type: 'string', description: 'Unit of a numeric answer; ";" separates accepted spellings' },
+            unit_required: { type: 'boolean', default: false, description: 'Numeric answers must state the unit' },
+            significant_figures: { type: 'integer', minimum: 1, description: 'Numeric answers must be given to this many significant figures' }
+          },
+          additionalProperties: false,
+          description: 'How answers are compared with the key: typed answers (short answer, fill in the blank), multiple-response selections and numeric answers'
         },
-        description: 'Question provenance and metadata'
+        category: {
+          type: 'string',
+          default: 'General',
+          description: 'Question category'
+        },
+        difficulty: {
+          type: 'string',
+          enum: DIFFICULTIES,
+          default: 'Medium',
+          description: 'Question difficulty level'
+        },
+        points: {
+          type: 'number',
+          minimum: 0,
+          default: 1,
+          description: 'Points awarded for correct answer'
+        },
+        time_limit: {
+          type: 'number',
+          minimum: 0,
+          default: 30,
+          description: 'Time limit in seconds'
+        },
+        explanation: {
+          type: 'string',
+          default: '',
+          description: 'Explanation for the correct answer'
+        },
+        tags: stringList('Question tags for filtering and categorization'),
+        prerequisites: stringList('Required knowledge or previous questions'),
+        learning_objectives: stringList('Learning objectives this question addresses'),
+        media: {
+          type: 'object',
+          properties: {
+            images: { type: 'array', items: { type: 'string' } },
+            audio: { type: 'array', items: { type: 'string' } },
+            video: { type: 'array', items: { type: 'string' } }
+          },
+          default: {},
+          description: 'Media attachments'
+        },
+        source: {
+          type: 'object',
+          properties: {
+            uploadId: { type: ['string', 'null'] },
+            origin: { type: 'string', description: 'How the question got into the bank (upload, api, migration, directory, ...)' },
+            filename: { type: 'string' },
+            rowIndex: { type: 'integer', minimum: 0 },
+            originalId: { type: ['string', 'number'], description: 'ID of the question in the imported file, as written there' },
+            created: { type: 'string', format: 'date-time' },
+            lastUpdated: { type: 'string', format: 'date-time' },
+            owner: { type: ['string', 'null'] },
+            updatedBy: { type: 'string' },
+            version: {
+              type: ['integer', 'string'],
+              minimum: 1,
+              default: 1,
+              description: 'Incremented on every saved change; matches the latest revision ("1.0.0" strings predate revisions)'
+            }
+          },
+          description: 'Question provenance and metadata'
+        },
+        analytics: {
+          type: 'object',
+          properties: {
+            timesUsed: count('Times the question was shown'),
+            correctAnswers: count('Correct answers given'),
+            totalAttempts: count('Answers given'),
+            averageTime: { type: 'number', minimum: 0, default: 0, description: 'Average answer time in seconds' },
+            lastUsed: { type: 'string', format: 'date-time' }
+          },
+          default: {},
+          description: 'Question usage analytics'
+        }
       },
-      
-      // Analytics and performance tracking
-      analytics: {
-        type: 'object',
-        properties: {
-          timesUsed: { type: 'number', default: 0 },
-          correctAnswers: { type: 'number', default: 0 },
-          totalAttempts: { type: 'number', default: 0 },
-          averageTime: { type: 'number', default: 0 },
-          lastUsed: { type: 'string', format: 'date-time' }
+      allOf: [
+        {
+          if: { required: ['type'], properties: { type: { const: 'multiple_choice' } } },
+          then: { required: ['options'], properties: { options: { minItems: 2 } } }
         },
-        default: {},
-        description: 'Question usage analytics'
-      }
+        {
+          if: { required: ['type'], properties: { type: { const: 'multiple_response' } } },
+          then: { required: ['options', 'correct_answer'], properties: { options: { minItems: 2 }, correct_answer: { minLength: 1 } } }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'matching' } } },
+          then: { required: ['options', 'correct_answer'], properties: { options: { minItems: 2 } } }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'numeric' } } },
+          then: { required: ['correct_answer'], properties: { correct_answer: { pattern: NUMBER_PATTERN } } }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'ordering' } } },
+          then: { required: ['options', 'correct_answer'], properties: { options: { minItems: 2 } } }
+        },
+        {
+          if: { required: ['type'], properties: { type: { const: 'true_false' } } },
+          then: { required: ['correct_answer'], properties: { correct_answer: { enum: ['true', 'false'] } } }
+        },
+        {
+          if: { required: ['type'], properties: { type: { enum: ['short_answer', 'fill_blank'] } } },
+          then: { required: ['correct_answer'], properties: { correct_answer: { minLength: 1 } } }
+        }
+      ]
     };
   }
 
+  /**
+   * Field descriptors of the JSON Schema, keyed by field name
+   */
+  static get CORE_SCHEMA() {
+    return this.JSON_SCHEMA.properties;
+  }
+
+  /**
+   * Question types
+   */
+  static get TYPES() {
+    return [...QUESTION_TYPES];
+  }
+
+  /**
+   * Difficulty levels, easiest first
+   */
+  static get DIFFICULTIES() {
+    return [...DIFFICULTIES];
+  }
+
   /**
    * CSV field mapping for flexible imports
    * Maps various CSV header formats to our canonical schema
@@ -153,8 +238,23 @@ export class QuestionSchema {
       option_d: ['option_d', 'd', 'choice_d', 'answer_d', 'option4'],
       option_e: ['option_e', 'e', 'choice_e', 'answer_e', 'option5'],
       
+      // All options or matching prompts in one ";"-separated column (replaces option_a..option_e)
+      options: ['options', 'choices', 'prompts'],
+
       // Correct answer mappings
-      correct_answer: ['correct_answer', 'correct', 'answer', 'solution', 'key'],
+      correct_answer: ['correct_answer', 'correct', 'answer', 'solution', 'key', 'accepted_answers', 'matches'],
+
+      // Typed-answer comparison (answer_rules)
+      case_sensitive: ['case_sensitive', 'match_case'],
+      ignore_accents: ['ignore_accents'],
+      scoring: ['scoring', 'scoring_mode', 'scoring_method'],
+
+      // Numeric answers (answer_rules)
+      tolerance: ['tolerance', 'margin', 'error_margin'],
+      tolerance_type: ['tolerance_type'],
+      unit: ['unit', 'units'],
+      unit_required: ['unit_required', 'require_unit'],
+      significant_figures: ['significant_figures', 'sig_figs', 'sigfigs'],
       
       // Metadata mappings
       category: ['category', 'subject', 'topic', 'domain', 'area'],
@@ -175,6 +275,48 @@ export class QuestionSchema {
     };
   }
 
+  /**
+   * CSV media columns and the `media` key each one fills
+   */
+  static get MEDIA_FIELDS() {
+    return { image: 'images', audio: 'audio', video: 'video' };
+  }
+
+  /**
+   * CSV columns that fill `answer_rules`
+   */
+  static get ANSWER_RULE_FIELDS() {
+    return ['case_sensitive', 'ignore_accents', 'scoring', 'tolerance', 'tolerance_type', 'unit', 'unit_required', 'significant_figures'];
+  }
+
+  /**
+   * Multiple-response scoring modes, the first being the default
+   */
+  static get SCORING_MODES() {
+    return [...SCORING_MODES];
+  }
+
+  /**
+   * Marker for the blank in fill_blank question text
+   */
+  static get BLANK() {
+    return '_____';
+  }
+
+  /**
+   * Number of blanks in a question text
+   */
+  static blankCount(text) {
+    return String(text ?? '').split(this.BLANK).length - 1;
+  }
+
+  /**
+   * Values of a list-valued correct_answer (short answer alternatives, matching targets), separated by ";"
+   */
+  static answerList(correctAnswer) {
+    return String(correctAnswer ?? '').split(';').map(value => value.trim()).filter(Boolean);
+  }
+
   /**
    * Normalize field name to canonical schema field
    */
@@ -217,7 +359,7 @@ export class QuestionSchema {
       source: {
         created: new Date().toISOString(),
         lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
+        version: 1
       },
       analytics: {
         timesUsed: 0,
@@ -231,42 +373,71 @@ export class QuestionSchema {
   }
 
   /**
-   * Validate question against schema
+   * Validate a question against JSON_SCHEMA
+   * Returns { isValid, errors: [message], fieldErrors: [{ path, field, keyword, params, message }], warnings }
    */
   static validate(question) {
-    const errors = [];
+    const { errors: fieldErrors } = JSONSchemaValidator.validate(this.JSON_SCHEMA, question);
     const warnings = [];
-    const schema = this.CORE_SCHEMA;
 
-    // Check required fields
-    for (const [field, definition] of Object.entries(schema)) {
-      if (definition.required && (!question[field] || question[field] === '')) {
-        errors.push(`Required field '${field}' is missing or empty`);
+    // The numeric key pattern reads better as plain words
+    fieldErrors.forEach(error => {
+      if (error.keyword === 'pattern' && error.field === 'correct_answer' && question.type === 'numeric') {
+        error.message = `Correct answer '${question.correct_answer}' is not a number`;
       }
-    }
+    });
 
-    // Type-specific validation
-    if (question.type === 'multiple_choice') {
-      if (!question.options || question.options.length < 2) {
-        errors.push('Multiple choice questions must have at least 2 options');
-      }
-      
-      if (question.correct_answer) {
-        const answerLetter = question.correct_answer.toUpperCase();
-        const answerIndex = ['A', 'B', 'C', 'D', 'E', 'F'].indexOf(answerLetter);
-        if (answerIndex === -1 || answerIndex >= question.options.length) {
-          errors.push(`Correct answer '${question.correct_answer}' doesn't match available options`);
-        }
+    // Cross-field rule JSON Schema cannot express: the key must name the question's options (see AnswerKey);
+    // an ordering key also lists every item exactly once
+    if (AnswerKey.usesOptions(question) && question.type && Array.isArray(question.options) &&
+        typeof question.correct_answer === 'string' && question.correct_answer) {
+      const [message] = AnswerKey.resolve(question).errors;
+      if (message) {
+        fieldErrors.push({
+          path: '/correct_answer',
+          field: 'correct_answer',
+          keyword: 'answer',
+          params: { options: question.options.length },
+          message
+        });
       }
     }
 
-    // Value validation
-    if (question.points !== undefined && question.points < 0) {
-      errors.push('Points cannot be negative');
+    // Fill-in-the-blank text needs its blanks; with several, the key has one ";" entry per blank
+    if (question.type === 'fill_blank' && typeof question.question === 'string' && question.question) {
+      const blanks = this.blankCount(question.question);
+      const entries = this.answerList(question.correct_answer).length;
+      if (blanks === 0) {
+        fieldErrors.push({
+          path: '/question',
+          field: 'question',
+          keyword: 'blank',
+          params: { blank: this.BLANK },
+          message: `Fill-in-the-blank question text needs a ${this.BLANK} blank`
+        });
+      } else if (blanks > 1 && entries > 0 && entries !== blanks) {
+        fieldErrors.push({
+          path: '/correct_answer',
+          field: 'correct_answer',
+          keyword: 'answer',
+          params: { blanks },
+          message: `Correct answer has ${entries} ${entries === 1 ? 'entry' : 'entries'} for ${blanks} blanks`
+        });
+      }
     }
 
-    if (question.time_limit !== undefined && question.time_limit < 0) {
-      errors.push('Time limit cannot be negative');
+    // Matching keys pair up with the prompts in order
+    if (question.type === 'matching' && Array.isArray(question.options) && typeof question.correct_answer === 'string') {
+      const matches = this.answerList(question.correct_answer).length;
+      if (matches !== question.options.length) {
+        fieldErrors.push({
+          path: '/correct_answer',
+          field: 'correct_answer',
+          keyword: 'answer',
+          params: { options: question.options.length },
+          message: `Correct answer has ${matches} ${matches === 1 ? 'match' : 'matches'} for ${question.options.length} prompts`
+        });
+      }
     }
 
     // Warnings for missing optional but recommended fields
@@ -279,8 +450,9 @@ export class QuestionSchema {
     }
 
     return {
-      isValid: errors.length === 0,
-      errors,
+      isValid: fieldErrors.length === 0,
+      errors: fieldErrors.map(error => error.message),
+      fieldErrors,
       warnings
     };
   }
@@ -291,42 +463,124 @@ export class QuestionSchema {
   static sanitize(question) {
     const sanitized = { ...question };
 
-    // Trim strings
-    if (sanitized.question) sanitized.question = sanitized.question.trim();
-    if (sanitized.explanation) sanitized.explanation = sanitized.explanation.trim();
-    if (sanitized.category) sanitized.category = sanitized.category.trim();
+    // Trim strings (values of the wrong type are left for validate() to report)
+    ['question', 'explanation', 'category'].forEach(field => {
+      if (typeof sanitized[field] === 'string') sanitized[field] = sanitized[field].trim();
+    });
+
+    // Enum values in any case or spacing ("easy", "Multiple Choice") become the canonical value
+    if (sanitized.type !== undefined) sanitized.type = this.normalizeType(sanitized.type);
+    if (sanitized.difficulty !== undefined) sanitized.difficulty = this.normalizeDifficulty(sanitized.difficulty);
 
     // Normalize arrays
-    if (sanitized.options) {
+    if (Array.isArray(sanitized.options)) {
       sanitized.options = sanitized.options
-        .filter(opt => opt && opt.trim() !== '')
-        .map(opt => opt.trim());
+        .map(opt => (typeof opt === 'string' ? opt.trim() : opt))
+        .filter(opt => opt !== '' && opt !== null && opt !== undefined);
     }
 
-    if (sanitized.tags) {
+    if (Array.isArray(sanitized.tags)) {
       sanitized.tags = sanitized.tags
-        .filter(tag => tag && tag.trim() !== '')
-        .map(tag => tag.trim().toLowerCase());
+        .map(tag => (typeof tag === 'string' ? tag.trim().toLowerCase() : tag))
+        .filter(tag => tag !== '' && tag !== null && tag !== undefined);
     }
 
     // Ensure numeric fields are numbers
     if (sanitized.id !== undefined) sanitized.id = parseInt(sanitized.id) || null;
-    if (sanitized.points !== undefined) sanitized.points = parseInt(sanitized.points) || 1;
-    if (sanitized.time_limit !== undefined) sanitized.time_limit = parseInt(sanitized.time_limit) || 30;
-
-    // Normalize correct answer
-    if (sanitized.correct_answer && sanitized.type === 'multiple_choice') {
+    if (sanitized.points !== undefined) sanitized.points = this.toInteger(sanitized.points, 1);
+    if (sanitized.time_limit !== undefined) sanitized.time_limit = this.toInteger(sanitized.time_limit, 30);
+
+    // Normalize correct answer: option keys that resolve ("c", "(C)", an option's text) become letters
+    const optionKey = AnswerKey.usesOptions(sanitized) && sanitized.type && Array.isArray(sanitized.options) &&
+      (sanitized.correct_answer || sanitized.type === 'ordering') ? AnswerKey.canonical(sanitized) : null;
+    if (optionKey !== null) {
+      sanitized.correct_answer = optionKey;
+    } else if (sanitized.correct_answer && sanitized.type === 'multiple_choice') {
       sanitized.correct_answer = sanitized.correct_answer.toString().toUpperCase();
+    } else if (typeof sanitized.correct_answer === 'string' && sanitized.type === 'multiple_response') {
+      // "a, c", "C;A" -> "A;C"
+      const letters = sanitized.correct_answer.split(/[;,\s]+/).map(key => key.toUpperCase()).filter(Boolean);
+      sanitized.correct_answer = [...new Set(letters)].sort().join(';');
+    } else if (typeof sanitized.correct_answer === 'string' && sanitized.type === 'ordering') {
+      sanitized.correct_answer = sanitized.correct_answer.split(/[;,\s]+/).map(key => key.toUpperCase()).filter(Boolean).join(';');
+    }
+    if (typeof sanitized.correct_answer === 'string' && sanitized.type === 'numeric') {
+      sanitized.correct_answer = sanitized.correct_answer.trim();
+    }
+    if (typeof sanitized.correct_answer === 'number' && sanitized.type === 'numeric') {
+      sanitized.correct_answer = String(sanitized.correct_answer);
+    }
+    if (typeof sanitized.correct_answer === 'string' && sanitized.type === 'true_false') {
+      const value = sanitized.correct_answer.trim().toLowerCase();
+      sanitized.correct_answer = value === 't' ? 'true' : value === 'f' ? 'false' : value;
+    }
+
+    // Answer rules from CSV cells: "yes", "TRUE", "1" become booleans, "0.5" numbers and "1%" a relative tolerance
+    if (sanitized.answer_rules && typeof sanitized.answer_rules === 'object' && !Array.isArray(sanitized.answer_rules)) {
+      const rules = Object.fromEntries(Object.entries(sanitized.answer_rules).map(([rule, value]) => [rule, this.sanitizeRule(rule, value)]));
+      if (typeof rules.tolerance === 'string' && /^\d*\.?\d+\s*%$/.test(rules.tolerance.trim())) {
+        rules.tolerance = Number((parseFloat(rules.tolerance) / 100).toPrecision(12));
+        rules.tolerance_type = 'relative';
+      }
+      sanitized.answer_rules = rules;
     }
 
     return sanitized;
   }
 
+  /**
+   * Canonical spelling of a question type ("Multiple Choice" -> "multiple_choice"); unknown values are returned unchanged
+   */
+  static normalizeType(type) {
+    if (typeof type !== 'string') return type;
+    const normalized = type.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return QUESTION_TYPES.includes(normalized) ? normalized : type;
+  }
+
+  /**
+   * One answer_rules value in the type the schema expects; values that do not convert are left for validate() to report
+   */
+  static sanitizeRule(rule, value) {
+    if (typeof value !== 'string') return value;
+    const text = value.trim();
+    if (BOOLEAN_RULES.includes(rule) && /^(true|false|yes|no|y|n|1|0)$/i.test(text)) return /^(true|yes|y|1)$/i.test(text);
+    if (NUMERIC_RULES.includes(rule) && text !== '' && !Number.isNaN(Number(text))) return Number(text);
+    if (rule === 'scoring') return this.normalizeScoring(text);
+    if (rule === 'tolerance_type') return TOLERANCE_TYPES.includes(text.toLowerCase()) ? text.toLowerCase() : text;
+    return rule === 'unit' ? text : value;
+  }
+
+  /**
+   * Canonical spelling of a scoring mode ("Partial credit" -> "partial_credit"); unknown values are returned unchanged
+   */
+  static normalizeScoring(mode) {
+    if (typeof mode !== 'string') return mode;
+    const normalized = mode.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return SCORING_MODES.includes(normalized) ? normalized : mode;
+  }
+
+  /**
+   * Canonical spelling of a difficulty ("easy" -> "Easy"); unknown values are returned unchanged
+   */
+  static normalizeDifficulty(difficulty) {
+    if (typeof difficulty !== 'string') return difficulty;
+    return DIFFICULTIES.find(level => level.toLowerCase() === difficulty.trim().toLowerCase()) || difficulty;
+  }
+
+  /**
+   * Parse an integer field, keeping 0 and falling back only when the value is not a number
+   */
+  static toInteger(value, fallback) {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  }
+
   /**
    * Convert from CSV row to question format
    */
   static fromCSVRow(csvRow, headers, metadata = {}) {
     const question = this.createDefault();
+    let optionList = null;
 
     // Map CSV fields to schema fields
     headers.forEach((header, index) => {
@@ -338,18 +592,29 @@ export class QuestionSchema {
         if (normalizedField.startsWith('option_')) {
           if (!question.options) question.options = [];
           question.options.push(value.trim());
+        } else if (normalizedField === 'options' && typeof value === 'string') {
+          optionList = value.split(';').map(option => option.trim()).filter(option => option);
+        } else if (this.ANSWER_RULE_FIELDS.includes(normalizedField)) {
+          question.answer_rules = { ...question.answer_rules, [normalizedField]: value };
         } else if (normalizedField === 'tags' && typeof value === 'string') {
           question.tags = value.split(',').map(tag => tag.trim()).filter(tag => tag);
         } else if (normalizedField === 'prerequisites' && typeof value === 'string') {
           question.prerequisites = value.split(',').map(p => p.trim()).filter(p => p);
         } else if (normalizedField === 'learning_objectives' && typeof value === 'string') {
           question.learning_objectives = value.split(',').map(obj => obj.trim()).filter(obj => obj);
+        } else if (this.MEDIA_FIELDS[normalizedField] && typeof value === 'string') {
+          question.media = {
+            ...question.media,
+            [this.MEDIA_FIELDS[normalizedField]]: value.split(',').map(url => url.trim()).filter(url => url)
+          };
         } else {
           question[normalizedField] = value;
         }
       }
     });
 
+    if (optionList) question.options = optionList;
+
     // Add metadata
     if (metadata.uploadId) question.source.uploadId = metadata.uploadId;
     if (metadata.filename) question.source.filename = metadata.filename;
@@ -367,15 +632,12 @@ export class QuestionSchema {
       id: question.id,
       text: question.question, // Legacy field name
       options: question.options || [],
-      answer: question.options ? question.options.findIndex(opt => 
-        opt === question.correct_answer || 
-        ['A', 'B', 'C', 'D', 'E'][question.options.indexOf(opt)] === question.correct_answer
-      ) : -1,
+      answer: AnswerKey.correctIndex(question),
       correct: [question.correct_answer], // Legacy array format
       explanation: question.explanation || '',
       category: question.category || 'General',
       difficulty: question.difficulty || 'Medium',
-      points: question.points || 1,
+      points: question.points ?? 1,
       timeLimit: question.time_limit || 30,
       section: question.category // Legacy field mapping
     };
@@ -391,7 +653,7 @@ export class QuestionSchema {
       options: legacyQuestion.options || [],
       category: legacyQuestion.category || legacyQuestion.section || 'General',
       difficulty: legacyQuestion.difficulty || 'Medium',
-      points: legacyQuestion.points || 1,
+      points: legacyQuestion.points ?? 1,
       time_limit: legacyQuestion.timeLimit || legacyQuestion.time_limit || 30,
       explanation: legacyQuestion.explanation || ''
     });
@@ -400,7 +662,7 @@ export class QuestionSchema {
     if (legacyQuestion.answer !== undefined && question.options.length > 0) {
       const answerIndex = parseInt(legacyQuestion.answer);
       if (answerIndex >= 0 && answerIndex < question.options.length) {
-        question.correct_answer = ['A', 'B', 'C', 'D', 'E'][answerIndex];
+        question.correct_answer = AnswerKey.letter(answerIndex);
       }
     } else if (legacyQuestion.correct && Array.isArray(legacyQuestion.correct)) {
       question.correct_answer = legacyQuestion.correct[0];
@@ -411,13 +673,14 @@ export class QuestionSchema {
 
   /**
    * Get schema version for migration purposes
+   * Bump together with a new step in QuestionMigrations
    */
   static getSchemaVersion() {
-    return '2.0.0';
+    return '2.2.0';
   }
 
   /**
-   * Check if migration is needed
+   * Check if a single question is in a pre-2.0.0 shape
    */
   static needsMigration(question) {
     // Check if it's in legacy format
@@ -50,6 +50,8 @@ export class APIService {
 
   /**
    * Upload multiple CSV files to question bank
+   * With `dryRun` nothing is saved and the response includes a per-row `plan`
+   * `fileSettings` holds one { encoding, delimiter } override per file (empty values are detected)
    */
   async uploadCSVsToQuestionBank(files, options = {}) {
     const formData = new FormData();
@@ -62,10 +64,14 @@ export class APIService {
     // Add options
     formData.append('options', JSON.stringify({
       mergeStrategy: options.mergeStrategy || 'skip',
+      probableStrategy: options.probableStrategy || 'skip',
+      duplicateThreshold: options.duplicateThreshold,
       strictness: options.strictness || 'lenient',
       owner: options.owner || 'user',
       tags: options.tags || [],
-      autoCorrect: options.autoCorrect !== false
+      autoCorrect: options.autoCorrect !== false,
+      fileSettings: options.fileSettings || [],
+      dryRun: options.dryRun === true
     }));
 
     try {
@@ -102,6 +108,37 @@ export class APIService {
     }
   }
 
+  /**
+   * Reconcile the question bank with a zipped question directory (see exportQuestionBank('directory'))
+   * Any file error rejects the sync with an APIError whose data holds the plan
+   */
+  async syncQuestionDirectory(file, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('options', JSON.stringify({
+      dryRun: options.dryRun === true,
+      deleteMissing: options.deleteMissing !== false,
+      owner: options.owner || 'user'
+    }));
+
+    try {
+      const response = await fetch(`${this.baseURL}/api/question-bank/sync`, {
+        method: 'POST',
+        body: formData
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new APIError(errorData.error || 'Question directory sync failed', response.status, errorData);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Question directory sync failed:', error);
+      throw error;
+    }
+  }
+
   /**
    * Export question bank in various formats
    */
@@ -120,6 +157,8 @@ export class APIService {
 
       if (format === 'json') {
         return await response.json();
+      } else if (format === 'qti' || format === 'directory') {
+        return await response.blob(); // Zip archive
       } else {
         return await response.text();
       }
@@ -145,18 +184,24 @@ export class APIService {
 
   /**
    * Search questions in the bank
+   * Results are relevance-ranked when `search` is set and no `sortBy` is given
    */
   async searchQuestions(searchParams = {}) {
     try {
       const queryParams = new URLSearchParams({
         category: searchParams.category || '',
         difficulty: searchParams.difficulty || '',
+        type: searchParams.type || '',
         tags: (searchParams.tags || []).join(','),
+        tagMatch: searchParams.tagMatch || 'any',
         search: searchParams.search || '',
         limit: searchParams.limit || 50,
         offset: searchParams.offset || 0
       });
 
+      if (searchParams.sortBy) queryParams.set('sortBy', searchParams.sortBy);
+      if (searchParams.sortOrder) queryParams.set('sortOrder', searchParams.sortOrder);
+
       return await this.request(`/api/question-bank/search?${queryParams}`);
     } catch (error) {
       console.error('Question search failed:', error);
@@ -199,6 +244,236 @@ export class APIService {
     }
   }
 
+  /**
+   * List the revision history of a question
+   */
+  async getQuestionRevisions(questionId) {
+    try {
+      return await this.request(`/api/question-bank/questions/${questionId}/revisions`);
+    } catch (error) {
+      console.error('Failed to get question revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Diff two revisions of a question (`to` defaults to the latest)
+   */
+  async diffQuestionRevisions(questionId, fromVersion, toVersion = null) {
+    try {
+      const queryParams = new URLSearchParams({ from: fromVersion });
+      if (toVersion != null) queryParams.set('to', toVersion);
+      return await this.request(`/api/question-bank/questions/${questionId}/revisions/diff?${queryParams}`);
+    } catch (error) {
+      console.error('Failed to diff question revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revert a question to the content of an earlier revision
+   */
+  async revertQuestion(questionId, version, owner = 'user') {
+    try {
+      return await this.request(`/api/question-bank/questions/${questionId}/revert`, {
+        method: 'POST',
+        body: JSON.stringify({ version, owner })
+      });
+    } catch (error) {
+      console.error('Failed to revert question:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Preview what rolling back an upload would change
+   */
+  async previewUploadRollback(uploadId, { force = false } = {}) {
+    try {
+      const query = force ? '?force=true' : '';
+      return await this.request(`/api/uploads/${encodeURIComponent(uploadId)}/rollback-preview${query}`);
+    } catch (error) {
+      console.error('Rollback preview failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll back an upload (questions edited since the upload are skipped unless forced)
+   */
+  async rollbackUpload(uploadId, { force = false } = {}) {
+    try {
+      const query = force ? '?force=true' : '';
+      return await this.request(`/api/uploads/${encodeURIComponent(uploadId)}${query}`, {
+        method: 'DELETE'
+      });
+    } catch (error) {
+      console.error('Upload rollback failed:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // CONFLICT REVIEW API METHODS
+  // ============================================
+
+  /**
+   * List conflicts queued by the `review` merge strategy
+   */
+  async listConflicts(uploadId = null) {
+    try {
+      const query = uploadId ? `?uploadId=${encodeURIComponent(uploadId)}` : '';
+      return await this.request(`/api/conflicts${query}`);
+    } catch (error) {
+      console.error('Failed to list conflicts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve one conflict: keep, replace, merge (optionally only `fields`) or keep_both
+   */
+  async resolveConflict(conflictId, action, { fields, owner = 'user' } = {}) {
+    try {
+      return await this.request(`/api/conflicts/${encodeURIComponent(conflictId)}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify({ action, fields, owner })
+      });
+    } catch (error) {
+      console.error('Failed to resolve conflict:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one decision to several conflicts (all pending conflicts when `ids` is omitted)
+   */
+  async resolveConflicts(action, { ids, owner = 'user' } = {}) {
+    try {
+      return await this.request('/api/conflicts/resolve', {
+        method: 'POST',
+        body: JSON.stringify({ action, ids, owner })
+      });
+    } catch (error) {
+      console.error('Failed to resolve conflicts:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // COLUMN MAPPING PROFILE API METHODS
+  // ============================================
+
+  /**
+   * List saved CSV column-mapping profiles
+   */
+  async listMappingProfiles() {
+    try {
+      return await this.request('/api/mapping-profiles');
+    } catch (error) {
+      console.error('Failed to list mapping profiles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a mapping profile ({ name, headers, columns, constants }); an existing name is replaced
+   */
+  async saveMappingProfile(profile, owner = 'user') {
+    try {
+      return await this.request('/api/mapping-profiles', {
+        method: 'POST',
+        body: JSON.stringify({ ...profile, owner })
+      });
+    } catch (error) {
+      console.error('Failed to save mapping profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a mapping profile
+   */
+  async deleteMappingProfile(profileId) {
+    try {
+      return await this.request(`/api/mapping-profiles/${encodeURIComponent(profileId)}`, {
+        method: 'DELETE'
+      });
+    } catch (error) {
+      console.error('Failed to delete mapping profile:', error);
+      throw error;
+    }
+  }
+
+  // ============================================
+  // BACKUP MANAGEMENT API METHODS
+  // ============================================
+
+  /**
+   * List question bank backups (newest first)
+   */
+  async listBackups() {
+    try {
+      return await this.request('/api/backups');
+    } catch (error) {
+      console.error('Failed to list backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full contents of a backup
+   */
+  async getBackup(backupId) {
+    try {
+      return await this.request(`/api/backups/${encodeURIComponent(backupId)}`);
+    } catch (error) {
+      console.error('Failed to get backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Diff a backup against the live question bank
+   */
+  async diffBackup(backupId) {
+    try {
+      return await this.request(`/api/backups/${encodeURIComponent(backupId)}/diff`);
+    } catch (error) {
+      console.error('Failed to diff backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a backup (the server snapshots the current bank first)
+   */
+  async restoreBackup(backupId) {
+    try {
+      return await this.request(`/api/backups/${encodeURIComponent(backupId)}/restore`, {
+        method: 'POST'
+      });
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete backups outside a retention policy
+   */
+  async pruneBackups({ keepLast, maxAgeDays, dryRun = false } = {}) {
+    try {
+      return await this.request('/api/backups/prune', {
+        method: 'POST',
+        body: JSON.stringify({ keepLast, maxAgeDays, dryRun })
+      });
+    } catch (error) {
+      console.error('Failed to prune backups:', error);
+      throw error;
+    }
+  }
+
   // ============================================
   // EXISTING AI ASSESSMENT METHODS (Enhanced)
   // ============================================
@@ -222,6 +497,24 @@ export class APIService {
     }
   }
 
+  /**
+   * Get AI feedback on one answer: { questionText, userAnswerArray, correctAnswerArray }
+   */
+  async assessAnswer(answer) {
+    try {
+      const response = await this.request('/api/assess', {
+        method: 'POST',
+        body: JSON.stringify(answer)
+      });
+
+      return { success: true, assessment: response.assessment };
+    } catch (error) {
+      console.error('Answer feedback failed:', error);
+      const errorHandling = this.handleAIError(error);
+      return { success: false, error: errorHandling.message, retryable: errorHandling.retryable };
+    }
+  }
+
   /**
    * Submit quiz results for AI assessment
    */
@@ -2,8 +2,11 @@
 // Professional integration layer between CSV handling and question operations
 
 import QuestionSchema from '../models/QuestionSchema.js';
+import QuestionMigrations from '../models/QuestionMigrations.js';
 import EnhancedCSVManager from '../data/EnhancedCSVManager.js';
 import { ValidationHelpers } from '../utils/ValidationHelpers.js';
+import QuestionSimilarity from '../utils/QuestionSimilarity.js';
+import QuestionFormats from '../utils/QuestionFormats.js';
 
 export class IntegratedQuestionManager {
   constructor(storageService = null) {
@@ -11,7 +14,7 @@ export class IntegratedQuestionManager {
     this.csvManager = new EnhancedCSVManager();
     this.questionBank = [];
     this.metadata = {
-      version: QuestionSchema.getSchemaVersion(),
+      schemaVersion: QuestionSchema.getSchemaVersion(),
       lastUpdated: new Date().toISOString(),
       totalQuestions: 0
     };
@@ -34,24 +37,27 @@ export class IntegratedQuestionManager {
 
   /**
    * Load questions from various sources with schema migration
+   * `backup` names the copy taken before a stored bank is migrated and is recorded in the migration log
    */
-  async loadFromData(data) {
+  async loadFromData(data, { backup = null } = {}) {
     try {
       let questions = [];
       
       if (Array.isArray(data)) {
-        // Direct array of questions
-        questions = data;
+        // Direct array of questions; without a recorded version every migration step applies
+        questions = data.map(q => this.migrateQuestion(q));
       } else if (data.questions) {
-        // Question bank format
-        questions = data.questions;
-        if (data.metadata) {
-          this.metadata = { ...this.metadata, ...data.metadata };
-        }
+        // Question bank format: run the steps newer than its recorded schema version
+        const bank = { questions: data.questions, metadata: { ...data.metadata } };
+        const result = QuestionMigrations.run(bank, { backup });
+        result.steps.forEach(step => {
+          console.log(`🔄 Migration ${step.version} ${step.name}: ${step.changed} questions changed`);
+        });
+        questions = bank.questions;
+        this.metadata = { ...this.metadata, ...bank.metadata };
       }
 
-      // Migrate questions to current schema
-      this.questionBank = questions.map(q => this.migrateQuestion(q));
+      this.questionBank = questions;
       this.updateMetadata();
       
       console.log(`📚 Loaded ${this.questionBank.length} questions`);
@@ -74,7 +80,11 @@ export class IntegratedQuestionManager {
     try {
       const data = await this.storageService.getQuestionBank();
       if (data) {
-        await this.loadFromData(data);
+        // Back up a stored bank before migration rewrites it, and store the migrated copy
+        const migrating = !Array.isArray(data) && QuestionMigrations.needsMigration(data);
+        const backup = migrating ? this.storageService.backupQuestionBank(data) : null;
+        await this.loadFromData(data, { backup });
+        if (migrating) await this.saveToStorage();
       }
     } catch (error) {
       console.warn('Failed to load from storage, starting fresh:', error);
@@ -88,6 +98,8 @@ export class IntegratedQuestionManager {
   async importFromCSV(csvContent, options = {}) {
     const {
       mergeStrategy = 'skip',
+      probableStrategy = 'skip',
+      duplicateThreshold = QuestionSimilarity.DEFAULT_THRESHOLD,
       strictValidation = false,
       autoCorrect = true,
       preserveCustomFields = true,
@@ -117,7 +129,10 @@ export class IntegratedQuestionManager {
       }));
 
       // Apply merge strategy
-      const mergeResult = await this.mergeQuestions(questionsWithMetadata, mergeStrategy);
+      const mergeResult = await this.mergeQuestions(questionsWithMetadata, mergeStrategy, {
+        probableStrategy,
+        threshold: duplicateThreshold
+      });
       
       // Update question bank
       this.questionBank = mergeResult.questions;
@@ -149,17 +164,21 @@ export class IntegratedQuestionManager {
 
   /**
    * Merge questions with existing bank using specified strategy
+   * Probable (fuzzy) duplicates use `probableStrategy` instead of `strategy`
    */
-  async mergeQuestions(newQuestions, strategy = 'skip') {
+  async mergeQuestions(newQuestions, strategy = 'skip', { probableStrategy = 'skip', threshold = QuestionSimilarity.DEFAULT_THRESHOLD } = {}) {
     const summary = {
       processed: newQuestions.length,
       added: 0,
       updated: 0,
       skipped: 0,
+      queued: 0,
+      probableDuplicates: 0,
       errors: []
     };
 
     const resultQuestions = [...this.questionBank];
+    const similarityIndex = QuestionSimilarity.createIndex(resultQuestions);
     const conflicts = [];
 
     for (const newQuestion of newQuestions) {
@@ -170,32 +189,40 @@ export class IntegratedQuestionManager {
         }
 
         // Find existing question
-        const existingIndex = resultQuestions.findIndex(q => 
-          this.questionsMatch(q, newQuestion)
-        );
+        const match = this.findMatch(newQuestion, resultQuestions, { threshold, index: similarityIndex });
+        const existingIndex = match ? resultQuestions.indexOf(match.question) : -1;
 
         if (existingIndex === -1) {
           // New question - add it
           resultQuestions.push(newQuestion);
+          QuestionSimilarity.addToIndex(similarityIndex, newQuestion);
           summary.added++;
         } else {
           // Conflict found - apply strategy
           const existing = resultQuestions[existingIndex];
-          const mergeResult = this.applyMergeStrategy(existing, newQuestion, strategy);
+          if (match.probable) {
+            summary.probableDuplicates++;
+          }
+          const mergeResult = this.applyMergeStrategy(existing, newQuestion, match.probable ? probableStrategy : strategy);
           
           if (mergeResult.action === 'skip') {
             summary.skipped++;
+          } else if (mergeResult.action === 'review') {
+            summary.queued++;
           } else if (mergeResult.action === 'update') {
             resultQuestions[existingIndex] = mergeResult.question;
+            QuestionSimilarity.removeFromIndex(similarityIndex, existing);
+            QuestionSimilarity.addToIndex(similarityIndex, mergeResult.question);
             summary.updated++;
           } else if (mergeResult.action === 'add') {
             newQuestion.id = this.generateQuestionId();
             resultQuestions.push(newQuestion);
+            QuestionSimilarity.addToIndex(similarityIndex, newQuestion);
             summary.added++;
           }
 
           if (mergeResult.conflict) {
-            conflicts.push(mergeResult.conflict);
+            conflicts.push({ ...mergeResult.conflict, matchType: match.type, confidence: match.confidence });
           }
         }
 
@@ -215,24 +242,36 @@ export class IntegratedQuestionManager {
   }
 
   /**
-   * Check if two questions match (for duplicate detection)
+   * Check if two questions match (for duplicate detection), including probable duplicates
+   */
+  questionsMatch(q1, q2, { threshold = QuestionSimilarity.DEFAULT_THRESHOLD } = {}) {
+    return this.findMatch(q1, [q2], { threshold }) !== null;
+  }
+
+  /**
+   * Find the existing question a new one duplicates
+   * Pass a QuestionSimilarity index of `candidates` as `index` when matching many questions
+   * Returns { question, type: 'id'|'text'|'fuzzy', confidence, probable } or null
    */
-  questionsMatch(q1, q2) {
+  findMatch(question, candidates, { threshold = QuestionSimilarity.DEFAULT_THRESHOLD, index = candidates } = {}) {
     // Exact ID match
-    if (q1.id && q2.id && q1.id === q2.id) {
-      return true;
+    if (question.id) {
+      const idMatch = candidates.find(q => q.id && q.id === question.id);
+      if (idMatch) return { question: idMatch, type: 'id', confidence: 1, probable: false };
     }
 
     // Exact question text match (normalized)
-    const text1 = this.normalizeText(q1.question || '');
-    const text2 = this.normalizeText(q2.question || '');
-    
-    if (text1 && text2 && text1 === text2) {
-      return true;
+    const text = this.normalizeText(question.question || '');
+    const textMatch = text && candidates.find(q => this.normalizeText(q.question || '') === text);
+    if (textMatch) return { question: textMatch, type: 'text', confidence: 1, probable: false };
+
+    // Similar wording or reordered options
+    const fuzzyMatch = QuestionSimilarity.findBestMatch(question, index, { threshold });
+    if (fuzzyMatch) {
+      return { question: fuzzyMatch.question, type: 'fuzzy', confidence: fuzzyMatch.confidence, probable: true };
     }
 
-    // Future: Add fuzzy matching here
-    return false;
+    return null;
   }
 
   /**
@@ -249,6 +288,10 @@ export class IntegratedQuestionManager {
       case 'skip':
         return { action: 'skip', question: existing, conflict };
 
+      case 'review':
+        // Leave the bank alone and hand the full incoming question back for a reviewer
+        return { action: 'review', question: existing, conflict: { ...conflict, incoming } };
+
       case 'overwrite':
         return { 
           action: 'update', 
@@ -311,24 +354,7 @@ export class IntegratedQuestionManager {
    * Migrate question to current schema
    */
   migrateQuestion(question) {
-    if (!QuestionSchema.needsMigration(question)) {
-      return question;
-    }
-
-    console.log(`🔄 Migrating question ${question.id || 'unknown'} to current schema`);
-    
-    // Convert from legacy format
-    const migrated = QuestionSchema.fromLegacyFormat(question);
-    
-    // Add migration metadata
-    migrated.source = {
-      ...migrated.source,
-      migrated: true,
-      migratedAt: new Date().toISOString(),
-      originalFormat: 'legacy'
-    };
-
-    return migrated;
+    return QuestionMigrations.upgradeQuestion(question);
   }
 
   /**
@@ -548,6 +574,17 @@ export class IntegratedQuestionManager {
           exported: new Date().toISOString()
         }, null, 2);
       
+      case 'gift':
+      case 'aiken':
+      case 'markdown': {
+        // Questions the format cannot express (e.g. essays in Aiken) are left out
+        const { text, skipped } = QuestionFormats.stringify(format.toLowerCase(), questions);
+        if (skipped.length > 0) {
+          console.warn(`⚠️ ${skipped.length} question(s) skipped: not expressible in ${QuestionFormats.label(format.toLowerCase())}`);
+        }
+        return text;
+      }
+      
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
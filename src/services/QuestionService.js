@@ -3,6 +3,8 @@ import QuestionSchema from '../models/QuestionSchema.js';
 import IntegratedQuestionManager from './IntegratedQuestionManager.js';
 import { ValidationHelpers } from '../utils/ValidationHelpers.js';
 import { DOMHelpers } from '../utils/DOMHelpers.js';
+import { AnswerScoring } from '../utils/AnswerScoring.js';
+import { AnswerKey } from '../models/AnswerKey.js';
 
 export class QuestionService {
   constructor(storageService = null) {
@@ -199,6 +201,11 @@ export class QuestionService {
       selectedQuestions = selectedQuestions.slice(0, config.numQuestions);
     }
 
+    // Shuffle answer options; each question's key is rewritten to follow its options
+    if (config.shuffleOptions) {
+      selectedQuestions = selectedQuestions.map(question => AnswerKey.shuffleOptions(question));
+    }
+
     return selectedQuestions;
   }
 
@@ -281,9 +288,11 @@ export class QuestionService {
 
   /**
    * Save user answer for current question
+   * The answer's shape depends on the question type (see AnswerScoring); empty answers are stored as null
    */
-  saveAnswer(answerIndex) {
-    this.userAnswers[this.currentQuestionIndex] = answerIndex;
+  saveAnswer(answer) {
+    const question = this.getCurrentQuestion();
+    this.userAnswers[this.currentQuestionIndex] = question && AnswerScoring.isAnswered(question, answer) ? answer : null;
   }
 
   /**
@@ -301,46 +310,42 @@ export class QuestionService {
   }
 
   /**
-   * Calculate quiz results
+   * Score one question's answer for the results
    */
-  calculateResults() {
-    let correct = 0;
-    let total = this.questions.length;
-    let sectionResults = {};
-
-    this.questions.forEach((question, index) => {
-      const userAnswer = this.userAnswers[index];
-      const isCorrect = userAnswer === question.answer;
-      
-      if (isCorrect) {
-        correct++;
-      }
+  scoreQuestion(question, index) {
+    const userAnswer = this.userAnswers[index];
+    const { status, score } = AnswerScoring.score(question, userAnswer);
+    const { userAnswerArray, correctAnswerArray } = AnswerScoring.answerArrays(question, userAnswer);
 
-      // Track section results
-      const section = question.section || 'General';
-      if (!sectionResults[section]) {
-        sectionResults[section] = { correct: 0, total: 0 };
-      }
-      sectionResults[section].total++;
-      if (isCorrect) {
-        sectionResults[section].correct++;
-      }
-    });
+    return {
+      id: question.id,
+      type: question.type || 'multiple_choice',
+      question: question.question,
+      section: question.section || question.category || 'General',
+      options: question.options,
+      userAnswer,
+      userAnswerText: AnswerScoring.formatResponse(question, userAnswer),
+      correctAnswerText: AnswerScoring.formatCorrectAnswer(question),
+      userAnswerArray,
+      correctAnswerArray,
+      status,
+      score,
+      points: question.points ?? 1,
+      isCorrect: status === 'correct',
+      explanation: question.explanation
+    };
+  }
 
-    const percentage = total > 0 ? Math.round((correct / total) * 100) : 0;
+  /**
+   * Calculate quiz results under the quiz's scoring policy (see ScoringPolicy)
+   * Essays are `pending_review` and left out of the score until graded (see AnswerScoring.summarize)
+   */
+  calculateResults(scoringPolicy = {}) {
+    const questions = this.questions.map((question, index) => this.scoreQuestion(question, index));
 
     return {
-      correct,
-      total,
-      percentage,
-      sectionResults,
-      questions: this.questions.map((question, index) => ({
-        question: question.question,
-        userAnswer: this.userAnswers[index],
-        correctAnswer: question.answer,
-        isCorrect: this.userAnswers[index] === question.answer,
-        explanation: question.explanation
-      }))
+      ...AnswerScoring.summarize(questions, scoringPolicy),
+      questions
     };
   }
 
@@ -348,7 +353,7 @@ export class QuestionService {
    * Get quiz progress
    */
   getProgress() {
-    const answered = this.userAnswers.filter(answer => answer !== null).length;
+    const answered = this.userAnswers.filter((answer, index) => AnswerScoring.isAnswered(this.questions[index], answer)).length;
     return {
       current: this.currentQuestionIndex + 1,
       total: this.questions.length,
@@ -382,17 +387,23 @@ export class QuestionService {
   /**
    * Export results for AI assessment
    */
-  exportForAIAssessment() {
+  exportForAIAssessment(scoringPolicy = {}) {
+    const results = this.calculateResults(scoringPolicy);
     return {
-      questions: this.questions.map((question, index) => ({
-        id: question.id,
-        question: question.question,
-        options: question.options,
-        userAnswer: this.userAnswers[index],
-        correctAnswer: question.answer,
-        section: question.section
+      questions: results.questions.map(result => ({
+        id: result.id,
+        type: result.type,
+        question: result.question,
+        options: result.options,
+        userAnswer: result.userAnswerText,
+        correctAnswer: result.correctAnswerText,
+        userAnswerArray: result.userAnswerArray,
+        correctAnswerArray: result.correctAnswerArray,
+        status: result.status,
+        isCorrect: result.isCorrect,
+        section: result.section
       })),
-      results: this.calculateResults()
+      results
     };
   }
 }
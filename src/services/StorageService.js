@@ -161,8 +161,14 @@ export class StorageService {
       questionTime: 2,
       numQuestions: 10,
       randomize: true,
+      shuffleOptions: false,
       passingScore: 70,
       showCorrectAnswers: true,
+      scoring: {
+        weighting: 'points',
+        negativeMarking: 0,
+        sectionWeights: {}
+      },
       enableAI: true,
       importLimits: {
         maxFiles: 5,
@@ -172,6 +178,28 @@ export class StorageService {
     });
   }
 
+  /**
+   * Save the locally stored question bank ({ questions, metadata })
+   */
+  saveQuestionBank(bank) {
+    return this.setLocal('question_bank', bank);
+  }
+
+  /**
+   * Get the locally stored question bank
+   */
+  getQuestionBank() {
+    return this.getLocal('question_bank');
+  }
+
+  /**
+   * Keep a copy of the stored question bank before a schema migration rewrites it; returns the backup key
+   */
+  backupQuestionBank(bank) {
+    const key = `question_bank_backup_${bank?.metadata?.schemaVersion || 'unversioned'}`;
+    return this.setLocal(key, bank) ? key : null;
+  }
+
   /**
    * Save quiz progress
    */
@@ -202,9 +230,16 @@ export class StorageService {
 
   /**
    * Save quiz results
+   * The results object keeps the id it is saved under, so saving it again replaces that entry
    */
   saveQuizResults(results) {
     const resultHistory = this.getLocal('results_history', []);
+    const savedIndex = results.id ? resultHistory.findIndex(entry => entry.id === results.id) : -1;
+    
+    if (savedIndex !== -1) {
+      resultHistory[savedIndex] = { ...resultHistory[savedIndex], ...results };
+      return this.setLocal('results_history', resultHistory);
+    }
     
     const newResult = {
       ...results,
@@ -212,6 +247,7 @@ export class StorageService {
       timestamp: Date.now(),
       date: new Date().toISOString()
     };
+    results.id = newResult.id;
     
     resultHistory.unshift(newResult);
     
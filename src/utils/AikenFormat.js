@@ -0,0 +1,131 @@
+// Aiken Format
+// Reads and writes Moodle's Aiken format (https://docs.moodle.org/en/Aiken_format): one multiple
+// choice question per block, options lettered "A." or "A)", and an "ANSWER: X" line. The format
+// has no categories, explanations or other question types, so exports skip non-multiple-choice
+// questions and imports get the schema defaults for everything else.
+
+import { AnswerKey } from '../models/AnswerKey.js';
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_PATTERN = /^ANSWER:\s*(\S*)\s*$/i;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export class AikenFormat {
+
+  /**
+   * Parse Aiken text; returns { records: [{ line, question, originalId, error }], warnings }
+   * Records that cannot be imported keep an `error` ({ line, column, message }) instead of a question
+   */
+  static parse(text) {
+    const records = [];
+    const warnings = [];
+    let current = null;
+
+    const fail = (message) => {
+      records.push({ line: current.line, question: null, originalId: null, error: { line: current.line, column: null, message } });
+      current = null;
+    };
+
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+      if (line === '') return;
+
+      if (!current) {
+        current = { line: lineNumber, text: [], options: [] };
+      }
+
+      const answer = line.match(ANSWER_PATTERN);
+      const option = line.match(OPTION_PATTERN);
+
+      if (answer) {
+        const letter = answer[1].toUpperCase();
+        if (current.text.length === 0) {
+          fail(`ANSWER line ${lineNumber} has no question before it`);
+        } else if (current.options.length < 2) {
+          fail('Question needs at least two options ("A. ...", "B. ...")');
+        } else if (!/^[A-Z]$/.test(letter) || LETTERS.indexOf(letter) >= current.options.length) {
+          fail(`ANSWER "${answer[1]}" (line ${lineNumber}) does not match an option`);
+        } else {
+          records.push({
+            line: current.line,
+            question: {
+              question: current.text.join('\n'),
+              type: 'multiple_choice',
+              options: current.options,
+              correct_answer: letter
+            },
+            originalId: null,
+            error: null
+          });
+          current = null;
+        }
+      } else if (option && current.text.length > 0) {
+        const expected = LETTERS[current.options.length];
+        if (option[1] !== expected) {
+          warnings.push({ line: lineNumber, column: null, message: `Option "${option[1]}" is out of order (expected "${expected}"); imported as ${expected}` });
+        }
+        current.options.push(option[2].trim());
+      } else if (current.options.length > 0) {
+        // Text after the options: the previous question never got its ANSWER line
+        fail('Question has no "ANSWER:" line');
+        current = { line: lineNumber, text: [line], options: [] };
+      } else {
+        current.text.push(line);
+      }
+    });
+
+    if (current) {
+      fail('Question has no "ANSWER:" line');
+    }
+
+    return { records, warnings };
+  }
+
+  /**
+   * Whether a sample of text looks like Aiken rather than GIFT (it has an "ANSWER: X" line and no answer blocks)
+   */
+  static matches(text) {
+    const lines = String(text).split(/\r\n|\r|\n/).map(line => line.trim());
+    return lines.some(line => /^ANSWER:\s*[A-Z]\s*$/i.test(line)) && !lines.some(line => /(^|[^\\])\{/.test(line));
+  }
+
+  /**
+   * Whether a question can be written as Aiken
+   */
+  static supports(question) {
+    const options = question.options || [];
+    return (
+      (question.type || 'multiple_choice') === 'multiple_choice' &&
+      options.length >= 2 &&
+      options.length <= LETTERS.length &&
+      AnswerKey.correctIndex(question) !== -1
+    );
+  }
+
+  /**
+   * Write questions as Aiken; returns { text, skipped } where `skipped` lists questions Aiken cannot hold
+   * Line breaks inside question and option text are written as spaces (Aiken is line-based)
+   */
+  static stringify(questions) {
+    const oneLine = value => String(value ?? '').replace(/\s*(\r\n|\r|\n)\s*/g, ' ').trim();
+    const blocks = [];
+    const skipped = [];
+
+    for (const question of questions) {
+      if (!AikenFormat.supports(question)) {
+        skipped.push(question);
+        continue;
+      }
+      blocks.push([
+        oneLine(question.question),
+        ...question.options.map((option, index) => `${LETTERS[index]}. ${oneLine(option)}`),
+        `ANSWER: ${AnswerKey.letter(AnswerKey.correctIndex(question))}`
+      ].join('\n'));
+    }
+
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+}
+
+export default AikenFormat;
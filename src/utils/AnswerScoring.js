@@ -0,0 +1,363 @@
+// Answer Scoring
+// Scores a quiz taker's response to any QuestionSchema type and formats responses and keys for
+// review. Responses are stored per type: the option index for multiple choice, the sorted option
+// indexes for multiple response, "true"/"false", the typed text for short answer, numeric and essay,
+// one string per blank for fill-in-the-blank, the chosen match per prompt for matching and the option
+// indexes in the chosen order for ordering. Option keys are resolved by AnswerKey. Text answers are
+// compared after normalization (see normalizeText); essays stay ungraded until someone reviews them.
+
+import { QuestionSchema } from '../models/QuestionSchema.js';
+import { AnswerKey } from '../models/AnswerKey.js';
+import { ScoringPolicy } from './ScoringPolicy.js';
+
+// A typed number (plain or scientific notation) followed by an optional unit
+const NUMERIC_RESPONSE_PATTERN = /^([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)\s*(.*)$/;
+
+// Result statuses; `pending_review` is excluded from scores until graded
+const STATUSES = ['correct', 'partial', 'incorrect', 'unanswered', 'pending_review'];
+
+export class AnswerScoring {
+
+  static get STATUSES() {
+    return [...STATUSES];
+  }
+
+  /**
+   * Score one response; returns { status, score } with `score` from 0 to 1 (null while pending review)
+   */
+  static score(question, response) {
+    const type = question.type || 'multiple_choice';
+    if (!AnswerScoring.isAnswered(question, response)) {
+      return { status: 'unanswered', score: 0 };
+    }
+
+    switch (type) {
+      case 'multiple_choice':
+        return AnswerScoring.result(response === AnswerKey.correctIndex(question));
+      case 'multiple_response':
+        return AnswerScoring.scoreSelection(question, response);
+      case 'true_false':
+        return AnswerScoring.result(String(response).toLowerCase() === String(question.correct_answer).toLowerCase());
+      case 'short_answer':
+        return AnswerScoring.result(AnswerScoring.matchesAny(response, QuestionSchema.answerList(question.correct_answer), question.answer_rules));
+      case 'fill_blank':
+        return AnswerScoring.scoreParts(AnswerScoring.blankKeys(question).map((accepted, index) =>
+          AnswerScoring.matchesAny(response[index], accepted, question.answer_rules)));
+      case 'matching':
+        return AnswerScoring.scoreParts(QuestionSchema.answerList(question.correct_answer).map((match, index) =>
+          AnswerScoring.normalizeText(response[index]) === AnswerScoring.normalizeText(match)));
+      case 'numeric':
+        return AnswerScoring.result(AnswerScoring.numericMatches(question, response));
+      case 'ordering':
+        return AnswerScoring.scoreOrder(question, response);
+      case 'essay':
+        return { status: 'pending_review', score: null };
+      default:
+        return { status: 'incorrect', score: 0 };
+    }
+  }
+
+  static result(correct) {
+    return correct ? { status: 'correct', score: 1 } : { status: 'incorrect', score: 0 };
+  }
+
+  // Several independently marked parts (blanks, pairs): full marks only when every part is right
+  static scoreParts(marks) {
+    const right = marks.filter(Boolean).length;
+    if (marks.length > 0 && right === marks.length) return { status: 'correct', score: 1 };
+    return right > 0 ? { status: 'partial', score: right / marks.length } : { status: 'incorrect', score: 0 };
+  }
+
+  /**
+   * Score a multiple-response selection by the question's `answer_rules.scoring`:
+   * - all_or_nothing: full marks only for exactly the correct options
+   * - partial_credit: the share of options handled right (correct ones chosen, wrong ones left alone)
+   * - right_minus_wrong: correct options chosen minus wrong ones chosen, over the number of correct options, never below 0
+   */
+  static scoreSelection(question, response) {
+    const key = AnswerKey.correctIndexes(question);
+    const chosen = new Set(response);
+    const right = key.filter(index => chosen.has(index)).length;
+    const wrong = [...chosen].filter(index => !key.includes(index)).length;
+    const optionCount = (question.options || []).length;
+
+    switch (question.answer_rules?.scoring) {
+      case 'partial_credit':
+        return AnswerScoring.fraction((right + (optionCount - key.length - wrong)) / optionCount);
+      case 'right_minus_wrong':
+        return AnswerScoring.fraction((right - wrong) / key.length);
+      default:
+        return AnswerScoring.result(right === key.length && wrong === 0);
+    }
+  }
+
+  /**
+   * Whether a typed number matches a numeric key under the question's answer_rules:
+   * - tolerance / tolerance_type: how far off it may be, as a margin or a fraction of the key (exact by default)
+   * - unit: accepted unit spellings; a stated unit must be one of them, and `unit_required` makes stating it mandatory
+   * - significant_figures: the answer must be written to that many figures and is compared with the key rounded to them
+   */
+  static numericMatches(question, response) {
+    const rules = question.answer_rules || {};
+    const parsed = AnswerScoring.parseNumber(response);
+    const key = Number(question.correct_answer);
+    if (!parsed || String(question.correct_answer ?? '').trim() === '' || !Number.isFinite(key)) return false;
+
+    const units = QuestionSchema.answerList(rules.unit).map(unit => unit.replace(/\s+/g, ''));
+    const unit = parsed.unit.replace(/\s+/g, '');
+    if (unit ? !units.includes(unit) : units.length > 0 && rules.unit_required) return false;
+
+    let target = key;
+    if (rules.significant_figures) {
+      if (AnswerScoring.significantFigures(parsed.number) !== rules.significant_figures) return false;
+      target = Number(key.toPrecision(rules.significant_figures));
+    }
+
+    const tolerance = Number(rules.tolerance) || 0;
+    const allowed = rules.tolerance_type === 'relative' ? tolerance * Math.abs(target) : tolerance;
+    // Allow for floating-point error in the subtraction itself
+    return Math.abs(parsed.value - target) <= allowed + 1e-9 * Math.max(1, Math.abs(target));
+  }
+
+  /**
+   * Split a typed number into { number, value, unit }, or null when it does not start with a number
+   * Accepts a Unicode minus, thousands separators ("1,234.5") and a decimal comma ("9,81")
+   */
+  static parseNumber(text) {
+    let input = String(text ?? '').normalize('NFKC').trim().replace(/^\u2212/, '-');
+    input = /^[+-]?\d{1,3}(,\d{3})+(\.|\b)/.test(input) ? input.replace(/,(?=\d{3})/g, '') : input.replace(/^([+-]?\d+),(\d+)/, '$1.$2');
+    const match = input.match(NUMERIC_RESPONSE_PATTERN);
+    if (!match) return null;
+    return { number: match[1], value: Number(match[1]), unit: match[2].trim() };
+  }
+
+  /**
+   * Significant figures of a written number: "0.00450" -> 3, "4500" -> 2, "4500." -> 4, "1.20e3" -> 3
+   */
+  static significantFigures(number) {
+    const mantissa = String(number).replace(/^[+-]/, '').replace(/[eE].*$/, '');
+    const digits = mantissa.replace('.', '').replace(/^0+/, '');
+    if (digits === '') return 1;
+    return mantissa.includes('.') ? digits.length : digits.replace(/0+$/, '').length;
+  }
+
+  /**
+   * Score an ordering by its adjacent pairs: each pair of the correct order that the answer also has
+   * next to each other, in the same order, earns an equal share
+   */
+  static scoreOrder(question, response) {
+    const key = AnswerKey.correctOrder(question);
+    const pairs = key.slice(1).map((item, index) => [key[index], item]);
+    return AnswerScoring.scoreParts(pairs.map(([first, second]) => {
+      const position = response.indexOf(first);
+      return position !== -1 && response[position + 1] === second;
+    }));
+  }
+
+  // A score between 0 and 1 (clamped) with the matching status
+  static fraction(score) {
+    const clamped = Number.isFinite(score) ? Math.min(1, Math.max(0, score)) : 0;
+    if (clamped === 1) return { status: 'correct', score: 1 };
+    return clamped > 0 ? { status: 'partial', score: clamped } : { status: 'incorrect', score: 0 };
+  }
+
+  /**
+   * Whether a response holds an answer (blank text and untouched blanks or pairs do not count)
+   */
+  static isAnswered(question, response) {
+    if (response === null || response === undefined) return false;
+    if (Array.isArray(response)) return response.some(part => String(part ?? '').trim() !== '');
+    if (typeof response === 'string') return response.trim() !== '';
+    return true;
+  }
+
+  // "B. Paris" for an option index
+  static optionLabel(question, index) {
+    return question.options?.[index] !== undefined ? `${AnswerKey.letter(index)}. ${question.options[index]}` : String(index);
+  }
+
+  /**
+   * Compare text the way answers are marked: Unicode-normalized, trimmed, inner whitespace collapsed and
+   * trailing . ! ? dropped; case-insensitive unless `rules.case_sensitive`, accents ignored with `rules.ignore_accents`
+   */
+  static normalizeText(value, rules = {}) {
+    let text = String(value ?? '').normalize('NFKC').trim().replace(/\s+/g, ' ').replace(/[.!?]+$/, '').trim();
+    if (rules?.ignore_accents) text = text.normalize('NFD').replace(/\p{M}/gu, '');
+    return rules?.case_sensitive ? text : text.toLocaleLowerCase();
+  }
+
+  static matchesAny(response, accepted, rules = {}) {
+    const answer = AnswerScoring.normalizeText(response, rules);
+    return answer !== '' && accepted.some(key => AnswerScoring.normalizeText(key, rules) === answer);
+  }
+
+  /**
+   * Number of blanks in a fill-in-the-blank question (at least one)
+   */
+  static blankCount(question) {
+    return Math.max(1, QuestionSchema.blankCount(question.question));
+  }
+
+  /**
+   * Accepted answers for each blank: with one blank every ";" entry is an alternative; with several,
+   * entry n answers blank n and alternatives within it are separated by "|"
+   */
+  static blankKeys(question) {
+    const entries = QuestionSchema.answerList(question.correct_answer);
+    if (AnswerScoring.blankCount(question) === 1) return [entries];
+    return entries.map(entry => entry.split('|').map(value => value.trim()).filter(Boolean));
+  }
+
+  /**
+   * Choices offered for every prompt of a matching question, in alphabetical order so the list gives nothing away
+   */
+  static matchChoices(question) {
+    return [...new Set(QuestionSchema.answerList(question.correct_answer))].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Readable form of a response for review screens and exports
+   */
+  static formatResponse(question, response) {
+    if (!AnswerScoring.isAnswered(question, response)) return 'No answer';
+
+    switch (question.type || 'multiple_choice') {
+      case 'multiple_choice':
+        return AnswerScoring.optionLabel(question, response);
+      case 'multiple_response':
+        return response.map(index => AnswerScoring.optionLabel(question, index)).join('; ');
+      case 'true_false':
+        return String(response).toLowerCase() === 'true' ? 'True' : 'False';
+      case 'fill_blank':
+        return response.map(part => String(part ?? '').trim() || '—').join(' / ');
+      case 'matching':
+        return (question.options || []).map((prompt, index) => `${prompt} → ${response[index] || '—'}`).join('; ');
+      case 'ordering':
+        return response.map(index => question.options?.[index] ?? String(index)).join(' → ');
+      default:
+        return String(response);
+    }
+  }
+
+  /**
+   * Readable form of a question's answer key
+   */
+  static formatCorrectAnswer(question) {
+    switch (question.type || 'multiple_choice') {
+      case 'multiple_choice': {
+        const index = AnswerKey.correctIndex(question);
+        return question.options?.[index] !== undefined ? AnswerScoring.optionLabel(question, index) : 'Unknown';
+      }
+      case 'multiple_response': {
+        const indexes = AnswerKey.correctIndexes(question);
+        return indexes.length > 0 ? indexes.map(index => AnswerScoring.optionLabel(question, index)).join('; ') : 'Unknown';
+      }
+      case 'true_false':
+        return String(question.correct_answer).toLowerCase() === 'true' ? 'True' : 'False';
+      case 'short_answer':
+        return QuestionSchema.answerList(question.correct_answer).join(' or ');
+      case 'fill_blank':
+        return AnswerScoring.blankKeys(question).map(accepted => accepted.join(' or ')).join(' / ');
+      case 'matching': {
+        const matches = QuestionSchema.answerList(question.correct_answer);
+        return (question.options || []).map((prompt, index) => `${prompt} → ${matches[index] || '—'}`).join('; ');
+      }
+      case 'numeric':
+        return AnswerScoring.formatNumericKey(question);
+      case 'ordering':
+        return AnswerKey.correctOrder(question).map(index => question.options[index]).join(' → ');
+      case 'essay':
+        return question.correct_answer ? `Reviewed against: ${question.correct_answer}` : 'Reviewed by an instructor';
+      default:
+        return String(question.correct_answer ?? '');
+    }
+  }
+
+  /**
+   * "9.81 ± 0.05 m/s (3 significant figures)" for a numeric key
+   */
+  static formatNumericKey(question) {
+    const rules = question.answer_rules || {};
+    const tolerance = Number(rules.tolerance) || 0;
+    const margin = rules.tolerance_type === 'relative' ? `${Number((tolerance * 100).toPrecision(12))}%` : String(tolerance);
+    const unit = QuestionSchema.answerList(rules.unit)[0];
+    const figures = rules.significant_figures ? ` (${rules.significant_figures} significant figures)` : '';
+    return `${question.correct_answer}${tolerance ? ` ± ${margin}` : ''}${unit ? ` ${unit}` : ''}${figures}`;
+  }
+
+  /**
+   * A response and the key as lists of plain values, the shape POST /api/assess takes as
+   * { userAnswerArray, correctAnswerArray }; choice questions list option texts
+   */
+  static answerArrays(question, response) {
+    const answered = AnswerScoring.isAnswered(question, response);
+    const optionTexts = indexes => indexes.map(index => question.options?.[index] ?? String(index));
+
+    switch (question.type || 'multiple_choice') {
+      case 'multiple_choice':
+        return { userAnswerArray: answered ? optionTexts([response]) : [], correctAnswerArray: optionTexts([AnswerKey.correctIndex(question)]) };
+      case 'multiple_response':
+        return { userAnswerArray: answered ? optionTexts(response) : [], correctAnswerArray: optionTexts(AnswerKey.correctIndexes(question)) };
+      case 'ordering':
+        return { userAnswerArray: answered ? optionTexts(response) : [], correctAnswerArray: optionTexts(AnswerKey.correctOrder(question)) };
+      case 'short_answer':
+        return { userAnswerArray: answered ? [String(response).trim()] : [], correctAnswerArray: QuestionSchema.answerList(question.correct_answer) };
+      case 'fill_blank':
+        return {
+          userAnswerArray: answered ? response.map(part => String(part ?? '').trim()) : [],
+          correctAnswerArray: AnswerScoring.blankKeys(question).map(accepted => accepted.join(' or '))
+        };
+      case 'matching': {
+        const matches = QuestionSchema.answerList(question.correct_answer);
+        const pairs = picks => (question.options || []).map((prompt, index) => `${prompt} → ${picks[index] || '—'}`);
+        return { userAnswerArray: answered ? pairs(response) : [], correctAnswerArray: pairs(matches) };
+      }
+      default:
+        return {
+          userAnswerArray: answered ? [AnswerScoring.formatResponse(question, response)] : [],
+          correctAnswerArray: [AnswerScoring.formatCorrectAnswer(question)]
+        };
+    }
+  }
+
+  /**
+   * Totals over scored questions ([{ status, score, points, section }]) under a scoring policy
+   * (see ScoringPolicy). Questions pending review count toward neither the score nor the total until graded
+   */
+  static summarize(entries, policy = {}) {
+    const count = status => entries.filter(entry => entry.status === status).length;
+    const graded = entries.filter(entry => entry.status !== 'pending_review');
+    const points = ScoringPolicy.evaluate(entries, policy);
+
+    const sectionResults = {};
+    entries.forEach(entry => {
+      const section = entry.section || 'General';
+      const result = sectionResults[section] || (sectionResults[section] = { correct: 0, total: 0, score: 0, pendingReview: 0 });
+      if (entry.status === 'pending_review') {
+        result.pendingReview++;
+        return;
+      }
+      result.total++;
+      result.score += entry.score || 0;
+      if (entry.status === 'correct') result.correct++;
+    });
+    Object.entries(points.sections).forEach(([section, sectionPoints]) => Object.assign(sectionResults[section], sectionPoints));
+
+    return {
+      correct: count('correct'),
+      partial: count('partial'),
+      incorrect: count('incorrect') + count('unanswered'),
+      unanswered: count('unanswered'),
+      pendingReview: count('pending_review'),
+      total: graded.length,
+      rawPoints: points.rawPoints,
+      maxPoints: points.maxPoints,
+      penaltyPoints: points.penaltyPoints,
+      percentage: points.percentage,
+      scoringPolicy: points.policy,
+      sectionResults
+    };
+  }
+}
+
+export default AnswerScoring;
@@ -0,0 +1,166 @@
+// CSV Format Detection
+// Sniffs the encoding, byte order mark and delimiter of CSV files exported by spreadsheet tools
+// in any locale (Excel writes semicolons where the decimal separator is a comma, UTF-16 for
+// "Unicode text" and Windows-1252 for plain "CSV"). Works on raw bytes in Node and the browser.
+
+import { CSVParser } from './CSVParser.js';
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+  { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+  'windows-1252': 'Windows-1252'
+};
+
+const DELIMITER_LABELS = {
+  ',': 'Comma',
+  ';': 'Semicolon',
+  '\t': 'Tab',
+  '|': 'Pipe'
+};
+
+// Bytes inspected when guessing an encoding without a BOM
+const ENCODING_SAMPLE_BYTES = 4096;
+
+// Records compared when guessing the delimiter
+const DELIMITER_SAMPLE_RECORDS = 20;
+
+export class CSVDetector {
+
+  /**
+   * Encodings that can be detected or picked as an override
+   */
+  static get ENCODINGS() {
+    return Object.keys(ENCODING_LABELS);
+  }
+
+  /**
+   * Delimiters that can be detected or picked as an override
+   */
+  static get DELIMITERS() {
+    return Object.keys(DELIMITER_LABELS);
+  }
+
+  /**
+   * Display name of an encoding or delimiter
+   */
+  static label(value) {
+    return ENCODING_LABELS[value] || DELIMITER_LABELS[value] || value;
+  }
+
+  /**
+   * Guess the encoding of raw bytes; returns { encoding, bom }
+   * A BOM decides it; otherwise UTF-16 is recognised by its zero bytes and anything that is
+   * not valid UTF-8 is read as Windows-1252
+   */
+  static detectEncoding(bytes) {
+    for (const { encoding, bytes: mark } of BYTE_ORDER_MARKS) {
+      if (mark.every((byte, index) => bytes[index] === byte)) {
+        return { encoding, bom: true };
+      }
+    }
+
+    const sample = bytes.subarray(0, ENCODING_SAMPLE_BYTES);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] === 0) {
+        if (i % 2 === 0) evenZeros++;
+        else oddZeros++;
+      }
+    }
+    // ASCII text in UTF-16 has a zero in every other byte
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0 && oddZeros > pairs * 0.3 && oddZeros > evenZeros * 2) return { encoding: 'utf-16le', bom: false };
+    if (pairs > 0 && evenZeros > pairs * 0.3 && evenZeros > oddZeros * 2) return { encoding: 'utf-16be', bom: false };
+
+    try {
+      // `stream` keeps a multi-byte character cut off at the end of the sample from counting as invalid
+      new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+      return { encoding: 'utf-8', bom: false };
+    } catch {
+      return { encoding: 'windows-1252', bom: false };
+    }
+  }
+
+  /**
+   * Decoder for an encoding; a BOM matching the encoding is dropped
+   */
+  static createDecoder(encoding) {
+    return new TextDecoder(encoding);
+  }
+
+  /**
+   * Guess the delimiter from the start of the text
+   * Each candidate is scored by how many fields it splits the header into and how many of the
+   * following records have the same count; ties go to the earlier candidate (comma first)
+   */
+  static detectDelimiter(text) {
+    let best = { delimiter: ',', score: 0 };
+
+    for (const delimiter of CSVDetector.DELIMITERS) {
+      const parser = new CSVParser({ delimiter });
+      const records = [...parser.push(text), ...parser.end()].slice(0, DELIMITER_SAMPLE_RECORDS);
+      if (records.length === 0) continue;
+
+      const fieldCount = records[0].fields.length;
+      if (fieldCount < 2) continue;
+
+      const consistent = records.filter(record => record.fields.length === fieldCount).length;
+      const score = (consistent / records.length) * fieldCount;
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
+
+    return best.delimiter;
+  }
+
+  /**
+   * Detect (or apply overrides for) the format of a file's leading bytes
+   * Returns { encoding, bom, delimiter, detected: { encoding, delimiter }, text } where `text` is the
+   * decoded sample; `overrides` ({ encoding, delimiter }) replace the detected values when set
+   */
+  static detect(bytes, overrides = {}) {
+    const { encoding: detectedEncoding, bom } = CSVDetector.detectEncoding(bytes);
+    const encoding = overrides.encoding || detectedEncoding;
+    const text = CSVDetector.createDecoder(encoding).decode(bytes);
+    const detectedDelimiter = CSVDetector.detectDelimiter(text);
+
+    return {
+      encoding,
+      bom,
+      delimiter: overrides.delimiter || detectedDelimiter,
+      detected: { encoding: detectedEncoding, delimiter: detectedDelimiter },
+      text
+    };
+  }
+
+  /**
+   * Check user-supplied overrides; returns an error message or null
+   */
+  static validateOverrides({ encoding, delimiter } = {}) {
+    if (encoding && !CSVDetector.ENCODINGS.includes(encoding)) {
+      return `Unsupported encoding "${encoding}". Use one of: ${CSVDetector.ENCODINGS.join(', ')}`;
+    }
+    if (delimiter && !CSVDetector.DELIMITERS.includes(delimiter)) {
+      return `Unsupported delimiter ${JSON.stringify(delimiter)}. Use one of: ${CSVDetector.DELIMITERS.map(d => JSON.stringify(d)).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * One-line description of a detected format, e.g. "UTF-8 with BOM, semicolon-delimited"
+   */
+  static describe({ encoding, bom, delimiter }) {
+    return `${CSVDetector.label(encoding)}${bom ? ' with BOM' : ''}, ${CSVDetector.label(delimiter).toLowerCase()}-delimited`;
+  }
+}
+
+export default CSVDetector;
@@ -0,0 +1,292 @@
+// CSV Parser
+// RFC 4180 parser shared by the server upload pipeline and every client CSV reader
+// Handles quoted fields with embedded delimiters, newlines and doubled ("") quotes, CRLF/LF/CR
+// line endings, and input that arrives in chunks. Problems are reported with line and column
+// numbers instead of dropping rows.
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3; // Saw a quote inside a quoted field: either an escape ("") or the closing quote
+
+export class CSVParser {
+  /**
+   * Incremental parser: feed text with push() and finish with end()
+   * `trim` strips whitespace around unquoted fields and around quoted ones (`  "a,b" ` reads as `a,b`)
+   */
+  constructor({ delimiter = ',', trim = true } = {}) {
+    this.delimiter = delimiter;
+    this.trim = trim;
+    this.errors = [];
+    this.warnings = [];
+    this.recordErrors = [];
+
+    this.state = FIELD_START;
+    this.field = '';
+    this.quoted = false;
+    this.fields = [];
+    this.columns = [];
+    this.fieldColumn = 1;
+    this.line = 1;
+    this.column = 0;
+    this.recordLine = 1;
+    this.quoteLine = 0;
+    this.quoteColumn = 0;
+    this.pendingCR = false;
+    this.started = false;
+    this.completed = [];
+  }
+
+  /**
+   * Parse a chunk of text; returns the records it completed ({ line, fields, columns, errors })
+   */
+  push(chunk) {
+    let text = String(chunk);
+    if (!this.started) {
+      this.started = true;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // The LF of a CRLF pair may arrive in the next chunk
+      if (this.pendingCR) {
+        this.pendingCR = false;
+        if (char === '\n') continue;
+      }
+
+      this.column++;
+      this.consume(char);
+
+      if (char === '\n' || char === '\r') {
+        this.line++;
+        this.column = 0;
+        if (char === '\r') this.pendingCR = true;
+      }
+    }
+
+    return this.drain();
+  }
+
+  /**
+   * Finish parsing; returns the last record, if any
+   */
+  end() {
+    if (this.state === QUOTED) {
+      this.reportError(this.quoteLine, this.quoteColumn, 'Unterminated quoted field (missing closing quote)');
+    }
+    if (this.state !== FIELD_START || this.fields.length > 0) {
+      this.endRecord();
+    }
+    return this.drain();
+  }
+
+  consume(char) {
+    const isNewline = char === '\n' || char === '\r';
+
+    switch (this.state) {
+      case FIELD_START:
+        if (this.fields.length === 0 && this.field === '') {
+          this.recordLine = this.line;
+        }
+        if (this.field === '') {
+          this.fieldColumn = this.column;
+        }
+        if (char === '"') {
+          this.startQuoted();
+        } else if (char === this.delimiter) {
+          this.endField();
+        } else if (isNewline) {
+          this.endRecord();
+        } else if (this.trim && (char === ' ' || char === '\t')) {
+          this.field += char; // Leading whitespace before a possible opening quote
+        } else {
+          this.field += char;
+          this.state = UNQUOTED;
+        }
+        break;
+
+      case UNQUOTED:
+        if (char === this.delimiter) {
+          this.endField();
+        } else if (isNewline) {
+          this.endRecord();
+        } else {
+          if (char === '"') {
+            this.warnings.push({ line: this.line, column: this.column, message: 'Quote inside an unquoted field was kept as text' });
+          }
+          this.field += char;
+        }
+        break;
+
+      case QUOTED:
+        if (char === '"') {
+          this.state = QUOTE_IN_QUOTED;
+        } else {
+          this.field += char;
+        }
+        break;
+
+      case QUOTE_IN_QUOTED:
+        if (char === '"') {
+          this.field += '"';
+          this.state = QUOTED;
+        } else if (char === this.delimiter) {
+          this.endField();
+        } else if (isNewline) {
+          this.endRecord();
+        } else if (this.trim && (char === ' ' || char === '\t')) {
+          // Trailing whitespace after the closing quote is dropped
+        } else {
+          this.reportError(this.line, this.column, `Unexpected "${char}" after closing quote`);
+          this.field += char;
+          this.state = UNQUOTED;
+        }
+        break;
+    }
+  }
+
+  reportError(line, column, message) {
+    const error = { line, column, message };
+    this.errors.push(error);
+    this.recordErrors.push(error);
+  }
+
+  startQuoted() {
+    this.field = '';
+    this.quoted = true;
+    this.quoteLine = this.line;
+    this.quoteColumn = this.column;
+    this.state = QUOTED;
+  }
+
+  endField() {
+    const value = this.quoted || !this.trim ? this.field : this.field.trim();
+    this.fields.push(value);
+    this.columns.push(this.fieldColumn);
+    this.field = '';
+    this.quoted = false;
+    this.state = FIELD_START;
+  }
+
+  endRecord() {
+    const blank = this.fields.length === 0 && !this.quoted && this.field.trim() === '';
+    if (blank) {
+      this.field = '';
+      this.state = FIELD_START;
+      return; // Blank lines carry no data
+    }
+
+    this.endField();
+    this.completed.push({ line: this.recordLine, fields: this.fields, columns: this.columns, errors: this.recordErrors });
+    this.fields = [];
+    this.columns = [];
+    this.recordErrors = [];
+  }
+
+  drain() {
+    const records = this.completed;
+    this.completed = [];
+    return records;
+  }
+
+  /**
+   * Parse a complete CSV string into headers and rows
+   * Each row is { line, values, data, error }; `data` maps header -> value
+   */
+  static parse(text, options = {}) {
+    const parser = new CSVParser(options);
+    const records = [...parser.push(text), ...parser.end()];
+    return CSVParser.buildResult(records, parser);
+  }
+
+  /**
+   * Parse CSV arriving as an async iterable of text chunks (e.g. a Node read stream with an encoding set)
+   */
+  static async parseStream(chunks, options = {}) {
+    const parser = new CSVParser(options);
+    const records = [];
+    for await (const chunk of chunks) {
+      records.push(...parser.push(chunk));
+    }
+    records.push(...parser.end());
+    return CSVParser.buildResult(records, parser);
+  }
+
+  /**
+   * Parse without treating the first record as headers; returns { records, errors, warnings }
+   */
+  static parseRecords(text, options = {}) {
+    const parser = new CSVParser(options);
+    const records = [...parser.push(text), ...parser.end()];
+    return { records, errors: parser.errors, warnings: parser.warnings };
+  }
+
+  /**
+   * Match records against the header record
+   * Malformed rows and rows with extra or missing fields keep an `error` so callers can reject them;
+   * short rows are still padded so `data` has every header
+   */
+  static buildResult(records, parser) {
+    const errors = [...parser.errors];
+    const warnings = [...parser.warnings];
+    const [headerRecord, ...dataRecords] = records;
+    const headers = headerRecord ? headerRecord.fields.map(header => header.trim()) : [];
+
+    const rows = dataRecords.map(record => {
+      const values = [...record.fields];
+      let error = record.errors[0] || null;
+
+      if (values.length !== headers.length) {
+        const countError = {
+          line: record.line,
+          column: values.length > headers.length ? record.columns[headers.length] : null,
+          message: `Expected ${headers.length} fields but found ${values.length}`
+        };
+        errors.push(countError);
+        error = error || countError;
+        while (values.length < headers.length) values.push('');
+      }
+
+      const data = {};
+      headers.forEach((header, index) => {
+        data[header] = values[index];
+      });
+
+      return { line: record.line, values, data, error };
+    });
+
+    const byPosition = (a, b) => a.line - b.line || (a.column || 0) - (b.column || 0);
+    return { headers, rows, errors: errors.sort(byPosition), warnings: warnings.sort(byPosition) };
+  }
+
+  /**
+   * Quote a value when it contains the delimiter, a quote or a line break
+   */
+  static escapeValue(value, delimiter = ',') {
+    const str = value == null ? '' : String(value);
+    if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  }
+
+  /**
+   * Serialize rows (arrays of values) as CSV text
+   */
+  static stringify(rows, { delimiter = ',', newline = '\r\n' } = {}) {
+    return rows
+      .map(row => row.map(value => CSVParser.escapeValue(value, delimiter)).join(delimiter))
+      .join(newline);
+  }
+
+  /**
+   * Human-readable location for error messages
+   */
+  static formatLocation({ line, column }) {
+    return column ? `line ${line}, column ${column}` : `line ${line}`;
+  }
+}
+
+export default CSVParser;
@@ -0,0 +1,118 @@
+// Column Mapping
+// Maps the columns of an imported CSV file onto QuestionSchema fields. A mapping can retarget or
+// ignore columns and give fields one value for every row; saved as a named profile it is applied
+// again to later files with the same headers. Shared by the upload route and the configuration panel.
+
+import { QuestionSchema } from '../models/QuestionSchema.js';
+
+// Fields that can be set to one value for the whole file
+const CONSTANT_FIELDS = ['category', 'difficulty', 'type', 'tags', 'points', 'time_limit'];
+
+// Custom (unmapped) field names, as produced by QuestionSchema.normalizeFieldName
+const CUSTOM_FIELD_PATTERN = /^[a-z0-9][a-z0-9_]*$/;
+
+export class ColumnMapping {
+
+  /**
+   * Schema fields a column can be mapped to
+   */
+  static get TARGET_FIELDS() {
+    return Object.keys(QuestionSchema.CSV_FIELD_MAPPING);
+  }
+
+  /**
+   * Fields a mapping can set as a constant
+   */
+  static get CONSTANT_FIELDS() {
+    return [...CONSTANT_FIELDS];
+  }
+
+  /**
+   * Guessed target of each column: [{ source, target, known }]
+   * `known` is false for headers that would be imported as custom fields
+   */
+  static guess(headers) {
+    return headers.map(source => {
+      const target = QuestionSchema.normalizeFieldName(source);
+      return { source, target, known: ColumnMapping.TARGET_FIELDS.includes(target) };
+    });
+  }
+
+  /**
+   * Target of each column under a mapping: [{ source, target, known, mapped }]
+   * `mapping.columns` ({ header: field | null }) overrides the guess; null ignores the column
+   */
+  static resolve(headers, mapping = null) {
+    const columns = mapping?.columns || {};
+    return ColumnMapping.guess(headers).map(column => {
+      if (!Object.prototype.hasOwnProperty.call(columns, column.source)) {
+        return { ...column, mapped: false };
+      }
+      const target = columns[column.source];
+      return { ...column, target, known: ColumnMapping.TARGET_FIELDS.includes(target), mapped: true };
+    });
+  }
+
+  /**
+   * Build the header list and a row converter for QuestionSchema.fromCSVRow
+   * Ignored columns are dropped and `mapping.constants` are appended, so constants win over columns
+   */
+  static createMapper(headers, mapping = null) {
+    const kept = ColumnMapping.resolve(headers, mapping)
+      .map((column, index) => ({ ...column, index }))
+      .filter(column => column.target);
+
+    // fromCSVRow fills options in column order, so keep option_a..option_e in letter order
+    const optionRank = target => (/^option_[a-e]$/.test(target) ? target.charCodeAt(7) : 0);
+    kept.sort((a, b) => optionRank(a.target) - optionRank(b.target));
+
+    const constants = Object.entries(mapping?.constants || {})
+      .filter(([, value]) => value !== '' && value != null);
+
+    return {
+      headers: [...kept.map(column => column.target), ...constants.map(([field]) => field)],
+      map: values => [...kept.map(column => values[column.index] ?? ''), ...constants.map(([, value]) => String(value))]
+    };
+  }
+
+  /**
+   * Key identifying a header set, independent of column order and case
+   */
+  static headerSignature(headers) {
+    return headers.map(header => String(header).trim().toLowerCase()).sort().join('\u0000');
+  }
+
+  /**
+   * Saved profile whose headers match the file's, most recently updated first, or null
+   */
+  static matchProfile(headers, profiles = []) {
+    const signature = ColumnMapping.headerSignature(headers);
+    return profiles
+      .filter(profile => ColumnMapping.headerSignature(profile.headers || []) === signature)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+  }
+
+  /**
+   * Check a mapping from user input; returns an error message or null
+   */
+  static validate(mapping) {
+    if (mapping == null) return null;
+    if (typeof mapping !== 'object') return 'mapping must be an object';
+
+    for (const [source, target] of Object.entries(mapping.columns || {})) {
+      if (target !== null && (typeof target !== 'string' || !CUSTOM_FIELD_PATTERN.test(target))) {
+        return `Column "${source}" has an invalid target ${JSON.stringify(target)}`;
+      }
+    }
+
+    for (const field of Object.keys(mapping.constants || {})) {
+      if (!CONSTANT_FIELDS.includes(field)) {
+        return `"${field}" cannot be set as a constant. Use one of: ${CONSTANT_FIELDS.join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+export default ColumnMapping;
@@ -121,4 +121,16 @@ export class DOMHelpers {
   static deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
   }
+
+  /**
+   * Escape text for safe interpolation into innerHTML templates
+   */
+  static escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
 }
@@ -0,0 +1,498 @@
+// GIFT Format
+// Reads and writes Moodle's GIFT question format (https://docs.moodle.org/en/GIFT_format).
+// Questions map onto QuestionSchema types: multiple choice, multiple response (weighted answers),
+// true/false, short answer, missing word (fill_blank), matching, numeric and essay. `$CATEGORY:` lines set the category, `####` general
+// feedback is the explanation and `// [tag:...]` comments carry tags. Shared by the upload
+// route and client-side exports.
+
+import { QuestionSchema } from '../models/QuestionSchema.js';
+import { AnswerKey } from '../models/AnswerKey.js';
+
+// Characters GIFT reserves; they are written with a backslash inside question and answer text
+const SPECIAL_CHARACTERS = ['~', '=', '#', '{', '}', ':'];
+
+// Moodle text-format markers that may open a question's text
+const TEXT_FORMAT_PATTERN = /^\[(html|moodle|plain|markdown)\]\s*/i;
+
+// Category path prefixes Moodle writes in front of the category names
+const CATEGORY_PREFIX_PATTERN = /^(\$(course|system|module|cat\d+)\$\/)?(top\/)?/;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export class GIFTFormat {
+
+  /**
+   * Parse GIFT text; returns { records: [{ line, question, originalId, error }], warnings }
+   * `question` holds QuestionSchema fields; `originalId` is the question's `::title::` or `[id:...]`
+   * Records that cannot be imported keep an `error` ({ line, column, message }) instead of a question
+   */
+  static parse(text) {
+    const records = [];
+    const warnings = [];
+    let category = null;
+    let comments = [];
+    let block = [];
+    let blockLine = 0;
+
+    const flush = () => {
+      if (block.length > 0) {
+        records.push(GIFTFormat.parseQuestion(block.join('\n'), blockLine, { category, comments }, warnings));
+      }
+      block = [];
+      comments = [];
+    };
+
+    String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+
+      if (line === '') {
+        flush();
+      } else if (line.startsWith('//')) {
+        comments.push(line.slice(2).trim());
+      } else if (block.length === 0 && /^\$CATEGORY:/i.test(line)) {
+        category = GIFTFormat.parseCategory(line.replace(/^\$CATEGORY:/i, ''));
+        comments = [];
+      } else {
+        if (block.length === 0) blockLine = lineNumber;
+        block.push(rawLine);
+      }
+    });
+    flush();
+
+    return { records, warnings };
+  }
+
+  /**
+   * Category name from a `$CATEGORY:` path, without Moodle's `$course$/top/` prefix
+   */
+  static parseCategory(path) {
+    return path.trim().replace(CATEGORY_PREFIX_PATTERN, '') || null;
+  }
+
+  /**
+   * Parse one question block (the lines between blank lines)
+   */
+  static parseQuestion(source, line, { category, comments }, warnings) {
+    const record = { line, question: null, originalId: null, error: null };
+    const fail = (message) => ({ ...record, error: { line, column: null, message } });
+
+    let body = source.trim();
+    const title = body.match(/^::((?:\\.|[^\\])*?)::/);
+    if (title) {
+      record.originalId = GIFTFormat.unescape(title[1]).trim() || null;
+      body = body.slice(title[0].length).trim();
+    }
+    body = body.replace(TEXT_FORMAT_PATTERN, '');
+
+    const open = GIFTFormat.findUnescaped(body, '{');
+    const close = open === -1 ? -1 : GIFTFormat.findUnescaped(body, '}', open + 1);
+    if (open === -1) {
+      return fail('No answer block ({...}) found; description-only questions are not supported');
+    }
+    if (close === -1) {
+      return fail('Answer block is missing its closing "}"');
+    }
+
+    const before = GIFTFormat.unescape(body.slice(0, open)).trim();
+    const after = GIFTFormat.unescape(body.slice(close + 1)).trim();
+    const answers = body.slice(open + 1, close).trim();
+    const missingWord = after !== '';
+    const question = {
+      question: missingWord ? `${before} ${QuestionSchema.BLANK} ${after}`.trim() : before,
+      tags: []
+    };
+    if (category) question.category = category;
+
+    // Moodle-style metadata comments: // [id:...] [tag:...]
+    for (const comment of comments) {
+      for (const [, key, value] of comment.matchAll(/\[(id|tag):([^\]]+)\]/gi)) {
+        if (key.toLowerCase() === 'id') record.originalId = record.originalId || value.trim();
+        else question.tags.push(value.trim());
+      }
+    }
+
+    const parsed = GIFTFormat.parseAnswers(answers, missingWord);
+    if (parsed.error) {
+      return fail(parsed.error);
+    }
+    parsed.warnings.forEach(message => warnings.push({ line, column: null, message }));
+
+    return { ...record, question: { ...question, ...parsed.fields } };
+  }
+
+  /**
+   * Parse the inside of an answer block into { fields, warnings } or { error }
+   */
+  static parseAnswers(block, missingWord) {
+    const warnings = [];
+    const { answers: answerBlock, feedback: explanation } = GIFTFormat.splitGeneralFeedback(block);
+
+    if (answerBlock.startsWith('#')) {
+      return GIFTFormat.parseNumeric(answerBlock.slice(1).trim(), explanation, warnings);
+    }
+
+    if (answerBlock === '') {
+      return missingWord
+        ? { error: 'A missing-word question needs at least one answer' }
+        : { fields: { type: 'essay', options: [], correct_answer: '', explanation }, warnings };
+    }
+
+    // True/false: {T}, {FALSE#feedback for a wrong answer#feedback for a right answer}
+    const trueFalse = answerBlock.match(/^(T|TRUE|F|FALSE)(?=$|#)/i);
+    if (trueFalse) {
+      const value = trueFalse[1].toUpperCase().startsWith('T');
+      const [, wrongFeedback = '', rightFeedback = ''] = GIFTFormat.splitUnescaped(answerBlock, '#');
+      if (wrongFeedback.trim() || rightFeedback.trim()) {
+        warnings.push('Per-answer feedback on a true/false question was used as the explanation');
+      }
+      return {
+        fields: {
+          type: 'true_false',
+          options: [],
+          correct_answer: value ? 'true' : 'false',
+          explanation: explanation || GIFTFormat.unescape(rightFeedback).trim()
+        },
+        warnings
+      };
+    }
+
+    const answers = GIFTFormat.splitAnswers(answerBlock);
+    if (answers.length === 0) {
+      return { error: 'Answers must start with "=" (correct) or "~" (wrong)' };
+    }
+
+    // Matching: {=prompt -> match =prompt -> match}
+    if (answers.some(answer => answer.text.includes('->'))) {
+      const pairs = answers.map(answer => answer.text.split('->').map(part => part.trim()));
+      if (pairs.some(([prompt, match]) => !prompt || !match)) {
+        return { error: 'Every matching pair needs a question and an answer ("=question -> answer")' };
+      }
+      return {
+        fields: {
+          type: 'matching',
+          options: pairs.map(([prompt]) => prompt),
+          correct_answer: pairs.map(([, match]) => match).join(';'),
+          explanation
+        },
+        warnings: GIFTFormat.feedbackWarnings(answers, warnings)
+      };
+    }
+
+    const correct = answers.filter(answer => answer.correct);
+
+    // Short answer / missing word: only accepted answers, e.g. {=cat =feline}
+    if (answers.every(answer => answer.kind === '=')) {
+      return {
+        fields: {
+          type: missingWord ? 'fill_blank' : 'short_answer',
+          options: [],
+          correct_answer: answers.map(answer => answer.text).join(';'),
+          explanation: explanation || answers[0].feedback
+        },
+        warnings: GIFTFormat.feedbackWarnings(answers.slice(1), warnings)
+      };
+    }
+
+    if (answers.length > LETTERS.length) {
+      return { error: `Multiple choice questions can have at most ${LETTERS.length} options` };
+    }
+
+    // Multiple response: several correct options, usually weighted ({~%50%A ~%50%C ~%-100%B})
+    if (correct.length > 1 || answers.some(answer => answer.weight > 0 && answer.weight < 100)) {
+      return GIFTFormat.parseMultipleResponse(answers, explanation, warnings);
+    }
+
+    // Multiple choice with exactly one correct option
+    if (correct.length === 0) {
+      return { error: 'Multiple choice question has no correct answer' };
+    }
+
+    const correctIndex = answers.indexOf(correct[0]);
+    return {
+      fields: {
+        type: 'multiple_choice',
+        options: answers.map(answer => answer.text),
+        correct_answer: LETTERS[correctIndex],
+        explanation: explanation || correct[0].feedback
+      },
+      warnings: GIFTFormat.feedbackWarnings(answers.filter(answer => answer !== correct[0]), warnings)
+    };
+  }
+
+  /**
+   * Numeric fields from {#value:tolerance}, {#min..max} or a list of weighted answers ({#=3.14:0.01 =%50%3:0.5});
+   * only the first full-credit answer is kept
+   */
+  static parseNumeric(block, explanation, warnings) {
+    const entries = block.startsWith('=')
+      ? GIFTFormat.splitAnswers(block).filter(answer => answer.kind === '=')
+      : [{ text: GIFTFormat.unescape(GIFTFormat.splitUnescaped(block, '#')[0]).trim(), weight: null, feedback: '' }];
+    const full = entries.find(answer => answer.weight === null || answer.weight === 100);
+    if (!full) {
+      return { error: 'Numeric question has no full-credit answer' };
+    }
+    if (entries.length > 1) {
+      warnings.push('Only the first full-credit numeric answer was kept');
+    }
+
+    const number = '([+-]?(?:\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE][+-]?\\d+)?)';
+    const range = full.text.match(new RegExp(`^${number}\\s*\\.\\.\\s*${number}$`));
+    const margin = full.text.match(new RegExp(`^${number}(?:\\s*:\\s*${number})?$`));
+    if (!range && !margin) {
+      return { error: `Numeric answer "${full.text}" is not a number, value:tolerance or min..max` };
+    }
+    const [value, tolerance] = range
+      ? [(Number(range[1]) + Number(range[2])) / 2, Math.abs(Number(range[2]) - Number(range[1])) / 2]
+      : [Number(margin[1]), Math.abs(Number(margin[2] || 0))];
+    const exact = figure => Number(figure.toPrecision(12));
+
+    return {
+      fields: {
+        type: 'numeric',
+        options: [],
+        correct_answer: range ? String(exact(value)) : margin[1],
+        answer_rules: tolerance ? { tolerance: exact(tolerance) } : {},
+        explanation: explanation || full.feedback
+      },
+      warnings: GIFTFormat.feedbackWarnings(entries.filter(answer => answer !== full), warnings)
+    };
+  }
+
+  /**
+   * Multiple-response fields from weighted answers; the weights of the wrong answers pick the scoring:
+   * none for partial_credit, -100% for all_or_nothing and any other penalty for right_minus_wrong
+   */
+  static parseMultipleResponse(answers, explanation, warnings) {
+    const correct = answers.filter(answer => answer.correct || answer.weight > 0);
+    const wrong = answers.filter(answer => !correct.includes(answer));
+    const weights = new Set(correct.map(answer => answer.weight));
+    if (weights.size > 1) {
+      warnings.push('Correct answers had different weights; each now counts the same');
+    }
+
+    const penalties = wrong.map(answer => answer.weight).filter(weight => weight < 0);
+    const weighted = answers.some(answer => answer.weight > 0 && answer.weight < 100);
+    const scoring = !weighted || (penalties.length > 0 && penalties.every(weight => weight <= -100))
+      ? 'all_or_nothing'
+      : penalties.length > 0 ? 'right_minus_wrong' : 'partial_credit';
+
+    return {
+      fields: {
+        type: 'multiple_response',
+        options: answers.map(answer => answer.text),
+        correct_answer: correct.map(answer => LETTERS[answers.indexOf(answer)]).join(';'),
+        answer_rules: { scoring },
+        explanation
+      },
+      warnings: GIFTFormat.feedbackWarnings(answers, warnings)
+    };
+  }
+
+  /**
+   * Separate `####general feedback` from the answers of a block
+   */
+  static splitGeneralFeedback(block) {
+    const index = block.search(/(?<!\\)####/);
+    if (index === -1) {
+      return { answers: block.trim(), feedback: '' };
+    }
+    return {
+      answers: block.slice(0, index).trim(),
+      feedback: GIFTFormat.unescape(block.slice(index + 4)).trim()
+    };
+  }
+
+  /**
+   * Split an answer list on unescaped "=" and "~"; returns [{ kind, text, correct, weight, feedback }]
+   * A "~%100%" weight counts as correct, any other weight on "~" as wrong
+   */
+  static splitAnswers(block) {
+    const answers = [];
+    let current = null;
+
+    for (let i = 0; i < block.length; i++) {
+      const char = block[i];
+      if (char === '\\' && i + 1 < block.length) {
+        if (current) current.raw += char + block[i + 1];
+        i++;
+      } else if (char === '=' || char === '~') {
+        current = { kind: char, raw: '' };
+        answers.push(current);
+      } else if (current) {
+        current.raw += char;
+      } else if (!/\s/.test(char)) {
+        return []; // Text before the first answer marker
+      }
+    }
+
+    return answers.map(({ kind, raw }) => {
+      const [answer, ...feedback] = GIFTFormat.splitUnescaped(raw, '#');
+      const weight = answer.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      const text = GIFTFormat.unescape(weight ? answer.slice(weight[0].length) : answer).trim();
+      const percent = weight ? parseFloat(weight[1]) : null;
+      const correct = kind === '=' || percent === 100;
+      return { kind, text, correct, weight: percent, feedback: GIFTFormat.unescape(feedback.join('#')).trim() };
+    });
+  }
+
+  /**
+   * Warn once when feedback attached to individual answers is dropped
+   */
+  static feedbackWarnings(answers, warnings) {
+    if (answers.some(answer => answer.feedback)) {
+      warnings.push('Feedback on individual answers was dropped (only the explanation is kept)');
+    }
+    return warnings;
+  }
+
+  /**
+   * Position of the first unescaped `char` at or after `from`, or -1
+   */
+  static findUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === char) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Split on an unescaped separator, leaving escapes in place
+   */
+  static splitUnescaped(text, separator) {
+    const parts = [''];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        parts[parts.length - 1] += text[i] + text[i + 1];
+        i++;
+      } else if (text[i] === separator) {
+        parts.push('');
+      } else {
+        parts[parts.length - 1] += text[i];
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Resolve GIFT escapes (\~ \= \# \{ \} \: \\ and \n)
+   */
+  static unescape(text) {
+    return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+  }
+
+  /**
+   * Escape reserved characters and line breaks for GIFT
+   */
+  static escape(text) {
+    return String(text ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(new RegExp(`[${SPECIAL_CHARACTERS.map(char => `\\${char}`).join('')}]`, 'g'), char => `\\${char}`)
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+
+  /**
+   * Whether a question can be written as GIFT
+   */
+  static supports(question) {
+    return GIFTFormat.answerBlock(question) !== null;
+  }
+
+  /**
+   * Answer lines for a question ([] for essays), or null when its type has no GIFT form
+   */
+  static answerBlock(question) {
+    const options = question.options || [];
+    const keys = QuestionSchema.answerList(question.correct_answer);
+
+    switch (question.type || 'multiple_choice') {
+      case 'multiple_choice': {
+        const correctIndex = AnswerKey.correctIndex(question);
+        if (options.length < 2 || correctIndex === -1) return null;
+        return options.map((option, index) => `${index === correctIndex ? '=' : '~'}${GIFTFormat.escape(option)}`);
+      }
+      case 'multiple_response': {
+        // Correct options share 100%; wrong ones carry the penalty of the scoring mode (see parseMultipleResponse)
+        const { indexes: correctIndexes, errors } = AnswerKey.resolve(question);
+        if (options.length < 2 || errors.length > 0) return null;
+        const weight = Number((100 / correctIndexes.length).toFixed(5));
+        const penalty = { all_or_nothing: '%-100%', right_minus_wrong: `%-${weight}%`, partial_credit: '' }[question.answer_rules?.scoring || 'all_or_nothing'] ?? '%-100%';
+        return options.map((option, index) => `~${correctIndexes.includes(index) ? `%${weight}%` : penalty}${GIFTFormat.escape(option)}`);
+      }
+      case 'true_false':
+        return /^(true|t)$/i.test(question.correct_answer) ? ['TRUE'] : /^(false|f)$/i.test(question.correct_answer) ? ['FALSE'] : null;
+      case 'short_answer':
+      case 'fill_blank':
+        // A GIFT answer block fills one blank
+        if (QuestionSchema.blankCount(question.question) > 1) return null;
+        return keys.length > 0 ? keys.map(key => `=${GIFTFormat.escape(key)}`) : null;
+      case 'matching':
+        if (options.length < 2 || keys.length !== options.length) return null;
+        return options.map((prompt, index) => `=${GIFTFormat.escape(prompt)} -> ${GIFTFormat.escape(keys[index])}`);
+      case 'numeric': {
+        // GIFT has no units or significant figures, so questions that rely on them are left out
+        const rules = question.answer_rules || {};
+        const value = Number(question.correct_answer);
+        if (String(question.correct_answer ?? '').trim() === '' || !Number.isFinite(value) || rules.unit_required || rules.significant_figures) return null;
+        const tolerance = (Number(rules.tolerance) || 0) * (rules.tolerance_type === 'relative' ? Math.abs(value) : 1);
+        return [`#${question.correct_answer}${tolerance ? `:${Number(tolerance.toPrecision(12))}` : ''}`];
+      }
+      case 'essay':
+        return [];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Write questions as GIFT; returns { text, skipped } where `skipped` lists questions with no GIFT form
+   * Categories are written as `$CATEGORY:` lines whenever they change
+   */
+  static stringify(questions) {
+    const blocks = [];
+    const skipped = [];
+    let category = null;
+
+    for (const question of questions) {
+      const answers = GIFTFormat.answerBlock(question);
+      if (answers === null) {
+        skipped.push(question);
+        continue;
+      }
+
+      const lines = [];
+      if ((question.category || null) !== category) {
+        category = question.category || null;
+        if (category) blocks.push(`$CATEGORY: ${category}`);
+      }
+      if (question.tags && question.tags.length > 0) {
+        lines.push(`// ${question.tags.map(tag => `[tag:${tag}]`).join(' ')}`);
+      }
+
+      // Missing-word questions put the answer block where the blank is
+      const text = String(question.question || '');
+      const blankIndex = text.indexOf(QuestionSchema.BLANK);
+
+      // Single answers and blanks stay on one line, answer lists get one line each
+      const entries = question.explanation ? [...answers, `####${GIFTFormat.escape(question.explanation)}`] : answers;
+      const answerText = answers.length <= 1 || blankIndex !== -1
+        ? `{${entries.join(' ')}}`
+        : `{\n${entries.map(entry => `  ${entry}`).join('\n')}\n}`;
+
+      if (blankIndex !== -1 && question.type !== 'essay') {
+        const before = GIFTFormat.escape(text.slice(0, blankIndex).trim());
+        const after = GIFTFormat.escape(text.slice(blankIndex + QuestionSchema.BLANK.length).trim());
+        lines.push(`${before} ${answerText} ${after}`.trim());
+      } else {
+        lines.push(`${GIFTFormat.escape(text)} ${answerText}`);
+      }
+
+      blocks.push(lines.join('\n'));
+    }
+
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+}
+
+export default GIFTFormat;
@@ -0,0 +1,194 @@
+// JSON Schema Validator
+// Validates values against the subset of JSON Schema (draft 2020-12) the app's schemas use: type,
+// enum, const, required, properties, additionalProperties, items, min/maxLength, pattern, format
+// (date-time), minimum, maximum, exclusiveMinimum, min/maxItems, uniqueItems and allOf with
+// if/then/else. Errors are field-addressed: { path, field, keyword, message } where `path` is a
+// JSON Pointer ("/source/version") and `field` the dotted form ("source.version").
+
+// Keywords that only describe a schema and never fail validation
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly'];
+
+const ASSERTIONS = [
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+  'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum',
+  'minItems', 'maxItems', 'uniqueItems', 'allOf', 'if', 'then', 'else'
+];
+
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+export class JSONSchemaValidator {
+
+  /**
+   * Validate a value; returns { valid, errors: [{ path, field, keyword, message }] }
+   * Throws for schema keywords this validator does not implement, so a schema never silently loses a rule
+   */
+  static validate(schema, value) {
+    const errors = [];
+    JSONSchemaValidator.check(schema, value, '', errors);
+    return { valid: errors.length === 0, errors };
+  }
+
+  static check(schema, value, path, errors) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      JSONSchemaValidator.fail(errors, path, 'false', {});
+      return;
+    }
+
+    const unknown = Object.keys(schema).find(keyword => !ASSERTIONS.includes(keyword) && !ANNOTATIONS.includes(keyword));
+    if (unknown) {
+      throw new Error(`Unsupported JSON Schema keyword "${unknown}" at ${path || '/'}`);
+    }
+
+    // A value of the wrong type makes the other checks meaningless
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => JSONSchemaValidator.isType(value, type))) {
+        JSONSchemaValidator.fail(errors, path, 'type', { type: types });
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSONSchemaValidator.equal(option, value))) {
+      JSONSchemaValidator.fail(errors, path, 'enum', { allowedValues: schema.enum });
+    }
+    if (schema.const !== undefined && !JSONSchemaValidator.equal(schema.const, value)) {
+      JSONSchemaValidator.fail(errors, path, 'const', { allowedValue: schema.const });
+    }
+
+    if (typeof value === 'string') {
+      const length = [...value].length;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        JSONSchemaValidator.fail(errors, path, 'minLength', { limit: schema.minLength });
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        JSONSchemaValidator.fail(errors, path, 'maxLength', { limit: schema.maxLength });
+      }
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+        JSONSchemaValidator.fail(errors, path, 'pattern', { pattern: schema.pattern });
+      }
+      if (schema.format === 'date-time' && !(DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+        JSONSchemaValidator.fail(errors, path, 'format', { format: 'date-time' });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        JSONSchemaValidator.fail(errors, path, 'minimum', { limit: schema.minimum });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        JSONSchemaValidator.fail(errors, path, 'maximum', { limit: schema.maximum });
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        JSONSchemaValidator.fail(errors, path, 'exclusiveMinimum', { limit: schema.exclusiveMinimum });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        JSONSchemaValidator.fail(errors, path, 'minItems', { limit: schema.minItems });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        JSONSchemaValidator.fail(errors, path, 'maxItems', { limit: schema.maxItems });
+      }
+      if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => JSONSchemaValidator.equal(item, other)) !== index)) {
+        JSONSchemaValidator.fail(errors, path, 'uniqueItems', {});
+      }
+      if (schema.items !== undefined) {
+        value.forEach((item, index) => JSONSchemaValidator.check(schema.items, item, `${path}/${index}`, errors));
+      }
+    }
+
+    if (JSONSchemaValidator.isType(value, 'object')) {
+      for (const property of schema.required || []) {
+        if (value[property] === undefined) {
+          JSONSchemaValidator.fail(errors, `${path}/${JSONSchemaValidator.escape(property)}`, 'required', {});
+        }
+      }
+      const properties = schema.properties || {};
+      for (const [property, propertyValue] of Object.entries(value)) {
+        const propertyPath = `${path}/${JSONSchemaValidator.escape(property)}`;
+        if (properties[property] !== undefined) {
+          JSONSchemaValidator.check(properties[property], propertyValue, propertyPath, errors);
+        } else if (schema.additionalProperties === false) {
+          JSONSchemaValidator.fail(errors, propertyPath, 'additionalProperties', {});
+        } else if (typeof schema.additionalProperties === 'object') {
+          JSONSchemaValidator.check(schema.additionalProperties, propertyValue, propertyPath, errors);
+        }
+      }
+    }
+
+    for (const subschema of schema.allOf || []) {
+      JSONSchemaValidator.check(subschema, value, path, errors);
+    }
+
+    if (schema.if !== undefined) {
+      const branch = JSONSchemaValidator.validate(schema.if, value).valid ? schema.then : schema.else;
+      JSONSchemaValidator.check(branch, value, path, errors);
+    }
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'boolean': return typeof value === 'boolean';
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: throw new Error(`Unknown JSON Schema type "${type}"`);
+    }
+  }
+
+  static equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // JSON Pointer escaping of one path segment
+  static escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * Dotted field name of a JSON Pointer: "/source/version" -> "source.version", "/options/2" -> "options[2]"
+   */
+  static fieldName(path) {
+    return path.split('/').slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((name, segment) => (/^\d+$/.test(segment) ? `${name}[${segment}]` : name ? `${name}.${segment}` : segment), '');
+  }
+
+  static fail(errors, path, keyword, params) {
+    const field = JSONSchemaValidator.fieldName(path);
+    errors.push({ path: path || '/', field, keyword, params, message: JSONSchemaValidator.message(keyword, field || 'value', params) });
+  }
+
+  static message(keyword, field, params) {
+    const items = count => `${count} item${count === 1 ? '' : 's'}`;
+    switch (keyword) {
+      case 'type': {
+        const names = params.type.filter(type => type !== 'null' || params.type.length === 1)
+          .map(type => (type === 'array' || type === 'integer' || type === 'object' ? `an ${type}` : `a ${type}`));
+        return `'${field}' must be ${names.join(' or ')}`;
+      }
+      case 'required': return `Required field '${field}' is missing`;
+      case 'enum': return `'${field}' must be one of: ${params.allowedValues.join(', ')}`;
+      case 'const': return `'${field}' must be ${JSON.stringify(params.allowedValue)}`;
+      case 'minLength': return params.limit === 1 ? `'${field}' must not be empty` : `'${field}' must be at least ${params.limit} characters`;
+      case 'maxLength': return `'${field}' must be at most ${params.limit} characters`;
+      case 'pattern': return `'${field}' does not match the expected format`;
+      case 'format': return `'${field}' must be a ${params.format} (ISO 8601)`;
+      case 'minimum': return params.limit === 0 ? `'${field}' cannot be negative` : `'${field}' must be at least ${params.limit}`;
+      case 'maximum': return `'${field}' must be at most ${params.limit}`;
+      case 'exclusiveMinimum': return `'${field}' must be greater than ${params.limit}`;
+      case 'minItems': return `'${field}' must have at least ${items(params.limit)}`;
+      case 'maxItems': return `'${field}' must have at most ${items(params.limit)}`;
+      case 'uniqueItems': return `'${field}' must not contain duplicates`;
+      case 'additionalProperties': return `'${field}' is not an allowed field`;
+      default: return `'${field}' is not allowed`;
+    }
+  }
+}
+
+export default JSONSchemaValidator;
@@ -0,0 +1,298 @@
+// Markdown Format
+// Reads and writes quiz documents written in Markdown. Each question is a heading; `key: value`
+// lines right under it set fields (category, difficulty, tags, points, time_limit, type, answer,
+// id, scoring), optionally fenced by `---`. Options are list items with `[x]` on the correct one
+// (on several for a multiple-response question), `- a -> b` items make a matching question and
+// `> ` lines are the explanation. When a document uses more
+// than one heading level, the deepest level holds the questions and the headings above it name
+// the category of the questions under them.
+//
+//   # Geography
+//   ## What is the capital of France?
+//   difficulty: Easy
+//   tags: capitals, europe
+//
+//   - [ ] London
+//   - [x] Paris
+//
+//   > Paris has been the capital since 987.
+
+import { QuestionSchema } from '../models/QuestionSchema.js';
+import { AnswerKey } from '../models/AnswerKey.js';
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const CHECKBOX_PATTERN = /^[-*+]\s+\[([ xX])\]\s*(.*)$/;
+const PAIR_PATTERN = /^[-*+]\s+(.+?)\s+->\s+(.+)$/;
+const FIELD_PATTERN = /^([A-Za-z_][\w ]*?)\s*:\s*(.*)$/;
+const FENCE_PATTERN = /^(```|~~~)/;
+
+// Schema fields a `key: value` line may set (keys go through the CSV header aliases, so `answer:` works)
+const FRONT_MATTER_FIELDS = ['id', 'type', 'category', 'difficulty', 'tags', 'points', 'time_limit', 'correct_answer', 'scoring'];
+
+// Text lines starting like Markdown structure get a backslash on export
+const STRUCTURE_PATTERN = /^(#|>|[-*+]\s|---|```|~~~|\\)/;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export class MarkdownFormat {
+
+  /**
+   * Parse a Markdown quiz document; returns { records: [{ line, question, originalId, error }], warnings }
+   * Records that cannot be imported keep an `error` ({ line, column, message }) instead of a question
+   */
+  static parse(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const records = [];
+    const warnings = [];
+
+    // Headings outside code fences, to find the level questions are written at
+    const headings = new Map();
+    let fenced = false;
+    lines.forEach((line, index) => {
+      if (FENCE_PATTERN.test(line.trim())) fenced = !fenced;
+      const heading = !fenced && line.match(HEADING_PATTERN);
+      if (heading) headings.set(index, { level: heading[1].length, text: heading[2].trim() });
+    });
+    const questionLevel = Math.max(0, ...[...headings.values()].map(heading => heading.level));
+
+    let section = null;
+    let block = null;
+    const flush = () => {
+      if (block) records.push(MarkdownFormat.parseQuestion(block, section, warnings));
+      block = null;
+    };
+
+    lines.forEach((line, index) => {
+      const heading = headings.get(index);
+      if (heading && heading.level === questionLevel) {
+        flush();
+        block = { line: index + 1, heading: heading.text, lines: [] };
+      } else if (heading) {
+        flush();
+        section = heading.text || null;
+      } else if (block) {
+        block.lines.push({ text: line, line: index + 1 });
+      }
+      // Text before the first question heading is the document's introduction
+    });
+    flush();
+
+    return { records, warnings };
+  }
+
+  /**
+   * Turn one heading and the lines under it into a record
+   */
+  static parseQuestion(block, section, warnings) {
+    const fail = (message, line = block.line) => ({ line: block.line, question: null, originalId: null, error: { line, column: null, message } });
+    const fields = {};
+    const textLines = [];
+    const options = [];
+    const pairs = [];
+    const explanation = [];
+    let index = 0;
+
+    // Front matter: `key: value` lines directly under the heading, optionally between `---` lines
+    const body = block.lines;
+    const fencedFields = body[0] && body[0].text.trim() === '---';
+    if (fencedFields) index++;
+    for (; index < body.length; index++) {
+      const line = body[index].text.trim();
+      if (fencedFields && line === '---') {
+        index++;
+        break;
+      }
+      const match = line.match(FIELD_PATTERN);
+      const field = match && QuestionSchema.normalizeFieldName(match[1]);
+      if (!match || !FRONT_MATTER_FIELDS.includes(field)) {
+        if (!fencedFields) break;
+        if (line !== '') warnings.push({ line: body[index].line, column: null, message: `Unknown field "${match ? match[1] : line}" ignored` });
+        continue;
+      }
+      fields[field] = match[2].trim();
+    }
+
+    let inCode = false;
+    for (; index < body.length; index++) {
+      const { text: rawLine, line: lineNumber } = body[index];
+      const line = rawLine.trim();
+
+      if (FENCE_PATTERN.test(line)) {
+        inCode = !inCode;
+        textLines.push(rawLine);
+        continue;
+      }
+      if (inCode) {
+        textLines.push(rawLine);
+        continue;
+      }
+
+      const checkbox = line.match(CHECKBOX_PATTERN);
+      const pair = !checkbox && line.match(PAIR_PATTERN);
+      if (checkbox) {
+        options.push({ text: checkbox[2].trim(), checked: checkbox[1] !== ' ', line: lineNumber });
+      } else if (pair) {
+        pairs.push({ prompt: pair[1].trim(), match: pair[2].trim() });
+      } else if (line.startsWith('>')) {
+        explanation.push(line.replace(/^>\s?/, ''));
+      } else if (line !== '') {
+        textLines.push(MarkdownFormat.unescape(line));
+      }
+    }
+
+    if (options.length > 0 && pairs.length > 0) {
+      return fail('Question mixes [x] options and "->" matching pairs');
+    }
+
+    const question = {
+      question: [block.heading, ...textLines].filter(line => line !== '').join('\n'),
+      explanation: explanation.join('\n').trim()
+    };
+    const category = fields.category || section;
+    if (category) question.category = category;
+    if (fields.difficulty) question.difficulty = fields.difficulty;
+    if (fields.tags) question.tags = fields.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (fields.scoring) question.answer_rules = { scoring: fields.scoring };
+
+    for (const field of ['points', 'time_limit']) {
+      if (fields[field] === undefined || fields[field] === '') continue;
+      if (Number.isNaN(Number(fields[field]))) {
+        warnings.push({ line: block.line, column: null, message: `${field} "${fields[field]}" is not a number; the default is used` });
+      } else {
+        question[field] = Number(fields[field]);
+      }
+    }
+
+    const type = fields.type ? fields.type.toLowerCase().replace(/[\s-]+/g, '_') : null;
+
+    if (options.length > 0) {
+      const checked = options.filter(option => option.checked);
+      if (checked.length === 0) {
+        return fail('No option is marked [x]', options[0].line);
+      }
+      const texts = options.map(option => option.text);
+      const trueFalse = texts.length === 2 && texts.map(text => text.toLowerCase()).sort().join() === 'false,true';
+      if (type === 'multiple_response' || (!type && checked.length > 1)) {
+        Object.assign(question, {
+          type: 'multiple_response',
+          options: texts,
+          correct_answer: checked.map(option => LETTERS[options.indexOf(option)] || '').join(';')
+        });
+      } else if (checked.length > 1) {
+        return fail(`Several options are marked [x]; a ${type.replace(/_/g, ' ')} question has one correct option`, checked[1].line);
+      } else if (type === 'true_false' || (!type && trueFalse)) {
+        Object.assign(question, { type: 'true_false', options: [], correct_answer: checked[0].text.toLowerCase() });
+      } else {
+        Object.assign(question, { type: type || 'multiple_choice', options: texts, correct_answer: LETTERS[options.indexOf(checked[0])] || '' });
+      }
+    } else if (pairs.length > 0) {
+      Object.assign(question, {
+        type: type || 'matching',
+        options: pairs.map(pair => pair.prompt),
+        correct_answer: pairs.map(pair => pair.match).join(';')
+      });
+    } else {
+      const answer = fields.correct_answer || '';
+      const inferred = !answer ? 'essay' : question.question.includes(QuestionSchema.BLANK) ? 'fill_blank' : 'short_answer';
+      Object.assign(question, { type: type || inferred, options: [], correct_answer: answer });
+    }
+
+    return { line: block.line, question, originalId: fields.id || null, error: null };
+  }
+
+  /**
+   * Drop the backslash that keeps a text line from reading as Markdown structure
+   */
+  static unescape(line) {
+    return line.startsWith('\\') ? line.slice(1) : line;
+  }
+
+  /**
+   * Whether a question can be written as Markdown
+   */
+  static supports(question) {
+    return String(question.question || '').trim() !== '' && MarkdownFormat.answerLines(question) !== null;
+  }
+
+  /**
+   * Option or pair lines for a question ([] when the answer is a field or there is none), or null for unsupported types
+   */
+  static answerLines(question) {
+    const options = (question.options || []).map(option => MarkdownFormat.oneLine(option));
+    const keys = QuestionSchema.answerList(question.correct_answer);
+
+    switch (question.type || 'multiple_choice') {
+      case 'multiple_choice': {
+        const correctIndex = AnswerKey.correctIndex(question);
+        if (options.length < 2 || correctIndex === -1) return null;
+        return options.map((option, index) => `- [${index === correctIndex ? 'x' : ' '}] ${option}`);
+      }
+      case 'multiple_response': {
+        const { indexes: correctIndexes, errors } = AnswerKey.resolve(question);
+        if (options.length < 2 || errors.length > 0) return null;
+        return options.map((option, index) => `- [${correctIndexes.includes(index) ? 'x' : ' '}] ${option}`);
+      }
+      case 'true_false': {
+        const value = /^(true|t)$/i.test(question.correct_answer) ? 'true' : /^(false|f)$/i.test(question.correct_answer) ? 'false' : null;
+        return value ? [`- [${value === 'true' ? 'x' : ' '}] True`, `- [${value === 'false' ? 'x' : ' '}] False`] : null;
+      }
+      case 'short_answer':
+      case 'fill_blank':
+        // `answer:` holds the alternatives for a single blank
+        if (QuestionSchema.blankCount(question.question) > 1) return null;
+        return keys.length > 0 ? [] : null;
+      case 'matching':
+        if (options.length < 2 || keys.length !== options.length) return null;
+        return options.map((prompt, index) => `- ${prompt} -> ${keys[index]}`);
+      case 'essay':
+        return [];
+      default:
+        return null;
+    }
+  }
+
+  static oneLine(value) {
+    return String(value ?? '').replace(/\s*(\r\n|\r|\n)\s*/g, ' ').trim();
+  }
+
+  /**
+   * Write questions as a Markdown document; returns { text, skipped } where `skipped` lists questions it cannot hold
+   */
+  static stringify(questions) {
+    const blocks = [];
+    const skipped = [];
+
+    for (const question of questions) {
+      const answers = MarkdownFormat.answerLines(question);
+      if (answers === null || !MarkdownFormat.supports(question)) {
+        skipped.push(question);
+        continue;
+      }
+
+      const [heading, ...rest] = String(question.question).trim().split(/\r\n|\r|\n/);
+      const lines = [`## ${heading.trim()}`];
+      const type = question.type || 'multiple_choice';
+      if (type !== 'multiple_choice') lines.push(`type: ${type}`);
+      if (question.category) lines.push(`category: ${MarkdownFormat.oneLine(question.category)}`);
+      if (question.difficulty) lines.push(`difficulty: ${question.difficulty}`);
+      if (question.tags && question.tags.length > 0) lines.push(`tags: ${question.tags.join(', ')}`);
+      if (question.points !== undefined && question.points !== null) lines.push(`points: ${question.points}`);
+      if (question.time_limit) lines.push(`time_limit: ${question.time_limit}`);
+      if (type === 'short_answer' || type === 'fill_blank') lines.push(`answer: ${MarkdownFormat.oneLine(question.correct_answer)}`);
+      if (type === 'multiple_response' && question.answer_rules?.scoring) lines.push(`scoring: ${question.answer_rules.scoring}`);
+
+      const text = rest.map(line => line.trim()).filter(Boolean).map(line => (STRUCTURE_PATTERN.test(line) ? `\\${line}` : line));
+      if (text.length > 0) lines.push('', ...text);
+      if (answers.length > 0) lines.push('', ...answers);
+      if (question.explanation) {
+        lines.push('', ...String(question.explanation).trim().split(/\r\n|\r|\n/).map(line => `> ${line}`.trimEnd()));
+      }
+
+      blocks.push(lines.join('\n'));
+    }
+
+    return { text: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', skipped };
+  }
+}
+
+export default MarkdownFormat;
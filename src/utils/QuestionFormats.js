@@ -0,0 +1,131 @@
+// Question File Formats
+// Registry of the question formats besides CSV that can be imported and exported (GIFT, Aiken,
+// Markdown, QTI). Each text format module exposes parse(text) -> { records, warnings }, supports(question)
+// and stringify(questions) -> { text, skipped }. Package formats are zip files read and written
+// on the server only (server/qti.js). The upload route, the configuration panel and
+// IntegratedQuestionManager pick formats through here.
+
+import { GIFTFormat } from './GIFTFormat.js';
+import { AikenFormat } from './AikenFormat.js';
+import { MarkdownFormat } from './MarkdownFormat.js';
+
+const TEXT_FORMATS = {
+  gift: { label: 'GIFT', extensions: ['.gift'], exportFilename: 'question_bank.gift.txt', handler: GIFTFormat },
+  aiken: { label: 'Aiken', extensions: ['.aiken'], exportFilename: 'question_bank.aiken.txt', handler: AikenFormat },
+  markdown: { label: 'Markdown', extensions: ['.md', '.markdown'], exportFilename: 'question_bank.md', handler: MarkdownFormat }
+};
+
+// Zip packages, handled by server modules rather than a parser shared with the browser
+const PACKAGE_FORMATS = {
+  qti: { label: 'QTI 2.1', extensions: ['.zip'], exportFilename: 'question_bank_qti.zip' }
+};
+
+// Extensions Moodle uses for both text formats; the content decides which one it is
+const SNIFFED_EXTENSIONS = ['.txt'];
+
+export class QuestionFormats {
+
+  /**
+   * Formats an uploaded file can be read as
+   */
+  static get IMPORT_FORMATS() {
+    return ['csv', ...Object.keys(TEXT_FORMATS), ...Object.keys(PACKAGE_FORMATS)];
+  }
+
+  /**
+   * Text formats with a parser and serializer
+   */
+  static get TEXT_FORMATS() {
+    return Object.keys(TEXT_FORMATS);
+  }
+
+  /**
+   * Zip package formats
+   */
+  static get PACKAGE_FORMATS() {
+    return Object.keys(PACKAGE_FORMATS);
+  }
+
+  /**
+   * File extensions accepted for import
+   */
+  static get IMPORT_EXTENSIONS() {
+    return [
+      '.csv',
+      ...[...Object.values(TEXT_FORMATS), ...Object.values(PACKAGE_FORMATS)].flatMap(format => format.extensions),
+      ...SNIFFED_EXTENSIONS
+    ];
+  }
+
+  /**
+   * Display name of a format
+   */
+  static label(format) {
+    return format === 'csv' ? 'CSV' : (TEXT_FORMATS[format] || PACKAGE_FORMATS[format])?.label || format;
+  }
+
+  /**
+   * Whether a format is a zip package (read as bytes on the server, not as text)
+   */
+  static isPackage(format) {
+    return Object.hasOwn(PACKAGE_FORMATS, format);
+  }
+
+  /**
+   * Download file name for a package export
+   */
+  static packageFilename(format) {
+    return PACKAGE_FORMATS[format]?.exportFilename || `question_bank_${format}.zip`;
+  }
+
+  /**
+   * Whether a file name has an importable extension
+   */
+  static isImportable(filename) {
+    const name = String(filename).toLowerCase();
+    return QuestionFormats.IMPORT_EXTENSIONS.some(extension => name.endsWith(extension));
+  }
+
+  /**
+   * Work out a file's format from its name, and for .txt files from the start of its text
+   * Returns null when neither tells (an unknown extension, or .txt without `text`)
+   */
+  static detect(filename, text = null) {
+    const name = String(filename).toLowerCase();
+    if (name.endsWith('.csv')) return 'csv';
+
+    const formats = { ...TEXT_FORMATS, ...PACKAGE_FORMATS };
+    const byExtension = Object.keys(formats).find(format =>
+      formats[format].extensions.some(extension => name.endsWith(extension))
+    );
+    if (byExtension) return byExtension;
+
+    if (text !== null && SNIFFED_EXTENSIONS.some(extension => name.endsWith(extension))) {
+      return AikenFormat.matches(text) ? 'aiken' : 'gift';
+    }
+    return null;
+  }
+
+  /**
+   * Parse a text-format file; returns { records: [{ line, question, originalId, error }], warnings }
+   */
+  static parse(format, text) {
+    return QuestionFormats.handler(format).parse(text);
+  }
+
+  /**
+   * Serialize questions; returns { text, skipped, filename } where `skipped` lists questions the format cannot hold
+   */
+  static stringify(format, questions) {
+    return { ...QuestionFormats.handler(format).stringify(questions), filename: TEXT_FORMATS[format].exportFilename };
+  }
+
+  static handler(format) {
+    if (!TEXT_FORMATS[format]) {
+      throw new Error(`Unsupported question format: ${format}`);
+    }
+    return TEXT_FORMATS[format].handler;
+  }
+}
+
+export default QuestionFormats;
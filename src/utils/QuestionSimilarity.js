@@ -0,0 +1,288 @@
+// Question Similarity Utilities
+// Fuzzy duplicate detection shared by the server upload pipeline and the client question manager
+// Matching many questions against a bank goes through an index (createIndex) that keeps each bank
+// question's normalized text, tokens and trigrams, so an upload builds them once per question. Only
+// candidates that share a word with the incoming question are scored, and edit distance only runs on
+// those whose cheaper scores could still reach the threshold.
+
+const OPTION_KEYS = ['option_a', 'option_b', 'option_c', 'option_d', 'option_e'];
+
+// How much the question text counts against the option set when both questions have options
+const TEXT_WEIGHT = 0.75;
+const OPTION_WEIGHT = 0.25;
+
+// Candidates whose trigram score falls below this are not worth an edit-distance pass
+const EDIT_DISTANCE_FLOOR = 0.5;
+
+export class QuestionSimilarity {
+
+  /**
+   * Default confidence (0-1) at which a question counts as a probable duplicate
+   */
+  static get DEFAULT_THRESHOLD() {
+    return 0.8;
+  }
+
+  /**
+   * Read a threshold from user input, falling back to the default when it is not a number in (0, 1]
+   */
+  static parseThreshold(value, fallback = QuestionSimilarity.DEFAULT_THRESHOLD) {
+    const threshold = parseFloat(value);
+    return Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : fallback;
+  }
+
+  /**
+   * Lower-case, strip punctuation and collapse whitespace
+   */
+  static normalizeText(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalized word tokens of a text
+   */
+  static tokenize(text) {
+    const normalized = QuestionSimilarity.normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  /**
+   * Option texts of a question, normalized and sorted so reordered options compare equal
+   * Accepts both the flat server shape (option_a..option_e) and the schema shape (options array)
+   */
+  static extractOptions(question) {
+    const raw = Array.isArray(question?.options)
+      ? question.options.map(option => (typeof option === 'object' && option !== null ? option.text : option))
+      : OPTION_KEYS.map(key => question?.[key]);
+
+    return raw
+      .map(option => QuestionSimilarity.normalizeText(option))
+      .filter(option => option !== '')
+      .sort();
+  }
+
+  /**
+   * Jaccard similarity of two token lists
+   */
+  static tokenSimilarity(tokensA, tokensB) {
+    return QuestionSimilarity.jaccard(new Set(tokensA), new Set(tokensB));
+  }
+
+  /**
+   * Dice coefficient over character trigrams of two normalized strings
+   */
+  static trigramSimilarity(a, b) {
+    if (a === b) return 1;
+    return QuestionSimilarity.diceCoefficient(QuestionSimilarity.trigrams(a), QuestionSimilarity.trigrams(b));
+  }
+
+  static diceCoefficient(gramsA, gramsB) {
+    if (gramsA.size === 0 || gramsB.size === 0) return 0;
+
+    let shared = 0;
+    for (const gram of gramsA) {
+      if (gramsB.has(gram)) shared++;
+    }
+    return (2 * shared) / (gramsA.size + gramsB.size);
+  }
+
+  /**
+   * 1 - Levenshtein distance / length of the longer string
+   */
+  static editSimilarity(a, b) {
+    if (a === b) return 1;
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+    return 1 - QuestionSimilarity.levenshtein(a, b) / longest;
+  }
+
+  /**
+   * Compare the option sets of two questions, or null when either has no options
+   */
+  static optionSimilarity(q1, q2) {
+    return QuestionSimilarity.optionScore(QuestionSimilarity.profile(q1), QuestionSimilarity.profile(q2));
+  }
+
+  /**
+   * Everything comparisons need from one question, computed once
+   * Returns { question, text, tokens, trigrams, options } with tokens, trigrams and options as Sets
+   */
+  static profile(question) {
+    const text = QuestionSimilarity.normalizeText(question?.question);
+    return {
+      question,
+      text,
+      tokens: new Set(text ? text.split(' ') : []),
+      trigrams: QuestionSimilarity.trigrams(text),
+      options: new Set(QuestionSimilarity.extractOptions(question))
+    };
+  }
+
+  /**
+   * Index of candidate questions for repeated findBestMatch calls
+   * Keep it in step with the candidate list through addToIndex and removeFromIndex
+   */
+  static createIndex(questions = []) {
+    const index = { profiles: new Map(), postings: new Map(), added: 0 };
+    questions.forEach(question => QuestionSimilarity.addToIndex(index, question));
+    return index;
+  }
+
+  static addToIndex(index, question) {
+    QuestionSimilarity.removeFromIndex(index, question);
+    const profile = { ...QuestionSimilarity.profile(question), position: index.added++ };
+    index.profiles.set(question, profile);
+    for (const token of profile.tokens) {
+      const posting = index.postings.get(token);
+      if (posting) posting.add(profile);
+      else index.postings.set(token, new Set([profile]));
+    }
+    return index;
+  }
+
+  static removeFromIndex(index, question) {
+    const profile = index.profiles.get(question);
+    if (!profile) return index;
+    index.profiles.delete(question);
+    for (const token of profile.tokens) {
+      const posting = index.postings.get(token);
+      posting.delete(profile);
+      if (posting.size === 0) index.postings.delete(token);
+    }
+    return index;
+  }
+
+  /**
+   * Score how likely two questions are the same question
+   * Returns { confidence, text, options, exactText } with scores between 0 and 1
+   */
+  static compare(q1, q2) {
+    const profileA = QuestionSimilarity.profile(q1);
+    const profileB = QuestionSimilarity.profile(q2);
+    return QuestionSimilarity.score(profileA, profileB, QuestionSimilarity.sharedTokens(profileA, profileB));
+  }
+
+  /**
+   * Most similar candidate at or above the threshold, or null
+   * `candidates` is a list of questions or an index from createIndex
+   * Returns { question, confidence, text, options, exactText }
+   */
+  static findBestMatch(question, candidates, { threshold = QuestionSimilarity.DEFAULT_THRESHOLD, exclude = null } = {}) {
+    const index = Array.isArray(candidates) ? QuestionSimilarity.createIndex(candidates) : candidates;
+    const incoming = QuestionSimilarity.profile(question);
+
+    // Count shared words per candidate; questions without a word in common are never duplicates
+    const shared = new Map();
+    for (const token of incoming.tokens) {
+      for (const profile of index.postings.get(token) || []) {
+        shared.set(profile, (shared.get(profile) || 0) + 1);
+      }
+    }
+    const shortlist = [...shared.keys()]
+      .filter(profile => profile.question !== exclude)
+      .sort((a, b) => a.position - b.position);
+
+    let best = null;
+    for (const profile of shortlist) {
+      const score = QuestionSimilarity.score(incoming, profile, shared.get(profile), best ? Math.max(threshold, best.confidence) : threshold);
+      if (score && score.confidence >= threshold && (!best || score.confidence > best.confidence)) {
+        best = { question: profile.question, ...score };
+        if (score.confidence === 1) break;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Score two profiles that share `shared` tokens
+   * With a `floor`, returns null as soon as the confidence provably stays below it, which skips the
+   * trigram and edit-distance passes for most candidates
+   */
+  static score(profileA, profileB, shared, floor = 0) {
+    const options = QuestionSimilarity.optionScore(profileA, profileB);
+    const confidenceOf = text => (options === null ? text : text * TEXT_WEIGHT + options * OPTION_WEIGHT);
+    const exactText = profileA.text !== '' && profileA.text === profileB.text;
+
+    let text = 0;
+    if (exactText) {
+      text = 1;
+    } else if (profileA.text && profileB.text) {
+      const tokens = shared / (profileA.tokens.size + profileB.tokens.size - shared);
+      if (QuestionSimilarity.round(confidenceOf((tokens + 2) / 3)) < floor) return null;
+
+      const trigrams = QuestionSimilarity.diceCoefficient(profileA.trigrams, profileB.trigrams);
+      // Edit distance is quadratic, so only refine scores that are already close
+      if (trigrams < EDIT_DISTANCE_FLOOR) {
+        text = (tokens + trigrams * 2) / 3;
+      } else {
+        if (QuestionSimilarity.round(confidenceOf((tokens + trigrams + 1) / 3)) < floor) return null;
+        text = (tokens + trigrams + QuestionSimilarity.editSimilarity(profileA.text, profileB.text)) / 3;
+      }
+    }
+
+    return {
+      confidence: QuestionSimilarity.round(confidenceOf(text)),
+      text: QuestionSimilarity.round(text),
+      options: options === null ? null : QuestionSimilarity.round(options),
+      exactText
+    };
+  }
+
+  static optionScore(profileA, profileB) {
+    if (profileA.options.size === 0 || profileB.options.size === 0) return null;
+    return QuestionSimilarity.jaccard(profileA.options, profileB.options);
+  }
+
+  static sharedTokens(profileA, profileB) {
+    let shared = 0;
+    for (const token of profileA.tokens) {
+      if (profileB.tokens.has(token)) shared++;
+    }
+    return shared;
+  }
+
+  static trigrams(text) {
+    if (!text) return new Set();
+    const padded = `  ${text} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+  }
+
+  static jaccard(setA, setB) {
+    if (setA.size === 0 && setB.size === 0) return 1;
+    let shared = 0;
+    for (const item of setA) {
+      if (setB.has(item)) shared++;
+    }
+    return shared / (setA.size + setB.size - shared);
+  }
+
+  static levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  static round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+export default QuestionSimilarity;
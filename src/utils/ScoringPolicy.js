@@ -0,0 +1,180 @@
+// Scoring Policy
+// Turns scored answers (see AnswerScoring.score) into quiz points under the quiz config's `scoring`
+// policy: { weighting, negativeMarking, sectionWeights }. A question is worth its `points` (or 1 each
+// with equal weighting) times its section's weight. Correct and partial answers earn their share of
+// that, wrong answers lose `negativeMarking` of it, blanks cost nothing and answers awaiting review
+// count toward neither side. Totals never drop below zero.
+
+// How much each question is worth before section weights
+const WEIGHTINGS = ['points', 'equal'];
+
+const DEFAULT_POLICY = {
+  weighting: 'points',
+  negativeMarking: 0,
+  sectionWeights: {}
+};
+
+export class ScoringPolicy {
+
+  static get WEIGHTINGS() {
+    return [...WEIGHTINGS];
+  }
+
+  static get DEFAULT_POLICY() {
+    return { ...DEFAULT_POLICY, sectionWeights: {} };
+  }
+
+  /**
+   * Fill in and clamp a stored policy, so configs saved before scoring policies still load
+   */
+  static normalize(policy = {}) {
+    const negativeMarking = Number(policy?.negativeMarking);
+    const sectionWeights = {};
+    Object.entries(policy?.sectionWeights || {}).forEach(([section, weight]) => {
+      const value = Number(weight);
+      if (section && Number.isFinite(value) && value >= 0) sectionWeights[section] = value;
+    });
+
+    return {
+      weighting: WEIGHTINGS.includes(policy?.weighting) ? policy.weighting : DEFAULT_POLICY.weighting,
+      negativeMarking: Number.isFinite(negativeMarking) ? Math.min(Math.max(negativeMarking, 0), 1) : 0,
+      sectionWeights
+    };
+  }
+
+  /**
+   * Problems with a policy as entered; returns an array of messages
+   */
+  static validate(policy = {}) {
+    const errors = [];
+    if (policy.weighting !== undefined && !WEIGHTINGS.includes(policy.weighting)) {
+      errors.push(`Scoring weighting must be one of: ${WEIGHTINGS.join(', ')}`);
+    }
+    if (policy.negativeMarking !== undefined) {
+      const value = Number(policy.negativeMarking);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push('Negative marking must be between 0 and 1 (a share of the question\'s points)');
+      }
+    }
+    Object.entries(policy.sectionWeights || {}).forEach(([section, weight]) => {
+      const value = Number(weight);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push(`Weight for section "${section}" must be a number of at least 0`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Parse section weights typed as "Algebra=2, Geometry=0.5"; returns { weights, errors }
+   */
+  static parseSectionWeights(text) {
+    const weights = {};
+    const errors = [];
+    String(text || '').split(/[,;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+      const separator = part.lastIndexOf('=');
+      const section = separator > 0 ? part.slice(0, separator).trim() : '';
+      const weight = separator > 0 ? Number(part.slice(separator + 1).trim()) : NaN;
+      if (!section || !Number.isFinite(weight) || weight < 0) {
+        errors.push(`"${part}" is not a section weight (use Section=weight)`);
+        return;
+      }
+      weights[section] = weight;
+    });
+    return { weights, errors };
+  }
+
+  static formatSectionWeights(weights = {}) {
+    return Object.entries(weights).map(([section, weight]) => `${section}=${weight}`).join(', ');
+  }
+
+  /**
+   * A question's own points; 1 when it has none, while `points: 0` stays worth nothing
+   */
+  static questionPoints(entry) {
+    const points = entry.points === '' || entry.points == null ? NaN : Number(entry.points);
+    return Number.isFinite(points) ? Math.max(points, 0) : 1;
+  }
+
+  /**
+   * What one question is worth under a policy
+   */
+  static questionWeight(entry, policy) {
+    const points = policy.weighting === 'equal' ? 1 : ScoringPolicy.questionPoints(entry);
+    const sectionWeight = policy.sectionWeights[entry.section || 'General'];
+    return points * (sectionWeight === undefined ? 1 : sectionWeight);
+  }
+
+  /**
+   * Points one scored answer earns (negative for a penalized wrong answer, null while pending review)
+   */
+  static earned(entry, policy) {
+    const weight = ScoringPolicy.questionWeight(entry, policy);
+    switch (entry.status) {
+      case 'correct':
+      case 'partial':
+        return weight * (entry.score || 0);
+      case 'incorrect':
+        return -weight * policy.negativeMarking;
+      case 'pending_review':
+        return null;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Raw points, maximum points and percentage for scored answers, overall and per section
+   * Returns { rawPoints, maxPoints, penaltyPoints, percentage, sections: { [section]: { points, maxPoints, percentage, weight } }, policy }
+   */
+  static evaluate(entries, policy = {}) {
+    const normalized = ScoringPolicy.normalize(policy);
+    const totals = { earned: 0, penalty: 0, max: 0 };
+    const sections = {};
+
+    entries.forEach(entry => {
+      const earned = ScoringPolicy.earned(entry, normalized);
+      if (earned === null) return;
+
+      const name = entry.section || 'General';
+      const section = sections[name] || (sections[name] = { earned: 0, max: 0 });
+      const weight = ScoringPolicy.questionWeight(entry, normalized);
+      section.earned += earned;
+      section.max += weight;
+      totals.earned += earned;
+      totals.max += weight;
+      if (earned < 0) totals.penalty -= earned;
+    });
+
+    const summary = (earned, max) => {
+      const points = ScoringPolicy.round(Math.max(earned, 0));
+      return { points, maxPoints: ScoringPolicy.round(max), percentage: max > 0 ? Math.round((points / max) * 100) : 0 };
+    };
+    const overall = summary(totals.earned, totals.max);
+
+    return {
+      rawPoints: overall.points,
+      maxPoints: overall.maxPoints,
+      penaltyPoints: ScoringPolicy.round(totals.penalty),
+      percentage: overall.percentage,
+      sections: Object.fromEntries(Object.entries(sections).map(([name, section]) => [
+        name,
+        { ...summary(section.earned, section.max), weight: normalized.sectionWeights[name] ?? 1 }
+      ])),
+      policy: normalized
+    };
+  }
+
+  /**
+   * Whether a percentage reaches the passing score (a percentage of the policy's maximum points)
+   */
+  static passed(percentage, passingScore = 70) {
+    return percentage >= passingScore;
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+export default ScoringPolicy;
@@ -1,4 +1,7 @@
 // Validation Helper Utilities
+
+import { ScoringPolicy } from './ScoringPolicy.js';
+
 export class ValidationHelpers {
   
   /**
@@ -37,6 +40,10 @@ export class ValidationHelpers {
     if (config.passingScore && (isNaN(config.passingScore) || config.passingScore < 0 || config.passingScore > 100)) {
       errors.push('Passing score must be between 0 and 100');
     }
+
+    if (config.scoring) {
+      errors.push(...ScoringPolicy.validate(config.scoring));
+    }
     
     return {
       isValid: errors.length === 0,
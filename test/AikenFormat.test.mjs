@@ -0,0 +1,46 @@
+// AikenFormat: Moodle Aiken import and export
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AikenFormat } from '../src/utils/AikenFormat.js';
+import { QuestionFormats } from '../src/utils/QuestionFormats.js';
+
+const aiken = `What is 2 + 2?
+A. 3
+B) 4
+C. 5
+ANSWER: B
+
+No answer here
+A. x
+B. y
+`;
+
+test('parse reads lettered options and the answer line', () => {
+  const [record] = AikenFormat.parse(aiken).records;
+  assert.equal(record.error, null);
+  assert.deepEqual(record.question, { question: 'What is 2 + 2?', type: 'multiple_choice', options: ['3', '4', '5'], correct_answer: 'B' });
+});
+
+test('parse reports a question without an answer line', () => {
+  const broken = AikenFormat.parse(aiken).records[1];
+  assert.equal(broken.question, null);
+  assert.deepEqual([broken.line, broken.error.message], [7, 'Question has no "ANSWER:" line']);
+});
+
+test('stringify writes multiple choice questions and skips the rest', () => {
+  const essay = { id: 2, type: 'essay', question: 'Discuss' };
+  const { text, skipped } = AikenFormat.stringify([
+    { id: 1, type: 'multiple_choice', question: 'Q?', options: ['a', 'b'], correct_answer: 'B' },
+    essay
+  ]);
+  assert.equal(text, 'Q?\nA. a\nB. b\nANSWER: B\n');
+  assert.deepEqual(skipped, [essay]);
+});
+
+test('.txt files are sniffed as Aiken or GIFT', () => {
+  assert.equal(QuestionFormats.detect('quiz.txt', aiken), 'aiken');
+  assert.equal(QuestionFormats.detect('quiz.txt', 'Is the sky blue? {T}'), 'gift');
+  assert.equal(QuestionFormats.detect('quiz.gift'), 'gift');
+  assert.equal(QuestionFormats.detect('quiz.doc'), null);
+});
@@ -0,0 +1,100 @@
+// AnswerKey: resolving keys to options, keeping them in step when options move and reporting broken keys
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerKey } from '../src/models/AnswerKey.js';
+
+const choice = (options, correct_answer, type = 'multiple_choice') => ({ type, question: 'Pick', options, correct_answer });
+
+test('resolve reads letters in any common form, option text and the legacy answer index', () => {
+  const options = ['2', '3', '4'];
+  ['C', 'c', 'C.', '(C)', 'Option C', '4'].forEach(key => {
+    assert.deepEqual(AnswerKey.resolve(choice(options, key)), { indexes: [2], errors: [] }, key);
+  });
+  assert.deepEqual(AnswerKey.resolve({ type: 'multiple_choice', options, answer: 1 }).indexes, [1]);
+  assert.deepEqual(AnswerKey.resolve(choice(['x; y', 'z'], 'x; y')).indexes, [0]);
+  assert.deepEqual(AnswerKey.resolve({ type: 'short_answer', correct_answer: 'Paris' }), { indexes: null, errors: [] });
+});
+
+test('resolve sorts multiple-response keys and keeps ordering keys in order', () => {
+  assert.deepEqual(AnswerKey.resolve(choice(['a', 'b', 'c'], 'C;A', 'multiple_response')).indexes, [0, 2]);
+  assert.deepEqual(AnswerKey.resolve(choice(['a', 'b', 'c'], 'C;A;B', 'ordering')).indexes, [2, 0, 1]);
+  assert.deepEqual(AnswerKey.resolve(choice(['a', 'b', 'c'], '', 'ordering')).indexes, [0, 1, 2]);
+});
+
+test('resolve reports missing, unknown, repeated and incomplete keys', () => {
+  assert.deepEqual(AnswerKey.resolve(choice(['a', 'b'], '')).errors, ['No correct answer']);
+  assert.match(AnswerKey.resolve(choice(['a', 'b'], 'E')).errors[0], /'E' doesn't match/);
+  assert.match(AnswerKey.resolve(choice(['a', 'b'], 'A;a', 'multiple_response')).errors[0], /option A twice/);
+  assert.match(AnswerKey.resolve(choice(['a', 'b', 'c'], 'B;A', 'ordering')).errors[0], /each of the 3 items/);
+  assert.equal(AnswerKey.correctIndex(choice(['a', 'b'], 'E')), -1);
+  assert.deepEqual(AnswerKey.correctOrder(choice(['a', 'b', 'c'], 'B;A', 'ordering')), []);
+});
+
+test('canonical writes resolved keys as letters', () => {
+  assert.equal(AnswerKey.canonical(choice(['2', '3', '4'], '(c)')), 'C');
+  assert.equal(AnswerKey.canonical(choice(['a', 'b', 'c'], 'c;A', 'multiple_response')), 'A;C');
+  assert.equal(AnswerKey.canonical(choice(['a', 'b', 'c'], 'Z')), null);
+  assert.equal(AnswerKey.canonical({ type: 'essay' }), null);
+});
+
+test('shuffleOptions moves the key with the options it names', () => {
+  // Always picking the first position rotates the options left by one
+  const first = () => 0;
+  const shuffled = AnswerKey.shuffleOptions(choice(['a', 'b', 'c', 'd'], 'A'), first);
+  assert.deepEqual(shuffled.options, ['b', 'c', 'd', 'a']);
+  assert.deepEqual(shuffled.option_order, [1, 2, 3, 0]);
+  assert.equal(shuffled.correct_answer, 'D');
+
+  assert.equal(AnswerKey.shuffleOptions(choice(['a', 'b', 'c', 'd'], 'A;C', 'multiple_response'), first).correct_answer, 'B;D');
+
+  const matching = AnswerKey.shuffleOptions({ type: 'matching', options: ['dog', 'cat', 'cow'], correct_answer: 'bark;meow;moo' }, first);
+  assert.deepEqual(matching.options, ['cat', 'cow', 'dog']);
+  assert.equal(matching.correct_answer, 'meow;moo;bark');
+
+  const essay = { type: 'essay', question: 'Discuss' };
+  assert.equal(AnswerKey.shuffleOptions(essay, first), essay);
+});
+
+test('report lists the option-based questions whose key does not resolve', () => {
+  const report = AnswerKey.report([
+    { id: 'q1', ...choice(['a', 'b'], 'B') },
+    { id: 'q2', ...choice(['a', 'b'], 'E') },
+    { id: 'q3', type: 'short_answer', question: 'Capital?', correct_answer: 'Paris' }
+  ]);
+  assert.equal(report.checked, 2);
+  assert.equal(report.resolved, 1);
+  assert.deepEqual(report.unresolved.map(entry => [entry.id, entry.options, entry.errors.length]), [['q2', 2, 1]]);
+});
+
+test('removeBlankOptions closes up cleared options and re-letters the key', () => {
+  const { question, errors } = AnswerKey.removeBlankOptions(choice(['2', '', '4', '5'], 'C'));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(question.options, ['2', '4', '5']);
+  assert.equal(question.correct_answer, 'B');
+
+  const response = AnswerKey.removeBlankOptions(choice(['a', ' ', 'c', 'd'], 'A;D', 'multiple_response'));
+  assert.equal(response.question.correct_answer, 'A;C');
+});
+
+test('removeBlankOptions leaves questions without blank options untouched', () => {
+  const original = choice(['2', '3', '4'], 'C');
+  const { question, errors } = AnswerKey.removeBlankOptions(original);
+  assert.equal(question, original);
+  assert.deepEqual(errors, []);
+});
+
+test('removeBlankOptions refuses to drop the option the key names', () => {
+  const original = choice(['2', '', '4'], 'B');
+  const { question, errors } = AnswerKey.removeBlankOptions(original);
+  assert.equal(question, original);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /option B/);
+});
+
+test('removeBlankOptions keeps keys it cannot resolve for validation to report', () => {
+  const { question, errors } = AnswerKey.removeBlankOptions(choice(['2', '', '4'], 'Z'));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(question.options, ['2', '4']);
+  assert.equal(question.correct_answer, 'Z');
+});
@@ -0,0 +1,123 @@
+// AnswerScoring: per-type scoring, multiple-response modes, numeric rules, answer normalization and quiz summaries
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnswerScoring } from '../src/utils/AnswerScoring.js';
+
+const correct = { status: 'correct', score: 1 };
+const incorrect = { status: 'incorrect', score: 0 };
+
+test('multiple choice compares the chosen index with the resolved key', () => {
+  const question = { type: 'multiple_choice', options: ['2', '3', '4'], correct_answer: 'C' };
+  assert.deepEqual(AnswerScoring.score(question, 2), correct);
+  assert.deepEqual(AnswerScoring.score(question, 0), incorrect);
+  assert.deepEqual(AnswerScoring.score({ ...question, correct_answer: '4' }, 2), correct);
+  assert.deepEqual(AnswerScoring.score(question, null), { status: 'unanswered', score: 0 });
+});
+
+test('multiple response scores all_or_nothing, partial_credit and right_minus_wrong', () => {
+  const question = { type: 'multiple_response', options: ['a', 'b', 'c', 'd'], correct_answer: 'A;C' };
+  const withScoring = scoring => ({ ...question, answer_rules: { scoring } });
+
+  assert.deepEqual(AnswerScoring.score(question, [0, 2]), correct);
+  assert.deepEqual(AnswerScoring.score(question, [0]), incorrect);
+
+  // A and B chosen: A right, B wrongly chosen, C missed, D rightly left alone
+  assert.deepEqual(AnswerScoring.score(withScoring('partial_credit'), [0, 1]), { status: 'partial', score: 0.5 });
+  assert.deepEqual(AnswerScoring.score(withScoring('partial_credit'), [0, 2]), correct);
+
+  assert.deepEqual(AnswerScoring.score(withScoring('right_minus_wrong'), [0]), { status: 'partial', score: 0.5 });
+  assert.deepEqual(AnswerScoring.score(withScoring('right_minus_wrong'), [0, 1]), incorrect);
+  assert.deepEqual(AnswerScoring.score(withScoring('right_minus_wrong'), [1, 3]), incorrect);
+});
+
+test('true/false and short answers are marked after normalizing the text', () => {
+  assert.deepEqual(AnswerScoring.score({ type: 'true_false', correct_answer: 'True' }, 'true'), correct);
+  assert.deepEqual(AnswerScoring.score({ type: 'true_false', correct_answer: 'True' }, 'false'), incorrect);
+
+  const question = { type: 'short_answer', correct_answer: 'Paris;City of Light' };
+  assert.deepEqual(AnswerScoring.score(question, '  paris. '), correct);
+  assert.deepEqual(AnswerScoring.score(question, 'city  of light'), correct);
+  assert.deepEqual(AnswerScoring.score(question, 'Lyon'), incorrect);
+  assert.deepEqual(AnswerScoring.score({ ...question, answer_rules: { case_sensitive: true } }, 'paris'), incorrect);
+  assert.deepEqual(AnswerScoring.score({ type: 'short_answer', correct_answer: 'Sao Paulo', answer_rules: { ignore_accents: true } }, 'São Paulo'), correct);
+});
+
+test('fill-in-the-blank and matching give partial credit per part', () => {
+  const blanks = { type: 'fill_blank', question: 'The _____ is _____', correct_answer: 'sky;blue|azure' };
+  assert.deepEqual(AnswerScoring.score(blanks, ['Sky', 'blue']), correct);
+  assert.deepEqual(AnswerScoring.score(blanks, ['sky', 'Azure']), correct);
+  assert.deepEqual(AnswerScoring.score(blanks, ['sky', 'green']), { status: 'partial', score: 0.5 });
+
+  const matching = { type: 'matching', options: ['dog', 'cat'], correct_answer: 'bark;meow' };
+  assert.deepEqual(AnswerScoring.score(matching, ['bark', 'meow']), correct);
+  assert.deepEqual(AnswerScoring.score(matching, ['meow', 'bark']), incorrect);
+});
+
+test('ordering earns a share per adjacent pair kept in order', () => {
+  const question = { type: 'ordering', options: ['one', 'two', 'three'], correct_answer: 'A;B;C' };
+  assert.deepEqual(AnswerScoring.score(question, [0, 1, 2]), correct);
+  assert.deepEqual(AnswerScoring.score(question, [0, 1, 2].reverse()), incorrect);
+  assert.deepEqual(AnswerScoring.score(question, [2, 0, 1]), { status: 'partial', score: 0.5 });
+});
+
+test('essays wait for review', () => {
+  assert.deepEqual(AnswerScoring.score({ type: 'essay' }, 'Some thoughts'), { status: 'pending_review', score: null });
+});
+
+test('numeric answers honour absolute and relative tolerance', () => {
+  const absolute = { type: 'numeric', correct_answer: '9.81', answer_rules: { tolerance: 0.05 } };
+  assert.equal(AnswerScoring.numericMatches(absolute, '9.85'), true);
+  assert.equal(AnswerScoring.numericMatches(absolute, '9.9'), false);
+  assert.equal(AnswerScoring.numericMatches(absolute, '9,81'), true);
+
+  const relative = { type: 'numeric', correct_answer: '200', answer_rules: { tolerance: 0.1, tolerance_type: 'relative' } };
+  assert.equal(AnswerScoring.numericMatches(relative, '219'), true);
+  assert.equal(AnswerScoring.numericMatches(relative, '221'), false);
+
+  const exact = { type: 'numeric', correct_answer: '0.3' };
+  assert.equal(AnswerScoring.numericMatches(exact, String(0.1 + 0.2)), true);
+  assert.equal(AnswerScoring.numericMatches(exact, 'about 0.3'), false);
+});
+
+test('numeric answers check units and significant figures', () => {
+  const withUnit = { type: 'numeric', correct_answer: '9.81', answer_rules: { unit: 'm/s^2;m s^-2', unit_required: true } };
+  assert.equal(AnswerScoring.numericMatches(withUnit, '9.81 m/s^2'), true);
+  assert.equal(AnswerScoring.numericMatches(withUnit, '9.81 m s^-2'), true);
+  assert.equal(AnswerScoring.numericMatches(withUnit, '9.81 km'), false);
+  assert.equal(AnswerScoring.numericMatches(withUnit, '9.81'), false);
+
+  const sigFigs = { type: 'numeric', correct_answer: '0.0045678', answer_rules: { significant_figures: 3 } };
+  assert.equal(AnswerScoring.numericMatches(sigFigs, '0.00457'), true);
+  assert.equal(AnswerScoring.numericMatches(sigFigs, '0.0046'), false);
+  assert.equal(AnswerScoring.numericMatches(sigFigs, '4.57e-3'), true);
+
+  assert.equal(AnswerScoring.significantFigures('0.00450'), 3);
+  assert.equal(AnswerScoring.significantFigures('4500'), 2);
+  assert.equal(AnswerScoring.significantFigures('4500.'), 4);
+  assert.equal(AnswerScoring.significantFigures('1.20e3'), 3);
+});
+
+test('summarize counts statuses and reports points under the scoring policy', () => {
+  const summary = AnswerScoring.summarize([
+    { status: 'correct', score: 1, points: 2, section: 'Algebra' },
+    { status: 'incorrect', score: 0, points: 1, section: 'Algebra' },
+    { status: 'partial', score: 0.5, points: 0, section: 'Geometry' },
+    { status: 'unanswered', score: 0, points: 1, section: 'Geometry' },
+    { status: 'pending_review', score: null, points: 5, section: 'Geometry' }
+  ], { negativeMarking: 0.5, sectionWeights: { Geometry: 2 } });
+
+  assert.equal(summary.correct, 1);
+  assert.equal(summary.partial, 1);
+  assert.equal(summary.incorrect, 2);
+  assert.equal(summary.unanswered, 1);
+  assert.equal(summary.pendingReview, 1);
+  assert.equal(summary.total, 4);
+  assert.equal(summary.rawPoints, 1.5);
+  assert.equal(summary.penaltyPoints, 0.5);
+  assert.equal(summary.maxPoints, 5);
+  assert.equal(summary.percentage, 30);
+  assert.equal(summary.sectionResults.Algebra.points, 1.5);
+  assert.equal(summary.sectionResults.Geometry.maxPoints, 2);
+  assert.equal(summary.sectionResults.Geometry.pendingReview, 1);
+});
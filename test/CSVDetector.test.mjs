@@ -0,0 +1,52 @@
+// CSVDetector: encoding, byte order mark and delimiter detection
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVDetector } from '../src/utils/CSVDetector.js';
+
+const utf8 = text => new TextEncoder().encode(text);
+const utf16le = text => new Uint8Array(Buffer.from(text, 'utf16le'));
+const withBytes = (...parts) => new Uint8Array(parts.flatMap(part => [...part]));
+
+test('a byte order mark decides the encoding and is dropped from the text', () => {
+  const detected = CSVDetector.detect(withBytes([0xEF, 0xBB, 0xBF], utf8('question;answer\nQ;A\n')));
+  assert.equal(detected.encoding, 'utf-8');
+  assert.equal(detected.bom, true);
+  assert.equal(detected.text.startsWith('question'), true);
+
+  assert.deepEqual(CSVDetector.detectEncoding(withBytes([0xFF, 0xFE], utf16le('a,b'))), { encoding: 'utf-16le', bom: true });
+});
+
+test('UTF-16 without a BOM is recognised by its zero bytes', () => {
+  const detected = CSVDetector.detect(utf16le('question\tanswer\nQ\tA\n'));
+  assert.deepEqual([detected.encoding, detected.bom, detected.delimiter], ['utf-16le', false, '\t']);
+});
+
+test('bytes that are not valid UTF-8 are read as Windows-1252', () => {
+  const detected = CSVDetector.detect(withBytes(utf8('question,answer\nCaf'), [0xE9], utf8(',A\n')));
+  assert.equal(detected.encoding, 'windows-1252');
+  assert.match(detected.text, /Café/);
+});
+
+test('detectDelimiter picks the delimiter that splits records consistently', () => {
+  assert.equal(CSVDetector.detectDelimiter('question;points\n"Is 1,5 > 1?";2\nQ;1\n'), ';');
+  assert.equal(CSVDetector.detectDelimiter('question|points\nQ|1\n'), '|');
+  assert.equal(CSVDetector.detectDelimiter('question,points\nQ,1\n'), ',');
+  assert.equal(CSVDetector.detectDelimiter('question\n'), ',');
+});
+
+test('overrides replace the detected values but the detection is still reported', () => {
+  const detected = CSVDetector.detect(utf8('a;b\n1;2\n'), { delimiter: ',' });
+  assert.equal(detected.delimiter, ',');
+  assert.deepEqual(detected.detected, { encoding: 'utf-8', delimiter: ';' });
+});
+
+test('validateOverrides rejects unsupported encodings and delimiters', () => {
+  assert.equal(CSVDetector.validateOverrides({ encoding: 'utf-8', delimiter: ';' }), null);
+  assert.match(CSVDetector.validateOverrides({ encoding: 'latin-9' }), /Unsupported encoding/);
+  assert.match(CSVDetector.validateOverrides({ delimiter: ':' }), /Unsupported delimiter/);
+});
+
+test('describe names the detected format', () => {
+  assert.equal(CSVDetector.describe({ encoding: 'utf-8', bom: true, delimiter: ';' }), 'UTF-8 with BOM, semicolon-delimited');
+});
@@ -0,0 +1,70 @@
+// CSVParser: RFC 4180 edge cases, row-level errors and round trips
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVParser } from '../src/utils/CSVParser.js';
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', () => {
+  const { headers, rows, errors } = CSVParser.parse('question,explanation\n"Is 1,000 > 999?","He said ""yes""\nand left"\n');
+  assert.deepEqual(headers, ['question', 'explanation']);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows[0].data, { question: 'Is 1,000 > 999?', explanation: 'He said "yes"\nand left' });
+});
+
+test('a BOM, CRLF endings and blank lines are handled', () => {
+  const { headers, rows } = CSVParser.parse('﻿a,b\r\n1,2\r\n\r\n3,4\r\n');
+  assert.deepEqual(headers, ['a', 'b']);
+  assert.deepEqual(rows.map(row => row.values), [['1', '2'], ['3', '4']]);
+  assert.deepEqual(rows.map(row => row.line), [2, 4]);
+});
+
+test('rows report the line their record starts on', () => {
+  const { rows } = CSVParser.parse('a,b\n"multi\nline",1\n2,3\n');
+  assert.deepEqual(rows.map(row => row.line), [2, 4]);
+});
+
+test('other delimiters and untrimmed fields', () => {
+  assert.deepEqual(CSVParser.parse('a;b\n x ; y \n', { delimiter: ';' }).rows[0].values, ['x', 'y']);
+  assert.deepEqual(CSVParser.parse('a;b\n x ; y \n', { delimiter: ';', trim: false }).rows[0].values, [' x ', ' y ']);
+});
+
+test('rows with extra fields are errors at the first extra column', () => {
+  const { rows, errors } = CSVParser.parse('a,b\n1,2,3\n');
+  assert.deepEqual(rows[0].error, { line: 2, column: 5, message: 'Expected 2 fields but found 3' });
+  assert.equal(errors.length, 1);
+});
+
+test('rows with missing fields are errors too, with the values still padded', () => {
+  const { rows, errors, warnings } = CSVParser.parse('a,b\n1\n');
+  assert.deepEqual(rows[0].error, { line: 2, column: null, message: 'Expected 2 fields but found 1' });
+  assert.deepEqual(rows[0].data, { a: '1', b: '' });
+  assert.equal(errors.length, 1);
+  assert.deepEqual(warnings, []);
+});
+
+test('quote problems are reported with line and column', () => {
+  const stray = CSVParser.parse('a,b\n"x"y,1\n');
+  assert.equal(stray.rows[0].error.line, 2);
+  assert.ok(stray.rows[0].error.column > 0);
+
+  const unterminated = CSVParser.parse('a,b\n1,"never closed\n');
+  assert.equal(unterminated.errors.length > 0, true);
+  assert.equal(CSVParser.formatLocation({ line: 3, column: 7 }), 'line 3, column 7');
+  assert.equal(CSVParser.formatLocation({ line: 3, column: null }), 'line 3');
+});
+
+test('chunked input parses the same as a whole string, even when CRLF is split', async () => {
+  const text = 'a,b\r\n"x,1",2\r\n3,"y\r\nz"\r\n';
+  async function* chunks() {
+    for (let i = 0; i < text.length; i += 3) yield text.slice(i, i + 3);
+  }
+  const streamed = await CSVParser.parseStream(chunks());
+  assert.deepEqual(streamed, CSVParser.parse(text));
+});
+
+test('stringify output parses back unchanged', () => {
+  const rows = [['question', 'notes'], ['Comma, quote " and\nnewline', ''], ['plain', 'x;y']];
+  const parsed = CSVParser.parseRecords(CSVParser.stringify(rows));
+  assert.deepEqual(parsed.records.map(record => record.fields), rows);
+  assert.deepEqual(parsed.errors, []);
+});
@@ -0,0 +1,54 @@
+// ColumnMapping: guessing, overriding and applying column mappings, and matching saved profiles
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ColumnMapping } from '../src/utils/ColumnMapping.js';
+import { QuestionSchema } from '../src/models/QuestionSchema.js';
+
+const headers = ['Prompt', 'Choice 2', 'Choice 1', 'Answer', 'Notes'];
+const mapping = {
+  columns: { Prompt: 'question', 'Choice 1': 'option_a', 'Choice 2': 'option_b', Answer: 'correct_answer', Notes: null },
+  constants: { category: 'Science', difficulty: '' }
+};
+
+test('guess normalizes headers and flags the ones that are not schema fields', () => {
+  const [question, custom] = ColumnMapping.guess(['Question', 'Seen In Class']);
+  assert.deepEqual(question, { source: 'Question', target: 'question', known: true });
+  assert.equal(custom.known, false);
+});
+
+test('resolve applies mapped targets and leaves other columns to the guess', () => {
+  const resolved = ColumnMapping.resolve([...headers, 'Explanation'], mapping);
+  assert.deepEqual(resolved[0], { source: 'Prompt', target: 'question', known: true, mapped: true });
+  assert.equal(resolved[4].target, null);
+  assert.equal(resolved[5].mapped, false);
+});
+
+test('createMapper drops ignored columns, orders options by letter and appends constants', () => {
+  const mapper = ColumnMapping.createMapper(headers, mapping);
+  assert.deepEqual(mapper.headers, ['question', 'correct_answer', 'option_a', 'option_b', 'category']);
+
+  const values = mapper.map(['Which gas do plants absorb?', 'Oxygen', 'Carbon dioxide', 'A', 'ignored']);
+  assert.deepEqual(values, ['Which gas do plants absorb?', 'A', 'Carbon dioxide', 'Oxygen', 'Science']);
+
+  const question = QuestionSchema.fromCSVRow(values, mapper.headers);
+  assert.deepEqual(question.options, ['Carbon dioxide', 'Oxygen']);
+  assert.equal(question.category, 'Science');
+});
+
+test('matchProfile finds the newest profile for the same headers in any order or case', () => {
+  const profiles = [
+    { id: 'old', headers: ['answer', 'prompt', 'choice 1', 'choice 2', 'notes'], updatedAt: '2026-01-01' },
+    { id: 'new', headers: [...headers].reverse(), updatedAt: '2026-02-01' },
+    { id: 'other', headers: ['Prompt'], updatedAt: '2026-03-01' }
+  ];
+  assert.equal(ColumnMapping.matchProfile(headers, profiles).id, 'new');
+  assert.equal(ColumnMapping.matchProfile(['Unrelated'], profiles), null);
+});
+
+test('validate rejects bad targets and fields that cannot be constants', () => {
+  assert.equal(ColumnMapping.validate(mapping), null);
+  assert.equal(ColumnMapping.validate(null), null);
+  assert.match(ColumnMapping.validate({ columns: { Prompt: '<b>question</b>' } }), /invalid target/);
+  assert.match(ColumnMapping.validate({ constants: { question: 'Same for all' } }), /cannot be set as a constant/);
+});
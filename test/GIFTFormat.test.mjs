@@ -0,0 +1,56 @@
+// GIFTFormat: Moodle GIFT import and export
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GIFTFormat } from '../src/utils/GIFTFormat.js';
+
+const gift = `$CATEGORY: $course$/top/Science
+// [tag:planets]
+::Q1:: Which planet is red? {=Mars ~Venus ~Jupiter #Iron oxide}
+
+The sun is a star. {T}
+
+Pick the primes {~%50%2 ~%50%3 ~%-100%4}
+
+What is pi to 2 places? {#3.14:0.01}
+
+Broken {=a ~b
+`;
+
+test('parse maps GIFT questions onto schema types with category, tags and titles', () => {
+  const { records } = GIFTFormat.parse(gift);
+  const [choice, trueFalse, response, numeric] = records.map(record => record.question);
+
+  assert.deepEqual(records[0].originalId, 'Q1');
+  assert.deepEqual(
+    [choice.type, choice.category, choice.tags, choice.options, choice.correct_answer],
+    ['multiple_choice', 'Science', ['planets'], ['Mars', 'Venus', 'Jupiter'], 'A']
+  );
+  assert.deepEqual([trueFalse.type, trueFalse.correct_answer], ['true_false', 'true']);
+  assert.deepEqual([response.type, response.correct_answer], ['multiple_response', 'A;B']);
+  assert.deepEqual([numeric.type, numeric.correct_answer, numeric.answer_rules], ['numeric', '3.14', { tolerance: 0.01 }]);
+});
+
+test('parse keeps an error with its line for questions it cannot import', () => {
+  const { records, warnings } = GIFTFormat.parse(gift);
+  const broken = records[records.length - 1];
+
+  assert.equal(broken.question, null);
+  assert.equal(broken.error.line, 11);
+  assert.match(broken.error.message, /closing "}"/);
+  assert.deepEqual(warnings.map(warning => warning.line), [3]);
+});
+
+test('stringify escapes reserved characters and round-trips through parse', () => {
+  const question = { id: 1, type: 'multiple_choice', question: 'Is 1 {2}?', options: ['a=b', 'c'], correct_answer: 'A', category: 'Math' };
+  const { text, skipped } = GIFTFormat.stringify([question]);
+
+  assert.deepEqual(skipped, []);
+  assert.match(text, /Is 1 \\\{2\\\}\?/);
+
+  const [record] = GIFTFormat.parse(text).records;
+  assert.deepEqual(
+    [record.question.question, record.question.options, record.question.correct_answer, record.question.category],
+    ['Is 1 {2}?', ['a=b', 'c'], 'A', 'Math']
+  );
+});
@@ -0,0 +1,58 @@
+// JSONFileStorage: recovery of damaged JSON stores from backups
+
+import { test, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { JSONFileStorage } from '../server/storage/JSONFileStorage.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+// Recovery logs what it does; keep the test output to the results
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'log', () => {});
+});
+
+async function jsonStorage() {
+  const dir = await mkdtemp(path.join(tmpdir(), 'quiz-json-storage-'));
+  tempDirs.push(dir);
+  const backupsDir = path.join(dir, 'backups');
+  await mkdir(backupsDir);
+  return new JSONFileStorage({
+    questionBankFile: path.join(dir, 'question_bank.json'),
+    userDataFile: path.join(dir, 'user_data.json'),
+    backupsDir
+  });
+}
+
+test('a corrupt question bank is set aside and restored from the newest valid backup', async () => {
+  const storage = await jsonStorage();
+  await writeFile(storage.questionBankFile, '{"questions": [');
+  await writeFile(path.join(storage.backupsDir, 'question_bank_2026-01-01.json'), JSON.stringify({ questions: [{ id: 1 }] }));
+  await writeFile(path.join(storage.backupsDir, 'question_bank_2026-01-02.json'), JSON.stringify({ questions: [{ id: 1 }, { id: 2 }] }));
+  await writeFile(path.join(storage.backupsDir, 'question_bank_2026-01-03.json'), 'not json');
+
+  const bank = await storage.loadQuestionBank();
+  assert.deepEqual(bank.questions.map(question => question.id), [1, 2]);
+  assert.deepEqual(JSON.parse(await readFile(storage.questionBankFile, 'utf8')), bank);
+  assert.equal(storage.recoveries.length, 1);
+  assert.match(path.basename(storage.recoveries[0].corruptFile), /^question_bank\.json\.corrupt-/);
+});
+
+test('a corrupt question bank without a backup fails the load instead of starting empty', async () => {
+  const storage = await jsonStorage();
+  await writeFile(storage.questionBankFile, JSON.stringify({ questions: 'none' }));
+
+  await assert.rejects(storage.loadQuestionBank(), /no valid backup was found/);
+});
+
+test('corrupt user data starts a fresh store', async () => {
+  const storage = await jsonStorage();
+  await writeFile(storage.userDataFile, '{');
+
+  assert.equal(await storage.loadUserData(), null);
+  assert.equal(storage.recoveries[0].restoredFrom, null);
+});
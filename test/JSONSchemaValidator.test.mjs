@@ -0,0 +1,56 @@
+// JSONSchemaValidator and QuestionSchema.validate: field-addressed JSON Schema validation
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSONSchemaValidator } from '../src/utils/JSONSchemaValidator.js';
+import { QuestionSchema } from '../src/models/QuestionSchema.js';
+
+const schema = {
+  type: 'object',
+  required: ['id', 'name'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1, pattern: '^[a-z]+$' },
+    when: { type: 'string', format: 'date-time' },
+    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+    source: { type: 'object', properties: { version: { type: 'integer' } } }
+  },
+  allOf: [{ if: { properties: { id: { const: 1 } } }, then: { required: ['tags'] } }]
+};
+
+const fields = result => result.errors.map(({ field, keyword }) => `${field}:${keyword}`);
+
+test('errors name the field, its JSON Pointer and the failed keyword', () => {
+  const result = JSONSchemaValidator.validate(schema, {
+    id: 0, name: 'Ab', when: 'yesterday', tags: ['a', 'a'], source: { version: 'x' }, extra: 1
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(fields(result), [
+    'id:minimum', 'name:pattern', 'when:format', 'tags:uniqueItems', 'source.version:type', 'extra:additionalProperties'
+  ]);
+  assert.equal(result.errors[4].path, '/source/version');
+  assert.equal(result.errors[4].message, "'source.version' must be an integer");
+});
+
+test('if/then rules apply only when the condition holds', () => {
+  assert.deepEqual(fields(JSONSchemaValidator.validate(schema, { id: 1, name: 'ab' })), ['tags:required']);
+  assert.equal(JSONSchemaValidator.validate(schema, { id: 2, name: 'ab' }).valid, true);
+});
+
+test('keywords the validator does not implement throw instead of passing silently', () => {
+  assert.throws(() => JSONSchemaValidator.validate({ oneOf: [] }, 1), /Unsupported JSON Schema keyword "oneOf"/);
+});
+
+test('QuestionSchema.validate adds the answer-key rule to the published schema', () => {
+  const question = QuestionSchema.sanitize(QuestionSchema.createDefault({ id: 5, question: 'Pick one', options: ['a', 'b'], correct_answer: 'C' }));
+  const result = QuestionSchema.validate(question);
+
+  assert.equal(result.isValid, false);
+  assert.deepEqual(result.fieldErrors.map(({ field, keyword }) => `${field}:${keyword}`), ['correct_answer:answer']);
+  assert.equal(QuestionSchema.validate({ ...question, correct_answer: 'B' }).isValid, true);
+
+  const numeric = QuestionSchema.validate({ ...question, type: 'numeric', options: [], correct_answer: 'abc' });
+  assert.deepEqual(numeric.errors, ["Correct answer 'abc' is not a number"]);
+});
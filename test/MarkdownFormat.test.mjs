@@ -0,0 +1,77 @@
+// MarkdownFormat: Markdown quiz document import and export
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkdownFormat } from '../src/utils/MarkdownFormat.js';
+
+const document = `# Geography
+## What is the capital of France?
+difficulty: Easy
+tags: capitals, europe
+
+- [ ] London
+- [x] Paris
+
+> Paris has been the capital since 987.
+
+## Which are rivers?
+
+- [x] Nile
+- [ ] Sahara
+- [x] Danube
+
+## Match the pairs
+
+- dog -> bark
+- cat -> meow
+
+## No answer marked
+
+- [ ] a
+- [ ] b
+`;
+
+test('headings are questions, front matter sets fields and the heading above names the category', () => {
+  const [capital] = MarkdownFormat.parse(document).records;
+  assert.equal(capital.line, 2);
+  assert.deepEqual(capital.question, {
+    question: 'What is the capital of France?',
+    explanation: 'Paris has been the capital since 987.',
+    category: 'Geography',
+    difficulty: 'Easy',
+    tags: ['capitals', 'europe'],
+    type: 'multiple_choice',
+    options: ['London', 'Paris'],
+    correct_answer: 'B'
+  });
+});
+
+test('several checked options make a multiple-response question and arrows a matching one', () => {
+  const [, rivers, pairs] = MarkdownFormat.parse(document).records.map(record => record.question);
+  assert.deepEqual([rivers.type, rivers.correct_answer], ['multiple_response', 'A;C']);
+  assert.deepEqual([pairs.type, pairs.options, pairs.correct_answer], ['matching', ['dog', 'cat'], 'bark;meow']);
+});
+
+test('a question without a marked answer is an error at its options', () => {
+  const broken = MarkdownFormat.parse(document).records[3];
+  assert.equal(broken.question, null);
+  assert.deepEqual([broken.error.line, broken.error.message], [24, 'No option is marked [x]']);
+});
+
+test('stringify escapes Markdown structure and round-trips through parse', () => {
+  const question = { type: 'multiple_choice', question: 'Which heading level?\n# is level one', options: ['a', 'b'], correct_answer: 'B', category: 'Docs', explanation: 'Because' };
+  const { text, skipped } = MarkdownFormat.stringify([question]);
+
+  assert.deepEqual(skipped, []);
+  assert.match(text, /^\\# is level one$/m);
+
+  const [record] = MarkdownFormat.parse(text).records;
+  assert.deepEqual(record.question, {
+    question: 'Which heading level?\n# is level one',
+    explanation: 'Because',
+    category: 'Docs',
+    type: 'multiple_choice',
+    options: ['a', 'b'],
+    correct_answer: 'B'
+  });
+});
@@ -0,0 +1,69 @@
+// QuestionMigrations: versioned question bank migrations
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuestionMigrations } from '../src/models/QuestionMigrations.js';
+import { QuestionSchema } from '../src/models/QuestionSchema.js';
+
+// A bank from before versions were recorded: flat options, loose enum spellings and an option-text key
+const legacyBank = () => ({
+  questions: [
+    { id: 1, question: 'What is 2 + 2?', option_a: '3', option_b: '4', correct_answer: 'b', category: 'Math', difficulty: 'easy', type: 'multiple choice', source: { uploadId: 'u1', uploadedAt: '2025-01-01T00:00:00.000Z' } },
+    { id: 2, question: 'Capital of France?', options: ['Paris', 'Lyon'], correct_answer: 'Paris', type: 'multiple_choice', difficulty: 'Medium', source: { created: '2025-01-01T00:00:00.000Z', version: 1 }, analytics: {} }
+  ],
+  revisions: [{ questionId: 1, version: 1, snapshot: { id: 1, question: 'What is 2 + 2?', option_a: '3', option_b: '4', correct_answer: 'b' } }],
+  uploads: [],
+  conflicts: [{ id: 'c1', incoming: { question: 'Capital of France?', options: ['Paris', 'Lyon'], correct_answer: '(a)', type: 'multiple_choice' } }],
+  metadata: {}
+});
+
+test('compareVersions orders versions numerically', () => {
+  assert.ok(QuestionMigrations.compareVersions('2.10.0', '2.9.1') > 0);
+  assert.ok(QuestionMigrations.compareVersions('1.0', '1.0.1') < 0);
+  assert.equal(QuestionMigrations.compareVersions('2.2.0', '2.2'), 0);
+});
+
+test('a dry run reports every pending step without touching the bank', () => {
+  const bank = legacyBank();
+  const report = QuestionMigrations.run(bank, { dryRun: true });
+
+  assert.deepEqual([report.from, report.to, report.dryRun], ['1.0.0', QuestionSchema.getSchemaVersion(), true]);
+  assert.deepEqual(report.steps.map(({ version, changed }) => [version, changed]), [['2.0.0', 1], ['2.1.0', 1], ['2.2.0', 1]]);
+  assert.deepEqual(bank, legacyBank());
+});
+
+test('run migrates every stored copy of a question and logs the run', () => {
+  const bank = legacyBank();
+  QuestionMigrations.run(bank, { backup: 'question_bank_2026-01-01T00-00-00-000Z.json' });
+
+  const [first, second] = bank.questions;
+  assert.deepEqual(
+    [first.options, first.correct_answer, first.type, first.difficulty, 'option_a' in first, first.source.uploadId],
+    [['3', '4'], 'B', 'multiple_choice', 'Easy', false, 'u1']
+  );
+  assert.equal(second.correct_answer, 'A');
+  assert.deepEqual(bank.revisions[0].snapshot.options, ['3', '4']);
+  assert.equal(bank.conflicts[0].incoming.correct_answer, 'A');
+
+  assert.equal(bank.metadata.schemaVersion, QuestionSchema.getSchemaVersion());
+  assert.equal(bank.metadata.migrations.length, 1);
+  assert.equal(bank.metadata.migrations[0].backup, 'question_bank_2026-01-01T00-00-00-000Z.json');
+  assert.equal(QuestionMigrations.needsMigration(bank), false);
+});
+
+test('a bank already at the current version has nothing to run and logs nothing', () => {
+  const bank = legacyBank();
+  QuestionMigrations.run(bank);
+  const report = QuestionMigrations.run(bank);
+
+  assert.deepEqual(report.steps, []);
+  assert.equal(bank.metadata.migrations.length, 1);
+});
+
+test('upgradeQuestion converts the client\'s original question shape', () => {
+  const question = QuestionMigrations.upgradeQuestion({ text: 'Old?', options: ['a', 'b'], answer: 1, timeLimit: 20 });
+  assert.deepEqual(
+    [question.question, question.type, question.correct_answer, question.time_limit],
+    ['Old?', 'multiple_choice', 'B', 20]
+  );
+});
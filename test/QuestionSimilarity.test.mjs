@@ -0,0 +1,55 @@
+// QuestionSimilarity: fuzzy duplicate scores, best matches and the bank index
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuestionSimilarity } from '../src/utils/QuestionSimilarity.js';
+
+const bank = [
+  { id: 1, question: 'What is the capital of France?', options: ['Paris', 'Lyon', 'Nice', 'Lille'] },
+  { id: 2, question: 'Which planet is known as the Red Planet?', options: ['Mars', 'Venus', 'Jupiter', 'Saturn'] },
+  { id: 3, question: 'Who wrote Hamlet?', options: ['Shakespeare', 'Marlowe'] }
+];
+
+test('normalizeText ignores case, accents and punctuation', () => {
+  assert.equal(QuestionSimilarity.normalizeText('  Où   est-ce, Café?! '), 'ou est ce cafe');
+});
+
+test('parseThreshold accepts numbers in (0, 1] and falls back otherwise', () => {
+  assert.equal(QuestionSimilarity.parseThreshold('0.9'), 0.9);
+  assert.equal(QuestionSimilarity.parseThreshold('0'), QuestionSimilarity.DEFAULT_THRESHOLD);
+  assert.equal(QuestionSimilarity.parseThreshold('1.5', 0.7), 0.7);
+  assert.equal(QuestionSimilarity.parseThreshold(undefined), QuestionSimilarity.DEFAULT_THRESHOLD);
+});
+
+test('compare scores reworded questions high and unrelated ones low', () => {
+  const reworded = { question: 'what is the capital of france', options: ['Lille', 'Nice', 'Lyon', 'Paris'] };
+  const same = QuestionSimilarity.compare(bank[0], reworded);
+  assert.equal(same.exactText, true);
+  assert.equal(same.confidence, 1);
+
+  const typo = QuestionSimilarity.compare(bank[0], { question: 'What is the capital of Frnace?', options: bank[0].options });
+  assert.ok(typo.confidence >= QuestionSimilarity.DEFAULT_THRESHOLD, `typo scored ${typo.confidence}`);
+
+  assert.ok(QuestionSimilarity.compare(bank[0], bank[1]).confidence < 0.5);
+});
+
+test('findBestMatch returns the closest question above the threshold', () => {
+  const match = QuestionSimilarity.findBestMatch({ question: 'Which planet is known as a Red Planet?' }, bank);
+  assert.equal(match.question.id, 2);
+  assert.ok(match.confidence >= QuestionSimilarity.DEFAULT_THRESHOLD && match.confidence < 1);
+
+  assert.equal(QuestionSimilarity.findBestMatch({ question: 'Name a prime number' }, bank), null);
+  assert.equal(QuestionSimilarity.findBestMatch(bank[2], bank, { exclude: bank[2] }), null);
+});
+
+test('the index follows questions added to and removed from the bank', () => {
+  const index = QuestionSimilarity.createIndex(bank);
+  const added = { id: 4, question: 'What is the boiling point of water at sea level?' };
+  const probe = { question: 'What is the boiling point of water at sea level' };
+
+  assert.equal(QuestionSimilarity.findBestMatch(probe, index), null);
+  QuestionSimilarity.addToIndex(index, added);
+  assert.equal(QuestionSimilarity.findBestMatch(probe, index).question, added);
+  QuestionSimilarity.removeFromIndex(index, added);
+  assert.equal(QuestionSimilarity.findBestMatch(probe, index), null);
+});
@@ -0,0 +1,104 @@
+// ScoringPolicy: question weights, negative marking and section weights
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScoringPolicy } from '../src/utils/ScoringPolicy.js';
+
+const policy = (overrides = {}) => ScoringPolicy.normalize(overrides);
+
+test('normalize fills in defaults and clamps out-of-range values', () => {
+  assert.deepEqual(ScoringPolicy.normalize(), { weighting: 'points', negativeMarking: 0, sectionWeights: {} });
+  assert.deepEqual(
+    ScoringPolicy.normalize({ weighting: 'bogus', negativeMarking: 3, sectionWeights: { A: '2', B: -1, C: 'x' } }),
+    { weighting: 'points', negativeMarking: 1, sectionWeights: { A: 2 } }
+  );
+  assert.equal(ScoringPolicy.normalize({ negativeMarking: -0.5 }).negativeMarking, 0);
+});
+
+test('validate reports bad weightings, penalties and section weights', () => {
+  assert.deepEqual(ScoringPolicy.validate({ weighting: 'equal', negativeMarking: 0.25, sectionWeights: { A: 2 } }), []);
+  assert.equal(ScoringPolicy.validate({ weighting: 'bogus' }).length, 1);
+  assert.equal(ScoringPolicy.validate({ negativeMarking: 1.5 }).length, 1);
+  assert.equal(ScoringPolicy.validate({ sectionWeights: { A: -1 } }).length, 1);
+});
+
+test('parseSectionWeights reads Section=weight lists and formatSectionWeights writes them back', () => {
+  const { weights, errors } = ScoringPolicy.parseSectionWeights('Algebra=2, Geometry = 0.5; Sets=0\nbad, X=-1');
+  assert.deepEqual(weights, { Algebra: 2, Geometry: 0.5, Sets: 0 });
+  assert.equal(errors.length, 2);
+  assert.equal(ScoringPolicy.formatSectionWeights(weights), 'Algebra=2, Geometry=0.5, Sets=0');
+});
+
+test('questionWeight uses points, defaulting to 1, and keeps points: 0 at zero', () => {
+  assert.equal(ScoringPolicy.questionWeight({ points: 3 }, policy()), 3);
+  assert.equal(ScoringPolicy.questionWeight({}, policy()), 1);
+  assert.equal(ScoringPolicy.questionWeight({ points: null }, policy()), 1);
+  assert.equal(ScoringPolicy.questionWeight({ points: 0 }, policy()), 0);
+  assert.equal(ScoringPolicy.questionWeight({ points: '0' }, policy()), 0);
+  assert.equal(ScoringPolicy.questionWeight({ points: -2 }, policy()), 0);
+  assert.equal(ScoringPolicy.questionWeight({ points: 5 }, policy({ weighting: 'equal' })), 1);
+  assert.equal(ScoringPolicy.questionWeight({ points: 2, section: 'A' }, policy({ sectionWeights: { A: 1.5 } })), 3);
+});
+
+test('evaluate totals points and never lets a zero-point question count', () => {
+  const result = ScoringPolicy.evaluate([
+    { status: 'correct', score: 1, points: 0 },
+    { status: 'correct', score: 1, points: 2 },
+    { status: 'incorrect', score: 0, points: 2 }
+  ]);
+  assert.equal(result.rawPoints, 2);
+  assert.equal(result.maxPoints, 4);
+  assert.equal(result.percentage, 50);
+});
+
+test('evaluate subtracts negative marking but floors the total at zero', () => {
+  const entries = [
+    { status: 'correct', score: 1 },
+    { status: 'incorrect', score: 0 },
+    { status: 'incorrect', score: 0 },
+    { status: 'incorrect', score: 0 },
+    { status: 'unanswered', score: 0 }
+  ];
+  const penalized = ScoringPolicy.evaluate(entries.slice(0, 2), { negativeMarking: 0.25 });
+  assert.equal(penalized.rawPoints, 0.75);
+  assert.equal(penalized.penaltyPoints, 0.25);
+  assert.equal(penalized.maxPoints, 2);
+
+  const floored = ScoringPolicy.evaluate(entries, { negativeMarking: 1 });
+  assert.equal(floored.rawPoints, 0);
+  assert.equal(floored.penaltyPoints, 3);
+  assert.equal(floored.maxPoints, 5);
+  assert.equal(floored.percentage, 0);
+});
+
+test('evaluate leaves answers pending review out of both sides', () => {
+  const result = ScoringPolicy.evaluate([
+    { status: 'correct', score: 1 },
+    { status: 'pending_review', score: null, points: 10 }
+  ]);
+  assert.equal(result.rawPoints, 1);
+  assert.equal(result.maxPoints, 1);
+  assert.equal(result.percentage, 100);
+});
+
+test('evaluate applies section weights per section and overall', () => {
+  const result = ScoringPolicy.evaluate([
+    { status: 'correct', score: 1, section: 'Algebra' },
+    { status: 'incorrect', score: 0, section: 'Algebra' },
+    { status: 'correct', score: 1, section: 'Geometry' },
+    { status: 'partial', score: 0.5, section: 'Sets' }
+  ], { sectionWeights: { Algebra: 2, Sets: 0 } });
+
+  assert.deepEqual(result.sections.Algebra, { points: 2, maxPoints: 4, percentage: 50, weight: 2 });
+  assert.deepEqual(result.sections.Geometry, { points: 1, maxPoints: 1, percentage: 100, weight: 1 });
+  assert.deepEqual(result.sections.Sets, { points: 0, maxPoints: 0, percentage: 0, weight: 0 });
+  assert.equal(result.rawPoints, 3);
+  assert.equal(result.maxPoints, 5);
+  assert.equal(result.percentage, 60);
+});
+
+test('passed compares against the passing score, 70 by default', () => {
+  assert.equal(ScoringPolicy.passed(70), true);
+  assert.equal(ScoringPolicy.passed(69), false);
+  assert.equal(ScoringPolicy.passed(50, 50), true);
+});
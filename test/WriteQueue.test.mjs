@@ -0,0 +1,33 @@
+// WriteQueue: serialized mutate-and-save tasks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WriteQueue } from '../server/storage/WriteQueue.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('WriteQueue runs tasks one at a time in order', async () => {
+  const queue = new WriteQueue('test');
+  const events = [];
+  const task = (name, ms) => async () => {
+    events.push(`start ${name}`);
+    await delay(ms);
+    events.push(`end ${name}`);
+    return name;
+  };
+
+  const results = await Promise.all([queue.run(task('a', 20)), queue.run(task('b', 0)), queue.run(task('c', 5))]);
+  assert.deepEqual(results, ['a', 'b', 'c']);
+  assert.deepEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+});
+
+test('a failed task rejects its own caller without blocking the queue', async () => {
+  const queue = new WriteQueue('test');
+  const failed = queue.run(async () => { throw new Error('disk full'); });
+  const next = queue.run(async () => 'saved');
+
+  await assert.rejects(failed, /disk full/);
+  assert.equal(await next, 'saved');
+  await queue.drain();
+  assert.equal(queue.pending, 0);
+});
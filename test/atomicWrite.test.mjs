@@ -0,0 +1,37 @@
+// atomicWrite: temp-file-and-rename writes and cleanup of unfinished ones
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { writeFileAtomic, removeStaleTempFiles } from '../server/storage/atomicWrite.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+async function tempDir() {
+  const dir = await mkdtemp(path.join(tmpdir(), 'quiz-writes-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test('writeFileAtomic replaces the file and leaves no temp file behind', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'bank.json');
+  await writeFile(file, 'old');
+
+  await writeFileAtomic(file, 'new', { fsync: true });
+  assert.equal(await readFile(file, 'utf8'), 'new');
+  assert.deepEqual(await readdir(dir), ['bank.json']);
+});
+
+test('removeStaleTempFiles clears only unfinished writes of that file', async () => {
+  const dir = await tempDir();
+  const file = path.join(dir, 'bank.json');
+  await writeFile(path.join(dir, '.bank.json.123.1.tmp'), 'partial');
+  await writeFile(path.join(dir, '.other.json.123.1.tmp'), 'partial');
+
+  assert.deepEqual(await removeStaleTempFiles(file), ['.bank.json.123.1.tmp']);
+  assert.deepEqual(await readdir(dir), ['.other.json.123.1.tmp']);
+});
@@ -0,0 +1,87 @@
+// server/backups: backup ids, listing, diffs and retention
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import backups from '../server/backups.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+const backupId = day => `question_bank_2026-01-${String(day).padStart(2, '0')}T00-00-00-000Z.json`;
+const backupInfo = day => ({ id: backupId(day), timestamp: `2026-01-${String(day).padStart(2, '0')}T00:00:00.000Z` });
+
+async function backupsDir(days) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'quiz-backups-'));
+  tempDirs.push(dir);
+  await Promise.all(days.map(day => writeFile(path.join(dir, backupId(day)), JSON.stringify({ questions: [{ id: day }], uploads: [] }))));
+  return dir;
+}
+
+test('isBackupId accepts only backup file names', () => {
+  assert.equal(backups.isBackupId(backupId(1)), true);
+  assert.equal(backups.isBackupId('../question_bank.json'), false);
+  assert.equal(backups.isBackupId(`../${backupId(1)}`), false);
+  assert.equal(backups.isBackupId(undefined), false);
+});
+
+test('listBackups lists newest first and flags unreadable backups', async () => {
+  const dir = await backupsDir([1, 3]);
+  await writeFile(path.join(dir, backupId(2)), '{');
+  await writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+  const list = await backups.listBackups(dir);
+  assert.deepEqual(list.map(backup => backup.id), [backupId(3), backupId(2), backupId(1)]);
+  assert.equal(list[0].timestamp, '2026-01-03T00:00:00.000Z');
+  assert.equal(list[0].questionCount, 1);
+  assert.equal(list[1].valid, false);
+});
+
+test('diffQuestionSets reports added, removed and changed questions ignoring source bookkeeping', () => {
+  const before = [
+    { id: 1, question: 'Kept', source: { version: 1 } },
+    { id: 2, question: 'Old text', points: 1 },
+    { id: 3, question: 'Removed' }
+  ];
+  const after = [
+    { id: 1, question: 'Kept', source: { version: 2 } },
+    { id: 2, question: 'New text', points: 1 },
+    { id: 4, question: 'Added' }
+  ];
+
+  const diff = backups.diffQuestionSets(before, after);
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepEqual(diff.added.map(q => q.id), [4]);
+  assert.deepEqual(diff.removed.map(q => q.id), [3]);
+  assert.deepEqual(diff.changed, [{ id: 2, fields: [{ field: 'question', before: 'Old text', after: 'New text' }] }]);
+});
+
+test('selectBackupsToPrune keeps backups within either keepLast or maxAgeDays', () => {
+  const list = [1, 2, 3, 4, 5].map(backupInfo);
+  const now = new Date('2026-01-06T00:00:00.000Z').getTime();
+  const pruned = policy => backups.selectBackupsToPrune(list, policy, now).map(backup => backup.id);
+
+  assert.deepEqual(pruned({}), []);
+  assert.deepEqual(pruned({ keepLast: 2 }), [backupId(3), backupId(2), backupId(1)]);
+  assert.deepEqual(pruned({ maxAgeDays: 3 }), [backupId(2), backupId(1)]);
+  assert.deepEqual(pruned({ keepLast: 1, maxAgeDays: 2 }), [backupId(3), backupId(2), backupId(1)]);
+  assert.deepEqual(pruned({ keepLast: 0 }), list.map(backup => backup.id).reverse());
+});
+
+test('pruneBackups deletes only outside a dry run', async () => {
+  const dir = await backupsDir([1, 2, 3]);
+
+  const preview = await backups.pruneBackups(dir, { keepLast: 1 }, { dryRun: true });
+  assert.deepEqual(preview, { deleted: [backupId(2), backupId(1)], kept: 1, dryRun: true });
+  assert.equal((await readdir(dir)).length, 3);
+
+  await backups.pruneBackups(dir, { keepLast: 1 });
+  assert.deepEqual(await readdir(dir), [backupId(3)]);
+});
+
+test('retentionPolicyFromEnv ignores unset and invalid values', () => {
+  assert.deepEqual(backups.retentionPolicyFromEnv({}), { keepLast: null, maxAgeDays: null });
+  assert.deepEqual(backups.retentionPolicyFromEnv({ BACKUP_KEEP_LAST: '5', BACKUP_MAX_AGE_DAYS: '-1' }), { keepLast: 5, maxAgeDays: null });
+});
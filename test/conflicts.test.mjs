@@ -0,0 +1,47 @@
+// server/conflicts: the review queue's conflicts, side-by-side descriptions and field merges
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import conflicts from '../server/conflicts.js';
+
+const existing = { id: 5, question: 'What is 2 + 2?', options: ['3', '4'], correct_answer: 'B', explanation: 'Addition', source: { version: 2 } };
+const incoming = { question: 'What is 2 + 2?', options: ['3', '4', '5'], correct_answer: 'B', tags: ['math'] };
+const duplicate = { question: existing, type: 'text', confidence: 1, probable: false };
+
+test('createConflict parks a copy of the incoming question against the existing one', () => {
+  const conflict = conflicts.createConflict(incoming, duplicate, { uploadId: 'u1', filename: 'bank.csv', row: 4 });
+
+  assert.equal(conflict.status, 'pending');
+  assert.equal(conflict.existingId, 5);
+  assert.deepEqual(
+    [conflict.uploadId, conflict.filename, conflict.row, conflict.matchType, conflict.confidence],
+    ['u1', 'bank.csv', 4, 'text', 1]
+  );
+  assert.deepEqual(conflict.incoming, incoming);
+  assert.notEqual(conflict.incoming, incoming);
+  assert.notEqual(conflicts.createConflict(incoming, duplicate).id, conflict.id);
+});
+
+test('describeConflict lists the fields that differ from the current question', () => {
+  const conflict = conflicts.createConflict({ ...incoming, id: 9 }, duplicate);
+  const described = conflicts.describeConflict(conflict, [existing]);
+
+  assert.equal(described.existing, existing);
+  assert.deepEqual(described.fields.map(change => change.field), ['options', 'explanation', 'tags']);
+
+  const orphaned = conflicts.describeConflict(conflict, []);
+  assert.equal(orphaned.existing, null);
+  assert.deepEqual(orphaned.fields, []);
+});
+
+test('mergeSelectedFields takes only the chosen incoming fields and never the id or source', () => {
+  const merged = conflicts.mergeSelectedFields(existing, { ...incoming, id: 9, source: {} }, ['options', 'explanation', 'id', 'source']);
+
+  assert.deepEqual(merged, {
+    id: 5,
+    question: 'What is 2 + 2?',
+    options: ['3', '4', '5'],
+    correct_answer: 'B',
+    source: { version: 2 }
+  });
+});
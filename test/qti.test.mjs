@@ -0,0 +1,52 @@
+// server/qti: QTI 2.1 content package export and import
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharedModules from '../server/sharedModules.js';
+import qti from '../server/qti.js';
+import zipArchive from '../server/zipArchive.js';
+
+before(() => sharedModules.load());
+
+const questions = [
+  { id: 1, type: 'multiple_choice', question: 'What is 2 + 2?', options: ['3', '4', '5'], correct_answer: 'B', category: 'Math', difficulty: 'Easy', time_limit: 30, tags: ['arithmetic'], points: 2 },
+  { id: 2, type: 'multiple_response', question: 'Pick the primes', options: ['2', '3', '4'], correct_answer: 'A;B', category: 'Math' },
+  { id: 3, type: 'essay', question: 'Discuss <b>tags</b> & entities', category: 'English' },
+  { id: 4, type: 'ordering', question: 'Put in order', options: ['a', 'b'], correct_answer: 'A;B' }
+];
+
+test('createPackage writes a manifest, a test and one item per question it can express', () => {
+  const { buffer, skipped } = qti.createPackage(questions);
+
+  assert.deepEqual(skipped.map(question => question.id), [4]);
+  assert.deepEqual(zipArchive.readZip(buffer).map(entry => entry.name), [
+    'imsmanifest.xml', 'assessment.xml', 'items/q1.xml', 'items/q2.xml', 'items/q3.xml'
+  ]);
+});
+
+test('a package read back gives the same questions', () => {
+  const { records, warnings } = qti.readPackage(qti.createPackage(questions).buffer);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(records.map(record => record.originalId), ['q1', 'q2', 'q3']);
+
+  const [choice, response, essay] = records.map(record => record.question);
+  assert.deepEqual(
+    [choice.type, choice.options, choice.correct_answer, choice.category, choice.difficulty, choice.time_limit, choice.tags, choice.points],
+    ['multiple_choice', ['3', '4', '5'], 'B', 'Math', 'Easy', 30, ['arithmetic'], 2]
+  );
+  assert.deepEqual([response.type, response.correct_answer], ['multiple_response', 'A;B']);
+  assert.equal(essay.question, 'Discuss <b>tags</b> & entities');
+});
+
+test('items with an interaction the importer does not know come back as errors', () => {
+  const item = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="slider" title="Slider">
+  <itemBody><sliderInteraction responseIdentifier="RESPONSE" lowerBound="0" upperBound="10"/></itemBody>
+</assessmentItem>`;
+  const { records, warnings } = qti.readPackage(zipArchive.createZip([{ name: 'slider.xml', data: item }]));
+
+  assert.match(warnings[0].message, /No imsmanifest\.xml/);
+  assert.equal(records.length, 1);
+  assert.equal(records[0].question, null);
+  assert.match(records[0].error.message, /^slider\.xml: .*sliderInteraction/);
+});
@@ -0,0 +1,81 @@
+// server/questionDirectory: one file per question for version control, and syncing a directory back
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharedModules from '../server/sharedModules.js';
+import questionModel from '../server/questionModel.js';
+import questionDirectory from '../server/questionDirectory.js';
+
+before(() => sharedModules.load());
+
+const bank = () => [
+  questionModel.fromFields({ id: 1, question: 'What is 2 + 2?', options: ['3', '4'], correct_answer: 'B', category: 'Math' }, { uploadId: 'u1' }),
+  questionModel.fromFields({ id: 2, question: 'Capital of France?', options: ['Paris', 'Lyon'], correct_answer: 'A', category: 'Geography' }),
+  questionModel.fromFields({ id: 3, question: 'Name a prime', type: 'short_answer', correct_answer: '2' })
+];
+
+const file = (entries, name) => entries.find(entry => entry.name === name);
+const actions = plan => plan.map(({ file, action, id }) => [file, action, id]);
+
+test('questionFilename pads the id and slugs the text', () => {
+  assert.equal(questionDirectory.questionFilename({ id: 12, question: 'Où est-ce? Ça va!' }), 'questions/0012-ou-est-ce-ca-va.json');
+  assert.equal(questionDirectory.slugify('!!!'), 'question');
+  assert.ok(questionDirectory.slugify('word '.repeat(20)).length <= 40);
+});
+
+test('createDirectory writes an index and stable question files without bank-only fields', () => {
+  const entries = questionDirectory.createDirectory(bank().reverse());
+  assert.deepEqual(entries.map(entry => entry.name), [
+    'index.json',
+    'questions/0001-what-is-2-2.json',
+    'questions/0002-capital-of-france.json',
+    'questions/0003-name-a-prime.json'
+  ]);
+
+  const content = JSON.parse(file(entries, 'questions/0001-what-is-2-2.json').data);
+  assert.equal('source' in content, false);
+  assert.deepEqual(Object.keys(content).slice(0, 3), ['id', 'question', 'type']);
+  assert.equal(questionDirectory.serializeQuestion({ ...bank()[0], analytics: { timesUsed: 9 } }), file(entries, 'questions/0001-what-is-2-2.json').data);
+});
+
+test('an unchanged directory reconciles to no changes', () => {
+  const directory = questionDirectory.readDirectory(questionDirectory.createDirectory(bank()));
+  assert.deepEqual(directory.errors, []);
+  assert.deepEqual(questionDirectory.reconcile(bank(), directory).map(entry => entry.action), ['unchanged', 'unchanged', 'unchanged']);
+});
+
+test('reconcile plans edits, additions, deletions and errors from the files', () => {
+  const entries = questionDirectory.createDirectory(bank())
+    .filter(entry => !entry.name.includes('0003'))
+    .map(entry => entry.name.includes('0002')
+      ? { ...entry, data: entry.data.replace('"Capital of France?"', '"What is the capital of France?"') }
+      : entry);
+  entries.push(
+    { name: 'questions/new.json', data: JSON.stringify({ question: 'Is water wet?', type: 'true_false', correct_answer: 'true' }) },
+    { name: 'questions/bad.json', data: '{ not json' }
+  );
+
+  const directory = questionDirectory.readDirectory(entries);
+  assert.match(directory.warnings.join('\n'), /0003-name-a-prime\.json is listed in index\.json but missing/);
+
+  const plan = questionDirectory.reconcile(bank(), directory);
+  assert.deepEqual(actions(plan), [
+    ['questions/bad.json', 'error', undefined],
+    ['questions/0001-what-is-2-2.json', 'unchanged', 1],
+    ['questions/0002-capital-of-france.json', 'update', 2],
+    ['questions/new.json', 'add', 4],
+    ['questions/0003-name-a-prime.json', 'delete', 3]
+  ]);
+  assert.deepEqual(plan[2].fields.map(change => change.field), ['question']);
+
+  const keep = questionDirectory.reconcile(bank(), directory, { deleteMissing: false });
+  assert.equal(keep.some(entry => entry.action === 'delete'), false);
+});
+
+test('reconcile rejects a second file with the same id', () => {
+  const [, first] = questionDirectory.createDirectory(bank());
+  const directory = questionDirectory.readDirectory([first, { ...first, name: 'questions/copy.json' }]);
+  const plan = questionDirectory.reconcile(bank(), directory, { deleteMissing: false });
+  assert.deepEqual(plan.map(entry => entry.action), ['unchanged', 'error']);
+  assert.match(plan[1].error, /Duplicate id 1/);
+});
@@ -0,0 +1,66 @@
+// server/questionModel: CSV rows and API fields in and out of the shared QuestionSchema shape
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import sharedModules from '../server/sharedModules.js';
+import questionModel from '../server/questionModel.js';
+
+before(() => sharedModules.load());
+
+const headers = ['id', 'question', 'option_a', 'option_b', 'option_c', 'correct_answer', 'category', 'difficulty', 'tags'];
+const values = ['Q7', 'What is 2 + 2?', '3', '4', '5', 'B', 'Math', 'Easy', 'arithmetic, basics'];
+
+test('fromCSVRow builds a schema question and keeps the source id as provenance', () => {
+  const question = questionModel.fromCSVRow(headers, values, { uploadId: 'u1', filename: 'bank.csv' });
+
+  assert.equal(question.id, null);
+  assert.equal(question.type, 'multiple_choice');
+  assert.deepEqual(question.options, ['3', '4', '5']);
+  assert.deepEqual(question.tags, ['arithmetic', 'basics']);
+  assert.deepEqual(
+    [question.source.uploadId, question.source.filename, question.source.originalId],
+    ['u1', 'bank.csv', 'Q7']
+  );
+});
+
+test('toCSVRow writes a question back under the export headers', () => {
+  const question = { ...questionModel.fromCSVRow(headers, values), id: 12 };
+  const row = Object.fromEntries(questionModel.csvExportHeaders().map((header, index) => [header, questionModel.toCSVRow(question)[index]]));
+
+  assert.equal(row.id, 12);
+  assert.deepEqual([row.option_a, row.option_b, row.option_c, row.option_d], ['3', '4', '5', '']);
+  assert.equal(row.correct_answer, 'B');
+  assert.equal(row.tags, 'arithmetic, basics');
+  assert.equal(row.options, '');
+});
+
+test('toCSVRow moves more options than option_a..option_e hold into the options column', () => {
+  const options = ['a', 'b', 'c', 'd', 'e', 'f'];
+  const question = questionModel.fromFields({ id: 1, question: 'Pick', options, correct_answer: 'F' });
+  const row = questionModel.toCSVRow(question);
+  const header = name => row[questionModel.csvExportHeaders().indexOf(name)];
+
+  assert.equal(header('options'), 'a;b;c;d;e;f');
+  assert.equal(header('option_a'), '');
+});
+
+test('legacyOptions lays flat option fields over the existing options', () => {
+  assert.deepEqual(questionModel.legacyOptions({ option_b: 'x', option_d: 4 }, ['a', 'b']), ['a', 'x', '', '4']);
+  assert.deepEqual(questionModel.legacyOptions({}, ['a', null]), ['a', '']);
+});
+
+test('fromFields fills defaults and records only the provenance it is given', () => {
+  const question = questionModel.fromFields({ question: 'Hi', options: ['a', 'b'], correct_answer: 'A' }, { uploadId: 'u2', owner: '' });
+  assert.equal(question.category, 'General');
+  assert.equal(question.source.uploadId, 'u2');
+  assert.equal('owner' in question.source, false);
+});
+
+test('validateQuestion reports field-addressed errors', () => {
+  const valid = questionModel.validateQuestion({ ...questionModel.fromCSVRow(headers, values), id: 1 });
+  assert.equal(valid.isValid, true);
+
+  const invalid = questionModel.validateQuestion({ id: 2, type: 'multiple_choice', question: '' });
+  assert.equal(invalid.isValid, false);
+  assert.ok(invalid.fieldErrors.some(error => error.field === 'question'));
+});
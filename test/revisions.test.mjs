@@ -0,0 +1,64 @@
+// server/revisions: per-question revision history, diffs and version numbering
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import revisions from '../server/revisions.js';
+
+test('create, update and delete append numbered revisions and stamp source.version', () => {
+  const log = [];
+  const created = { id: 7, question: 'First draft' };
+  revisions.recordRevision(log, null, created, { author: 'sam' });
+  assert.equal(created.source.version, 1);
+
+  const edited = { ...created, question: 'Second draft' };
+  revisions.recordRevision(log, created, edited);
+  assert.equal(edited.source.version, 2);
+
+  revisions.recordRevision(log, edited, null);
+
+  assert.deepEqual(log.map(({ version, action }) => [version, action]), [[1, 'create'], [2, 'update'], [3, 'delete']]);
+  assert.deepEqual(log[1].changedFields, ['question']);
+  assert.equal(log[0].author, 'sam');
+  assert.equal(log[2].snapshot, null);
+});
+
+test('the first change to a question without history records a baseline', () => {
+  const log = [];
+  const legacy = { id: 3, question: 'Old', source: { owner: 'import', version: 4 } };
+  const appended = revisions.recordRevision(log, legacy, { ...legacy, question: 'New' });
+
+  assert.deepEqual(appended.map(({ version, action }) => [version, action]), [[4, 'baseline'], [5, 'update']]);
+  assert.deepEqual(appended[0].snapshot, legacy);
+  assert.equal(appended[0].author, 'import');
+});
+
+test('a question re-created by a revert keeps counting up from its history', () => {
+  const log = [];
+  const question = { id: 1, question: 'Kept' };
+  revisions.recordRevision(log, null, question);
+  revisions.recordRevision(log, question, null);
+
+  const restored = { id: 1, question: 'Kept' };
+  revisions.recordRevision(log, null, restored, { action: 'revert', revertedTo: 1 });
+  assert.equal(restored.source.version, 3);
+  assert.equal(log[2].revertedTo, 1);
+});
+
+test('revisions can be listed, found, diffed and summarized', () => {
+  const log = [];
+  const first = { id: 1, question: 'A', points: 1 };
+  const second = { ...first, points: 2 };
+  revisions.recordRevision(log, null, { id: 2, question: 'Other' });
+  revisions.recordRevision(log, null, first);
+  revisions.recordRevision(log, first, second);
+
+  assert.deepEqual(revisions.listRevisions(log, 1).map(r => r.version), [1, 2]);
+  assert.equal(revisions.findRevision(log, 1, 3), null);
+
+  const diff = revisions.diffRevisions(revisions.findRevision(log, 1, 1), revisions.findRevision(log, 1, 2));
+  assert.deepEqual(diff, [{ field: 'points', before: 1, after: 2 }]);
+
+  const summary = revisions.summarizeRevision(revisions.findRevision(log, 1, 2));
+  assert.equal(summary.snapshot, undefined);
+  assert.equal(summary.deleted, false);
+});
@@ -0,0 +1,63 @@
+// server/search: query coercion, paging, relevance ranking and sorting
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import search from '../server/search.js';
+
+const questions = [
+  { id: 1, question: 'What is 2 + 2?', type: 'multiple_choice', options: ['3', '4'], category: 'Math', difficulty: 'Easy', tags: ['arithmetic'] },
+  { id: 2, question: 'Which river is the longest?', type: 'multiple_choice', options: ['Nile', 'Amazon'], category: 'Geography', difficulty: 'Hard', tags: ['rivers'], explanation: 'The Nile' },
+  { id: 3, question: 'The Nile flows north', type: 'true_false', options: ['True', 'False'], category: 'Geography', tags: ['rivers', 'africa'] },
+  { id: 4, question: 'Name a prime', type: 'short_answer', category: 'Math', difficulty: 'Unheard of' }
+];
+
+const ids = result => result.questions.map(question => question.id);
+
+test('queryText folds repeated query keys into one string', () => {
+  assert.equal(search.queryText(['a', 'b']), 'a,b');
+  assert.equal(search.queryText(['a', 'b'], ' '), 'a b');
+  assert.equal(search.queryText({ nested: 'x' }), '');
+  assert.equal(search.queryText(undefined), '');
+});
+
+test('parsePagination clamps limit and offset', () => {
+  assert.deepEqual(search.parsePagination({}), { limit: search.DEFAULT_PAGE_SIZE, offset: 0 });
+  assert.deepEqual(search.parsePagination({ limit: '10', offset: '5' }), { limit: 10, offset: 5 });
+  assert.deepEqual(search.parsePagination({ limit: '100000', offset: '-3' }), { limit: search.MAX_PAGE_SIZE, offset: 0 });
+  assert.deepEqual(search.parsePagination({ limit: 'x', offset: ['2', '9'] }), { limit: search.DEFAULT_PAGE_SIZE, offset: 2 });
+});
+
+test('searchQuestions ranks text matches best-first and drops non-matches', () => {
+  const result = search.searchQuestions(questions, { search: 'river' });
+  assert.deepEqual(ids(result), [2, 3]);
+  assert.ok(result.questions[0].relevance > result.questions[1].relevance);
+  assert.ok(result.questions.every(question => question.relevance > 0));
+  assert.deepEqual(result.sort, { sortBy: 'relevance', sortOrder: 'desc' });
+});
+
+test('searchQuestions filters by type, tags and difficulty', () => {
+  assert.deepEqual(ids(search.searchQuestions(questions, { type: 'true_false,short_answer' })), [3, 4]);
+  assert.deepEqual(ids(search.searchQuestions(questions, { type: ['true_false', 'short_answer'] })), [3, 4]);
+  assert.deepEqual(ids(search.searchQuestions(questions, { tags: 'rivers,africa', tagMatch: 'all' })), [3]);
+  assert.deepEqual(ids(search.searchQuestions(questions, { tags: ['arithmetic', 'africa'] })), [1, 3]);
+  assert.deepEqual(ids(search.searchQuestions(questions, { difficulty: 'hard' })), [2]);
+});
+
+test('searchQuestions pages the sorted results', () => {
+  const result = search.searchQuestions(questions, { limit: '2', offset: '1' });
+  assert.deepEqual(ids(result), [2, 3]);
+  assert.deepEqual(result.pagination, { total: 4, limit: 2, offset: 1, hasMore: true });
+});
+
+test('validateSortOptions accepts only known fields and orders', () => {
+  assert.equal(search.validateSortOptions({ sortBy: 'modified', sortOrder: 'desc' }), null);
+  assert.equal(search.validateSortOptions({}), null);
+  assert.match(search.validateSortOptions({ sortBy: 'constructor' }), /Unknown sortBy/);
+  assert.match(search.validateSortOptions({ sortBy: ['id', 'points'] }), /Unknown sortBy/);
+  assert.match(search.validateSortOptions({ sortOrder: 'up' }), /Unknown sortOrder/);
+});
+
+test('difficulty sorts in level order with missing and unknown difficulties last', () => {
+  assert.deepEqual(ids(search.searchQuestions(questions, { sortBy: 'difficulty' })), [1, 2, 3, 4]);
+  assert.deepEqual(ids(search.searchQuestions(questions, { sortBy: 'difficulty', sortOrder: 'desc' })), [2, 1, 3, 4]);
+});
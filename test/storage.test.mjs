@@ -0,0 +1,115 @@
+// server/storage: driver selection, the SQLite driver and the JSON-to-SQLite migration
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import storage from '../server/storage/index.js';
+import { SQLiteStorage } from '../server/storage/SQLiteStorage.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => rm(dir, { recursive: true, force: true }))));
+
+async function tempPaths() {
+  const dir = await mkdtemp(path.join(tmpdir(), 'quiz-storage-'));
+  tempDirs.push(dir);
+  return {
+    questionBankFile: path.join(dir, 'question_bank.json'),
+    userDataFile: path.join(dir, 'user_data.json'),
+    backupsDir: path.join(dir, 'backups'),
+    databaseFile: path.join(dir, 'quiz.db')
+  };
+}
+
+const bank = () => ({
+  questions: [
+    { id: 2, question: 'Second', category: 'Math' },
+    { id: 1, question: 'First', category: 'Science', source: { uploadId: 'u1' } }
+  ],
+  uploads: [{ uploadId: 'u1', timestamp: '2026-01-01T00:00:00.000Z', questionIds: [1] }],
+  revisions: [{ questionId: 1, version: 1, timestamp: '2026-01-01T00:00:00.000Z', action: 'create' }],
+  conflicts: [],
+  mappingProfiles: [],
+  metadata: { version: '2.2.0' }
+});
+
+test('createStorage picks the driver and rejects unknown ones', async () => {
+  const paths = await tempPaths();
+  assert.equal(storage.createStorage({ ...paths, driver: 'json' }).name, 'json');
+  assert.equal(storage.createStorage({ ...paths, driver: 'SQLite' }).name, 'sqlite');
+  assert.throws(() => storage.createStorage({ ...paths, driver: 'mongo' }), /Unknown STORAGE_DRIVER "mongo"/);
+});
+
+test('the SQLite driver round-trips the question bank in order', async () => {
+  const sqlite = new SQLiteStorage(await tempPaths());
+  await sqlite.init();
+  try {
+    assert.equal(await sqlite.isEmpty(), true);
+    assert.equal(await sqlite.loadQuestionBank(), null);
+
+    await sqlite.saveQuestionBank(bank());
+    assert.deepEqual(await sqlite.loadQuestionBank(), bank());
+    assert.equal(await sqlite.isEmpty(), false);
+  } finally {
+    await sqlite.close();
+  }
+});
+
+test('a change hint writes only the listed rows', async () => {
+  const sqlite = new SQLiteStorage(await tempPaths());
+  await sqlite.init();
+  try {
+    await sqlite.saveQuestionBank(bank());
+    await sqlite.saveQuestionBank({ metadata: { version: '2.2.0' } }, {
+      deleteQuestionIds: [2],
+      upsertQuestions: [{ id: 1, question: 'First, edited', category: 'Science' }]
+    });
+
+    const loaded = await sqlite.loadQuestionBank();
+    assert.deepEqual(loaded.questions, [{ id: 1, question: 'First, edited', category: 'Science' }]);
+    assert.equal(loaded.uploads.length, 1);
+    assert.equal(loaded.revisions.length, 1);
+  } finally {
+    await sqlite.close();
+  }
+});
+
+test('the SQLite driver round-trips user data', async () => {
+  const sqlite = new SQLiteStorage(await tempPaths());
+  await sqlite.init();
+  try {
+    const userData = {
+      users: [{ userId: 'u1', name: 'Sam' }],
+      sessions: [{ sessionId: 's1', userId: 'u1', startTime: '2026-01-01T00:00:00.000Z' }],
+      responses: [{ sessionId: 's1', userId: 'u1', questionId: 1, answer: 'A' }]
+    };
+    await sqlite.saveUserData(userData);
+    await sqlite.saveUserData(userData, { insertResponses: [{ sessionId: 's1', userId: 'u1', questionId: 2, answer: 'B' }] });
+
+    const loaded = await sqlite.loadUserData();
+    assert.deepEqual(loaded.users, userData.users);
+    assert.deepEqual(loaded.responses.map(response => response.questionId), [1, 2]);
+  } finally {
+    await sqlite.close();
+  }
+});
+
+test('migrateJSONToSQLite copies the JSON files into an empty database only', async () => {
+  const paths = await tempPaths();
+  await writeFile(paths.questionBankFile, JSON.stringify(bank()));
+  await writeFile(paths.userDataFile, JSON.stringify({ users: [], sessions: [], responses: [] }));
+
+  const sqlite = new SQLiteStorage(paths);
+  await sqlite.init();
+  try {
+    const result = await storage.migrateJSONToSQLite(sqlite, paths);
+    assert.deepEqual(result, { migrated: true, questions: 2, uploads: 1, sessions: 0, responses: 0 });
+    assert.deepEqual((await sqlite.loadQuestionBank()).questions, bank().questions);
+
+    const again = await storage.migrateJSONToSQLite(sqlite, paths);
+    assert.equal(again.migrated, false);
+  } finally {
+    await sqlite.close();
+  }
+});
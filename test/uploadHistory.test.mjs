@@ -0,0 +1,73 @@
+// server/uploadHistory: upload journals and rollback plans
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import uploadHistory from '../server/uploadHistory.js';
+
+// Journal an upload that adds question 3 and edits question 1, then return the saved record and bank
+function upload() {
+  const questions = [{ id: 1, question: 'Original' }, { id: 2, question: 'Untouched' }];
+  const journal = uploadHistory.createUploadJournal();
+
+  uploadHistory.recordUpdated(journal, questions[0]);
+  questions[0] = { id: 1, question: 'Updated by upload' };
+  uploadHistory.recordUpdated(journal, questions[0]); // later touches keep the first snapshot
+  const added = { id: 3, question: 'Added by upload' };
+  questions.push(added);
+  uploadHistory.recordAdded(journal, added);
+
+  const record = { uploadId: 'u1', questionChanges: uploadHistory.finalizeUploadJournal(journal, questions) };
+  return { record, questions };
+}
+
+test('the journal keeps the state before the upload for updated questions', () => {
+  const { record } = upload();
+  assert.deepEqual(record.questionChanges.added.map(entry => entry.id), [3]);
+  assert.deepEqual(record.questionChanges.updated.map(entry => entry.before), [{ id: 1, question: 'Original' }]);
+});
+
+test('rolling back an untouched upload removes its additions and restores its updates', () => {
+  const { record, questions } = upload();
+  const plan = uploadHistory.planUploadRollback(record, questions);
+
+  assert.deepEqual(plan.remove.map(entry => entry.id), [3]);
+  assert.deepEqual(plan.restore.map(({ id, before }) => ({ id, before })), [{ id: 1, before: { id: 1, question: 'Original' } }]);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('questions edited or deleted since the upload are conflicts unless forced', () => {
+  const { record, questions } = upload();
+  const edited = questions
+    .filter(question => question.id !== 1)
+    .map(question => question.id === 3 ? { ...question, question: 'Edited later' } : question);
+
+  const plan = uploadHistory.planUploadRollback(record, edited);
+  assert.deepEqual(plan.conflicts, [
+    { id: 3, reason: 'modified since upload' },
+    { id: 1, reason: 'deleted since upload' }
+  ]);
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.restore, []);
+
+  const forced = uploadHistory.planUploadRollback(record, edited, { force: true });
+  assert.deepEqual(forced.remove.map(entry => entry.id), [3]);
+  assert.deepEqual(forced.restore.map(entry => [entry.id, entry.current]), [[1, null]]);
+});
+
+test('changes appended after the upload are rolled back with it', () => {
+  const { record, questions } = upload();
+  const resolved = { id: 2, question: 'Merged from a review conflict' };
+  uploadHistory.appendUploadChange(record, resolved, questions[1]);
+  questions[1] = resolved;
+
+  const plan = uploadHistory.planUploadRollback(record, questions);
+  assert.deepEqual(plan.restore.map(entry => entry.id), [1, 2]);
+  assert.deepEqual(plan.conflicts, []);
+});
+
+test('uploads recorded before journaling can only remove the questions they created', () => {
+  const questions = [{ id: 1, source: { uploadId: 'old' } }, { id: 2, source: { uploadId: 'other' } }];
+  const plan = uploadHistory.planUploadRollback({ uploadId: 'old' }, questions);
+  assert.equal(plan.legacy, true);
+  assert.deepEqual(plan.remove.map(entry => entry.id), [1]);
+});
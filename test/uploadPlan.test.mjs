@@ -0,0 +1,41 @@
+// server/uploadPlan: dry-run workspaces and per-row plan entries
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import uploadPlan from '../server/uploadPlan.js';
+
+const bank = () => ({
+  questions: [{ id: 1, question: 'What is 2 + 2?', options: ['3', '4'], tags: ['math'] }],
+  revisions: [{ questionId: 1, version: 1 }]
+});
+
+test('a dry-run workspace can be changed without touching the bank', () => {
+  const live = bank();
+  const { questions, revisionLog } = uploadPlan.uploadWorkspace(live, { dryRun: true });
+
+  questions[0].tags.push('changed');
+  questions.push({ id: 2, question: 'Added' });
+  revisionLog.push({ questionId: 2, version: 1 });
+
+  assert.deepEqual(live, bank());
+});
+
+test('a real upload works on the bank itself', () => {
+  const live = bank();
+  const { questions, revisionLog } = uploadPlan.uploadWorkspace(live);
+  assert.equal(questions, live.questions);
+  assert.equal(revisionLog, live.revisions);
+});
+
+test('update plan entries list the fields the row would change', () => {
+  const rowPlan = { file: 'bank.csv', row: 2, line: 3, question: 'What is 2 + 2?' };
+  const before = bank().questions[0];
+  const after = { ...before, options: ['3', '4', '5'], source: { uploadId: 'u1' } };
+
+  assert.deepEqual(uploadPlan.updatePlanEntry(rowPlan, before, after), {
+    ...rowPlan,
+    action: 'update',
+    id: 1,
+    fields: [{ field: 'options', before: ['3', '4'], after: ['3', '4', '5'] }]
+  });
+});